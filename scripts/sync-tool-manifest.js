@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { registry } from '../src/tools.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PACKAGE_FILE = join(__dirname, '..', 'package.json');
+
+const pkg = JSON.parse(readFileSync(PACKAGE_FILE, 'utf-8'));
+const tools = registry.names();
+
+if (process.argv.includes('--check')) {
+  if (JSON.stringify(pkg.mcp.tools) !== JSON.stringify(tools)) {
+    console.error('package.json mcp.tools is out of date. Run: npm run sync-manifest');
+    process.exit(1);
+  }
+  console.log(`package.json lists all ${tools.length} registered tools`);
+} else {
+  pkg.mcp.tools = tools;
+  writeFileSync(PACKAGE_FILE, JSON.stringify(pkg, null, 2) + '\n');
+  console.log(`Wrote ${tools.length} tools to package.json`);
+}
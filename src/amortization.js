@@ -0,0 +1,253 @@
+/**
+ * Amortization
+ * Loan payments, balances and full payment schedules shared by the calculators, including extra principal,
+ * recasts, interest-only periods, balloons, biweekly payments and ARM resets with caps
+ */
+
+export const PAYMENTS_PER_YEAR = { monthly: 12, biweekly: 26 };
+
+// Share of the monthly payment made each period
+const PAYMENT_SHARE = { monthly: 1, biweekly: 0.5 };
+
+const PAID_OFF = 0.005;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Level payment that retires principal over `payments` periods
+export function levelPayment(principal, periodicRate, payments) {
+  if (payments <= 0) return principal;
+  if (periodicRate === 0) return principal / payments;
+  return principal * (periodicRate * Math.pow(1 + periodicRate, payments)) /
+         (Math.pow(1 + periodicRate, payments) - 1);
+}
+
+// Balance left after paymentsMade level payments
+export function remainingBalance(principal, periodicRate, payments, paymentsMade) {
+  if (paymentsMade >= payments) return 0;
+  if (periodicRate === 0) return principal * (1 - paymentsMade / payments);
+  const payment = levelPayment(principal, periodicRate, payments);
+  const growth = Math.pow(1 + periodicRate, paymentsMade);
+  return Math.max(0, principal * growth - payment * (growth - 1) / periodicRate);
+}
+
+// Largest loan a level payment supports
+export function loanAmountForPayment(payment, periodicRate, payments) {
+  if (periodicRate === 0) return payment * payments;
+  return payment * (1 - Math.pow(1 + periodicRate, -payments)) / periodicRate;
+}
+
+/**
+ * ARM rate at a reset: index plus margin, held within the periodic cap of the previous rate
+ * (the initial cap at the first reset), the lifetime cap over the start rate and the floor.
+ */
+export function adjustedRate({ previousRate, startRate, indexRate, arm, firstReset }) {
+  const fullyIndexed = indexRate + arm.margin;
+  const cap = firstReset ? arm.initial_adjustment_cap : arm.periodic_cap;
+  const ceiling = Math.min(previousRate + cap, startRate + arm.lifetime_cap);
+  const floor = Math.max(previousRate - cap, arm.floor);
+
+  let rate = fullyIndexed;
+  let limitedBy = null;
+  if (rate > ceiling) {
+    rate = ceiling;
+    limitedBy = ceiling === startRate + arm.lifetime_cap ? 'lifetime_cap' : 'periodic_cap';
+  } else if (rate < floor) {
+    rate = floor;
+    limitedBy = floor === arm.floor ? 'floor' : 'periodic_cap';
+  }
+  return { rate, fully_indexed_rate: fullyIndexed, limited_by: limitedBy };
+}
+
+/**
+ * Payment-by-payment schedule. Timing is in months from the first payment. Interest-only months
+ * count toward the amortization term, extra principal shortens the loan, a recast re-amortizes
+ * the balance over the months left, and a balloon pays off whatever remains at balloon_month.
+ * Biweekly loans pay half the monthly payment every two weeks, accruing interest at rate / 26.
+ * Totals are summed before rounding, so principal repaid matches the loan amount.
+ *
+ * loan: { principal, annual_rate (%), amortization_months, payment_frequency, interest_only_months,
+ *         balloon_month, extra_payments, recasts, arm, start_date }
+ */
+export function amortize(loan) {
+  const {
+    principal,
+    annual_rate: startRate,
+    amortization_months: amortizationMonths,
+    payment_frequency: frequency = 'monthly',
+    interest_only_months: interestOnlyMonths = 0,
+    balloon_month: balloonMonth = null,
+    extra_payments: extraPayments = [],
+    recasts = [],
+    arm = null,
+    start_date: startDate = null
+  } = loan;
+
+  const perYear = PAYMENTS_PER_YEAR[frequency];
+  const monthOf = period => Math.ceil(period * 12 / perYear);
+  const lastMonth = balloonMonth ? Math.min(balloonMonth, amortizationMonths) : amortizationMonths;
+  const lastPeriod = Math.ceil(lastMonth * perYear / 12);
+  const resets = arm ? armResetMonths(arm, lastMonth) : new Map();
+
+  // Half the monthly payment on biweekly loans, over the months left before maturity
+  const scheduledPayment = (balance, rate, period) => {
+    const monthsLeft = amortizationMonths - (period - 1) * 12 / perYear;
+    return levelPayment(balance, rate / 100 / 12, monthsLeft) * PAYMENT_SHARE[frequency];
+  };
+
+  let rate = startRate;
+  let balance = principal;
+  let payment = scheduledPayment(balance, rate, 1 + interestOnlyMonths * perYear / 12);
+  const schedule = [];
+  const events = [];
+  const totals = { principal: 0, interest: 0, extra_principal: 0, balloon_payment: 0, total_paid: 0 };
+
+  for (let period = 1; period <= lastPeriod && balance > PAID_OFF; period++) {
+    const month = monthOf(period);
+    const startsMonth = period === 1 || monthOf(period - 1) !== month;
+    const date = startDate ? paymentDate(startDate, frequency, period) : null;
+    const interestOnly = month <= interestOnlyMonths;
+
+    if (startsMonth && resets.has(month)) {
+      const reset = adjustedRate({
+        previousRate: rate,
+        startRate,
+        indexRate: resets.get(month).index_rate,
+        arm,
+        firstReset: resets.get(month).first
+      });
+      if (!interestOnly) payment = scheduledPayment(balance, reset.rate, period);
+      if (reset.rate !== rate) {
+        events.push({
+          type: 'rate_reset', payment_number: period, month, date,
+          previous_rate: round(rate, 4), new_rate: round(reset.rate, 4),
+          fully_indexed_rate: round(reset.fully_indexed_rate, 4), limited_by: reset.limited_by,
+          payment: round(interestOnly ? balance * reset.rate / 100 / perYear : payment)
+        });
+      }
+      rate = reset.rate;
+    }
+    if (startsMonth && interestOnlyMonths > 0 && month === interestOnlyMonths + 1) {
+      payment = scheduledPayment(balance, rate, period);
+      events.push({ type: 'interest_only_end', payment_number: period, month, date, payment: round(payment) });
+    }
+
+    const interest = balance * rate / 100 / perYear;
+    const principalPaid = interestOnly ? 0 : Math.min(Math.max(payment - interest, 0), balance);
+    balance -= principalPaid;
+
+    let extra = 0;
+    if (startsMonth) {
+      extra = Math.min(extraPrincipalDue(extraPayments, month), balance);
+      balance -= extra;
+
+      const recast = recasts.find(r => r.month === month);
+      if (recast) {
+        const lumpSum = Math.min(recast.amount || 0, balance);
+        balance -= lumpSum;
+        extra += lumpSum;
+        if (!interestOnly && balance > PAID_OFF) payment = scheduledPayment(balance, rate, period + 1);
+        events.push({
+          type: 'recast', payment_number: period, month, date, lump_sum: round(lumpSum), interest_only: interestOnly,
+          payment: round(interestOnly ? balance * rate / 100 / perYear : payment)
+        });
+      }
+    }
+
+    let balloon = 0;
+    if (balloonMonth && period === lastPeriod && balance > PAID_OFF) {
+      balloon = balance;
+      balance = 0;
+      events.push({ type: 'balloon', payment_number: period, month, date, amount: round(balloon) });
+    }
+
+    totals.principal += principalPaid + extra + balloon;
+    totals.interest += interest;
+    totals.extra_principal += extra;
+    totals.balloon_payment += balloon;
+    totals.total_paid += interest + principalPaid + extra + balloon;
+
+    schedule.push({
+      payment_number: period,
+      month,
+      date,
+      rate: round(rate, 4),
+      payment: round(interest + principalPaid),
+      principal: round(principalPaid),
+      interest: round(interest),
+      extra_principal: round(extra),
+      balloon_payment: round(balloon),
+      total_payment: round(interest + principalPaid + extra + balloon),
+      balance: round(Math.max(0, balance))
+    });
+  }
+
+  Object.keys(totals).forEach(key => { totals[key] = round(totals[key]); });
+  return { schedule, events, totals };
+}
+
+// Yearly totals of a schedule; years count from the first payment
+export function annualSummary(schedule) {
+  const years = new Map();
+  schedule.forEach(row => {
+    const year = Math.ceil(row.month / 12);
+    const totals = years.get(year) || { year, payments: 0, principal: 0, interest: 0, extra_principal: 0, balloon_payment: 0, total_paid: 0 };
+    totals.payments += 1;
+    totals.principal += row.principal;
+    totals.interest += row.interest;
+    totals.extra_principal += row.extra_principal;
+    totals.balloon_payment += row.balloon_payment;
+    totals.total_paid += row.total_payment;
+    totals.ending_balance = row.balance;
+    totals.ending_rate = row.rate;
+    years.set(year, totals);
+  });
+
+  return [...years.values()].map(totals => ({
+    ...totals,
+    principal: round(totals.principal),
+    interest: round(totals.interest),
+    extra_principal: round(totals.extra_principal),
+    balloon_payment: round(totals.balloon_payment),
+    total_paid: round(totals.total_paid)
+  }));
+}
+
+// Month of every ARM reset within the term, with the index assumed for it
+function armResetMonths(arm, lastMonth) {
+  const resets = new Map();
+  const indexRates = arm.index_rates?.length ? arm.index_rates : [arm.index_rate];
+  let count = 0;
+  for (let month = arm.initial_fixed_months + 1; month <= lastMonth; month += arm.adjustment_interval_months) {
+    resets.set(month, { index_rate: indexRates[Math.min(count, indexRates.length - 1)], first: count === 0 });
+    count++;
+  }
+  return resets;
+}
+
+function extraPrincipalDue(extraPayments, month) {
+  return extraPayments.reduce((sum, extra) => {
+    const start = extra.month || 1;
+    if (month < start || (extra.end_month && month > extra.end_month)) return sum;
+    const elapsed = month - start;
+    const due = extra.frequency === 'monthly' ||
+      (extra.frequency === 'annually' && elapsed % 12 === 0) ||
+      ((!extra.frequency || extra.frequency === 'once') && elapsed === 0);
+    return due ? sum + extra.amount : sum;
+  }, 0);
+}
+
+function paymentDate(startDate, frequency, period) {
+  const start = new Date(`${startDate}T00:00:00Z`);
+  if (frequency === 'biweekly') {
+    return new Date(start.getTime() + (period - 1) * 14 * DAY_MS).toISOString().slice(0, 10);
+  }
+  // Months without the start day fall back to their last day
+  const target = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + period - 1, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
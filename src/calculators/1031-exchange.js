@@ -91,6 +91,28 @@ export class Exchange1031Calculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        relinquished_property_analysis: { type: 'object', description: 'Sale price, adjusted basis and gain on the relinquished property' },
+        tax_analysis: { type: 'object', description: 'Taxes deferred by exchanging versus selling' },
+        exchange_requirements: { type: 'object', description: 'Value, equity and debt replacement requirements' },
+        cash_flow_analysis: { type: 'object', description: 'Cash flow before and after the exchange' },
+        qualification_analysis: { type: 'object', description: 'Whether the exchange qualifies and why' },
+        long_term_analysis: { type: 'object', description: 'Long-term wealth impact of deferral' },
+        risk_analysis: { type: 'object', description: 'Timeline and compliance risks' },
+        alternative_scenarios: { type: 'array', description: 'Outcomes of alternative strategies' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'relinquished_property_analysis', 'tax_analysis', 'exchange_requirements', 'cash_flow_analysis',
+        'qualification_analysis', 'long_term_analysis', 'risk_analysis', 'alternative_scenarios',
+        'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const { 
       relinquished_property, 
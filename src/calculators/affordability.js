@@ -1,3 +1,5 @@
+import { levelPayment, loanAmountForPayment } from '../amortization.js';
+
 export class AffordabilityCalculator {
   getSchema() {
     return {
@@ -49,6 +51,26 @@ export class AffordabilityCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        max_home_price: { type: 'number', description: 'Maximum affordable home price' },
+        max_loan_amount: { type: 'number', description: 'Maximum loan amount' },
+        down_payment: { type: 'number', description: 'Down payment amount' },
+        down_payment_percent: { type: 'string', description: 'Down payment as a percentage of price' },
+        monthly_payment_breakdown: { type: 'object', description: 'Principal, interest, tax, insurance and HOA components' },
+        debt_to_income: { type: 'object', description: 'Front-end and back-end DTI ratios' },
+        loan_details: { type: 'object', description: 'Loan amount, rate and term used' },
+        affordability_summary: { type: 'object', description: 'Plain-language affordability summary' }
+      },
+      required: [
+        'max_home_price', 'max_loan_amount', 'down_payment', 'down_payment_percent',
+        'monthly_payment_breakdown', 'debt_to_income', 'loan_details', 'affordability_summary'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       annual_income,
@@ -101,8 +123,7 @@ export class AffordabilityCalculator {
         const taxAndInsurance = homePrice * (propertyTaxMonthly + insuranceMonthly);
         const availableForPrincipalInterest = maxMonthlyPayment - taxAndInsurance - hoa_monthly;
         
-        const newLoanAmount = availableForPrincipalInterest * 
-          ((1 - Math.pow(1 + monthlyRate, -numPayments)) / monthlyRate);
+        const newLoanAmount = loanAmountForPayment(availableForPrincipalInterest, monthlyRate, numPayments);
         
         const newHomePrice = newLoanAmount + down_payment;
         
@@ -130,17 +151,14 @@ export class AffordabilityCalculator {
       const taxAndInsurance = maxHomePrice * (propertyTaxMonthly + insuranceMonthly);
       const availableForPrincipalInterest = availableAfterPMI - taxAndInsurance - hoa_monthly;
       
-      maxLoanAmount = availableForPrincipalInterest * 
-        ((1 - Math.pow(1 + monthlyRate, -numPayments)) / monthlyRate);
+      maxLoanAmount = loanAmountForPayment(availableForPrincipalInterest, monthlyRate, numPayments);
       
       maxHomePrice = maxLoanAmount + down_payment;
       downPaymentPercent = (down_payment / maxHomePrice) * 100;
     }
 
     // Calculate actual monthly payment breakdown
-    const principalInterest = maxLoanAmount * 
-      (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
-      (Math.pow(1 + monthlyRate, numPayments) - 1);
+    const principalInterest = levelPayment(maxLoanAmount, monthlyRate, numPayments);
     
     const propertyTax = maxHomePrice * propertyTaxMonthly;
     const insurance = maxHomePrice * insuranceMonthly;
@@ -3,6 +3,8 @@
  * Analyzes short-term rental income potential and profitability
  */
 
+import { levelPayment } from '../amortization.js';
+
 export class AirbnbSTRCalculator {
   getSchema() {
     return {
@@ -94,6 +96,30 @@ export class AirbnbSTRCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        investment_summary: { type: 'object', description: 'Purchase, financing and setup costs' },
+        revenue_analysis: { type: 'object', description: 'Nightly rate, occupancy and gross revenue' },
+        expense_analysis: { type: 'object', description: 'Operating expenses including platform and cleaning fees' },
+        cash_flow_analysis: { type: 'object', description: 'Monthly and annual cash flow' },
+        performance_metrics: { type: 'object', description: 'Cash-on-cash return, cap rate and RevPAR' },
+        traditional_rental_comparison: { type: 'object', description: 'Comparison against a long-term rental' },
+        projections: { type: 'array', description: 'Multi-year revenue and cash flow projection' },
+        seasonal_analysis: { type: ['object', 'null'], description: 'Month-by-month seasonal revenue' },
+        risk_analysis: { type: 'object', description: 'Regulatory, market and operational risks' },
+        breakeven_analysis: { type: 'object', description: 'Breakeven occupancy and nightly rate' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'investment_summary', 'revenue_analysis', 'expense_analysis', 'cash_flow_analysis',
+        'performance_metrics', 'traditional_rental_comparison', 'projections', 'seasonal_analysis',
+        'risk_analysis', 'breakeven_analysis', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const { 
       property_info, 
@@ -224,9 +250,7 @@ export class AirbnbSTRCalculator {
   }
   
   calculateMonthlyPayment(principal, monthlyRate, months) {
-    if (monthlyRate === 0) return principal / months;
-    return principal * monthlyRate * Math.pow(1 + monthlyRate, months) / 
-           (Math.pow(1 + monthlyRate, months) - 1);
+    return levelPayment(principal, monthlyRate, months);
   }
   
   calculateRevenue(rental_assumptions, vacancy_buffer = 0) {
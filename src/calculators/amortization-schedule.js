@@ -0,0 +1,316 @@
+/**
+ * Amortization Schedule Generator
+ * Payment-by-payment loan schedule with extra principal, recasts, interest-only periods,
+ * balloons, biweekly payments and ARM resets, compared against the plain monthly loan
+ */
+
+import { amortize, annualSummary } from '../amortization.js';
+
+const MONTH = { type: 'integer', minimum: 1, description: 'Months from the first payment (1 = first payment)' };
+
+export class AmortizationScheduleCalculator {
+  getSchema() {
+    return {
+      type: 'object',
+      properties: {
+        loan_amount: { type: 'number', minimum: 1, description: 'Amount borrowed' },
+        interest_rate: { type: 'number', minimum: 0, maximum: 30, description: 'Note rate (%); the start rate for an ARM' },
+        loan_term_years: { type: 'number', minimum: 1, maximum: 40, description: 'Amortization term in years', default: 30 },
+        payment_frequency: {
+          type: 'string',
+          enum: ['monthly', 'biweekly'],
+          description: 'biweekly pays half the monthly payment every two weeks (26 a year)',
+          default: 'monthly'
+        },
+        start_date: { type: 'string', format: 'date', description: 'First payment date (YYYY-MM-DD); adds a date to every row' },
+        interest_only_months: { type: 'integer', minimum: 0, description: 'Interest-only months at the start; they count toward the term', default: 0 },
+        balloon_month: { ...MONTH, description: 'Month the remaining balance comes due, for a loan amortized longer than its term' },
+        extra_payments: {
+          type: 'array',
+          description: 'Extra principal, one-time or recurring',
+          items: {
+            type: 'object',
+            properties: {
+              amount: { type: 'number', minimum: 0 },
+              month: { ...MONTH, description: 'First month the extra payment is made', default: 1 },
+              frequency: { type: 'string', enum: ['once', 'monthly', 'annually'], default: 'once' },
+              end_month: { ...MONTH, description: 'Last month of a recurring extra payment' }
+            },
+            required: ['amount']
+          }
+        },
+        recasts: {
+          type: 'array',
+          description: 'Lump-sum principal payments after which the lender re-amortizes the balance over the months left',
+          items: {
+            type: 'object',
+            properties: {
+              month: MONTH,
+              amount: { type: 'number', minimum: 0, description: 'Lump sum paid at the recast (0 to recast after earlier extra payments)', default: 0 }
+            },
+            required: ['month']
+          }
+        },
+        arm: {
+          type: 'object',
+          description: 'Adjustable rate: resets to index plus margin, limited by the caps and floor',
+          properties: {
+            fixed_period_years: { type: 'number', minimum: 0, description: 'Years at the start rate', default: 5 },
+            adjustment_interval_months: { type: 'integer', minimum: 1, description: 'Months between resets', default: 12 },
+            margin: { type: 'number', minimum: 0, description: 'Margin over the index (%)', default: 2.75 },
+            index_rate: { type: 'number', description: 'Index (%) at every reset; defaults to the start rate less the margin' },
+            index_rates: { type: 'array', items: { type: 'number' }, minItems: 1, description: 'Index (%) at each reset in turn; the last value repeats' },
+            initial_adjustment_cap: { type: 'number', minimum: 0, description: 'Max change at the first reset (%); defaults to adjustment_cap' },
+            adjustment_cap: { type: 'number', minimum: 0, description: 'Max change at each later reset (%)', default: 2 },
+            lifetime_cap: { type: 'number', minimum: 0, description: 'Max increase over the start rate (%)', default: 5 },
+            floor: { type: 'number', minimum: 0, description: 'Lowest rate (%); defaults to the margin' }
+          }
+        },
+        include_schedule: { type: 'boolean', description: 'Return every payment; the annual summary is always returned', default: true }
+      },
+      required: ['loan_amount', 'interest_rate']
+    };
+  }
+
+  getOutputSchema() {
+    const money = { type: 'number' };
+    const nullableMoney = { type: ['number', 'null'] };
+    return {
+      type: 'object',
+      properties: {
+        loan_summary: {
+          type: 'object',
+          properties: {
+            loan_amount: money,
+            interest_rate: money,
+            payment_frequency: { type: 'string' },
+            scheduled_payment: { type: 'number', description: 'Principal and interest per payment once amortization starts' },
+            interest_only_payment: { ...nullableMoney, description: 'Payment during the interest-only period' },
+            highest_payment: { type: 'number', description: 'Largest regular payment, after any interest-only period or ARM reset' },
+            number_of_payments: money,
+            payoff_month: money,
+            payoff_date: { type: ['string', 'null'] },
+            total_principal: money,
+            total_interest: money,
+            total_extra_principal: money,
+            balloon_payment: money,
+            total_paid: money,
+            final_rate: money
+          },
+          required: [
+            'loan_amount', 'interest_rate', 'payment_frequency', 'scheduled_payment', 'interest_only_payment', 'highest_payment',
+            'number_of_payments', 'payoff_month', 'payoff_date', 'total_principal', 'total_interest', 'total_extra_principal',
+            'balloon_payment', 'total_paid', 'final_rate'
+          ]
+        },
+        compared_to_standard: {
+          type: 'object',
+          description: 'The same loan paid monthly with no extra principal or recasts',
+          properties: {
+            standard_payoff_month: money,
+            standard_total_interest: money,
+            months_saved: money,
+            interest_saved: money
+          },
+          required: ['standard_payoff_month', 'standard_total_interest', 'months_saved', 'interest_saved']
+        },
+        events: { type: 'array', items: { type: 'object' }, description: 'Rate resets, the end of interest-only, recasts and the balloon, in order' },
+        annual_summary: { type: 'array', items: { type: 'object' } },
+        schedule: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              payment_number: money,
+              month: money,
+              date: { type: ['string', 'null'] },
+              rate: money,
+              payment: { type: 'number', description: 'Scheduled principal and interest' },
+              principal: money,
+              interest: money,
+              extra_principal: money,
+              balloon_payment: money,
+              total_payment: money,
+              balance: money
+            },
+            required: ['payment_number', 'month', 'date', 'rate', 'payment', 'principal', 'interest', 'extra_principal', 'balloon_payment', 'total_payment', 'balance']
+          }
+        },
+        recommendations: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['loan_summary', 'compared_to_standard', 'events', 'annual_summary', 'schedule', 'recommendations']
+    };
+  }
+
+  calculate(params) {
+    const loan = this.buildLoan(params);
+    const { schedule, events, totals } = amortize(loan);
+    const { schedule: standard, totals: standardTotals } = amortize({ ...loan, payment_frequency: 'monthly', extra_payments: [], recasts: [] });
+    const last = schedule[schedule.length - 1];
+    const amortizing = schedule.filter(row => row.month > loan.interest_only_months);
+    const regularPayments = amortizing.map(row => row.payment);
+    const interestOnly = loan.interest_only_months > 0 ? schedule[0].interest : null;
+
+    const loanSummary = {
+      loan_amount: loan.principal,
+      interest_rate: loan.annual_rate,
+      payment_frequency: loan.payment_frequency,
+      scheduled_payment: amortizing.length > 0 ? amortizing[0].payment : schedule[0].payment,
+      interest_only_payment: interestOnly,
+      highest_payment: Math.max(...(regularPayments.length > 0 ? regularPayments : [schedule[0].payment])),
+      number_of_payments: schedule.length,
+      payoff_month: last.month,
+      payoff_date: last.date,
+      total_principal: totals.principal,
+      total_interest: totals.interest,
+      total_extra_principal: totals.extra_principal,
+      balloon_payment: totals.balloon_payment,
+      total_paid: totals.total_paid,
+      final_rate: last.rate
+    };
+
+    const comparison = {
+      standard_payoff_month: standard[standard.length - 1].month,
+      standard_total_interest: standardTotals.interest,
+      months_saved: standard[standard.length - 1].month - last.month,
+      interest_saved: round(standardTotals.interest - totals.interest)
+    };
+
+    return {
+      loan_summary: loanSummary,
+      compared_to_standard: comparison,
+      events,
+      annual_summary: annualSummary(schedule),
+      schedule: params.include_schedule === false ? [] : schedule,
+      recommendations: this.generateRecommendations(loanSummary, comparison, events, loan)
+    };
+  }
+
+  buildLoan(params) {
+    const {
+      loan_amount,
+      interest_rate,
+      loan_term_years = 30,
+      payment_frequency = 'monthly',
+      start_date = null,
+      interest_only_months = 0,
+      balloon_month = null,
+      extra_payments = [],
+      recasts = [],
+      arm = null
+    } = params;
+
+    const termMonths = Math.round(loan_term_years * 12);
+    const maturity = balloon_month || termMonths;
+    if (balloon_month && balloon_month > termMonths) {
+      throw new Error(`balloon_month (${balloon_month}) must fall within the ${termMonths}-month amortization term`);
+    }
+    if (interest_only_months >= maturity) {
+      throw new Error(`interest_only_months (${interest_only_months}) must end before the loan matures in month ${maturity}`);
+    }
+    extra_payments.forEach((extra, i) => {
+      if (extra.end_month && extra.end_month < (extra.month || 1)) {
+        throw new Error(`Extra payment ${i + 1} ends (month ${extra.end_month}) before it starts (month ${extra.month || 1})`);
+      }
+    });
+    recasts.forEach(recast => {
+      if (recast.month > maturity) {
+        throw new Error(`Recast in month ${recast.month} is after the loan matures in month ${maturity}`);
+      }
+    });
+
+    return {
+      principal: loan_amount,
+      annual_rate: interest_rate,
+      amortization_months: termMonths,
+      payment_frequency,
+      interest_only_months,
+      balloon_month,
+      extra_payments,
+      recasts,
+      arm: arm && this.normalizeARM(arm, interest_rate),
+      start_date
+    };
+  }
+
+  normalizeARM(arm, startRate) {
+    const margin = arm.margin ?? 2.75;
+    const adjustmentCap = arm.adjustment_cap ?? 2;
+    return {
+      initial_fixed_months: Math.round((arm.fixed_period_years ?? 5) * 12),
+      adjustment_interval_months: arm.adjustment_interval_months ?? 12,
+      margin,
+      index_rate: arm.index_rate ?? startRate - margin,
+      index_rates: arm.index_rates,
+      initial_adjustment_cap: arm.initial_adjustment_cap ?? adjustmentCap,
+      periodic_cap: adjustmentCap,
+      lifetime_cap: arm.lifetime_cap ?? 5,
+      floor: arm.floor ?? margin
+    };
+  }
+
+  generateRecommendations(summary, comparison, events, loan) {
+    const recommendations = [];
+    const years = months => (months / 12).toFixed(1);
+
+    if (comparison.interest_saved > 0 && comparison.months_saved > 0) {
+      recommendations.push(
+        `Paying ahead saves $${comparison.interest_saved.toLocaleString()} of interest and retires the loan ` +
+        `${comparison.months_saved} months (${years(comparison.months_saved)} years) early`
+      );
+    } else if (comparison.interest_saved > 0) {
+      recommendations.push(`Paying ahead saves $${comparison.interest_saved.toLocaleString()} of interest`);
+    }
+    if (loan.payment_frequency === 'biweekly') {
+      recommendations.push('Biweekly payments add up to one extra monthly payment a year; confirm your servicer applies each half payment when received rather than holding it');
+    }
+
+    const interestOnlyEnd = events.find(event => event.type === 'interest_only_end');
+    if (interestOnlyEnd && summary.interest_only_payment) {
+      const jump = (interestOnlyEnd.payment / summary.interest_only_payment - 1) * 100;
+      recommendations.push(
+        `The payment rises from $${summary.interest_only_payment.toLocaleString()} to $${interestOnlyEnd.payment.toLocaleString()} ` +
+        `(${jump.toFixed(0)}%) when interest-only ends in month ${interestOnlyEnd.month}`
+      );
+    }
+
+    const resets = events.filter(event => event.type === 'rate_reset');
+    if (resets.length > 0) {
+      const peak = resets.reduce((max, event) => (event.new_rate > max.new_rate ? event : max));
+      const firstAmortizing = summary.scheduled_payment;
+      if (summary.highest_payment > firstAmortizing) {
+        recommendations.push(
+          `ARM payments peak at $${summary.highest_payment.toLocaleString()} at ${peak.new_rate}%, ` +
+          `${((summary.highest_payment / firstAmortizing - 1) * 100).toFixed(0)}% above the initial payment; make sure the property carries that`
+        );
+      }
+    }
+
+    const balloon = events.find(event => event.type === 'balloon');
+    if (balloon) {
+      recommendations.push(
+        `A $${balloon.amount.toLocaleString()} balloon is due in month ${balloon.month}${balloon.date ? ` (${balloon.date})` : ''}; line up a refinance or sale well before then`
+      );
+    }
+
+    events.filter(event => event.type === 'recast').forEach(event => {
+      if (event.interest_only) {
+        recommendations.push(
+          `The recast in month ${event.month} lowers the interest-only payment to $${event.payment.toLocaleString()}` +
+          (interestOnlyEnd ? `; amortizing payments from month ${interestOnlyEnd.month} are $${interestOnlyEnd.payment.toLocaleString()}` : '')
+        );
+      } else {
+        recommendations.push(`The recast in month ${event.month} lowers the payment to $${event.payment.toLocaleString()}`);
+      }
+    });
+
+    if (recommendations.length === 0) {
+      recommendations.push(`A fixed $${summary.scheduled_payment.toLocaleString()} payment retires the loan in ${years(summary.payoff_month)} years`);
+    }
+    return recommendations;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
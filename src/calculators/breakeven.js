@@ -70,6 +70,12 @@ export class BreakevenCalculator {
               description: 'Monthly property management fee',
               minimum: 0,
               default: 0
+            },
+            other: {
+              type: 'number',
+              description: 'Other monthly fixed costs',
+              minimum: 0,
+              default: 0
             }
           }
         },
@@ -173,6 +179,28 @@ export class BreakevenCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        initial_investment: { type: 'object', description: 'Cash invested in the property' },
+        cost_analysis: { type: 'object', description: 'Fixed and variable operating costs' },
+        breakeven_analysis: { type: 'object', description: 'Breakeven occupancy, rent and timeline' },
+        current_performance: { type: 'object', description: 'Current cash flow and margin of safety' },
+        sensitivity_analysis: { type: 'object', description: 'Breakeven under changing assumptions' },
+        target_analysis: { type: ['object', 'null'], description: 'Requirements to reach the target cash flow' },
+        multi_year_projection: { type: 'array', description: 'Year-by-year cumulative cash flow' },
+        risk_assessment: { type: 'object', description: 'Risk level and risk factors' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'initial_investment', 'cost_analysis', 'breakeven_analysis', 'current_performance',
+        'sensitivity_analysis', 'target_analysis', 'multi_year_projection', 'risk_assessment',
+        'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       property_costs,
@@ -262,8 +290,8 @@ export class BreakevenCalculator {
         monthly_fixed_costs: parseFloat(monthly_fixed_costs.toFixed(2)),
         fixed_cost_breakdown: this.formatCostBreakdown(fixed_costs),
         variable_cost_factors: {
-          maintenance_rate: variable_costs.maintenance_percent || 5,
-          vacancy_rate: variable_costs.vacancy_rate || 5,
+          maintenance_rate: variable_costs.maintenance_percent ?? 5,
+          vacancy_rate: variable_costs.vacancy_rate ?? 5,
           management_rate: variable_costs.management_percent || 0
         }
       },
@@ -307,7 +335,7 @@ export class BreakevenCalculator {
     const otherIncome = revenue.other_monthly_income || 0;
     
     // Variable costs as percentage of revenue
-    const maintenanceRate = (variableCosts.maintenance_percent || 5) / 100;
+    const maintenanceRate = (variableCosts.maintenance_percent ?? 5) / 100;
     const managementRate = (variableCosts.management_percent || 0) / 100;
     const utilitiesPerUnit = variableCosts.utilities_per_unit || 0;
 
@@ -330,9 +358,9 @@ export class BreakevenCalculator {
   calculateBreakevenRent(fixedCosts, variableCosts, revenue) {
     const totalUnits = revenue.total_units || 1;
     const otherIncome = revenue.other_monthly_income || 0;
-    const targetOccupancy = 1 - (variableCosts.vacancy_rate || 5) / 100;
+    const targetOccupancy = 1 - (variableCosts.vacancy_rate ?? 5) / 100;
     
-    const maintenanceRate = (variableCosts.maintenance_percent || 5) / 100;
+    const maintenanceRate = (variableCosts.maintenance_percent ?? 5) / 100;
     const managementRate = (variableCosts.management_percent || 0) / 100;
     const utilitiesPerUnit = variableCosts.utilities_per_unit || 0;
 
@@ -358,8 +386,8 @@ export class BreakevenCalculator {
   calculateTimeToPositiveCashflow(initialInvestment, revenue, fixedCosts, variableCosts) {
     const monthlyRent = revenue.monthly_rent_per_unit * (revenue.total_units || 1);
     const otherIncome = revenue.other_monthly_income || 0;
-    const vacancyRate = (variableCosts.vacancy_rate || 5) / 100;
-    const maintenanceRate = (variableCosts.maintenance_percent || 5) / 100;
+    const vacancyRate = (variableCosts.vacancy_rate ?? 5) / 100;
+    const maintenanceRate = (variableCosts.maintenance_percent ?? 5) / 100;
     const managementRate = (variableCosts.management_percent || 0) / 100;
 
     const effectiveIncome = (monthlyRent + otherIncome) * (1 - vacancyRate);
@@ -399,10 +427,10 @@ export class BreakevenCalculator {
     // Calculate monthly cash flow
     const monthlyRent = revenue.monthly_rent_per_unit * (revenue.total_units || 1);
     const otherIncome = revenue.other_monthly_income || 0;
-    const vacancyRate = (variableCosts.vacancy_rate || 5) / 100;
+    const vacancyRate = (variableCosts.vacancy_rate ?? 5) / 100;
     const effectiveIncome = (monthlyRent + otherIncome) * (1 - vacancyRate);
     
-    const maintenanceRate = (variableCosts.maintenance_percent || 5) / 100;
+    const maintenanceRate = (variableCosts.maintenance_percent ?? 5) / 100;
     const managementRate = (variableCosts.management_percent || 0) / 100;
     const variableExpenses = effectiveIncome * (maintenanceRate + managementRate);
     
@@ -486,10 +514,10 @@ export class BreakevenCalculator {
     const otherIncome = revenue.other_monthly_income || 0;
     const grossIncome = monthlyRent + otherIncome;
     
-    const vacancyRate = (variableCosts.vacancy_rate || 5) / 100;
+    const vacancyRate = (variableCosts.vacancy_rate ?? 5) / 100;
     const effectiveIncome = grossIncome * (1 - vacancyRate);
     
-    const maintenanceRate = (variableCosts.maintenance_percent || 5) / 100;
+    const maintenanceRate = (variableCosts.maintenance_percent ?? 5) / 100;
     const managementRate = (variableCosts.management_percent || 0) / 100;
     const variableExpenses = effectiveIncome * (maintenanceRate + managementRate) + 
                            (variableCosts.utilities_per_unit || 0) * (revenue.total_units || 1);
@@ -526,11 +554,11 @@ export class BreakevenCalculator {
 
       const annualRent = currentRent * (revenue.total_units || 1) * 12;
       const annualOther = (revenue.other_monthly_income || 0) * 12;
-      const vacancyLoss = annualRent * ((variableCosts.vacancy_rate || 5) / 100);
+      const vacancyLoss = annualRent * ((variableCosts.vacancy_rate ?? 5) / 100);
       const effectiveIncome = annualRent + annualOther - vacancyLoss;
       
       const annualFixed = currentFixed * 12;
-      const annualVariable = effectiveIncome * ((variableCosts.maintenance_percent || 5) / 100 + 
+      const annualVariable = effectiveIncome * ((variableCosts.maintenance_percent ?? 5) / 100 + 
                                                  (variableCosts.management_percent || 0) / 100);
       
       const annualCashFlow = effectiveIncome - annualFixed - annualVariable;
@@ -569,8 +597,8 @@ export class BreakevenCalculator {
     }
 
     // Calculate what's needed to reach target
-    const rentIncrease = (gap / ((revenue.total_units || 1) * (1 - (variableCosts.vacancy_rate || 5) / 100))) / 
-                        (1 - (variableCosts.maintenance_percent || 5) / 100 - (variableCosts.management_percent || 0) / 100);
+    const rentIncrease = (gap / ((revenue.total_units || 1) * (1 - (variableCosts.vacancy_rate ?? 5) / 100))) / 
+                        (1 - (variableCosts.maintenance_percent ?? 5) / 100 - (variableCosts.management_percent || 0) / 100);
     const rentIncreasePercent = (rentIncrease / revenue.monthly_rent_per_unit) * 100;
 
     // Or expense reduction needed
@@ -654,7 +682,8 @@ export class BreakevenCalculator {
       property_tax: 'Property Tax',
       insurance: 'Insurance',
       hoa_fees: 'HOA Fees',
-      property_management: 'Property Management'
+      property_management: 'Property Management',
+      other: 'Other'
     };
 
     const total = Object.values(costs).reduce((sum, cost) => sum + (cost || 0), 0);
@@ -1,3 +1,5 @@
+import { levelPayment } from '../amortization.js';
+
 export class BRRRRCalculator {
   getSchema() {
     return {
@@ -80,6 +82,25 @@ export class BRRRRCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        initial_investment: { type: 'object', description: 'Purchase, rehab, closing and holding costs' },
+        refinance_results: { type: 'object', description: 'Refinance loan, cash out and cash left in the deal' },
+        cash_flow_analysis: { type: 'object', description: 'Post-refinance monthly and annual cash flow' },
+        returns: { type: 'object', description: 'Cash-on-cash return, ROI and equity position' },
+        deal_metrics: { type: 'object', description: 'Purchase-to-ARV, all-in-to-ARV and rent-to-value ratios' },
+        success_indicators: { type: 'object', description: 'Pass/fail checks for the BRRRR criteria' },
+        overall_rating: { type: 'object', description: 'Deal score, rating and recommendation' }
+      },
+      required: [
+        'initial_investment', 'refinance_results', 'cash_flow_analysis', 'returns', 'deal_metrics',
+        'success_indicators', 'overall_rating'
+      ]
+    };
+  }
+
   analyze(params) {
     const {
       purchase_price,
@@ -213,8 +234,6 @@ export class BRRRRCalculator {
   }
 
   calculateMortgagePayment(principal, monthlyRate, months) {
-    if (monthlyRate === 0) return principal / months;
-    return principal * (monthlyRate * Math.pow(1 + monthlyRate, months)) / 
-           (Math.pow(1 + monthlyRate, months) - 1);
+    return levelPayment(principal, monthlyRate, months);
   }
 }
\ No newline at end of file
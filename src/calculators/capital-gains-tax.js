@@ -71,6 +71,28 @@ export class CapitalGainsTaxCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        transaction_summary: { type: 'object', description: 'Sale price, adjusted basis and holding period' },
+        gain_loss_analysis: { type: 'object', description: 'Total gain, depreciation recapture and capital gain' },
+        tax_calculation: { type: 'object', description: 'Federal capital gains, recapture and NIIT' },
+        state_tax_analysis: { type: ['object', 'null'], description: 'State tax on the gain' },
+        primary_residence_analysis: { type: ['object', 'null'], description: 'Section 121 exclusion analysis' },
+        strategy_analysis: { type: ['object', 'null'], description: 'Tax reduction strategies' },
+        timing_analysis: { type: ['object', 'null'], description: 'Effect of sale timing' },
+        year_comparison: { type: ['object', 'null'], description: 'Tax across sale years' },
+        recommendations: { type: 'object', description: 'Prioritized recommendations' }
+      },
+      required: [
+        'transaction_summary', 'gain_loss_analysis', 'tax_calculation', 'state_tax_analysis',
+        'primary_residence_analysis', 'strategy_analysis', 'timing_analysis', 'year_comparison',
+        'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       property_details,
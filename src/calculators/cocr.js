@@ -1,3 +1,5 @@
+import { levelPayment } from '../amortization.js';
+
 export class COCRCalculator {
   constructor() {
     this.name = 'Cash-on-Cash Return Calculator';
@@ -126,6 +128,29 @@ export class COCRCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        investment_summary: { type: 'object', description: 'Purchase price, financing and total cash invested' },
+        income_analysis: { type: 'object', description: 'Gross and effective rental income' },
+        expense_analysis: { type: 'object', description: 'Operating expenses by category' },
+        cash_flow_analysis: { type: 'object', description: 'NOI, debt service and cash flow' },
+        return_metrics: { type: 'object', description: 'Cash-on-cash return, cap rate and total return' },
+        performance_rating: { type: 'object', description: 'Rating of the returns against benchmarks' },
+        monthly_breakdown: { type: 'object', description: 'Monthly income, expenses and cash flow' },
+        scenario_analysis: { type: 'array', description: 'Returns under alternative scenarios' },
+        five_year_projection: { type: 'array', description: 'Year-by-year projection of cash flow and returns' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'investment_summary', 'income_analysis', 'expense_analysis', 'cash_flow_analysis', 'return_metrics',
+        'performance_rating', 'monthly_breakdown', 'scenario_analysis', 'five_year_projection',
+        'recommendations'
+      ]
+    };
+  }
+
   calculate(params, skipScenarios = false) {
     const {
       purchase_price,
@@ -164,12 +189,7 @@ export class COCRCalculator {
       const monthly_rate = loan_details.interest_rate / 100 / 12;
       const num_payments = (loan_details.loan_term_years || 30) * 12;
       
-      if (monthly_rate > 0) {
-        monthly_payment = loan_amount * (monthly_rate * Math.pow(1 + monthly_rate, num_payments)) / 
-                         (Math.pow(1 + monthly_rate, num_payments) - 1);
-      } else {
-        monthly_payment = loan_amount / num_payments;
-      }
+      monthly_payment = levelPayment(loan_amount, monthly_rate, num_payments);
       
       annual_debt_service = monthly_payment * 12;
     }
@@ -3,6 +3,8 @@
  * Analyzes construction loan costs, draws, interest-only payments, and permanent financing
  */
 
+import { levelPayment } from '../amortization.js';
+
 export class ConstructionLoanCalculator {
   getSchema() {
     return {
@@ -92,6 +94,30 @@ export class ConstructionLoanCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        project_summary: { type: 'object', description: 'Project type, budget and timeline' },
+        total_project_cost: { type: 'object', description: 'Land, hard, soft and contingency costs' },
+        construction_loan_analysis: { type: 'object', description: 'Loan amount, LTC and interest reserve' },
+        payment_schedule: { type: 'object', description: 'Draw and interest payment schedule' },
+        permanent_financing_analysis: { type: ['object', 'null'], description: 'Conversion to permanent financing' },
+        profitability_analysis: { type: 'object', description: 'Projected value, profit and returns' },
+        risk_assessment: { type: 'object', description: 'Construction and market risks' },
+        cash_flow_requirements: { type: ['object', 'null'], description: 'Cash needed through construction' },
+        scenario_comparison: { type: ['object', 'null'], description: 'Outcomes under alternative scenarios' },
+        stress_testing: { type: ['object', 'null'], description: 'Cost overrun and delay stress tests' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'project_summary', 'total_project_cost', 'construction_loan_analysis', 'payment_schedule',
+        'permanent_financing_analysis', 'profitability_analysis', 'risk_assessment',
+        'cash_flow_requirements', 'scenario_comparison', 'stress_testing', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       project_details,
@@ -354,9 +380,7 @@ export class ConstructionLoanCalculator {
     // Calculate permanent loan payment
     const monthly_rate = permanent_rate / 100 / 12;
     const num_payments = permanent_term_years * 12;
-    const monthly_payment = permanent_loan_amount * 
-      (monthly_rate * Math.pow(1 + monthly_rate, num_payments)) / 
-      (Math.pow(1 + monthly_rate, num_payments) - 1);
+    const monthly_payment = levelPayment(permanent_loan_amount, monthly_rate, num_payments);
 
     return {
       finished_appraised_value: finished_value,
@@ -1,3 +1,12 @@
+import { levelPayment } from '../amortization.js';
+
+export const DEAD_REASONS = [
+  'price_too_high', 'outbid', 'failed_inspection', 'appraisal_gap', 'financing_fell_through',
+  'title_issues', 'seller_backed_out', 'numbers_dont_work', 'other'
+];
+
+const FUNNEL_STAGES = ['lead', 'initial_analysis', 'offer_submitted', 'under_contract', 'due_diligence', 'financing', 'closing', 'completed'];
+
 export class DealPipelineTracker {
   getSchema() {
     return {
@@ -5,6 +14,7 @@ export class DealPipelineTracker {
       properties: {
         deals: {
           type: 'array',
+          description: 'Deals to analyze. Omit to analyze the deals saved with create_deal',
           items: {
             type: 'object',
             properties: {
@@ -78,6 +88,27 @@ export class DealPipelineTracker {
                   attorney: { type: 'string' }
                 }
               },
+              stage_history: {
+                type: 'array',
+                description: 'Stage transitions in order; the open entry (no exited_at) is the current stage',
+                items: {
+                  type: 'object',
+                  properties: {
+                    stage: {
+                      type: 'string',
+                      enum: ['lead', 'initial_analysis', 'offer_submitted', 'under_contract', 'due_diligence', 'financing', 'closing', 'completed', 'dead']
+                    },
+                    entered_at: { type: 'string', description: 'ISO date or timestamp the deal entered the stage' },
+                    exited_at: { type: ['string', 'null'], description: 'ISO date or timestamp the deal left the stage' }
+                  },
+                  required: ['stage', 'entered_at']
+                }
+              },
+              dead_reason: {
+                type: 'string',
+                enum: DEAD_REASONS,
+                description: 'Why the deal died (for deals in the dead stage)'
+              },
               notes: {
                 type: 'array',
                 items: {
@@ -100,7 +131,8 @@ export class DealPipelineTracker {
             deal_scoring: { type: 'boolean' },
             timeline_analysis: { type: 'boolean' },
             performance_metrics: { type: 'boolean' },
-            stage_conversion_rates: { type: 'boolean' }
+            stage_conversion_rates: { type: 'boolean' },
+            funnel_analytics: { type: 'boolean', description: 'Cohort funnels, time in stage, win/loss and throughput from stage_history' }
           }
         },
         filter_options: {
@@ -125,14 +157,35 @@ export class DealPipelineTracker {
             }
           }
         }
+      }
+    };
+  }
+
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        pipeline_summary: { type: 'object', description: 'Deal counts and values by stage' },
+        deals: { type: 'array', description: 'Analyzed deals with scores and metrics' },
+        pipeline_analytics: { type: ['object', 'null'], description: 'Pipeline value, velocity and stage distribution' },
+        deal_scoring: { type: ['object', 'null'], description: 'Deal scores and rankings' },
+        timeline_analysis: { type: ['object', 'null'], description: 'Days in stage and bottlenecks' },
+        performance_metrics: { type: ['object', 'null'], description: 'Win rate and pipeline performance' },
+        conversion_rates: { type: ['object', 'null'], description: 'Stage-to-stage conversion rates' },
+        funnel_analytics: { type: ['object', 'null'], description: 'Cohort funnels, median time in stage, win/loss reasons by deal type and monthly throughput' },
+        insights: { type: 'array', description: 'Pipeline insights' },
+        recommendations: { type: 'object', description: 'Prioritized recommendations' }
       },
-      required: ['deals']
+      required: [
+        'pipeline_summary', 'deals', 'pipeline_analytics', 'deal_scoring', 'timeline_analysis',
+        'performance_metrics', 'conversion_rates', 'funnel_analytics', 'insights', 'recommendations'
+      ]
     };
   }
 
   calculate(params) {
     const {
-      deals,
+      deals = [],
       analysis_options = {},
       filter_options = {}
     } = params;
@@ -168,6 +221,11 @@ export class DealPipelineTracker {
       ? this.calculateConversionRates(analyzed_deals)
       : null;
     
+    // Funnel analytics from recorded stage history
+    const funnel_analytics = analysis_options.funnel_analytics
+      ? this.analyzeFunnel(analyzed_deals)
+      : null;
+    
     // Generate insights and recommendations
     const insights = this.generateInsights(analyzed_deals, pipeline_analytics);
     const recommendations = this.generateRecommendations(analyzed_deals, pipeline_analytics, performance_metrics);
@@ -187,6 +245,7 @@ export class DealPipelineTracker {
       timeline_analysis,
       performance_metrics,
       conversion_rates,
+      funnel_analytics,
       insights,
       recommendations
     };
@@ -611,7 +670,7 @@ export class DealPipelineTracker {
       stage_conversions: conversion_rates,
       overall_conversion: deals.length > 0 ? 
         (deals.filter(d => d.current_stage === 'completed').length / deals.length) * 100 : 0,
-      drop_off_analysis: this.analyzeDropOffs(conversion_rates)
+      drop_off_analysis: this.analyzeDropOffs(conversion_rates, deals)
     };
   }
 
@@ -713,6 +772,12 @@ export class DealPipelineTracker {
 
   // Helper methods
   calculateDaysInStage(deal) {
+    // Recorded transitions take precedence over timeline dates
+    const current_entry = this.getCurrentStageEntry(deal);
+    if (current_entry) {
+      return this.daysBetween(current_entry.entered_at, new Date());
+    }
+
     const stage_dates = {
       'lead': deal.timeline?.date_discovered,
       'initial_analysis': deal.timeline?.date_analyzed,
@@ -727,9 +792,17 @@ export class DealPipelineTracker {
     const stage_date = stage_dates[deal.current_stage];
     if (!stage_date) return 0;
     
-    const now = new Date();
-    const start = new Date(stage_date);
-    return Math.floor((now - start) / (1000 * 60 * 60 * 24));
+    return this.daysBetween(stage_date, new Date());
+  }
+
+  getCurrentStageEntry(deal) {
+    if (!deal.stage_history?.length) return null;
+    return [...deal.stage_history].reverse().find(entry =>
+      entry.stage === deal.current_stage && !entry.exited_at) || null;
+  }
+
+  daysBetween(start, end) {
+    return Math.floor((new Date(end) - new Date(start)) / (1000 * 60 * 60 * 24));
   }
 
   assessStageHealth(deal) {
@@ -847,8 +920,7 @@ export class DealPipelineTracker {
     
     const monthly_rate = annual_rate / 12;
     const num_payments = years * 12;
-    const monthly_payment = loan_amount * (monthly_rate * Math.pow(1 + monthly_rate, num_payments)) / 
-                           (Math.pow(1 + monthly_rate, num_payments) - 1);
+    const monthly_payment = levelPayment(loan_amount, monthly_rate, num_payments);
     
     return monthly_payment * 12;
   }
@@ -970,18 +1042,200 @@ export class DealPipelineTracker {
 
   hasReachedStage(deal, stage) {
     const stage_hierarchy = ['lead', 'initial_analysis', 'offer_submitted', 'under_contract', 'due_diligence', 'financing', 'closing', 'completed'];
-    const current_index = stage_hierarchy.indexOf(deal.current_stage);
     const target_index = stage_hierarchy.indexOf(stage);
+
+    // With recorded history, dead deals still count toward the stages they actually reached
+    if (deal.stage_history?.length) {
+      return deal.stage_history.some(entry => stage_hierarchy.indexOf(entry.stage) >= target_index);
+    }
+
+    const current_index = stage_hierarchy.indexOf(deal.current_stage);
     return current_index >= target_index;
   }
 
-  analyzeDropOffs(conversion_rates) {
+  analyzeDropOffs(conversion_rates, deals = []) {
+    const dead_deals = deals.filter(d => d.current_stage === 'dead');
+
     return conversion_rates.filter(rate => rate.conversion_rate < 50)
-                          .map(rate => ({
-                            stage: rate.from_stage,
-                            drop_off_rate: 100 - rate.conversion_rate,
-                            potential_improvement: Math.round((100 - rate.conversion_rate) * 0.1)
-                          }));
+                          .map(rate => {
+                            // Where history is recorded, count the deals that actually died at this stage
+                            const lost_here = dead_deals.filter(d => this.getLastActiveStage(d) === rate.from_stage);
+                            return {
+                              stage: rate.from_stage,
+                              drop_off_rate: 100 - rate.conversion_rate,
+                              potential_improvement: Math.round((100 - rate.conversion_rate) * 0.1),
+                              deals_lost: lost_here.length,
+                              top_dead_reasons: this.countDeadReasons(lost_here).slice(0, 3)
+                            };
+                          });
+  }
+
+  getLastActiveStage(deal) {
+    const active_entries = (deal.stage_history || []).filter(entry => entry.stage !== 'dead');
+    return active_entries.length > 0 ? active_entries[active_entries.length - 1].stage : null;
+  }
+
+  countDeadReasons(deals) {
+    const counts = {};
+    deals.forEach(deal => {
+      const reason = deal.dead_reason || 'unspecified';
+      counts[reason] = (counts[reason] || 0) + 1;
+    });
+
+    return Object.entries(counts)
+      .map(([reason, count]) => ({
+        reason,
+        count,
+        percentage: Math.round((count / deals.length) * 1000) / 10
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  analyzeFunnel(deals) {
+    const deals_with_history = deals.filter(d => d.stage_history?.length > 0);
+
+    return {
+      deals_with_history: deals_with_history.length,
+      cohort_funnels: this.buildCohortFunnels(deals),
+      time_in_stage: this.calculateTimeInStage(deals_with_history),
+      win_loss_by_deal_type: this.analyzeWinLoss(deals),
+      monthly_throughput: this.calculateMonthlyThroughput(deals_with_history)
+    };
+  }
+
+  buildCohortFunnels(deals) {
+    // Cohort = month the deal entered the pipeline
+    const cohorts = {};
+    deals.forEach(deal => {
+      const cohort = this.toMonth(deal.stage_history?.[0]?.entered_at || deal.timeline?.date_discovered) || 'unknown';
+      (cohorts[cohort] = cohorts[cohort] || []).push(deal);
+    });
+
+    return Object.keys(cohorts).sort().map(cohort => {
+      const cohort_deals = cohorts[cohort];
+      const won = cohort_deals.filter(d => d.current_stage === 'completed').length;
+      const lost = cohort_deals.filter(d => d.current_stage === 'dead').length;
+
+      return {
+        cohort,
+        deals: cohort_deals.length,
+        funnel: FUNNEL_STAGES.map(stage => {
+          const reached = cohort_deals.filter(d => this.hasReachedStage(d, stage)).length;
+          return {
+            stage,
+            reached,
+            percent_of_cohort: Math.round((reached / cohort_deals.length) * 1000) / 10
+          };
+        }),
+        won,
+        lost,
+        active: cohort_deals.length - won - lost,
+        win_rate: won + lost > 0 ? Math.round((won / (won + lost)) * 1000) / 10 : null
+      };
+    });
+  }
+
+  calculateTimeInStage(deals) {
+    return FUNNEL_STAGES.slice(0, -1).map(stage => {
+      const entries = deals.flatMap(d => d.stage_history.filter(entry => entry.stage === stage));
+      const durations = entries
+        .filter(entry => entry.exited_at)
+        .map(entry => (new Date(entry.exited_at) - new Date(entry.entered_at)) / (1000 * 60 * 60 * 24))
+        .filter(days => Number.isFinite(days) && days >= 0);
+
+      return {
+        stage,
+        median_days: durations.length > 0 ? Math.round(this.median(durations) * 10) / 10 : null,
+        average_days: durations.length > 0
+          ? Math.round((durations.reduce((sum, d) => sum + d, 0) / durations.length) * 10) / 10
+          : null,
+        sample_size: durations.length,
+        currently_in_stage: entries.filter(entry => !entry.exited_at).length
+      };
+    });
+  }
+
+  analyzeWinLoss(deals) {
+    const by_type = {};
+    deals.forEach(deal => {
+      (by_type[deal.deal_type] = by_type[deal.deal_type] || []).push(deal);
+    });
+
+    const win_loss = {};
+    Object.entries(by_type).forEach(([deal_type, type_deals]) => {
+      const won = type_deals.filter(d => d.current_stage === 'completed');
+      const lost = type_deals.filter(d => d.current_stage === 'dead');
+
+      win_loss[deal_type] = {
+        total: type_deals.length,
+        won: won.length,
+        lost: lost.length,
+        active: type_deals.length - won.length - lost.length,
+        win_rate: won.length + lost.length > 0
+          ? Math.round((won.length / (won.length + lost.length)) * 1000) / 10
+          : null,
+        loss_reasons: this.countDeadReasons(lost)
+      };
+    });
+
+    return win_loss;
+  }
+
+  calculateMonthlyThroughput(deals) {
+    const months = {};
+    const month_entry = month => {
+      months[month] = months[month] || { month, new_deals: 0, stage_advances: 0, won: 0, lost: 0 };
+      return months[month];
+    };
+
+    deals.forEach(deal => {
+      deal.stage_history.forEach((entry, index) => {
+        const month = this.toMonth(entry.entered_at);
+        if (!month) return;
+
+        const row = month_entry(month);
+        if (index === 0) {
+          row.new_deals++;
+        } else if (entry.stage === 'dead') {
+          row.lost++;
+        } else {
+          row.stage_advances++;
+          if (entry.stage === 'completed') row.won++;
+        }
+      });
+    });
+
+    const rows = Object.keys(months).sort().map(month => months[month]);
+    return {
+      months: rows,
+      trend: this.assessThroughputTrend(rows)
+    };
+  }
+
+  assessThroughputTrend(rows) {
+    if (rows.length < 2) return 'insufficient_data';
+
+    // Compare average monthly stage advances in the later half against the earlier half
+    const half = Math.floor(rows.length / 2);
+    const average = list => list.reduce((sum, row) => sum + row.stage_advances, 0) / list.length;
+    const earlier = average(rows.slice(0, half));
+    const later = average(rows.slice(rows.length - half));
+
+    if (later > earlier * 1.1) return 'increasing';
+    if (later < earlier * 0.9) return 'decreasing';
+    return 'stable';
+  }
+
+  toMonth(date) {
+    if (!date) return null;
+    const parsed = new Date(date);
+    return isNaN(parsed) ? null : parsed.toISOString().slice(0, 7);
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
   }
 
   hasOverdueItems(deal) {
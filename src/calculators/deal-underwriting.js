@@ -0,0 +1,304 @@
+import { COCRCalculator } from './cocr.js';
+import { DSCRCalculator } from './dscr.js';
+import { BreakevenCalculator } from './breakeven.js';
+import { IRRCalculator } from './irr.js';
+import { NPVCalculator } from './npv.js';
+import { TaxBenefitsCalculator } from './tax-benefits.js';
+import {
+  PROPERTY_DEAL_SCHEMA,
+  normalizeDeal,
+  toBreakevenInput,
+  toCOCRInput,
+  toDSCRInput,
+  toIRRInput,
+  toNPVInput,
+  toTaxBenefitsInput
+} from '../models/property-deal.js';
+
+const DEFAULT_CRITERIA = {
+  min_cash_on_cash: 8,
+  min_dscr: 1.25,
+  max_breakeven_occupancy: 85
+};
+
+export class DealUnderwriter {
+  constructor() {
+    this.name = 'Deal Underwriter';
+    this.description = 'Underwrite one property through every core calculator and cross-check the results';
+    this.calculators = {
+      cocr: new COCRCalculator(),
+      dscr: new DSCRCalculator(),
+      breakeven: new BreakevenCalculator(),
+      irr: new IRRCalculator(),
+      npv: new NPVCalculator(),
+      taxBenefits: new TaxBenefitsCalculator()
+    };
+  }
+
+  getSchema() {
+    return {
+      ...PROPERTY_DEAL_SCHEMA,
+      properties: {
+        ...PROPERTY_DEAL_SCHEMA.properties,
+        underwriting_criteria: {
+          type: 'object',
+          description: 'Thresholds the deal is graded against',
+          properties: {
+            min_cash_on_cash: { type: 'number', description: 'Minimum year-one cash-on-cash return (%)', default: 8 },
+            min_dscr: { type: 'number', description: 'Minimum debt service coverage ratio', minimum: 0, default: 1.25 },
+            max_breakeven_occupancy: {
+              type: 'number', description: 'Maximum breakeven occupancy (%)', minimum: 0, maximum: 100, default: 85
+            }
+          }
+        },
+        include_calculator_results: {
+          type: 'boolean',
+          description: 'Include each calculator\'s full output in calculator_results',
+          default: false
+        }
+      }
+    };
+  }
+
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        deal_summary: { type: 'object', description: 'Property, financing and total cash invested' },
+        key_metrics: { type: 'object', description: 'Headline metrics, each taken from the calculator that owns it' },
+        projection: { type: 'array', description: 'Year-by-year income, expenses, debt service and cash flow through the hold' },
+        sale: { type: 'object', description: 'Projected sale price, costs, loan payoff and net proceeds' },
+        cross_checks: { type: 'array', description: 'Metrics computed by more than one calculator and whether they agree' },
+        underwriting_criteria: { type: 'array', description: 'Each criterion with its target, actual value and result' },
+        verdict: { type: 'object', description: 'buy, negotiate or pass with the reasons' },
+        skipped: { type: 'array', description: 'Calculators that did not apply to this deal and why' },
+        assumptions: { type: 'array', description: 'Values the model filled in' },
+        calculator_results: { type: ['object', 'null'], description: 'Full calculator outputs when include_calculator_results is set' }
+      },
+      required: [
+        'deal_summary', 'key_metrics', 'projection', 'sale', 'cross_checks', 'underwriting_criteria', 'verdict',
+        'skipped', 'assumptions', 'calculator_results'
+      ]
+    };
+  }
+
+  calculate(params) {
+    const deal = normalizeDeal(params);
+    const criteria = { ...DEFAULT_CRITERIA, ...params.underwriting_criteria };
+    const skipped = [];
+
+    const results = {
+      calculate_cocr: this.calculators.cocr.calculate(toCOCRInput(deal)),
+      calculate_dscr: null,
+      analyze_breakeven: this.calculators.breakeven.calculate(toBreakevenInput(deal)),
+      calculate_irr: this.calculators.irr.calculate(toIRRInput(deal)),
+      calculate_npv: this.calculators.npv.calculate(toNPVInput(deal)),
+      calculate_tax_benefits: null
+    };
+
+    if (deal.financing.loan_amount > 0) {
+      results.calculate_dscr = this.calculators.dscr.calculate(toDSCRInput(deal));
+    } else {
+      skipped.push({ tool: 'calculate_dscr', reason: 'All-cash purchase has no debt service to cover' });
+    }
+
+    if (deal.taxpayer) {
+      results.calculate_tax_benefits = this.calculators.taxBenefits.calculate(toTaxBenefitsInput(deal));
+    } else {
+      skipped.push({ tool: 'calculate_tax_benefits', reason: 'No taxpayer profile provided' });
+    }
+
+    const key_metrics = this.extractKeyMetrics(deal, results);
+    const underwriting_criteria = this.gradeCriteria(key_metrics, criteria, deal);
+
+    return {
+      deal_summary: {
+        address: deal.property.address || null,
+        property_type: deal.property.property_type,
+        units: deal.property.units,
+        purchase_price: deal.property.purchase_price,
+        down_payment: round(deal.financing.down_payment),
+        loan_amount: round(deal.financing.loan_amount),
+        monthly_payment: round(deal.financing.monthly_payment),
+        total_cash_invested: round(deal.total_cash_invested),
+        holding_period_years: deal.assumptions.holding_period_years
+      },
+      key_metrics,
+      projection: deal.projection,
+      sale: deal.sale,
+      cross_checks: this.crossCheck(deal, results),
+      underwriting_criteria,
+      verdict: this.decide(underwriting_criteria, key_metrics),
+      skipped,
+      assumptions: deal.notes,
+      calculator_results: params.include_calculator_results ? results : null
+    };
+  }
+
+  extractKeyMetrics(deal, results) {
+    const cocr = results.calculate_cocr;
+    const breakeven = results.analyze_breakeven.breakeven_analysis;
+    const tax = results.calculate_tax_benefits;
+
+    const firstYearTaxSavings = tax ? tax.summary_metrics.first_year_tax_savings : null;
+    const afterTaxCashFlow = tax ? cocr.cash_flow_analysis.annual_cash_flow + firstYearTaxSavings : null;
+
+    return {
+      monthly_cash_flow: cocr.cash_flow_analysis.monthly_cash_flow,
+      annual_cash_flow: cocr.cash_flow_analysis.annual_cash_flow,
+      net_operating_income: cocr.cash_flow_analysis.net_operating_income,
+      cash_on_cash_return: cocr.return_metrics.cash_on_cash_return,
+      cap_rate: cocr.return_metrics.cap_rate,
+      dscr: results.calculate_dscr ? results.calculate_dscr.dscr_analysis.dscr_ratio : null,
+      irr: results.calculate_irr.irr_analysis.irr_percentage,
+      npv: results.calculate_npv.npv_analysis.nominal_npv,
+      required_return: deal.assumptions.required_return,
+      breakeven_occupancy: breakeven.occupancy_breakeven.occupancy_rate,
+      breakeven_rent_per_unit: breakeven.rent_breakeven.breakeven_rent,
+      first_year_tax_savings: firstYearTaxSavings,
+      after_tax_cash_on_cash: afterTaxCashFlow !== null ? round((afterTaxCashFlow / deal.total_cash_invested) * 100) : null
+    };
+  }
+
+  // Each check lists the same figure as produced by every calculator that computes it
+  crossCheck(deal, results) {
+    const { calculate_cocr: cocr, calculate_dscr: dscr, analyze_breakeven: breakeven, calculate_irr: irr } = results;
+    const [firstYear] = deal.projection;
+    const breakevenCashFlow = breakeven.current_performance.net_operating_income;
+
+    const checks = [
+      compareValues('annual_noi', {
+        model: firstYear.noi,
+        calculate_cocr: cocr.cash_flow_analysis.net_operating_income,
+        calculate_dscr: dscr?.noi_analysis.annual_noi,
+        // The breakeven calculator counts the mortgage as a fixed cost, so add it back
+        analyze_breakeven: (breakevenCashFlow + deal.financing.monthly_payment) * 12
+      }),
+      compareValues('annual_debt_service', {
+        model: firstYear.debt_service,
+        calculate_cocr: cocr.cash_flow_analysis.annual_debt_service,
+        calculate_dscr: dscr?.debt_service.annual_debt_service
+      }),
+      compareValues('annual_cash_flow', {
+        model: firstYear.cash_flow,
+        calculate_cocr: cocr.cash_flow_analysis.annual_cash_flow,
+        calculate_dscr: dscr?.dscr_analysis.annual_cash_flow,
+        analyze_breakeven: breakevenCashFlow * 12
+      }),
+      compareValues('total_cash_invested', {
+        model: deal.total_cash_invested,
+        calculate_cocr: cocr.investment_summary.total_cash_invested,
+        analyze_breakeven: breakeven.initial_investment.total_cash_required,
+        calculate_irr: irr.cash_flow_summary.initial_investment
+      }),
+      compareValues('npv_at_required_return', {
+        calculate_npv: results.calculate_npv.npv_analysis.nominal_npv,
+        calculate_irr: irr.npv_analysis.npv_at_target_rate
+      })
+    ];
+
+    if (results.calculate_tax_benefits && deal.financing.loan_amount > 0) {
+      checks.push(compareValues('first_year_mortgage_interest', {
+        model: firstYear.interest_paid,
+        calculate_tax_benefits: results.calculate_tax_benefits.annual_tax_analysis[0].mortgage_interest
+      }));
+    }
+
+    // NPV at the required return and IRR against it must tell the same story
+    const irrPercent = irr.irr_analysis.irr_percentage;
+    const npv = results.calculate_npv.npv_analysis.nominal_npv;
+    const required = deal.assumptions.required_return;
+    checks.push({
+      metric: 'irr_vs_npv',
+      values: { irr: irrPercent, npv, required_return: required },
+      max_difference: null,
+      consistent: irrPercent === null || Math.abs(irrPercent - required) < 0.05 || (npv >= 0) === (irrPercent >= required),
+      note: irrPercent === null
+        ? irr.irr_analysis.irr_note
+        : 'NPV at the required return should be positive exactly when IRR exceeds it'
+    });
+
+    return checks;
+  }
+
+  gradeCriteria(metrics, criteria, deal) {
+    const graded = [
+      { criterion: 'positive_cash_flow', target: 0, actual: metrics.monthly_cash_flow, passed: metrics.monthly_cash_flow >= 0 },
+      {
+        criterion: 'cash_on_cash_return',
+        target: criteria.min_cash_on_cash,
+        actual: metrics.cash_on_cash_return,
+        passed: metrics.cash_on_cash_return >= criteria.min_cash_on_cash
+      },
+      {
+        criterion: 'irr',
+        target: deal.assumptions.required_return,
+        actual: metrics.irr,
+        passed: metrics.irr !== null && metrics.irr >= deal.assumptions.required_return
+      },
+      {
+        criterion: 'breakeven_occupancy',
+        target: criteria.max_breakeven_occupancy,
+        actual: metrics.breakeven_occupancy,
+        passed: metrics.breakeven_occupancy <= criteria.max_breakeven_occupancy
+      }
+    ];
+
+    if (metrics.dscr !== null) {
+      graded.splice(1, 0, { criterion: 'dscr', target: criteria.min_dscr, actual: metrics.dscr, passed: metrics.dscr >= criteria.min_dscr });
+    }
+    return graded;
+  }
+
+  decide(criteria, metrics) {
+    const failed = criteria.filter(c => !c.passed).map(c => c.criterion);
+    const passed = criteria.length - failed.length;
+
+    let recommendation;
+    if (failed.length === 0) {
+      recommendation = 'buy';
+    } else if (metrics.monthly_cash_flow >= 0 && passed >= criteria.length / 2) {
+      recommendation = 'negotiate';
+    } else {
+      recommendation = 'pass';
+    }
+
+    const reasons = {
+      buy: 'Meets every underwriting criterion',
+      negotiate: `Cash flows but misses ${failed.join(', ')}; negotiate price or terms`,
+      pass: `Fails ${failed.join(', ')}`
+    };
+
+    return {
+      recommendation,
+      criteria_passed: passed,
+      criteria_total: criteria.length,
+      failed_criteria: failed,
+      summary: reasons[recommendation]
+    };
+  }
+}
+
+// Values agree when they are within $1 or 0.5% of each other; missing sources are left out
+function compareValues(metric, sources) {
+  const values = Object.fromEntries(
+    Object.entries(sources)
+      .filter(([, value]) => typeof value === 'number')
+      .map(([source, value]) => [source, round(value)])
+  );
+  const numbers = Object.values(values);
+  const difference = Math.max(...numbers) - Math.min(...numbers);
+  const tolerance = Math.max(1, Math.max(...numbers.map(Math.abs)) * 0.005);
+
+  return {
+    metric,
+    values,
+    max_difference: round(difference),
+    consistent: difference <= tolerance,
+    note: null
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -54,6 +54,26 @@ export class DebtToIncomeCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        income_analysis: { type: 'object', description: 'Monthly income used for qualification' },
+        proposed_payment: { type: 'object', description: 'Proposed housing payment components' },
+        dti_ratios: { type: 'object', description: 'Front-end and back-end DTI ratios' },
+        qualification: { type: 'object', description: 'Qualification status against loan type limits' },
+        maximum_affordable: { type: 'object', description: 'Maximum affordable payment and loan' },
+        debt_breakdown: { type: 'array', description: 'Monthly debts by category' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' },
+        improvement_strategies: { type: 'array', description: 'Ways to improve DTI ratios' }
+      },
+      required: [
+        'income_analysis', 'proposed_payment', 'dti_ratios', 'qualification', 'maximum_affordable',
+        'debt_breakdown', 'recommendations', 'improvement_strategies'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       monthly_income,
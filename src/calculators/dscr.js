@@ -1,3 +1,5 @@
+import { levelPayment, loanAmountForPayment } from '../amortization.js';
+
 export class DSCRCalculator {
   constructor() {
     this.name = 'DSCR Calculator';
@@ -140,6 +142,87 @@ export class DSCRCalculator {
     };
   }
 
+  getOutputSchema() {
+    const stressScenario = {
+      type: 'object',
+      properties: {
+        scenario_type: { type: 'string', description: 'Vacancy Rate, Expense Increase or Combined Stress' },
+        scenario: { type: 'string', description: 'Scenario label' },
+        dscr: { type: 'number', description: 'DSCR under the scenario' },
+        monthly_cash_flow: { type: 'number', description: 'Monthly cash flow under the scenario' },
+        passes_minimum: { type: 'boolean', description: 'Whether DSCR stays at or above 1.0' },
+        impact_on_dscr: { type: 'number', description: 'Change from the base DSCR' }
+      },
+      required: ['scenario_type', 'scenario', 'dscr', 'monthly_cash_flow', 'passes_minimum', 'impact_on_dscr']
+    };
+
+    return {
+      type: 'object',
+      properties: {
+        income_analysis: { type: 'object', description: 'Gross, vacancy-adjusted and annual income' },
+        expense_analysis: { type: 'object', description: 'Operating expenses and expense ratio' },
+        noi_analysis: { type: 'object', description: 'Monthly and annual net operating income' },
+        debt_service: { type: 'object', description: 'Loan payment and first-month principal/interest split' },
+        dscr_analysis: {
+          type: 'object',
+          description: 'Debt service coverage ratio and resulting cash flow',
+          properties: {
+            dscr_ratio: { type: 'number', description: 'Annual NOI divided by annual debt service' },
+            dscr_interpretation: { type: 'string', description: 'Plain-language interpretation of the ratio' },
+            monthly_cash_flow: { type: 'number', description: 'Monthly cash flow after debt service' },
+            annual_cash_flow: { type: 'number', description: 'Annual cash flow after debt service' },
+            cash_flow_margin: { type: ['number', 'null'], description: 'Cash flow as a percentage of NOI' }
+          },
+          required: ['dscr_ratio', 'dscr_interpretation', 'monthly_cash_flow', 'annual_cash_flow', 'cash_flow_margin']
+        },
+        loan_metrics: { type: 'object', description: 'Loan amount, LTV, loan constant and debt yield' },
+        qualification_analysis: {
+          type: 'object',
+          description: 'Loan qualification against lender DSCR requirements',
+          properties: {
+            loan_type: { type: 'string', description: 'Loan type evaluated' },
+            qualifies: { type: 'boolean', description: 'Whether the DSCR meets the minimum requirement' },
+            qualification_status: { type: 'string', description: 'Strong Candidate, Likely Qualifies, Borderline or Unlikely to Qualify' },
+            explanation: { type: 'string', description: 'Why the loan does or does not qualify' },
+            minimum_dscr_required: { type: 'number', description: 'Minimum DSCR for the loan type' },
+            typical_dscr_required: { type: 'number', description: 'Typical DSCR lenders look for' },
+            dscr_surplus: { type: 'number', description: 'DSCR above (or below) the minimum' },
+            improvement_needed: { type: 'number', description: 'DSCR increase needed to qualify' }
+          },
+          required: ['qualifies', 'qualification_status', 'minimum_dscr_required', 'typical_dscr_required']
+        },
+        maximum_loan_analysis: { type: 'object', description: 'Maximum loan supported by NOI at lender DSCR targets' },
+        stress_test_results: {
+          type: 'object',
+          description: 'DSCR under vacancy, expense and combined stress scenarios',
+          properties: {
+            scenarios: { type: 'array', items: stressScenario },
+            worst_case: stressScenario,
+            resilience_score: {
+              type: 'object',
+              properties: {
+                score: { type: 'number', description: 'Percentage of scenarios that pass' },
+                rating: { type: 'string', description: 'Resilience rating' },
+                passing_scenarios: { type: 'number' },
+                total_scenarios: { type: 'number' }
+              },
+              required: ['score', 'rating', 'passing_scenarios', 'total_scenarios']
+            }
+          },
+          required: ['scenarios', 'worst_case', 'resilience_score']
+        },
+        break_even_analysis: { type: 'object', description: 'Breakeven occupancy and rent' },
+        performance_metrics: { type: ['object', 'null'], description: 'Cap rate and cash-on-cash return (requires purchase price)' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'income_analysis', 'expense_analysis', 'noi_analysis', 'debt_service', 'dscr_analysis', 'loan_metrics',
+        'qualification_analysis', 'maximum_loan_analysis', 'stress_test_results', 'break_even_analysis',
+        'performance_metrics', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params, skipStressTests = false) {
     const {
       property_income,
@@ -150,7 +233,7 @@ export class DSCRCalculator {
 
     // Calculate effective gross income
     const gross_monthly_income = property_income.monthly_rent + (property_income.other_monthly_income || 0);
-    const vacancy_loss = gross_monthly_income * ((property_income.vacancy_rate || 5) / 100);
+    const vacancy_loss = gross_monthly_income * ((property_income.vacancy_rate ?? 5) / 100);
     const effective_gross_income = gross_monthly_income - vacancy_loss;
     const annual_effective_income = effective_gross_income * 12;
 
@@ -278,11 +361,7 @@ export class DSCRCalculator {
   }
 
   calculateMonthlyPayment(principal, monthlyRate, numPayments) {
-    if (monthlyRate === 0) {
-      return principal / numPayments;
-    }
-    return principal * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
-           (Math.pow(1 + monthlyRate, numPayments) - 1);
+    return levelPayment(principal, monthlyRate, numPayments);
   }
 
   formatExpenseBreakdown(expenses, totalMonthly) {
@@ -394,13 +473,7 @@ export class DSCRCalculator {
     const monthlyRate = interestRate / 100 / 12;
     const numPayments = termYears * 12;
     
-    let maxLoanAmount;
-    if (monthlyRate === 0) {
-      maxLoanAmount = monthlyPayment * numPayments;
-    } else {
-      maxLoanAmount = monthlyPayment * (Math.pow(1 + monthlyRate, numPayments) - 1) / 
-                     (monthlyRate * Math.pow(1 + monthlyRate, numPayments));
-    }
+    const maxLoanAmount = loanAmountForPayment(monthlyPayment, monthlyRate, numPayments);
 
     return {
       maximum_loan_amount: parseFloat(maxLoanAmount.toFixed(2)),
@@ -88,6 +88,28 @@ export class FixFlipCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        deal_summary: { type: 'object', description: 'Purchase price, ARV and holding period' },
+        financing: { type: 'object', description: 'Loan amount, down payment and financing costs' },
+        cost_breakdown: { type: 'object', description: 'Acquisition, rehab, holding and selling costs' },
+        profit_analysis: { type: 'object', description: 'Net profit, ROI and annualized ROI' },
+        investment_requirements: { type: 'object', description: 'Total cash required' },
+        mao_analysis: { type: 'object', description: 'Maximum allowable offer under the 70% rule and target profit' },
+        break_even_analysis: { type: 'object', description: 'Break-even sale price' },
+        risk_assessment: { type: 'object', description: 'Risk level and risk factors' },
+        project_timeline: { type: 'array', description: 'Project phases and durations' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'deal_summary', 'financing', 'cost_breakdown', 'profit_analysis', 'investment_requirements',
+        'mao_analysis', 'break_even_analysis', 'risk_assessment', 'project_timeline', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       purchase_price,
@@ -1,3 +1,5 @@
+import { levelPayment } from '../amortization.js';
+
 export class HardMoneyLoanCalculator {
   getSchema() {
     return {
@@ -71,6 +73,28 @@ export class HardMoneyLoanCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        loan_summary: { type: 'object', description: 'Loan amount, rate, points and term' },
+        loan_metrics: { type: 'object', description: 'LTV, LTC and total borrowing cost' },
+        project_analysis: { type: ['object', 'null'], description: 'Project profit and viability' },
+        cost_analysis: { type: 'object', description: 'Interest, points and fees' },
+        risk_assessment: { type: 'object', description: 'Project and financing risks' },
+        conventional_comparison: { type: ['object', 'null'], description: 'Comparison against conventional financing' },
+        stress_testing: { type: ['object', 'null'], description: 'Delay and cost overrun stress tests' },
+        roi_analysis: { type: ['object', 'null'], description: 'Return on cash invested' },
+        prepayment_analysis: { type: ['object', 'null'], description: 'Effect of early payoff' },
+        recommendations: { type: 'object', description: 'Prioritized recommendations' }
+      },
+      required: [
+        'loan_summary', 'loan_metrics', 'project_analysis', 'cost_analysis', 'risk_assessment',
+        'conventional_comparison', 'stress_testing', 'roi_analysis', 'prepayment_analysis', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       loan_details,
@@ -175,9 +199,7 @@ export class HardMoneyLoanCalculator {
         break;
 
       case 'principal_and_interest':
-        monthly_payment = loan_amount * 
-          (monthly_rate * Math.pow(1 + monthly_rate, loan_term_months)) /
-          (Math.pow(1 + monthly_rate, loan_term_months) - 1);
+        monthly_payment = levelPayment(loan_amount, monthly_rate, loan_term_months);
         total_interest = (monthly_payment * loan_term_months) - loan_amount;
         break;
 
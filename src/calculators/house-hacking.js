@@ -1,28 +1,433 @@
+/**
+ * House Hacking Calculator
+ * Owner-occupied 2-4 unit analysis: financing with mortgage insurance, housing cost versus
+ * renting, year-one returns and the rental picture after the owner moves out
+ */
+
+import { levelPayment } from '../amortization.js';
+
+const PERCENT = { type: 'number', minimum: 0, maximum: 100 };
+
+// Minimum owner-occupied down payments for 2-4 unit properties
+const MIN_DOWN_PAYMENT = { fha: 3.5, conventional: 5 };
+const FHA_UPFRONT_MIP = 1.75;
+
 export class HouseHackingCalculator {
   getSchema() {
     return {
       type: 'object',
       properties: {
-        purchase_price: { type: 'number', description: 'Purchase price of the property' },
-        down_payment: { type: 'number', description: 'Down payment amount' },
-        monthly_rent_unit2: { type: 'number', description: 'Monthly rent from second unit' },
-        owner_expenses: { type: 'number', description: 'Owner monthly housing expenses' }
+        purchase_price: { type: 'number', minimum: 1, description: 'Purchase price of the property' },
+        units: {
+          type: 'array',
+          minItems: 2,
+          maxItems: 4,
+          description: 'Every unit with its market rent, including the one you live in',
+          items: {
+            type: 'object',
+            properties: {
+              label: { type: 'string' },
+              monthly_rent: { type: 'number', minimum: 0, description: 'Market rent for the unit' },
+              owner_occupied: { type: 'boolean', description: 'The unit you live in; defaults to the first unit' }
+            },
+            required: ['monthly_rent']
+          }
+        },
+        monthly_rent_unit2: { type: 'number', minimum: 0, description: 'Duplex shorthand for units: rent from the second unit' },
+        down_payment: { type: 'number', minimum: 0, description: 'Down payment amount; defaults to the loan type minimum' },
+        loan_type: { type: 'string', enum: ['fha', 'conventional'], description: 'Owner-occupied loan program', default: 'fha' },
+        interest_rate: { ...PERCENT, description: 'Mortgage rate (%)', default: 7 },
+        loan_term_years: { type: 'number', minimum: 1, maximum: 40, default: 30 },
+        pmi_rate: { ...PERCENT, description: 'Annual MIP (FHA) or PMI (conventional) rate (%); defaults by program and down payment' },
+        closing_costs: { type: 'number', minimum: 0, description: 'Closing costs paid in cash; defaults to 3% of price' },
+        property_tax_rate: { ...PERCENT, description: 'Annual property tax (% of price)', default: 1.2 },
+        insurance_rate: { ...PERCENT, description: 'Annual insurance (% of price)', default: 0.5 },
+        vacancy_rate: { ...PERCENT, description: 'Vacancy on rented units (%)', default: 5 },
+        maintenance_rate: { ...PERCENT, description: 'Repairs and maintenance (% of gross rent, all units)', default: 5 },
+        capex_rate: { ...PERCENT, description: 'Capital expenditure reserve (% of gross rent, all units)', default: 5 },
+        management_rate: { ...PERCENT, description: 'Property management while you live there (% of collected rent)', default: 0 },
+        owner_expenses: { type: 'number', minimum: 0, description: 'Other monthly costs you cover for the property (utilities, HOA)', default: 0 },
+        current_rent: { type: 'number', minimum: 0, description: 'What you pay to rent today; defaults to your unit\'s market rent' },
+        move_out: {
+          type: 'object',
+          description: 'Rental projection once your unit is rented as well',
+          properties: {
+            after_years: { type: 'number', minimum: 1, maximum: 30, description: 'Years of owner occupancy before moving out', default: 1 },
+            management_rate: { ...PERCENT, description: 'Property management once fully rented (% of collected rent)', default: 8 },
+            rent_growth: { ...PERCENT, description: 'Annual rent growth (%)', default: 3 },
+            appreciation: { ...PERCENT, description: 'Annual appreciation (%)', default: 3 }
+          }
+        }
+      },
+      required: ['purchase_price']
+    };
+  }
+
+  getOutputSchema() {
+    const money = { type: 'number' };
+    return {
+      type: 'object',
+      properties: {
+        gross_housing_cost: { type: 'number', description: 'Monthly cost of owning: mortgage, mortgage insurance, taxes, insurance, upkeep and owner expenses' },
+        rental_income: { type: 'number', description: 'Monthly rent collected from the other units after vacancy' },
+        net_housing_cost: { type: 'number', description: 'Housing cost after rental income' },
+        monthly_savings: { type: 'number', description: 'Current rent less net housing cost' },
+        annual_savings: { type: 'number', description: 'Monthly savings over a year' },
+        units: { type: 'array', items: { type: 'object' } },
+        financing: {
+          type: 'object',
+          properties: {
+            loan_type: { type: 'string' },
+            down_payment: money,
+            down_payment_percent: money,
+            base_loan_amount: money,
+            upfront_mip: money,
+            loan_amount: { type: 'number', description: 'Base loan plus financed upfront MIP' },
+            monthly_principal_interest: money,
+            mortgage_insurance_rate: money,
+            monthly_mortgage_insurance: money,
+            mortgage_insurance_months: { type: ['number', 'null'], description: 'Months until mortgage insurance ends (null for the life of the loan)' },
+            closing_costs: money,
+            cash_to_close: money
+          },
+          required: [
+            'loan_type', 'down_payment', 'down_payment_percent', 'base_loan_amount', 'upfront_mip', 'loan_amount',
+            'monthly_principal_interest', 'mortgage_insurance_rate', 'monthly_mortgage_insurance',
+            'mortgage_insurance_months', 'closing_costs', 'cash_to_close'
+          ]
+        },
+        monthly_costs: { type: 'object', description: 'Monthly cost of owning, by line item, while you live there' },
+        vs_renting: {
+          type: 'object',
+          properties: {
+            current_rent: money,
+            net_housing_cost: money,
+            monthly_savings: money,
+            effective_cost_after_principal: { type: 'number', description: 'Net housing cost less the principal repaid each month in year one' }
+          },
+          required: ['current_rent', 'net_housing_cost', 'monthly_savings', 'effective_cost_after_principal']
+        },
+        year_one_returns: {
+          type: 'object',
+          description: 'First-year return on cash invested while living in the property',
+          properties: {
+            cash_invested: money,
+            housing_savings: money,
+            principal_paydown: money,
+            appreciation: money,
+            total_return: money,
+            total_roi: { type: ['number', 'null'] },
+            cash_on_cash_return: { type: ['number', 'null'], description: 'Housing savings / cash invested (%)' }
+          },
+          required: ['cash_invested', 'housing_savings', 'principal_paydown', 'appreciation', 'total_return', 'total_roi', 'cash_on_cash_return']
+        },
+        move_out: {
+          type: 'object',
+          description: 'First year with every unit rented, as an investor would see it',
+          properties: {
+            year: money,
+            gross_monthly_rent: money,
+            net_operating_income: money,
+            annual_debt_service: money,
+            monthly_cash_flow: money,
+            annual_cash_flow: money,
+            cash_on_cash_return: { type: ['number', 'null'] },
+            cap_rate: money,
+            dscr: { type: ['number', 'null'] },
+            property_value: money,
+            loan_balance: money,
+            equity: money,
+            total_roi: { type: ['number', 'null'], description: 'Cash flow, principal paydown and appreciation that year / cash invested (%)' }
+          },
+          required: [
+            'year', 'gross_monthly_rent', 'net_operating_income', 'annual_debt_service', 'monthly_cash_flow',
+            'annual_cash_flow', 'cash_on_cash_return', 'cap_rate', 'dscr', 'property_value', 'loan_balance', 'equity', 'total_roi'
+          ]
+        },
+        fha_self_sufficiency: {
+          type: ['object', 'null'],
+          description: 'FHA 3-4 unit test: 75% of all market rents must cover the full mortgage payment'
+        },
+        recommendations: { type: 'array', items: { type: 'string' } }
       },
-      required: ['purchase_price', 'down_payment', 'monthly_rent_unit2', 'owner_expenses']
+      required: [
+        'gross_housing_cost', 'rental_income', 'net_housing_cost', 'monthly_savings', 'annual_savings', 'units',
+        'financing', 'monthly_costs', 'vs_renting', 'year_one_returns', 'move_out', 'fha_self_sufficiency', 'recommendations'
+      ]
     };
   }
 
   evaluate(params) {
-    // Simplified implementation for now
-    const { purchase_price, down_payment, monthly_rent_unit2, owner_expenses } = params;
-    const net_housing_cost = owner_expenses - monthly_rent_unit2;
-    
+    const {
+      purchase_price,
+      loan_type = 'fha',
+      interest_rate = 7,
+      loan_term_years = 30,
+      property_tax_rate = 1.2,
+      insurance_rate = 0.5,
+      vacancy_rate = 5,
+      maintenance_rate = 5,
+      capex_rate = 5,
+      management_rate = 0,
+      owner_expenses = 0
+    } = params;
+    const units = this.normalizeUnits(params);
+    const ownerUnit = units.find(unit => unit.owner_occupied);
+    const rentedUnits = units.filter(unit => !unit.owner_occupied);
+    const current_rent = params.current_rent ?? ownerUnit.monthly_rent;
+    const moveOut = { after_years: 1, management_rate: 8, rent_growth: 3, appreciation: 3, ...params.move_out };
+
+    const financing = this.buildFinancing(params, { purchase_price, loan_type, interest_rate, loan_term_years });
+    const allRent = units.reduce((sum, unit) => sum + unit.monthly_rent, 0);
+    const otherRent = rentedUnits.reduce((sum, unit) => sum + unit.monthly_rent, 0);
+    const rental_income = otherRent * (1 - vacancy_rate / 100);
+
+    // Upkeep covers the whole building, so it scales with every unit's rent
+    const monthly_costs = {
+      principal_interest: financing.monthly_principal_interest,
+      mortgage_insurance: financing.monthly_mortgage_insurance,
+      property_tax: purchase_price * property_tax_rate / 100 / 12,
+      insurance: purchase_price * insurance_rate / 100 / 12,
+      maintenance: allRent * maintenance_rate / 100,
+      capex: allRent * capex_rate / 100,
+      management: rental_income * management_rate / 100,
+      owner_expenses
+    };
+    const gross_housing_cost = Object.values(monthly_costs).reduce((sum, cost) => sum + cost, 0);
+    const net_housing_cost = gross_housing_cost - rental_income;
+    const monthly_savings = current_rent - net_housing_cost;
+
+    const schedule = this.amortize(financing, Math.max(12, Math.ceil(moveOut.after_years + 1) * 12));
+    const yearOnePrincipal = schedule.principalThrough(12);
+    const cash_invested = financing.cash_to_close;
+    const yearOneAppreciation = purchase_price * moveOut.appreciation / 100;
+    const yearOneTotal = monthly_savings * 12 + yearOnePrincipal + yearOneAppreciation;
+
+    const move_out = this.projectMoveOut({
+      units, financing, schedule, moveOut, cash_invested, purchase_price,
+      rates: { property_tax_rate, insurance_rate, vacancy_rate, maintenance_rate, capex_rate }
+    });
+    const fha_self_sufficiency = loan_type === 'fha' && units.length >= 3
+      ? this.selfSufficiency(units, financing, monthly_costs)
+      : null;
+
+    const result = {
+      gross_housing_cost: round(gross_housing_cost),
+      rental_income: round(rental_income),
+      net_housing_cost: round(net_housing_cost),
+      monthly_savings: round(monthly_savings),
+      annual_savings: round(monthly_savings * 12),
+      units,
+      financing: roundValues(financing),
+      monthly_costs: roundValues({ ...monthly_costs, total: gross_housing_cost }),
+      vs_renting: {
+        current_rent,
+        net_housing_cost: round(net_housing_cost),
+        monthly_savings: round(monthly_savings),
+        effective_cost_after_principal: round(net_housing_cost - yearOnePrincipal / 12)
+      },
+      year_one_returns: {
+        cash_invested: round(cash_invested),
+        housing_savings: round(monthly_savings * 12),
+        principal_paydown: round(yearOnePrincipal),
+        appreciation: round(yearOneAppreciation),
+        total_return: round(yearOneTotal),
+        total_roi: cash_invested > 0 ? round(yearOneTotal / cash_invested * 100) : null,
+        cash_on_cash_return: cash_invested > 0 ? round(monthly_savings * 12 / cash_invested * 100) : null
+      },
+      move_out,
+      fha_self_sufficiency
+    };
+    result.recommendations = this.generateRecommendations(result, units, params);
+    return result;
+  }
+
+  // Accepts per-unit rents, or the duplex shorthand where the owner's unit rents like unit 2
+  normalizeUnits(params) {
+    let units = params.units;
+    if (!units) {
+      if (params.monthly_rent_unit2 === undefined) throw new Error('Provide units (2-4 with market rents) or monthly_rent_unit2');
+      units = [{ label: 'Unit 1', monthly_rent: params.monthly_rent_unit2, owner_occupied: true }, { label: 'Unit 2', monthly_rent: params.monthly_rent_unit2 }];
+    }
+    const owners = units.filter(unit => unit.owner_occupied).length;
+    if (owners > 1) throw new Error(`Only one unit can be owner-occupied (${owners} were marked)`);
+    return units.map((unit, i) => ({
+      label: unit.label ?? `Unit ${i + 1}`,
+      monthly_rent: unit.monthly_rent,
+      owner_occupied: owners === 0 ? i === 0 : Boolean(unit.owner_occupied)
+    }));
+  }
+
+  /**
+   * FHA finances a 1.75% upfront premium and charges annual MIP for 11 years at 10%+ down,
+   * otherwise for the life of the loan. Conventional PMI drops off at 78% of the original value.
+   */
+  buildFinancing(params, { purchase_price, loan_type, interest_rate, loan_term_years }) {
+    const down_payment = params.down_payment ?? purchase_price * MIN_DOWN_PAYMENT[loan_type] / 100;
+    const down_payment_percent = down_payment / purchase_price * 100;
+    const base_loan_amount = Math.max(0, purchase_price - down_payment);
+    const upfront_mip = loan_type === 'fha' ? base_loan_amount * FHA_UPFRONT_MIP / 100 : 0;
+    const loan_amount = base_loan_amount + upfront_mip;
+    const monthly_principal_interest = this.calculateMonthlyPayment(loan_amount, interest_rate / 100 / 12, loan_term_years * 12);
+
+    const mortgage_insurance_rate = base_loan_amount === 0 || (loan_type === 'conventional' && down_payment_percent >= 20)
+      ? 0
+      : params.pmi_rate ?? this.getDefaultInsuranceRate(down_payment_percent, loan_type);
+    let mortgage_insurance_months = null;
+    if (loan_type === 'fha' && down_payment_percent >= 10) mortgage_insurance_months = 132;
+    if (loan_type === 'conventional') {
+      mortgage_insurance_months = mortgage_insurance_rate > 0
+        ? this.monthsUntilBalance(loan_amount, interest_rate, monthly_principal_interest, purchase_price * 0.78)
+        : 0;
+    }
+
+    const closing_costs = params.closing_costs ?? purchase_price * 0.03;
     return {
-      gross_housing_cost: owner_expenses,
-      rental_income: monthly_rent_unit2,
-      net_housing_cost,
-      monthly_savings: owner_expenses - net_housing_cost,
-      annual_savings: (owner_expenses - net_housing_cost) * 12
+      loan_type,
+      down_payment,
+      down_payment_percent,
+      base_loan_amount,
+      upfront_mip,
+      loan_amount,
+      interest_rate,
+      monthly_principal_interest,
+      mortgage_insurance_rate,
+      monthly_mortgage_insurance: base_loan_amount * mortgage_insurance_rate / 100 / 12,
+      mortgage_insurance_months,
+      closing_costs,
+      cash_to_close: down_payment + closing_costs
     };
   }
-}
\ No newline at end of file
+
+  getDefaultInsuranceRate(downPaymentPercent, loanType) {
+    if (loanType === 'fha') return downPaymentPercent > 5 ? 0.5 : 0.55;
+    if (downPaymentPercent >= 15) return 0.25;
+    if (downPaymentPercent >= 10) return 0.45;
+    return 0.75;
+  }
+
+  calculateMonthlyPayment(principal, monthlyRate, numPayments) {
+    return levelPayment(principal, monthlyRate, numPayments);
+  }
+
+  monthsUntilBalance(loanAmount, interestRate, payment, targetBalance) {
+    const monthlyRate = interestRate / 100 / 12;
+    let balance = loanAmount;
+    let months = 0;
+    while (balance > targetBalance && months < 480) {
+      balance -= payment - balance * monthlyRate;
+      months++;
+    }
+    return months;
+  }
+
+  // Month-by-month balances so later years can be read off directly
+  amortize(financing, months) {
+    const monthlyRate = financing.interest_rate / 100 / 12;
+    const balances = [financing.loan_amount];
+    for (let month = 1; month <= months; month++) {
+      const balance = balances[month - 1];
+      balances.push(Math.max(0, balance - (financing.monthly_principal_interest - balance * monthlyRate)));
+    }
+    return {
+      balanceAt: month => balances[Math.min(month, months)],
+      principalThrough: month => financing.loan_amount - balances[Math.min(month, months)]
+    };
+  }
+
+  mortgageInsuranceIn(financing, month) {
+    const { mortgage_insurance_months: limit } = financing;
+    return limit === null || month <= limit ? financing.monthly_mortgage_insurance : 0;
+  }
+
+  // The first full year after moving out, with rents and value grown to that point
+  projectMoveOut({ units, financing, schedule, moveOut, cash_invested, purchase_price, rates }) {
+    const years = moveOut.after_years;
+    const growth = Math.pow(1 + moveOut.rent_growth / 100, years);
+    const grossRent = units.reduce((sum, unit) => sum + unit.monthly_rent, 0) * growth;
+    const collected = grossRent * (1 - rates.vacancy_rate / 100);
+    const operatingExpenses = purchase_price * (rates.property_tax_rate + rates.insurance_rate) / 100 / 12 +
+      grossRent * (rates.maintenance_rate + rates.capex_rate) / 100 +
+      collected * moveOut.management_rate / 100;
+    const noi = (collected - operatingExpenses) * 12;
+
+    const startMonth = Math.round(years * 12);
+    let debtService = 0;
+    for (let month = startMonth + 1; month <= startMonth + 12; month++) {
+      debtService += financing.monthly_principal_interest + this.mortgageInsuranceIn(financing, month);
+    }
+    const annualCashFlow = noi - debtService;
+    const valueStart = purchase_price * Math.pow(1 + moveOut.appreciation / 100, years);
+    const valueEnd = valueStart * (1 + moveOut.appreciation / 100);
+    const principal = schedule.balanceAt(startMonth) - schedule.balanceAt(startMonth + 12);
+    const loanBalance = schedule.balanceAt(startMonth + 12);
+
+    return {
+      year: years + 1,
+      gross_monthly_rent: round(grossRent),
+      net_operating_income: round(noi),
+      annual_debt_service: round(debtService),
+      monthly_cash_flow: round(annualCashFlow / 12),
+      annual_cash_flow: round(annualCashFlow),
+      cash_on_cash_return: cash_invested > 0 ? round(annualCashFlow / cash_invested * 100) : null,
+      cap_rate: round(noi / valueStart * 100),
+      dscr: debtService > 0 ? round(noi / debtService) : null,
+      property_value: round(valueEnd),
+      loan_balance: round(loanBalance),
+      equity: round(valueEnd - loanBalance),
+      total_roi: cash_invested > 0 ? round((annualCashFlow + principal + valueEnd - valueStart) / cash_invested * 100) : null
+    };
+  }
+
+  selfSufficiency(units, financing, monthlyCosts) {
+    const netRent = units.reduce((sum, unit) => sum + unit.monthly_rent, 0) * 0.75;
+    const piti = financing.monthly_principal_interest + financing.monthly_mortgage_insurance +
+      monthlyCosts.property_tax + monthlyCosts.insurance;
+    return {
+      net_self_sufficiency_rent: round(netRent),
+      monthly_piti: round(piti),
+      passes: netRent >= piti,
+      shortfall: round(Math.max(0, piti - netRent))
+    };
+  }
+
+  generateRecommendations(result, units, params) {
+    const recommendations = [];
+    const { financing, move_out, fha_self_sufficiency } = result;
+    const minimum = MIN_DOWN_PAYMENT[financing.loan_type];
+
+    if (financing.down_payment_percent < minimum - 1e-9) {
+      recommendations.push(`${financing.loan_type.toUpperCase()} loans need at least ${minimum}% down on an owner-occupied ${units.length}-unit; ${financing.down_payment_percent.toFixed(1)}% will not qualify`);
+    }
+    if (fha_self_sufficiency && !fha_self_sufficiency.passes) {
+      recommendations.push(`Fails the FHA self-sufficiency test: 75% of rents covers $${Math.round(fha_self_sufficiency.net_self_sufficiency_rent)} of the $${Math.round(fha_self_sufficiency.monthly_piti)} payment. Put more down or choose a conventional loan`);
+    }
+    if (result.net_housing_cost <= 0) {
+      recommendations.push(`The other units cover all housing costs with $${Math.round(-result.net_housing_cost)}/month to spare; you live for free`);
+    } else if (result.monthly_savings > 0) {
+      recommendations.push(`House hacking costs $${Math.round(result.net_housing_cost)}/month, $${Math.round(result.monthly_savings)} less than renting at $${result.vs_renting.current_rent}`);
+    } else {
+      recommendations.push(`Owning costs $${Math.round(-result.monthly_savings)}/month more than renting; the case rests on equity building and the rental value after you move out`);
+    }
+    if (move_out.monthly_cash_flow < 0) {
+      recommendations.push(`After moving out the property loses $${Math.round(-move_out.monthly_cash_flow)}/month with every unit rented; plan to stay longer or refinance before converting it to a rental`);
+    } else if (move_out.dscr !== null && move_out.dscr < 1.2) {
+      recommendations.push(`Fully rented DSCR of ${move_out.dscr} leaves a thin cushion as a pure rental`);
+    }
+    if (financing.loan_type === 'fha' && financing.mortgage_insurance_months === null) {
+      recommendations.push('FHA mortgage insurance stays for the life of the loan under 10% down; plan to refinance into a conventional loan once you reach 20% equity');
+    }
+    if (params.management_rate === undefined && units.length >= 3) {
+      recommendations.push('Self-managing several units is a part-time job; budget 8-10% for management once you move out');
+    }
+    return recommendations;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function roundValues(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, typeof value === 'number' ? round(value) : value]));
+}
@@ -1,3 +1,7 @@
+import { PERIODS_PER_YEAR, modifiedIRR, presentValue, solveIRR, yearFraction } from '../financial-math.js';
+
+const PERIOD_LABELS = { annual: 'Year', quarterly: 'Quarter', monthly: 'Month' };
+
 export class IRRCalculator {
   constructor() {
     this.name = 'IRR Calculator';
@@ -15,18 +19,40 @@ export class IRRCalculator {
         },
         holding_period_years: {
           type: 'number',
-          description: 'Investment holding period in years',
+          description: 'Investment holding period in years (defaults to the time from investment to sale)',
           minimum: 1,
           maximum: 30,
           default: 5
         },
         annual_cash_flows: {
           type: 'array',
-          description: 'Array of annual net cash flows (rental income - expenses)',
+          description: 'Net cash flows (rental income - expenses): one number per period, or {date, amount} objects for irregular capital calls and distributions (XIRR)',
           items: {
-            type: 'number'
+            type: ['number', 'object'],
+            properties: {
+              date: { type: 'string', format: 'date', description: 'Date of the cash flow (YYYY-MM-DD)' },
+              amount: { type: 'number', description: 'Cash flow amount; negative for capital calls' },
+              description: { type: 'string', description: 'Optional description of the cash flow' }
+            },
+            required: ['date', 'amount']
           }
         },
+        periodicity: {
+          type: 'string',
+          enum: ['annual', 'quarterly', 'monthly'],
+          description: 'Length of each period for evenly spaced cash flows; the IRR is still reported as an annual rate',
+          default: 'annual'
+        },
+        investment_date: {
+          type: 'string',
+          format: 'date',
+          description: 'Date of the initial investment; required with dated cash flows'
+        },
+        sale_date: {
+          type: 'string',
+          format: 'date',
+          description: 'Date the sale closes with dated cash flows (defaults to the last cash flow date)'
+        },
         projected_sale_price: {
           type: 'number',
           description: 'Projected property sale price at end of holding period',
@@ -51,50 +77,75 @@ export class IRRCalculator {
           minimum: 0,
           maximum: 100,
           default: 15
+        },
+        finance_rate: {
+          type: 'number',
+          description: 'Rate paid to fund negative cash flows, for the modified IRR (%, defaults to target_irr)',
+          minimum: 0,
+          maximum: 100
+        },
+        reinvestment_rate: {
+          type: 'number',
+          description: 'Rate earned on reinvested distributions, for the modified IRR (%, defaults to target_irr)',
+          minimum: 0,
+          maximum: 100
         }
       },
       required: ['initial_investment', 'annual_cash_flows', 'projected_sale_price']
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        irr_analysis: { type: 'object', description: 'Annual IRR (XIRR for dated cash flows), periodic IRR and modified IRR' },
+        cash_flow_summary: { type: 'object', description: 'Total invested, distributed and net profit' },
+        cash_flow_schedule: { type: 'array', description: 'Cash flows by period or date with cumulative totals' },
+        npv_analysis: { type: 'object', description: 'NPV at the discount rate' },
+        sale_analysis: { type: 'object', description: 'Sale price, costs, loan payoff and net proceeds' },
+        performance_rating: { type: 'object', description: 'Rating of the IRR against benchmarks' },
+        sensitivity_analysis: { type: 'object', description: 'IRR under alternative assumptions' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'irr_analysis', 'cash_flow_summary', 'cash_flow_schedule', 'npv_analysis', 'sale_analysis',
+        'performance_rating', 'sensitivity_analysis', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       initial_investment,
-      annual_cash_flows,
       projected_sale_price,
       selling_costs_percent = 7,
       loan_balance_at_sale = 0,
       target_irr = 15,
-      holding_period_years = annual_cash_flows.length
+      finance_rate = target_irr,
+      reinvestment_rate = target_irr
     } = params;
 
     // Calculate net proceeds from sale
     const selling_costs = projected_sale_price * (selling_costs_percent / 100);
     const net_sale_proceeds = projected_sale_price - selling_costs - loan_balance_at_sale;
 
-    // Build complete cash flow array
-    const all_cash_flows = [-initial_investment];
-    
-    // Add annual cash flows
-    for (let i = 0; i < annual_cash_flows.length; i++) {
-      if (i === annual_cash_flows.length - 1) {
-        // Last year includes sale proceeds
-        all_cash_flows.push(annual_cash_flows[i] + net_sale_proceeds);
-      } else {
-        all_cash_flows.push(annual_cash_flows[i]);
-      }
-    }
+    // Place the investment, each cash flow and the sale on one timeline measured in years
+    const { timing, timeline } = this.buildTimeline(params, net_sale_proceeds);
+    const holding_period_years = params.holding_period_years ?? timeline[timeline.length - 1].years;
 
-    // Calculate IRR using Newton's method
-    const irr = this.calculateIRR(all_cash_flows);
-    const irr_percentage = irr * 100;
+    // Calculate IRR (XIRR when the cash flows are dated); null when there is no unique IRR
+    const irrResult = this.calculateIRR(timeline);
+    const irr = irrResult.irr;
+    const irr_percentage = irr === null ? null : irr * 100;
+    const mirr = this.calculateMIRR(timeline, finance_rate / 100, reinvestment_rate / 100);
 
     // Calculate NPV at target rate
-    const npv_at_target = this.calculateNPV(all_cash_flows, target_irr / 100);
+    const npv_at_target = this.calculateNPV(timeline, target_irr / 100);
 
     // Calculate other metrics
     const total_cash_invested = initial_investment;
-    const total_cash_received = annual_cash_flows.reduce((sum, cf) => sum + cf, 0) + net_sale_proceeds;
+    const total_cash_received = timeline.slice(1).reduce((sum, row) => sum + row.cash_flow, 0) + net_sale_proceeds;
     const total_profit = total_cash_received - total_cash_invested;
     const cash_on_cash_return = (total_profit / total_cash_invested) * 100;
     const average_annual_return = cash_on_cash_return / holding_period_years;
@@ -105,42 +156,50 @@ export class IRRCalculator {
     // Sensitivity analysis
     const sensitivity = this.performSensitivityAnalysis(
       params,
-      all_cash_flows,
+      timeline,
       irr_percentage
     );
 
     return {
       irr_analysis: {
-        irr_percentage: parseFloat(irr_percentage.toFixed(2)),
-        irr_decimal: parseFloat(irr.toFixed(4)),
-        meets_target: irr_percentage >= target_irr,
+        irr_percentage: irr === null ? null : parseFloat(irr_percentage.toFixed(2)),
+        irr_decimal: irr === null ? null : parseFloat(irr.toFixed(4)),
+        irr_status: irrResult.status,
+        all_irr_percentages: irrResult.irrs.map(rate => parseFloat((rate * 100).toFixed(2))),
+        irr_note: irrResult.message,
+        cash_flow_timing: timing,
+        periodic_irr_percentage: timing === 'dated' || irr === null
+          ? null
+          : parseFloat(((Math.pow(1 + irr, 1 / PERIODS_PER_YEAR[timing]) - 1) * 100).toFixed(2)),
+        mirr_percentage: mirr === null ? null : parseFloat((mirr * 100).toFixed(2)),
+        finance_rate: finance_rate,
+        reinvestment_rate: reinvestment_rate,
+        meets_target: irr === null ? null : irr_percentage >= target_irr,
         target_irr: target_irr,
-        difference_from_target: parseFloat((irr_percentage - target_irr).toFixed(2))
+        difference_from_target: irr === null ? null : parseFloat((irr_percentage - target_irr).toFixed(2))
       },
       cash_flow_summary: {
         initial_investment: initial_investment,
         total_cash_received: total_cash_received,
         total_profit: total_profit,
+        holding_period_years: parseFloat(holding_period_years.toFixed(2)),
         cash_on_cash_return: parseFloat(cash_on_cash_return.toFixed(2)),
         average_annual_return: parseFloat(average_annual_return.toFixed(2))
       },
-      cash_flow_schedule: this.buildCashFlowSchedule(
-        initial_investment,
-        annual_cash_flows,
-        net_sale_proceeds
-      ),
+      cash_flow_schedule: this.buildCashFlowSchedule(timeline),
       npv_analysis: {
         npv_at_target_rate: parseFloat(npv_at_target.toFixed(2)),
         npv_interpretation: npv_at_target > 0 
           ? "Positive NPV - Investment exceeds target return"
           : "Negative NPV - Investment below target return",
-        break_even_rate: this.findBreakEvenRate(all_cash_flows)
+        break_even_rate: this.findBreakEvenRate(timeline)
       },
       sale_analysis: {
         projected_sale_price: projected_sale_price,
         selling_costs: parseFloat(selling_costs.toFixed(2)),
         loan_payoff: loan_balance_at_sale,
-        net_proceeds: parseFloat(net_sale_proceeds.toFixed(2))
+        net_proceeds: parseFloat(net_sale_proceeds.toFixed(2)),
+        sale_date: timing === 'dated' ? timeline.find(row => row.includes_sale).date : null
       },
       performance_rating: performance,
       sensitivity_analysis: sensitivity,
@@ -148,110 +207,148 @@ export class IRRCalculator {
         irr_percentage,
         target_irr,
         cash_on_cash_return,
-        sensitivity
+        sensitivity,
+        irrResult.message
       )
     };
   }
 
-  calculateIRR(cashFlows, guess = 0.1) {
-    const maxIterations = 100;
-    const tolerance = 0.00001;
-    let rate = guess;
-
-    for (let i = 0; i < maxIterations; i++) {
-      const npv = this.calculateNPV(cashFlows, rate);
-      const dnpv = this.calculateDerivativeNPV(cashFlows, rate);
-      
-      const newRate = rate - npv / dnpv;
-      
-      if (Math.abs(newRate - rate) < tolerance) {
-        return newRate;
-      }
-      
-      rate = newRate;
+  /**
+   * Evenly spaced cash flows fall at the end of each period; dated ones sit at
+   * actual/365 year fractions from investment_date, as in XIRR and XNPV
+   */
+  buildTimeline(params, netSaleProceeds) {
+    const { initial_investment, annual_cash_flows, periodicity = 'annual', investment_date, sale_date } = params;
+    const dated = annual_cash_flows.some(cf => typeof cf === 'object');
+    const investment = {
+      period: 0,
+      date: dated ? investment_date : null,
+      years: 0,
+      description: "Initial Investment",
+      investment: initial_investment,
+      cash_flow: 0,
+      sale_proceeds: 0,
+      includes_sale: false
+    };
+
+    if (annual_cash_flows.length === 0) {
+      throw new Error('annual_cash_flows needs at least one cash flow');
     }
 
-    // If no convergence, try different initial guesses
-    const guesses = [0.0, 0.05, 0.15, 0.25, 0.5, -0.1];
-    for (const newGuess of guesses) {
-      const result = this.calculateIRRWithGuess(cashFlows, newGuess);
-      if (result !== null) return result;
+    if (!dated) {
+      const perYear = PERIODS_PER_YEAR[periodicity];
+      const label = PERIOD_LABELS[periodicity];
+      const timeline = [investment, ...annual_cash_flows.map((cashFlow, i) => {
+        const isLastPeriod = i === annual_cash_flows.length - 1;
+        return {
+          period: i + 1,
+          date: null,
+          years: (i + 1) / perYear,
+          description: isLastPeriod
+            ? `${label} ${i + 1} Operations + Sale Proceeds`
+            : `${label} ${i + 1} Net Cash Flow`,
+          investment: 0,
+          cash_flow: cashFlow,
+          sale_proceeds: isLastPeriod ? netSaleProceeds : 0,
+          includes_sale: isLastPeriod
+        };
+      })];
+      return { timing: periodicity, timeline: this.withAmounts(timeline) };
     }
 
-    return 0; // Default if convergence fails
-  }
+    if (annual_cash_flows.some(cf => typeof cf !== 'object')) {
+      throw new Error('annual_cash_flows must be all numbers (evenly spaced periods) or all {date, amount} objects, not a mix');
+    }
+    if (!investment_date) {
+      throw new Error('investment_date is required when annual_cash_flows are dated');
+    }
 
-  calculateIRRWithGuess(cashFlows, guess) {
-    const maxIterations = 50;
-    const tolerance = 0.00001;
-    let rate = guess;
-
-    for (let i = 0; i < maxIterations; i++) {
-      const npv = this.calculateNPV(cashFlows, rate);
-      const dnpv = this.calculateDerivativeNPV(cashFlows, rate);
-      
-      if (Math.abs(dnpv) < tolerance) return null;
-      
-      const newRate = rate - npv / dnpv;
-      
-      if (Math.abs(newRate - rate) < tolerance) {
-        return newRate;
-      }
-      
-      rate = newRate;
+    const flows = annual_cash_flows
+      .map(cf => ({ ...cf, years: yearFraction(investment_date, cf.date) }))
+      .sort((a, b) => a.years - b.years);
+    const early = flows.find(cf => cf.years < 0);
+    if (early) {
+      throw new Error(`Cash flow dated ${early.date} falls before investment_date ${investment_date}`);
+    }
+
+    const saleDate = sale_date ?? flows[flows.length - 1].date;
+    const saleYears = yearFraction(investment_date, saleDate);
+    if (saleYears < flows[flows.length - 1].years) {
+      throw new Error(`sale_date ${saleDate} must be on or after the last cash flow (${flows[flows.length - 1].date})`);
+    }
+
+    const timeline = [investment, ...flows.map((cf, i) => ({
+      period: i + 1,
+      date: cf.date,
+      years: cf.years,
+      description: cf.description || (cf.amount < 0 ? 'Capital contribution' : 'Distribution'),
+      investment: 0,
+      cash_flow: cf.amount,
+      sale_proceeds: 0,
+      includes_sale: false
+    }))];
+
+    const last = timeline[timeline.length - 1];
+    if (last.date === saleDate) {
+      last.description = `${last.description} + Sale Proceeds`;
+      last.sale_proceeds = netSaleProceeds;
+      last.includes_sale = true;
+    } else {
+      timeline.push({
+        period: timeline.length,
+        date: saleDate,
+        years: saleYears,
+        description: 'Sale Proceeds',
+        investment: 0,
+        cash_flow: 0,
+        sale_proceeds: netSaleProceeds,
+        includes_sale: true
+      });
     }
 
-    return null;
+    return { timing: 'dated', timeline: this.withAmounts(timeline) };
   }
 
-  calculateNPV(cashFlows, rate) {
-    return cashFlows.reduce((npv, cf, i) => {
-      return npv + cf / Math.pow(1 + rate, i);
-    }, 0);
+  withAmounts(timeline) {
+    return timeline.map(row => ({ ...row, amount: row.cash_flow + row.sale_proceeds - row.investment }));
   }
 
-  calculateDerivativeNPV(cashFlows, rate) {
-    return cashFlows.reduce((dnpv, cf, i) => {
-      if (i === 0) return dnpv;
-      return dnpv - (i * cf) / Math.pow(1 + rate, i + 1);
-    }, 0);
+  calculateIRR(timeline) {
+    return solveIRR(timeline.map(row => row.amount), { times: timeline.map(row => row.years) });
   }
 
-  buildCashFlowSchedule(initialInvestment, annualCashFlows, netSaleProceeds) {
-    const schedule = [
-      {
-        year: 0,
-        description: "Initial Investment",
-        cash_flow: -initialInvestment,
-        cumulative_cash_flow: -initialInvestment
-      }
-    ];
-
-    let cumulative = -initialInvestment;
-
-    for (let i = 0; i < annualCashFlows.length; i++) {
-      const isLastYear = i === annualCashFlows.length - 1;
-      const cashFlow = isLastYear 
-        ? annualCashFlows[i] + netSaleProceeds 
-        : annualCashFlows[i];
-      
-      cumulative += cashFlow;
-
-      schedule.push({
-        year: i + 1,
-        description: isLastYear 
-          ? `Year ${i + 1} Operations + Sale Proceeds`
-          : `Year ${i + 1} Net Cash Flow`,
-        cash_flow: parseFloat(cashFlow.toFixed(2)),
-        cumulative_cash_flow: parseFloat(cumulative.toFixed(2))
-      });
-    }
+  calculateNPV(timeline, rate) {
+    return presentValue(timeline.map(row => row.amount), rate, timeline.map(row => row.years));
+  }
 
-    return schedule;
+  calculateMIRR(timeline, financeRate, reinvestmentRate) {
+    return modifiedIRR(timeline.map(row => row.amount), financeRate, reinvestmentRate, timeline.map(row => row.years));
+  }
+
+  buildCashFlowSchedule(timeline) {
+    let cumulative = 0;
+
+    return timeline.map(row => {
+      cumulative += row.amount;
+      return {
+        year: parseFloat(row.years.toFixed(2)),
+        period: row.period,
+        date: row.date,
+        description: row.description,
+        cash_flow: parseFloat(row.amount.toFixed(2)),
+        cumulative_cash_flow: parseFloat(cumulative.toFixed(2))
+      };
+    });
   }
 
   analyzePerformance(irr, targetIrr) {
-    if (irr >= targetIrr + 10) {
+    if (irr === null) {
+      return {
+        rating: "Not Meaningful",
+        description: "The cash flows have no unique IRR to compare with the target",
+        risk_adjusted_view: "Rely on NPV at the target rate and the modified IRR"
+      };
+    } else if (irr >= targetIrr + 10) {
       return {
         rating: "Exceptional",
         description: "Significantly exceeds target return",
@@ -284,60 +381,35 @@ export class IRRCalculator {
     }
   }
 
-  performSensitivityAnalysis(originalParams, originalCashFlows, baseIRR) {
-    const scenarios = [];
-
-    // 10% reduction in annual cash flows
-    const reducedCashFlows = originalParams.annual_cash_flows.map(cf => cf * 0.9);
-    const reducedCashFlowsComplete = [-originalParams.initial_investment];
-    const sellingCostsPct = originalParams.selling_costs_percent || 7;
-    const saleSellingCosts = originalParams.projected_sale_price * (sellingCostsPct / 100);
-    const saleNetProceeds = originalParams.projected_sale_price - saleSellingCosts - (originalParams.loan_balance_at_sale || 0);
-    
-    for (let i = 0; i < reducedCashFlows.length; i++) {
-      if (i === reducedCashFlows.length - 1) {
-        reducedCashFlowsComplete.push(reducedCashFlows[i] + saleNetProceeds);
-      } else {
-        reducedCashFlowsComplete.push(reducedCashFlows[i]);
-      }
-    }
-    const cashFlowReducedIRR = this.calculateIRR(reducedCashFlowsComplete) * 100;
+  performSensitivityAnalysis(originalParams, timeline, baseIRR) {
+    const { projected_sale_price, selling_costs_percent = 7, loan_balance_at_sale = 0 } = originalParams;
+    const lowerSalePrice = projected_sale_price * 0.9;
+    const lowerSaleProceeds = lowerSalePrice - lowerSalePrice * (selling_costs_percent / 100) - loan_balance_at_sale;
 
-    scenarios.push({
-      scenario: "10% Lower Cash Flows",
-      irr: parseFloat(cashFlowReducedIRR.toFixed(2)),
-      impact: parseFloat((cashFlowReducedIRR - baseIRR).toFixed(2))
-    });
-
-    // 10% lower sale price
-    const lowerSalePrice = originalParams.projected_sale_price * 0.9;
-    const lowerSaleCashFlows = [...originalCashFlows];
-    const sellingCosts = lowerSalePrice * (originalParams.selling_costs_percent / 100);
-    const netProceeds = lowerSalePrice - sellingCosts - (originalParams.loan_balance_at_sale || 0);
-    lowerSaleCashFlows[lowerSaleCashFlows.length - 1] = 
-      originalParams.annual_cash_flows[originalParams.annual_cash_flows.length - 1] + 
-      netProceeds;
-    const salePriceReducedIRR = this.calculateIRR(lowerSaleCashFlows) * 100;
-
-    scenarios.push({
-      scenario: "10% Lower Sale Price",
-      irr: parseFloat(salePriceReducedIRR.toFixed(2)),
-      impact: parseFloat((salePriceReducedIRR - baseIRR).toFixed(2))
-    });
-
-    // 20% higher initial investment
-    const higherInvestmentCashFlows = [...originalCashFlows];
-    higherInvestmentCashFlows[0] = -originalParams.initial_investment * 1.2;
-    const higherInvestmentIRR = this.calculateIRR(higherInvestmentCashFlows) * 100;
-
-    scenarios.push({
-      scenario: "20% Higher Initial Investment",
-      irr: parseFloat(higherInvestmentIRR.toFixed(2)),
-      impact: parseFloat((higherInvestmentIRR - baseIRR).toFixed(2))
+    const scenarios = [
+      {
+        scenario: "10% Lower Cash Flows",
+        timeline: timeline.map(row => ({ ...row, cash_flow: row.cash_flow * 0.9 }))
+      },
+      {
+        scenario: "10% Lower Sale Price",
+        timeline: timeline.map(row => row.includes_sale ? { ...row, sale_proceeds: lowerSaleProceeds } : row)
+      },
+      {
+        scenario: "20% Higher Initial Investment",
+        timeline: timeline.map(row => ({ ...row, investment: row.investment * 1.2 }))
+      }
+    ].map(({ scenario, timeline: adjusted }) => {
+      const { irr } = this.calculateIRR(this.withAmounts(adjusted));
+      return {
+        scenario: scenario,
+        irr: irr === null ? null : parseFloat((irr * 100).toFixed(2)),
+        impact: irr === null || baseIRR === null ? null : parseFloat((irr * 100 - baseIRR).toFixed(2))
+      };
     });
 
     return {
-      base_case_irr: parseFloat(baseIRR.toFixed(2)),
+      base_case_irr: baseIRR === null ? null : parseFloat(baseIRR.toFixed(2)),
       scenarios: scenarios,
       most_sensitive_factor: this.identifyMostSensitiveFactor(scenarios)
     };
@@ -357,16 +429,22 @@ export class IRRCalculator {
     return mostSensitive;
   }
 
-  findBreakEvenRate(cashFlows) {
+  findBreakEvenRate(timeline) {
     // Find rate where NPV = 0 (which is IRR by definition)
-    const irr = this.calculateIRR(cashFlows);
-    return parseFloat((irr * 100).toFixed(2));
+    const { irr } = this.calculateIRR(timeline);
+    return irr === null ? null : parseFloat((irr * 100).toFixed(2));
   }
 
-  generateRecommendations(irr, targetIrr, cashOnCash, sensitivity) {
+  generateRecommendations(irr, targetIrr, cashOnCash, sensitivity, irrNote) {
     const recommendations = [];
 
-    if (irr >= targetIrr) {
+    if (irr === null) {
+      recommendations.push({
+        type: "Caution",
+        message: irrNote,
+        action: "Compare NPV at your target rate and the modified IRR instead"
+      });
+    } else if (irr >= targetIrr) {
       recommendations.push({
         type: "Positive",
         message: `IRR of ${irr}% exceeds your target of ${targetIrr}%`,
@@ -1,3 +1,5 @@
+import { solveIRR } from '../financial-math.js';
+
 export class JointVentureCalculator {
   getSchema() {
     return {
@@ -101,6 +103,32 @@ export class JointVentureCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        project_summary: { type: 'object', description: 'Project cost, value and profit' },
+        partner_analysis: { type: 'array', description: 'Contributions, returns and shares per partner' },
+        split_scenarios: { type: 'array', description: 'Profit split alternatives' },
+        fairness_analysis: { type: 'object', description: 'Fairness of the split relative to contributions' },
+        risk_assessment: { type: 'object', description: 'Partnership risks' },
+        cash_flow_projections: { type: 'object', description: 'Projected distributions to partners' },
+        exit_analysis: { type: 'object', description: 'Exit strategy outcomes' },
+        legal_considerations: { type: 'object', description: 'Legal and structural considerations' },
+        recommendations: { type: 'object', description: 'Prioritized recommendations' },
+        scenario_analysis: { type: ['array', 'null'], description: 'Partner returns under market scenarios' },
+        sensitivity_analysis: { type: ['array', 'null'], description: 'Partner returns under changing variables' },
+        tax_analysis: { type: ['object', 'null'], description: 'Tax implications for each partner' },
+        legal_structure_analysis: { type: ['object', 'null'], description: 'Comparison of legal structures' }
+      },
+      required: [
+        'project_summary', 'partner_analysis', 'split_scenarios', 'fairness_analysis', 'risk_assessment',
+        'cash_flow_projections', 'exit_analysis', 'legal_considerations', 'recommendations',
+        'scenario_analysis', 'sensitivity_analysis', 'tax_analysis', 'legal_structure_analysis'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       project_details,
@@ -1068,19 +1096,11 @@ export class JointVentureCalculator {
       .slice(0, 3); // Top 3 priorities
   }
 
+  // Annual IRR of the monthly project cash flows; null when they have no unique IRR
   calculateProjectIRR(monthly_projections) {
-    // Simplified IRR calculation
     const cash_flows = monthly_projections.map(month => month.net_cash_flow);
-    
-    // Simple approximation - in practice would use iterative calculation
-    const total_investment = Math.abs(cash_flows.filter(cf => cf < 0).reduce((sum, cf) => sum + cf, 0));
-    const total_returns = cash_flows.filter(cf => cf > 0).reduce((sum, cf) => sum + cf, 0);
-    const duration_years = monthly_projections.length / 12;
-    
-    if (total_investment === 0 || duration_years === 0) return 0;
-    
-    const irr = Math.pow(total_returns / total_investment, 1 / duration_years) - 1;
-    return Math.round(irr * 100 * 10) / 10;
+    const { irr } = solveIRR(cash_flows, { times: cash_flows.map((_, month) => month / 12) });
+    return irr === null ? null : Math.round(irr * 100 * 10) / 10;
   }
 
   assessScenarioHealth(scenario_returns) {
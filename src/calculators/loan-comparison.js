@@ -1,3 +1,18 @@
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+import { amortize, levelPayment } from '../amortization.js';
+
+const MARKET_DATA_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'data', 'market-data.json');
+
+const DEFAULT_RATE_SCENARIOS = [
+  { type: 'flat' },
+  { type: 'rising', change_per_year: 1 },
+  { type: 'falling', change_per_year: 1 },
+  { type: 'historical' }
+];
+
 export class LoanComparisonTool {
   constructor() {
     this.name = 'Loan Comparison Tool';
@@ -80,6 +95,32 @@ export class LoanComparisonTool {
                     type: 'number',
                     description: 'Max lifetime rate increase (%)',
                     default: 5
+                  },
+                  initial_adjustment_cap: {
+                    type: 'number',
+                    description: 'Max rate change at the first reset (%); defaults to adjustment_cap',
+                    minimum: 0
+                  },
+                  adjustment_interval_months: {
+                    type: 'number',
+                    description: 'Months between resets after the fixed period',
+                    minimum: 1,
+                    default: 12
+                  },
+                  margin: {
+                    type: 'number',
+                    description: 'Margin added to the index at each reset (%)',
+                    minimum: 0,
+                    default: 2.75
+                  },
+                  current_index: {
+                    type: 'number',
+                    description: 'Index value today (%); defaults to the initial rate less the margin'
+                  },
+                  floor: {
+                    type: 'number',
+                    description: 'Lowest rate the loan can reset to (%); defaults to the margin',
+                    minimum: 0
                   }
                 }
               }
@@ -111,12 +152,67 @@ export class LoanComparisonTool {
           minimum: 1,
           maximum: 30,
           default: 5
+        },
+        rate_scenarios: {
+          type: 'array',
+          description: 'Index paths every ARM is run through; defaults to flat, rising and falling by 1 point a year, and the worst stretch of the historical index',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              type: {
+                type: 'string',
+                enum: ['flat', 'rising', 'falling', 'historical', 'custom'],
+                description: 'historical replays the year-over-year moves of the 1-year Treasury index in market-data.json'
+              },
+              change_per_year: {
+                type: 'number',
+                description: 'Index change per year for rising and falling paths (percentage points)',
+                minimum: 0,
+                default: 1
+              },
+              index_rates: {
+                type: 'array',
+                items: { type: 'number' },
+                minItems: 1,
+                description: 'Custom index (%) for each year from today; the last value repeats'
+              },
+              start_year: {
+                type: 'number',
+                description: 'First year of history to replay; defaults to the stretch where the index rose the most over the resets within the comparison period'
+              }
+            },
+            required: ['type']
+          }
         }
       },
       required: ['home_price', 'loans']
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        loan_details: { type: 'array', description: 'Payment, interest and cost details for each loan' },
+        comparison_summary: { type: 'object', description: 'Ranges of payments and total costs across loans' },
+        best_options: { type: 'object', description: 'Lowest payment, lowest total cost and lowest cash-to-close loans' },
+        side_by_side: { type: 'array', description: 'Side-by-side metric comparison' },
+        points_analysis: { type: 'array', description: 'Break-even on discount points' },
+        arm_risk_analysis: {
+          type: ['array', 'null'],
+          description: 'Worst-case payments under the caps and the cost of each ARM along every rate scenario, against the fixed loans'
+        },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'loan_details', 'comparison_summary', 'best_options', 'side_by_side', 'points_analysis',
+        'arm_risk_analysis', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       home_price,
@@ -124,7 +220,8 @@ export class LoanComparisonTool {
       property_tax_annual = 0,
       home_insurance_annual = 0,
       hoa_monthly = 0,
-      comparison_period_years = 5
+      comparison_period_years = 5,
+      rate_scenarios = DEFAULT_RATE_SCENARIOS
     } = params;
 
     // Calculate details for each loan
@@ -153,7 +250,7 @@ export class LoanComparisonTool {
     const pointsAnalysis = this.analyzePointsBreakEven(loanDetails);
 
     // ARM risk analysis if applicable
-    const armAnalysis = this.analyzeARMRisks(loanDetails, home_price);
+    const armAnalysis = this.analyzeARMRisks(loanDetails, home_price, rate_scenarios, comparison_period_years);
 
     return {
       loan_details: loanDetails,
@@ -171,7 +268,8 @@ export class LoanComparisonTool {
         loanDetails,
         bestMonthlyPayment,
         bestOverallCost,
-        comparison_period_years
+        comparison_period_years,
+        armAnalysis
       )
     };
   }
@@ -195,8 +293,10 @@ export class LoanComparisonTool {
     const num_payments = loan_term_years * 12;
     const comparison_months = comparisonYears * 12;
 
-    // Calculate monthly principal & interest
+    // Calculate monthly principal & interest; ARMs follow the index as it stands today
     const monthly_pi = this.calculateMonthlyPayment(loan_amount, monthly_rate, num_payments);
+    const arm = loan_type === 'arm' ? this.armTerms(interest_rate, arm_details) : null;
+    const schedule = this.loanSchedule(loan_amount, interest_rate, num_payments, arm, [arm?.current_index]);
 
     // Calculate PMI if applicable
     let monthly_pmi = 0;
@@ -205,12 +305,7 @@ export class LoanComparisonTool {
       const actualPmiRate = pmi_rate || this.getDefaultPMIRate(down_payment_percent, loan_type);
       monthly_pmi = (loan_amount * actualPmiRate / 100) / 12;
       // PMI typically drops off at 78% LTV
-      pmi_months = this.calculateMonthsUntilPMIRemoval(
-        loan_amount,
-        homePrice,
-        monthly_pi,
-        monthly_rate
-      );
+      pmi_months = this.calculateMonthsUntilPMIRemoval(schedule, homePrice);
     }
 
     // Other monthly costs
@@ -224,12 +319,8 @@ export class LoanComparisonTool {
     const total_upfront_costs = down_payment + points_cost + estimated_closing_costs;
 
     // Calculate interest over comparison period
-    const amortization = this.calculateAmortization(
-      loan_amount,
-      monthly_rate,
-      num_payments,
-      comparison_months
-    );
+    const amortization = this.calculateAmortization(schedule, comparison_months);
+    const lifetime = this.calculateAmortization(schedule, num_payments);
 
     // Total PMI paid over comparison period
     const pmi_paid_comparison = monthly_pmi * Math.min(pmi_months, comparison_months);
@@ -237,7 +328,7 @@ export class LoanComparisonTool {
     // Total cost over comparison period
     const total_cost_over_period = 
       total_upfront_costs +
-      (monthly_pi * comparison_months) +
+      amortization.principal_interest_paid +
       pmi_paid_comparison +
       (monthly_property_tax * comparison_months) +
       (monthly_insurance * comparison_months) +
@@ -272,6 +363,7 @@ export class LoanComparisonTool {
         months: comparison_months,
         principal_paid: parseFloat(amortization.principal_paid.toFixed(2)),
         interest_paid: parseFloat(amortization.interest_paid.toFixed(2)),
+        principal_interest_paid: parseFloat(amortization.principal_interest_paid.toFixed(2)),
         pmi_paid: parseFloat(pmi_paid_comparison.toFixed(2)),
         remaining_balance: parseFloat(amortization.remaining_balance.toFixed(2)),
         equity_built: parseFloat((down_payment + amortization.principal_paid).toFixed(2))
@@ -279,9 +371,9 @@ export class LoanComparisonTool {
       total_interest_paid: parseFloat(amortization.interest_paid.toFixed(2)),
       total_cost_over_period: parseFloat(total_cost_over_period.toFixed(2)),
       lifetime_costs: {
-        total_interest: parseFloat(((monthly_pi * num_payments) - loan_amount).toFixed(2)),
+        total_interest: parseFloat(lifetime.interest_paid.toFixed(2)),
         total_pmi: parseFloat((monthly_pmi * pmi_months).toFixed(2)),
-        total_paid: parseFloat(((monthly_pi * num_payments) + (monthly_pmi * pmi_months) + total_upfront_costs).toFixed(2))
+        total_paid: parseFloat((lifetime.principal_interest_paid + (monthly_pmi * pmi_months) + total_upfront_costs).toFixed(2))
       },
       pmi_details: {
         has_pmi: monthly_pmi > 0,
@@ -294,11 +386,7 @@ export class LoanComparisonTool {
   }
 
   calculateMonthlyPayment(principal, monthlyRate, numPayments) {
-    if (monthlyRate === 0) {
-      return principal / numPayments;
-    }
-    return principal * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
-           (Math.pow(1 + monthlyRate, numPayments) - 1);
+    return levelPayment(principal, monthlyRate, numPayments);
   }
 
   getDefaultPMIRate(downPaymentPercent, loanType) {
@@ -312,19 +400,10 @@ export class LoanComparisonTool {
     return 1.0;
   }
 
-  calculateMonthsUntilPMIRemoval(loanAmount, homePrice, monthlyPayment, monthlyRate) {
+  calculateMonthsUntilPMIRemoval(schedule, homePrice) {
     const targetBalance = homePrice * 0.78; // 78% LTV
-    let balance = loanAmount;
-    let months = 0;
-
-    while (balance > targetBalance && months < 360) {
-      const interestPayment = balance * monthlyRate;
-      const principalPayment = monthlyPayment - interestPayment;
-      balance -= principalPayment;
-      months++;
-    }
-
-    return months;
+    const month = schedule.findIndex(row => row.balance <= targetBalance);
+    return month === -1 ? schedule.length : month + 1;
   }
 
   estimateClosingCosts(loanAmount, loanType) {
@@ -340,28 +419,52 @@ export class LoanComparisonTool {
     return loanAmount * (rates[loanType] || 0.025);
   }
 
-  calculateAmortization(principal, monthlyRate, totalPayments, periodMonths) {
-    let balance = principal;
-    let totalInterest = 0;
-    let totalPrincipal = 0;
-    const monthlyPayment = this.calculateMonthlyPayment(principal, monthlyRate, totalPayments);
-
-    for (let month = 1; month <= periodMonths && month <= totalPayments; month++) {
-      const interestPayment = balance * monthlyRate;
-      const principalPayment = monthlyPayment - interestPayment;
-      
-      totalInterest += interestPayment;
-      totalPrincipal += principalPayment;
-      balance -= principalPayment;
-    }
+  calculateAmortization(schedule, periodMonths) {
+    const rows = schedule.slice(0, periodMonths);
+    const principalPaid = rows.reduce((sum, row) => sum + row.principal, 0);
+    const interestPaid = rows.reduce((sum, row) => sum + row.interest, 0);
+
+    return {
+      principal_paid: principalPaid,
+      interest_paid: interestPaid,
+      principal_interest_paid: principalPaid + interestPaid,
+      remaining_balance: rows.length > 0 ? rows[rows.length - 1].balance : schedule[0]?.balance ?? 0
+    };
+  }
 
+  // ARM terms in the shape the amortization engine expects
+  armTerms(interestRate, armDetails = {}) {
+    const margin = armDetails.margin ?? 2.75;
+    const adjustmentCap = armDetails.adjustment_cap ?? 2;
     return {
-      principal_paid: totalPrincipal,
-      interest_paid: totalInterest,
-      remaining_balance: Math.max(0, balance)
+      initial_fixed_months: (armDetails.fixed_period_years ?? 5) * 12,
+      adjustment_interval_months: armDetails.adjustment_interval_months ?? 12,
+      margin,
+      current_index: armDetails.current_index ?? interestRate - margin,
+      initial_adjustment_cap: armDetails.initial_adjustment_cap ?? adjustmentCap,
+      periodic_cap: adjustmentCap,
+      lifetime_cap: armDetails.lifetime_cap ?? 5,
+      floor: armDetails.floor ?? margin
     };
   }
 
+  // Monthly schedule; an ARM resets to the index for the loan year each reset falls in (the last value repeats)
+  loanSchedule(principal, interestRate, months, arm, indexPath) {
+    if (!arm) {
+      return amortize({ principal, annual_rate: interestRate, amortization_months: months }).schedule;
+    }
+    const indexRates = [];
+    for (let month = arm.initial_fixed_months + 1; month <= months; month += arm.adjustment_interval_months) {
+      indexRates.push(indexPath[Math.min(Math.floor((month - 1) / 12), indexPath.length - 1)]);
+    }
+    return amortize({
+      principal,
+      annual_rate: interestRate,
+      amortization_months: months,
+      arm: { ...arm, index_rates: indexRates.length > 0 ? indexRates : [arm.current_index] }
+    }).schedule;
+  }
+
   findBestByMetric(loanDetails, metric, direction = 'lowest') {
     const getValue = (loan) => {
       const keys = metric.split('.');
@@ -475,38 +578,155 @@ export class LoanComparisonTool {
     return pointsAnalysis;
   }
 
-  analyzeARMRisks(loanDetails, homePrice) {
+  analyzeARMRisks(loanDetails, homePrice, rateScenarios = DEFAULT_RATE_SCENARIOS, comparisonYears = 5) {
     const armLoans = loanDetails.filter(l => l.loan_type === 'arm');
     if (armLoans.length === 0) return null;
 
+    const fixedLoans = loanDetails.filter(l => l.loan_type !== 'arm');
+    const comparisonMonths = comparisonYears * 12;
+
     return armLoans.map(loan => {
-      const maxRate = loan.interest_rate + (loan.arm_details?.lifetime_cap || 5);
-      const maxMonthlyRate = maxRate / 100 / 12;
-      const maxPayment = this.calculateMonthlyPayment(
-        loan.loan_amount,
-        maxMonthlyRate,
-        loan.loan_term_years * 12
-      );
+      const months = loan.loan_term_years * 12;
+      const arm = this.armTerms(loan.interest_rate, loan.arm_details);
+      const currentPayment = loan.monthly_payment_breakdown.principal_interest;
+
+      // Worst case: an index high enough that every reset rises by the full cap
+      const worstCase = this.loanSchedule(loan.loan_amount, loan.interest_rate, months, arm, [loan.interest_rate + arm.lifetime_cap + 100]);
+      const maxRate = Math.max(...worstCase.map(row => row.rate));
+      const maxPayment = Math.max(...worstCase.map(row => row.payment));
+      const monthsToMaxRate = worstCase.find(row => row.rate === maxRate).month;
+
+      // Loan years whose index sets a rate within the comparison period (the first reset year if none does)
+      const firstResetYear = Math.floor(arm.initial_fixed_months / 12);
+      const resetYears = [firstResetYear, Math.max(firstResetYear + 1, comparisonYears)];
+      const basePrincipalInterest = loan.comparison_period_analysis.principal_interest_paid;
+      const scenarios = rateScenarios.map(scenario => {
+        const path = this.indexPath(scenario, arm.current_index, Math.ceil(months / 12), resetYears);
+        const schedule = this.loanSchedule(loan.loan_amount, loan.interest_rate, months, arm, path.index_rates);
+        const period = this.calculateAmortization(schedule, comparisonMonths);
+        const rows = schedule.slice(0, comparisonMonths);
+        const totalCost = loan.total_cost_over_period - basePrincipalInterest + period.principal_interest_paid;
+
+        return {
+          scenario: scenario.name || path.name,
+          type: scenario.type,
+          historical_start_year: path.start_year,
+          index_path: path.index_rates.slice(0, comparisonYears).map(rate => parseFloat(rate.toFixed(2))),
+          rate_path: this.ratePath(rows),
+          average_rate: parseFloat((rows.reduce((sum, row) => sum + row.rate, 0) / rows.length).toFixed(3)),
+          peak_rate: Math.max(...rows.map(row => row.rate)),
+          peak_payment: Math.max(...rows.map(row => row.payment)),
+          principal_interest_paid: parseFloat(period.principal_interest_paid.toFixed(2)),
+          interest_paid: parseFloat(period.interest_paid.toFixed(2)),
+          remaining_balance: parseFloat(period.remaining_balance.toFixed(2)),
+          total_cost_over_period: parseFloat(totalCost.toFixed(2)),
+          vs_fixed: fixedLoans.map(fixed => ({
+            loan_name: fixed.loan_name,
+            fixed_total_cost: fixed.total_cost_over_period,
+            difference: parseFloat((totalCost - fixed.total_cost_over_period).toFixed(2)),
+            arm_cheaper: totalCost < fixed.total_cost_over_period
+          }))
+        };
+      });
 
       return {
         loan_name: loan.loan_name,
         initial_rate: loan.interest_rate,
+        margin: arm.margin,
+        current_index: parseFloat(arm.current_index.toFixed(3)),
+        first_reset_month: arm.initial_fixed_months + 1,
         max_possible_rate: maxRate,
-        current_payment: loan.monthly_payment_breakdown.principal_interest,
-        max_possible_payment: parseFloat(maxPayment.toFixed(2)),
-        payment_increase: parseFloat((maxPayment - loan.monthly_payment_breakdown.principal_interest).toFixed(2)),
-        payment_increase_percent: parseFloat(
-          ((maxPayment - loan.monthly_payment_breakdown.principal_interest) / 
-           loan.monthly_payment_breakdown.principal_interest * 100).toFixed(2)
-        ),
-        fixed_period: loan.arm_details?.fixed_period_years || 5,
-        risk_assessment: maxPayment > loan.monthly_payment_breakdown.principal_interest * 1.25 
-          ? "High Risk" : "Moderate Risk"
+        months_to_max_rate: monthsToMaxRate,
+        current_payment: currentPayment,
+        max_possible_payment: maxPayment,
+        payment_increase: parseFloat((maxPayment - currentPayment).toFixed(2)),
+        payment_increase_percent: parseFloat(((maxPayment - currentPayment) / currentPayment * 100).toFixed(2)),
+        fixed_period: arm.initial_fixed_months / 12,
+        risk_assessment: maxPayment > currentPayment * 1.25 ? "High Risk" : "Moderate Risk",
+        scenarios
       };
     });
   }
 
-  generateRecommendations(loanDetails, bestMonthly, bestOverall, comparisonYears) {
+  /**
+   * Index (%) for each loan year, starting today. Rising and falling paths move by change_per_year,
+   * custom paths take index_rates as given, and historical paths replay the year-over-year moves of
+   * the 1-year Treasury from start_year on; without a start year, the stretch of history where the
+   * index rose the most over resetYears ([first, last) loan years) is replayed. Past the data, the last value holds.
+   */
+  indexPath(scenario, currentIndex, years, resetYears) {
+    const { type, change_per_year: change = 1, index_rates: indexRates = [], start_year: startYear } = scenario;
+    const yearsOf = fn => Array.from({ length: years }, (_, t) => fn(t));
+
+    switch (type) {
+      case 'flat':
+        return { name: 'Flat index', index_rates: yearsOf(() => currentIndex) };
+      case 'rising':
+        return { name: `Index rises ${change} pt/yr`, index_rates: yearsOf(t => currentIndex + change * t) };
+      case 'falling':
+        return { name: `Index falls ${change} pt/yr`, index_rates: yearsOf(t => Math.max(0, currentIndex - change * t)) };
+      case 'custom':
+        if (indexRates.length === 0) {
+          throw new Error('Custom rate scenarios need index_rates');
+        }
+        return { name: 'Custom index path', index_rates: yearsOf(t => indexRates[Math.min(t, indexRates.length - 1)]) };
+      case 'historical': {
+        const history = this.getIndexHistory();
+        const first = startYear ?? this.worstHistoricalStart(history, resetYears);
+        const start = history.findIndex(([year]) => year === first);
+        if (start === -1) {
+          throw new Error(`No index history for ${first}; the series covers ${history[0][0]}-${history[history.length - 1][0]}`);
+        }
+        const base = history[start][1];
+        return {
+          name: `Historical index from ${first}`,
+          start_year: first,
+          index_rates: yearsOf(t => Math.max(0, currentIndex + history[Math.min(start + t, history.length - 1)][1] - base))
+        };
+      }
+      default:
+        throw new Error(`Unknown rate scenario type: ${type}`);
+    }
+  }
+
+  // [year, index] pairs of the 1-year Treasury, oldest first
+  getIndexHistory() {
+    if (!this.indexHistory) {
+      const marketData = JSON.parse(readFileSync(MARKET_DATA_PATH, 'utf-8'));
+      this.indexHistory = Object.entries(marketData.mortgage_rates.arm_index_history.values)
+        .map(([year, value]) => [Number(year), value])
+        .sort((a, b) => a[0] - b[0]);
+    }
+    return this.indexHistory;
+  }
+
+  // Start year whose index rose the most above it over the given loan years, i.e. the costliest stretch to replay
+  worstHistoricalStart(history, [firstYear, lastYear]) {
+    let worst = history[0][0];
+    let worstRise = -Infinity;
+    // Only stretches the data covers, so a held final value can't pass for a rise
+    const lastStart = Math.max(0, history.length - lastYear);
+    history.slice(0, lastStart + 1).forEach(([year, base], start) => {
+      let rise = 0;
+      for (let t = firstYear; t < lastYear; t++) {
+        rise += history[Math.min(start + t, history.length - 1)][1] - base;
+      }
+      if (rise > worstRise) {
+        worstRise = rise;
+        worst = year;
+      }
+    });
+    return worst;
+  }
+
+  // Rate changes within the rows, as { month, rate }, starting with the initial rate
+  ratePath(rows) {
+    return rows
+      .filter((row, i) => i === 0 || row.rate !== rows[i - 1].rate)
+      .map(row => ({ month: row.month, rate: row.rate }));
+  }
+
+  generateRecommendations(loanDetails, bestMonthly, bestOverall, comparisonYears, armAnalysis = null) {
     const recommendations = [];
 
     // Best overall value
@@ -548,15 +768,30 @@ export class LoanComparisonTool {
       });
     }
 
-    // ARM warnings
-    const armLoans = loanDetails.filter(l => l.loan_type === 'arm');
-    if (armLoans.length > 0) {
+    // ARM warnings, judged along each rate scenario
+    (armAnalysis || []).forEach(arm => {
+      if (arm.first_reset_month > comparisonYears * 12) {
+        recommendations.push({
+          type: "ARM Caution",
+          message: `${arm.loan_name} stays fixed for the whole ${comparisonYears}-year comparison; its rate can reach ${arm.max_possible_rate}% by month ${arm.months_to_max_rate}`,
+          action: "Only choose ARM if you plan to sell/refinance before rate adjustments"
+        });
+        return;
+      }
+
+      const comparable = arm.scenarios.filter(scenario => scenario.vs_fixed.length > 0);
+      const cheaper = comparable.filter(scenario => scenario.vs_fixed.every(fixed => fixed.arm_cheaper));
+      const worst = arm.scenarios.reduce((a, b) => (b.total_cost_over_period > a.total_cost_over_period ? b : a));
       recommendations.push({
         type: "ARM Caution",
-        message: "ARM loans carry interest rate risk after the fixed period",
-        action: "Only choose ARM if you plan to sell/refinance before rate adjustments"
+        message: comparable.length > 0
+          ? `${arm.loan_name} costs less than every fixed loan over ${comparisonYears} years in ${cheaper.length} of ${comparable.length} rate scenarios; the costliest (${worst.scenario}) peaks at ${worst.peak_rate}% and $${worst.peak_payment.toLocaleString()}/month`
+          : `${arm.loan_name} peaks at ${worst.peak_rate}% and $${worst.peak_payment.toLocaleString()}/month over ${comparisonYears} years in the costliest scenario (${worst.scenario})`,
+        action: cheaper.length === comparable.length && comparable.length > 0
+          ? "The ARM wins on every path tested; make sure the worst-case payment still fits your budget"
+          : "Only choose ARM if you plan to sell/refinance before rate adjustments, or can carry the worst-case payment"
       });
-    }
+    });
 
     // Short vs long term
     const shortTermLoans = loanDetails.filter(l => l.loan_term_years <= 15);
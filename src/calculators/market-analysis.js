@@ -3,6 +3,8 @@
  * Analyzes market conditions, comps, and investment opportunities
  */
 
+import { levelPayment } from '../amortization.js';
+
 export class MarketAnalysisTool {
   getSchema() {
     return {
@@ -133,6 +135,29 @@ export class MarketAnalysisTool {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        subject_property_analysis: { type: 'object', description: 'Subject property details and price metrics' },
+        comparable_analysis: { type: 'object', description: 'Adjusted comparables and summary statistics' },
+        cma_results: { type: 'object', description: 'Comparative market analysis value estimate' },
+        market_trends: { type: 'object', description: 'Price, inventory and demand trends' },
+        neighborhood_analysis: { type: 'object', description: 'Neighborhood quality scores' },
+        investment_analysis: { type: 'object', description: 'Rental yield and investment metrics' },
+        risk_assessment: { type: 'object', description: 'Market and property risks' },
+        price_recommendations: { type: 'object', description: 'Suggested list and offer prices' },
+        timing_analysis: { type: 'object', description: 'Market timing guidance' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'subject_property_analysis', 'comparable_analysis', 'cma_results', 'market_trends',
+        'neighborhood_analysis', 'investment_analysis', 'risk_assessment', 'price_recommendations',
+        'timing_analysis', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const { 
       subject_property, 
@@ -711,10 +736,7 @@ export class MarketAnalysisTool {
   
   // Helper methods
   calculateMonthlyPayment(principal, rate, years) {
-    const monthlyRate = rate / 12;
-    const numPayments = years * 12;
-    return principal * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
-           (Math.pow(1 + monthlyRate, numPayments) - 1);
+    return levelPayment(principal, rate / 12, years * 12);
   }
   
   calculateCoefficientOfVariation(values) {
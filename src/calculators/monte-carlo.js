@@ -1,3 +1,37 @@
+import { solveIRR } from '../financial-math.js';
+import { runToCompletion, runWithProgress } from '../progress.js';
+import { levelPayment, remainingBalance } from '../amortization.js';
+import { GENERATOR, SAMPLING_METHODS, Sampler, SeededRandom, generateSeed } from '../random.js';
+import {
+  DISTRIBUTION_TYPES, choleskyFactor, correlate, fromStandardNormal, isNormalBased, quantile, resolveDistribution
+} from '../distributions.js';
+
+// Uncertain inputs in sampling order: the scenario field each sets, its default distribution type and its value without one
+const VARIABLES = {
+  rental_income: { input: 'monthly_rent', type: 'normal' },
+  vacancy_rate: { input: 'vacancy_rate', type: 'triangular', fallback: 5 },
+  operating_expenses: { input: 'annual_expenses', type: 'normal' },
+  appreciation_rate: { input: 'appreciation_rate', type: 'normal', fallback: 3 },
+  exit_cap_rate: { input: 'exit_cap_rate', type: 'normal', fallback: 6 },
+  rent_growth: { input: 'rent_growth', type: 'normal', fallback: 0 }
+};
+
+// Parameters shared by every variable's distribution; each variable's own definitions take precedence
+const SHAPE_PROPERTIES = {
+  min: { type: 'number', description: 'Minimum value (uniform, triangular, PERT, beta)' },
+  max: { type: 'number', description: 'Maximum value (uniform, triangular, PERT, beta)' },
+  mode: { type: 'number', description: 'Most likely value (triangular, PERT)' },
+  lambda: { type: 'number', description: 'Weight on the most likely value (PERT)', minimum: 0, default: 4 },
+  alpha: { type: 'number', description: 'Shape parameter alpha (beta)', minimum: 0 },
+  beta: { type: 'number', description: 'Shape parameter beta (beta)', minimum: 0 },
+  values: {
+    type: 'array',
+    items: { type: 'number' },
+    minItems: 1,
+    description: 'Historical observations resampled with replacement (empirical)'
+  }
+};
+
 export class MonteCarloSimulator {
   constructor() {
     this.name = 'Monte Carlo Real Estate Simulator';
@@ -31,8 +65,8 @@ export class MonteCarloSimulator {
               default: 0
             },
             holding_period_years: {
-              type: 'number',
-              description: 'Investment holding period',
+              type: 'integer',
+              description: 'Investment holding period in whole years',
               minimum: 1,
               maximum: 30,
               default: 5
@@ -62,9 +96,10 @@ export class MonteCarloSimulator {
               type: 'object',
               description: 'Monthly rental income distribution',
               properties: {
+                ...SHAPE_PROPERTIES,
                 type: {
                   type: 'string',
-                  enum: ['normal', 'uniform', 'triangular'],
+                  enum: DISTRIBUTION_TYPES,
                   default: 'normal'
                 },
                 mean: {
@@ -74,7 +109,7 @@ export class MonteCarloSimulator {
                 },
                 std_dev: {
                   type: 'number',
-                  description: 'Standard deviation (for normal distribution)',
+                  description: 'Standard deviation (for normal and lognormal distributions)',
                   minimum: 0
                 },
                 min: {
@@ -93,15 +128,16 @@ export class MonteCarloSimulator {
                   minimum: 0
                 }
               },
-              required: ['type', 'mean']
+              required: ['type']
             },
             vacancy_rate: {
               type: 'object',
               description: 'Vacancy rate distribution (%)',
               properties: {
+                ...SHAPE_PROPERTIES,
                 type: {
                   type: 'string',
-                  enum: ['normal', 'uniform', 'triangular'],
+                  enum: DISTRIBUTION_TYPES,
                   default: 'triangular'
                 },
                 mean: {
@@ -141,9 +177,10 @@ export class MonteCarloSimulator {
               type: 'object',
               description: 'Annual operating expenses distribution',
               properties: {
+                ...SHAPE_PROPERTIES,
                 type: {
                   type: 'string',
-                  enum: ['normal', 'uniform', 'triangular'],
+                  enum: DISTRIBUTION_TYPES,
                   default: 'normal'
                 },
                 mean: {
@@ -167,15 +204,16 @@ export class MonteCarloSimulator {
                   minimum: 0
                 }
               },
-              required: ['type', 'mean']
+              required: ['type']
             },
             appreciation_rate: {
               type: 'object',
               description: 'Annual appreciation rate distribution (%)',
               properties: {
+                ...SHAPE_PROPERTIES,
                 type: {
                   type: 'string',
-                  enum: ['normal', 'uniform', 'triangular'],
+                  enum: DISTRIBUTION_TYPES,
                   default: 'normal'
                 },
                 mean: {
@@ -205,9 +243,10 @@ export class MonteCarloSimulator {
               type: 'object',
               description: 'Exit cap rate distribution (%)',
               properties: {
+                ...SHAPE_PROPERTIES,
                 type: {
                   type: 'string',
-                  enum: ['normal', 'uniform', 'triangular'],
+                  enum: DISTRIBUTION_TYPES,
                   default: 'normal'
                 },
                 mean: {
@@ -223,10 +262,94 @@ export class MonteCarloSimulator {
                   default: 1
                 }
               }
+            },
+            rent_growth: {
+              type: 'object',
+              description: 'Annual rent growth distribution (%); rent is flat over the hold when omitted',
+              properties: {
+                ...SHAPE_PROPERTIES,
+                type: {
+                  type: 'string',
+                  enum: DISTRIBUTION_TYPES,
+                  default: 'normal'
+                },
+                mean: {
+                  type: 'number',
+                  description: 'Mean annual rent growth'
+                },
+                std_dev: {
+                  type: 'number',
+                  description: 'Standard deviation',
+                  minimum: 0
+                }
+              }
             }
           },
           required: ['rental_income', 'operating_expenses']
         },
+        path_dynamics: {
+          type: 'object',
+          description: 'Year-by-year movement around each run\'s draws: vacancy reverts toward its drawn level, value follows a random walk around the drawn appreciation and rent takes yearly shocks. The volatilities default to zero, which holds every draw for the whole hold',
+          properties: {
+            vacancy_reversion_speed: {
+              type: 'number',
+              description: 'Share of the gap to the long-run vacancy rate closed each year',
+              minimum: 0,
+              maximum: 1,
+              default: 0.5
+            },
+            vacancy_volatility: {
+              type: 'number',
+              description: 'Standard deviation of the yearly vacancy shock (percentage points)',
+              minimum: 0,
+              default: 0
+            },
+            appreciation_volatility: {
+              type: 'number',
+              description: 'Standard deviation of each year\'s appreciation around the drawn rate (%)',
+              minimum: 0,
+              default: 0
+            },
+            rent_shock_volatility: {
+              type: 'number',
+              description: 'Standard deviation of the yearly rent shock on top of rent growth (%)',
+              minimum: 0,
+              default: 0
+            }
+          }
+        },
+        correlation_matrix: {
+          type: 'object',
+          description: 'Correlations between the uncertain variables, applied through a Gaussian copula so each keeps its own distribution',
+          properties: {
+            variables: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(VARIABLES) },
+              minItems: 2,
+              description: 'Variables in matrix order; each needs a distribution'
+            },
+            matrix: {
+              type: 'array',
+              items: { type: 'array', items: { type: 'number', minimum: -1, maximum: 1 } },
+              description: 'Symmetric, positive semi-definite correlation matrix with ones on the diagonal'
+            }
+          },
+          required: ['variables', 'matrix']
+        },
+        discrete_events: {
+          type: 'array',
+          description: 'One-off costs that may or may not happen, such as a roof replacement with a 30% chance in year 4',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              probability: { type: 'number', minimum: 0, maximum: 1, description: 'Chance the event happens' },
+              year: { type: 'integer', minimum: 1, description: 'Year of the hold it falls in', default: 1 },
+              cost: { type: 'number', description: 'Cash cost when it happens (negative for a windfall)' }
+            },
+            required: ['name', 'probability', 'cost']
+          }
+        },
         simulation_settings: {
           type: 'object',
           description: 'Monte Carlo simulation settings',
@@ -239,9 +362,16 @@ export class MonteCarloSimulator {
               default: 10000
             },
             random_seed: {
-              type: 'number',
-              description: 'Random seed for reproducibility',
-              default: null
+              type: 'integer',
+              description: 'Random seed for reproducibility; the same seed and inputs give identical results. A seed is generated and reported when omitted',
+              minimum: 0,
+              maximum: Number.MAX_SAFE_INTEGER
+            },
+            sampling_method: {
+              type: 'string',
+              enum: SAMPLING_METHODS,
+              description: 'random draws independently; antithetic pairs each run with its mirror image; latin_hypercube samples every equal-probability slice of each distribution once',
+              default: 'random'
             },
             confidence_levels: {
               type: 'array',
@@ -281,38 +411,100 @@ export class MonteCarloSimulator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        summary_statistics: { type: 'object', description: 'Mean, median, standard deviation and range per metric' },
+        distributions: { type: 'object', description: 'Histograms of simulated outcomes' },
+        risk_metrics: { type: 'object', description: 'Value at risk, probability of loss and downside metrics' },
+        probability_analysis: { type: 'object', description: 'Probability of reaching each target metric' },
+        correlations: { type: 'object', description: 'Correlation between input variables and outcomes' },
+        scenario_analysis: { type: 'object', description: 'Worst, best and percentile scenarios' },
+        confidence_intervals: { type: 'object', description: 'Confidence intervals at the requested levels' },
+        input_analysis: { type: 'object', description: 'Target and sampled rank correlations of correlated inputs, and how often each discrete event occurred' },
+        path_analysis: { type: 'object', description: 'Path settings, yearly percentile bands (fan chart) of equity, cash flow and cumulative return, and the chance of a negative cash flow year or an underwater loan during the hold' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' },
+        simulation_metadata: { type: 'object', description: 'Requested and completed simulations, simulations with no unique IRR, whether the run was cancelled early, and the seed, generator and sampling method that reproduce the run' }
+      },
+      required: [
+        'summary_statistics', 'distributions', 'risk_metrics', 'probability_analysis', 'correlations',
+        'scenario_analysis', 'confidence_intervals', 'input_analysis', 'path_analysis', 'recommendations',
+        'simulation_metadata'
+      ]
+    };
+  }
+
   calculate(params) {
+    return runToCompletion(this.simulationSteps(params));
+  }
+
+  // Same simulation as calculate(), reporting progress and stopping early when the signal aborts
+  simulate(params, { signal, onProgress } = {}) {
+    return runWithProgress(this.simulationSteps(params), { signal, onProgress });
+  }
+
+  *simulationSteps(params) {
     const {
       investment_parameters,
       variable_distributions,
+      correlation_matrix = null,
+      discrete_events = [],
+      path_dynamics = {},
       simulation_settings = {},
       target_metrics = {}
     } = params;
 
     const {
       num_simulations = 10000,
-      random_seed = null,
+      random_seed = generateSeed(),
+      sampling_method = 'random',
       confidence_levels = [5, 10, 25, 50, 75, 90, 95]
     } = simulation_settings;
 
     // Initialize random number generator
-    this.initializeRandom(random_seed);
-
-    // Run simulations
+    this.initializeRandom(random_seed, sampling_method, num_simulations);
+    const inputs = this.prepareInputs(
+      variable_distributions,
+      correlation_matrix,
+      discrete_events,
+      investment_parameters.holding_period_years ?? 5,
+      path_dynamics
+    );
+
+    // Run simulations, pausing every batch so callers can report progress or cancel
+    const batchSize = Math.max(100, Math.ceil(num_simulations / 20));
     const simulationResults = [];
+    let cancelled = false;
+
     for (let i = 0; i < num_simulations; i++) {
-      const scenario = this.generateScenario(variable_distributions);
+      this.sampler.nextRun();
+      const scenario = this.generateScenario(inputs);
       const results = this.calculateScenarioResults(investment_parameters, scenario);
       simulationResults.push(results);
+
+      const completed = i + 1;
+      if (completed % batchSize === 0 || completed === num_simulations) {
+        const stop = yield {
+          completed,
+          total: num_simulations,
+          message: `Completed ${completed} of ${num_simulations} simulations`
+        };
+        if (stop && completed < num_simulations) {
+          cancelled = true;
+          break;
+        }
+      }
     }
 
-    // Analyze results
+    // Analyze results (partial results when cancelled)
     const statistics = this.calculateStatistics(simulationResults);
     const distributions = this.analyzeDistributions(simulationResults);
     const riskMetrics = this.calculateRiskMetrics(simulationResults, confidence_levels);
     const probabilities = this.calculateProbabilities(simulationResults, target_metrics);
-    const correlations = this.calculateCorrelations(simulationResults);
+    const correlations = this.calculateCorrelations(simulationResults, this.correlationInputs(inputs));
     const scenarios = this.identifyKeyScenarios(simulationResults);
+    const pathAnalysis = this.analyzePaths(simulationResults, inputs);
 
     return {
       summary_statistics: statistics,
@@ -322,94 +514,114 @@ export class MonteCarloSimulator {
       correlations: correlations,
       scenario_analysis: scenarios,
       confidence_intervals: this.calculateConfidenceIntervals(simulationResults, confidence_levels),
-      recommendations: this.generateRecommendations(statistics, riskMetrics, probabilities),
+      input_analysis: this.analyzeInputs(simulationResults, inputs),
+      path_analysis: pathAnalysis,
+      recommendations: this.generateRecommendations(statistics, riskMetrics, probabilities, pathAnalysis),
       simulation_metadata: {
         num_simulations: num_simulations,
+        completed_simulations: simulationResults.length,
+        simulations_without_unique_irr: simulationResults.filter(r => r.irr === null).length,
+        cancelled: cancelled,
         random_seed: random_seed,
-        timestamp: new Date().toISOString()
+        generator: GENERATOR,
+        sampling_method: sampling_method
       }
     };
   }
 
-  initializeRandom(seed) {
-    // Simple seedable random number generator
-    this.seed = seed || Date.now();
-    this.random = () => {
-      this.seed = (this.seed * 9301 + 49297) % 233280;
-      return this.seed / 233280;
-    };
+  initializeRandom(seed, samplingMethod = 'random', runs = 1) {
+    this.sampler = new Sampler(new SeededRandom(seed), samplingMethod, runs);
   }
 
-  generateScenario(distributions) {
-    const scenario = {};
-
-    // Generate rental income
-    scenario.monthly_rent = this.sampleDistribution(distributions.rental_income);
-    
-    // Generate vacancy rate
-    scenario.vacancy_rate = distributions.vacancy_rate 
-      ? this.sampleDistribution(distributions.vacancy_rate)
-      : 5;
+  /**
+   * Resolve each variable's distribution, factor the correlation matrix and check the discrete events
+   * once, before the runs. Correlated variables are drawn through a Gaussian copula: correlated standard
+   * normals are mapped through each variable's own quantile function, so the marginals are unchanged.
+   */
+  prepareInputs(variableDistributions, correlationMatrix, discreteEvents, holdingYears, pathDynamics = {}) {
+    const distributions = {};
+    Object.entries(VARIABLES).forEach(([variable, { type }]) => {
+      const distribution = variableDistributions[variable];
+      if (distribution) distributions[variable] = resolveDistribution(variable, { type, ...distribution });
+    });
 
-    // Generate operating expenses
-    scenario.annual_expenses = this.sampleDistribution(distributions.operating_expenses);
+    let correlation = null;
+    if (correlationMatrix) {
+      const { variables, matrix } = correlationMatrix;
+      if (new Set(variables).size !== variables.length) {
+        throw new Error('correlation_matrix lists a variable more than once');
+      }
+      variables.forEach(variable => {
+        if (!distributions[variable]) {
+          throw new Error(`correlation_matrix includes ${variable}, which has no distribution in variable_distributions`);
+        }
+      });
+      if (matrix.length !== variables.length) {
+        throw new Error(`correlation_matrix has ${variables.length} variables but ${matrix.length} rows`);
+      }
+      correlation = { variables, matrix, lower: choleskyFactor(matrix) };
+    }
 
-    // Generate appreciation rate
-    scenario.appreciation_rate = distributions.appreciation_rate
-      ? this.sampleDistribution(distributions.appreciation_rate)
-      : 3;
+    discreteEvents.forEach(event => {
+      if ((event.year ?? 1) > holdingYears) {
+        throw new Error(`Event "${event.name}" falls in year ${event.year}, after the ${holdingYears}-year holding period`);
+      }
+    });
 
-    // Generate exit cap rate
-    scenario.exit_cap_rate = distributions.exit_cap_rate
-      ? this.sampleDistribution(distributions.exit_cap_rate)
-      : 6;
+    const dynamics = {
+      vacancy_reversion_speed: 0.5,
+      vacancy_volatility: 0,
+      appreciation_volatility: 0,
+      rent_shock_volatility: 0,
+      ...pathDynamics
+    };
 
-    return scenario;
+    return { distributions, correlation, events: discreteEvents, years: holdingYears, dynamics };
   }
 
-  sampleDistribution(distribution) {
-    const { type, mean, std_dev, min, max, mode } = distribution;
+  generateScenario(inputs) {
+    const { distributions, correlation, events, years, dynamics } = inputs;
 
-    switch (type) {
-      case 'normal':
-        return this.sampleNormal(mean, std_dev || mean * 0.1);
-      
-      case 'uniform':
-        return this.sampleUniform(min || mean * 0.8, max || mean * 1.2);
-      
-      case 'triangular':
-        return this.sampleTriangular(
-          min || mean * 0.8,
-          max || mean * 1.2,
-          mode || mean
-        );
-      
-      default:
-        return mean;
+    const correlated = new Map();
+    if (correlation) {
+      const draws = correlate(correlation.lower, correlation.variables.map(variable => this.sampler.normal(variable)));
+      correlation.variables.forEach((variable, i) => correlated.set(variable, draws[i]));
     }
-  }
 
-  sampleNormal(mean, stdDev) {
-    // Box-Muller transform
-    const u1 = this.random();
-    const u2 = this.random();
-    const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    return mean + z0 * stdDev;
-  }
+    const scenario = {};
+    Object.entries(VARIABLES).forEach(([variable, { input, fallback }]) => {
+      const distribution = distributions[variable];
+      if (!distribution) {
+        scenario[input] = fallback;
+      } else if (correlated.has(variable)) {
+        scenario[input] = fromStandardNormal(distribution, correlated.get(variable));
+      } else {
+        scenario[input] = this.sampleDistribution(distribution, variable);
+      }
+    });
 
-  sampleUniform(min, max) {
-    return min + this.random() * (max - min);
+    // Every event gets a draw each run, whether or not it happens, so the draws stay aligned across runs
+    scenario.events = events.filter((event, i) => this.sampler.uniform(`event:${i}`) < event.probability);
+
+    // Yearly shocks, scaled by their volatility; none are drawn for a zero volatility
+    const shocks = (series, volatility) => Array.from({ length: years }, (_, i) =>
+      (volatility > 0 ? this.sampler.normal(`${series}:${i + 1}`) * volatility : 0)
+    );
+    scenario.shocks = {
+      vacancy: shocks('vacancy_shock', dynamics.vacancy_volatility),
+      appreciation: shocks('appreciation_shock', dynamics.appreciation_volatility),
+      rent: shocks('rent_shock', dynamics.rent_shock_volatility)
+    };
+    scenario.vacancy_reversion_speed = dynamics.vacancy_reversion_speed;
+
+    return scenario;
   }
 
-  sampleTriangular(min, max, mode) {
-    const u = this.random();
-    const fc = (mode - min) / (max - min);
-    
-    if (u < fc) {
-      return min + Math.sqrt(u * (max - min) * (mode - min));
-    } else {
-      return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
-    }
+  // The variable name keys its draws, so antithetic and Latin hypercube sampling work per variable
+  sampleDistribution(distribution, variable) {
+    return isNormalBased(distribution)
+      ? fromStandardNormal(distribution, this.sampler.normal(variable))
+      : quantile(distribution, this.sampler.uniform(variable));
   }
 
   calculateScenarioResults(params, scenario) {
@@ -427,7 +639,11 @@ export class MonteCarloSimulator {
       vacancy_rate,
       annual_expenses,
       appreciation_rate,
-      exit_cap_rate
+      exit_cap_rate,
+      rent_growth = 0,
+      events = [],
+      shocks = {},
+      vacancy_reversion_speed = 0
     } = scenario;
 
     // Initial investment
@@ -438,134 +654,124 @@ export class MonteCarloSimulator {
     // Calculate monthly payment
     const monthly_rate = loan_interest_rate / 100 / 12;
     const num_payments = loan_term_years * 12;
-    let monthly_payment = 0;
-    
-    if (loan_amount > 0 && monthly_rate > 0) {
-      monthly_payment = loan_amount * (monthly_rate * Math.pow(1 + monthly_rate, num_payments)) / 
-                       (Math.pow(1 + monthly_rate, num_payments) - 1);
-    }
+    const monthly_payment = loan_amount > 0 ? levelPayment(loan_amount, monthly_rate, num_payments) : 0;
 
-    // Annual income and expenses
-    const annual_rental_income = monthly_rent * 12 * (1 - vacancy_rate / 100);
     const annual_debt_service = monthly_payment * 12;
-    const annual_cash_flow = annual_rental_income - annual_expenses - annual_debt_service;
-    const monthly_cash_flow = annual_cash_flow / 12;
+    const event_costs = events.reduce((sum, event) => sum + event.cost, 0);
 
-    // Build cash flows for IRR
+    // Walk the hold year by year: vacancy reverts toward the drawn rate, rent grows with a shock
+    // from year two, and value moves by the drawn appreciation plus that year's shock
     const cashFlows = [-total_cash_invested];
+    const path = { equity: [], cash_flow: [], cumulative_return: [] };
     let cumulative_cash_flow = 0;
+    let negative_cash_flow_years = 0;
+    let first_underwater_year = null;
+    let vacancy = vacancy_rate;
+    let rent = monthly_rent;
+    let value = purchase_price;
+    let year_income = 0;
+    let annual_cash_flow = 0;
 
     for (let year = 1; year <= holding_period_years; year++) {
-      if (year < holding_period_years) {
-        cashFlows.push(annual_cash_flow);
-        cumulative_cash_flow += annual_cash_flow;
-      } else {
-        // Exit year
-        const future_value = purchase_price * Math.pow(1 + appreciation_rate / 100, holding_period_years);
-        
-        // Calculate exit value using cap rate if provided
-        let exit_value = future_value;
-        if (exit_cap_rate > 0) {
-          const exit_noi = annual_rental_income - annual_expenses;
-          const cap_rate_value = exit_noi / (exit_cap_rate / 100);
-          exit_value = Math.min(future_value, cap_rate_value); // Conservative approach
-        }
-        
-        // Calculate remaining loan balance
-        const remaining_balance = this.calculateRemainingBalance(
-          loan_amount,
-          monthly_rate,
-          num_payments,
-          holding_period_years * 12
-        );
-        
-        const sale_proceeds = exit_value - remaining_balance;
-        cashFlows.push(annual_cash_flow + sale_proceeds);
-        cumulative_cash_flow += annual_cash_flow;
-      }
+      const shock = series => shocks[series]?.[year - 1] ?? 0;
+      vacancy = Math.min(100, Math.max(0,
+        vacancy + vacancy_reversion_speed * (vacancy_rate - vacancy) + shock('vacancy')));
+      if (year > 1) rent *= 1 + (rent_growth + shock('rent')) / 100;
+      value *= 1 + (appreciation_rate + shock('appreciation')) / 100;
+
+      year_income = rent * 12 * (1 - vacancy / 100);
+      const operating_cash_flow = year_income - annual_expenses - annual_debt_service;
+      // Year-one figures come from the path's first year, leaving out one-off event costs
+      if (year === 1) annual_cash_flow = operating_cash_flow;
+      const year_cash_flow = operating_cash_flow -
+        events.filter(event => (event.year ?? 1) === year).reduce((sum, event) => sum + event.cost, 0);
+      cashFlows.push(year_cash_flow);
+      cumulative_cash_flow += year_cash_flow;
+      if (year_cash_flow < 0) negative_cash_flow_years++;
+
+      const balance = this.calculateRemainingBalance(loan_amount, monthly_rate, num_payments, year * 12);
+      if (first_underwater_year === null && balance > value) first_underwater_year = year;
+      const equity = value - balance;
+      path.equity.push(equity);
+      path.cash_flow.push(year_cash_flow);
+      path.cumulative_return.push((cumulative_cash_flow + equity - total_cash_invested) / total_cash_invested * 100);
+    }
+
+    // Exit at the path's value, capped by the final year's NOI at the exit cap rate
+    let exit_value = value;
+    if (exit_cap_rate > 0) {
+      const exit_noi = year_income - annual_expenses;
+      const cap_rate_value = exit_noi / (exit_cap_rate / 100);
+      exit_value = Math.min(value, cap_rate_value); // Conservative approach
     }
 
+    // Calculate remaining loan balance
+    const remaining_balance = this.calculateRemainingBalance(
+      loan_amount,
+      monthly_rate,
+      num_payments,
+      holding_period_years * 12
+    );
+
+    const sale_proceeds = exit_value - remaining_balance;
+    cashFlows[holding_period_years] += sale_proceeds;
+
     // Calculate metrics
-    const irr = this.calculateIRR(cashFlows) * 100;
-    const total_return = ((cumulative_cash_flow + cashFlows[cashFlows.length - 1] - annual_cash_flow) / total_cash_invested) * 100;
+    const irrRate = this.calculateIRR(cashFlows);
+    const irr = irrRate === null ? null : irrRate * 100;
+    const total_profit = cumulative_cash_flow + sale_proceeds;
+    const total_return = (total_profit / total_cash_invested) * 100;
     const cash_on_cash = (annual_cash_flow / total_cash_invested) * 100;
-    const equity_multiple = (cumulative_cash_flow + cashFlows[cashFlows.length - 1] - annual_cash_flow + total_cash_invested) / total_cash_invested;
+    const equity_multiple = (total_profit + total_cash_invested) / total_cash_invested;
 
     return {
       irr: irr,
       total_return: total_return,
       cash_on_cash_return: cash_on_cash,
       equity_multiple: equity_multiple,
-      monthly_cash_flow: monthly_cash_flow,
+      monthly_cash_flow: annual_cash_flow / 12,
       annual_cash_flow: annual_cash_flow,
-      total_profit: cumulative_cash_flow + cashFlows[cashFlows.length - 1] - annual_cash_flow,
-      exit_value: cashFlows[cashFlows.length - 1] - annual_cash_flow,
+      total_profit: total_profit,
+      exit_value: sale_proceeds,
+      events: events,
+      path: path,
+      negative_cash_flow_years: negative_cash_flow_years,
+      first_underwater_year: first_underwater_year,
       // Include scenario inputs for correlation analysis
       inputs: {
         monthly_rent: monthly_rent,
         vacancy_rate: vacancy_rate,
         annual_expenses: annual_expenses,
         appreciation_rate: appreciation_rate,
-        exit_cap_rate: exit_cap_rate
+        exit_cap_rate: exit_cap_rate,
+        rent_growth: rent_growth,
+        event_costs: event_costs
       }
     };
   }
 
   calculateRemainingBalance(principal, monthlyRate, totalPayments, paymentsMade) {
-    if (monthlyRate === 0) {
-      return principal * (1 - paymentsMade / totalPayments);
-    }
-    
-    const monthlyPayment = principal * (monthlyRate * Math.pow(1 + monthlyRate, totalPayments)) / 
-                          (Math.pow(1 + monthlyRate, totalPayments) - 1);
-    
-    const remainingBalance = principal * Math.pow(1 + monthlyRate, paymentsMade) - 
-                           monthlyPayment * (Math.pow(1 + monthlyRate, paymentsMade) - 1) / monthlyRate;
-    
-    return Math.max(0, remainingBalance);
+    return remainingBalance(principal, monthlyRate, totalPayments, paymentsMade);
   }
 
+  // Null when the flows have no unique IRR
   calculateIRR(cashFlows) {
-    let rate = 0.1;
-    const maxIterations = 100;
-    const tolerance = 0.00001;
-
-    for (let i = 0; i < maxIterations; i++) {
-      let npv = 0;
-      let dnpv = 0;
-
-      for (let j = 0; j < cashFlows.length; j++) {
-        npv += cashFlows[j] / Math.pow(1 + rate, j);
-        if (j > 0) {
-          dnpv -= j * cashFlows[j] / Math.pow(1 + rate, j + 1);
-        }
-      }
-
-      if (Math.abs(npv) < tolerance) {
-        return rate;
-      }
-
-      const newRate = rate - npv / dnpv;
-      
-      if (Math.abs(newRate - rate) < tolerance) {
-        return newRate;
-      }
-      
-      // Bound the rate to prevent divergence
-      rate = Math.max(-0.99, Math.min(newRate, 10));
-    }
-
-    return rate;
+    return solveIRR(cashFlows).irr;
   }
 
+  // A metric no run defines (no unique IRR anywhere) is null rather than statistics of nothing
   calculateStatistics(results) {
     const metrics = ['irr', 'total_return', 'cash_on_cash_return', 'equity_multiple', 'monthly_cash_flow', 'total_profit'];
     const statistics = {};
 
     metrics.forEach(metric => {
-      const values = results.map(r => r[metric]);
+      const values = this.metricValues(results, metric);
       const sorted = [...values].sort((a, b) => a - b);
       const n = values.length;
+      if (n === 0) {
+        statistics[metric] = null;
+        return;
+      }
 
       statistics[metric] = {
         mean: this.mean(values),
@@ -581,6 +787,11 @@ export class MonteCarloSimulator {
     return statistics;
   }
 
+  // Simulations whose cash flows have no unique IRR are left out of the IRR figures
+  metricValues(results, metric) {
+    return results.map(r => r[metric]).filter(value => value !== null);
+  }
+
   mean(values) {
     return values.reduce((sum, val) => sum + val, 0) / values.length;
   }
@@ -614,7 +825,11 @@ export class MonteCarloSimulator {
     const metrics = ['irr', 'total_return', 'monthly_cash_flow'];
 
     metrics.forEach(metric => {
-      const values = results.map(r => r[metric]);
+      const values = this.metricValues(results, metric);
+      if (values.length === 0) {
+        distributions[metric] = null;
+        return;
+      }
       const histogram = this.createHistogram(values, 20);
       
       distributions[metric] = {
@@ -667,8 +882,12 @@ export class MonteCarloSimulator {
     
     // Value at Risk (VaR) for different metrics
     ['irr', 'total_return', 'monthly_cash_flow'].forEach(metric => {
-      const values = results.map(r => r[metric]);
+      const values = this.metricValues(results, metric);
       const sorted = [...values].sort((a, b) => a - b);
+      if (values.length === 0) {
+        metrics[metric] = null;
+        return;
+      }
       
       metrics[metric] = {
         value_at_risk: {},
@@ -718,7 +937,7 @@ export class MonteCarloSimulator {
     } = targets;
 
     const probabilities = {
-      irr_above_target: (results.filter(r => r.irr >= minimum_irr).length / results.length) * 100,
+      irr_above_target: (results.filter(r => r.irr !== null && r.irr >= minimum_irr).length / results.length) * 100,
       positive_cash_flow: (results.filter(r => r.monthly_cash_flow >= minimum_cash_flow).length / results.length) * 100,
       profitable_exit: (results.filter(r => r.total_profit > maximum_loss).length / results.length) * 100,
       double_money: (results.filter(r => r.equity_multiple >= 2).length / results.length) * 100,
@@ -727,7 +946,7 @@ export class MonteCarloSimulator {
 
     // Joint probabilities
     probabilities.meet_all_targets = (results.filter(r => 
-      r.irr >= minimum_irr && 
+      r.irr !== null && r.irr >= minimum_irr && 
       r.monthly_cash_flow >= minimum_cash_flow && 
       r.total_profit > maximum_loss
     ).length / results.length) * 100;
@@ -735,19 +954,19 @@ export class MonteCarloSimulator {
     return probabilities;
   }
 
-  calculateCorrelations(results) {
+  calculateCorrelations(results, inputs = ['monthly_rent', 'vacancy_rate', 'annual_expenses', 'appreciation_rate']) {
     const correlations = {};
     
     // Calculate correlations between inputs and outputs
-    const inputs = ['monthly_rent', 'vacancy_rate', 'annual_expenses', 'appreciation_rate'];
     const outputs = ['irr', 'total_return', 'monthly_cash_flow'];
 
     outputs.forEach(output => {
       correlations[output] = {};
-      const outputValues = results.map(r => r[output]);
+      const defined = results.filter(r => r[output] !== null);
+      const outputValues = defined.map(r => r[output]);
 
       inputs.forEach(input => {
-        const inputValues = results.map(r => r.inputs[input]);
+        const inputValues = defined.map(r => r.inputs[input]);
         correlations[output][input] = this.pearsonCorrelation(inputValues, outputValues);
       });
     });
@@ -769,6 +988,81 @@ export class MonteCarloSimulator {
     };
   }
 
+  // Inputs ranked against the outcomes; rent growth and event costs only when they vary
+  correlationInputs(inputs) {
+    const ranked = ['monthly_rent', 'vacancy_rate', 'annual_expenses', 'appreciation_rate'];
+    if (inputs.distributions.rent_growth) ranked.push('rent_growth');
+    if (inputs.events.length > 0) ranked.push('event_costs');
+    return ranked;
+  }
+
+  // Target against sampled Spearman rank correlations of the correlated inputs, and how often each event happened
+  analyzeInputs(results, inputs) {
+    const { correlation, events } = inputs;
+    const column = variable => results.map(r => r.inputs[VARIABLES[variable].input]);
+
+    return {
+      correlation: correlation && {
+        variables: correlation.variables,
+        target: correlation.matrix,
+        sampled_rank_correlation: correlation.variables.map(a => correlation.variables.map(b =>
+          (a === b ? 1 : parseFloat(this.rankCorrelation(column(a), column(b)).toFixed(3)))
+        ))
+      },
+      discrete_events: events.map(event => {
+        const occurrences = results.filter(r => r.events.includes(event)).length;
+        return {
+          name: event.name,
+          year: event.year ?? 1,
+          cost: event.cost,
+          probability: event.probability,
+          occurred_percent: results.length > 0 ? parseFloat((occurrences / results.length * 100).toFixed(2)) : 0
+        };
+      })
+    };
+  }
+
+  // Yearly percentile bands of each run's path, and how often a run had a losing year or owed more than the property was worth
+  analyzePaths(results, inputs) {
+    const share = count => (results.length > 0 ? parseFloat((count / results.length * 100).toFixed(2)) : 0);
+    const band = values => {
+      const { p5, p25, p50, p75, p95 } = this.calculatePercentiles(values, [5, 25, 50, 75, 95]);
+      return Object.fromEntries(Object.entries({ p5, p25, p50, p75, p95 }).map(([key, value]) => [key, parseFloat(value.toFixed(2))]));
+    };
+    const fan_chart = results.length === 0 ? [] : Array.from({ length: inputs.years }, (_, i) => ({
+      year: i + 1,
+      equity: band(results.map(r => r.path.equity[i])),
+      cash_flow: band(results.map(r => r.path.cash_flow[i])),
+      cumulative_return: band(results.map(r => r.path.cumulative_return[i]))
+    }));
+    const negativeYears = results.reduce((sum, r) => sum + r.negative_cash_flow_years, 0);
+
+    return {
+      dynamics: inputs.dynamics,
+      fan_chart,
+      probability_negative_cash_flow_year: share(results.filter(r => r.negative_cash_flow_years > 0).length),
+      probability_underwater_loan: share(results.filter(r => r.first_underwater_year !== null).length),
+      expected_negative_cash_flow_years: results.length > 0 ? parseFloat((negativeYears / results.length).toFixed(2)) : 0
+    };
+  }
+
+  // Spearman correlation: Pearson correlation of the ranks, with ties sharing their average rank
+  rankCorrelation(x, y) {
+    return this.pearsonCorrelation(this.ranks(x), this.ranks(y));
+  }
+
+  ranks(values) {
+    const order = values.map((value, i) => [value, i]).sort((a, b) => a[0] - b[0]);
+    const ranks = new Array(values.length);
+    for (let start = 0; start < order.length;) {
+      let end = start;
+      while (end + 1 < order.length && order[end + 1][0] === order[start][0]) end++;
+      for (let k = start; k <= end; k++) ranks[order[k][1]] = (start + end) / 2 + 1;
+      start = end + 1;
+    }
+    return ranks;
+  }
+
   pearsonCorrelation(x, y) {
     const n = x.length;
     const sumX = x.reduce((a, b) => a + b, 0);
@@ -784,8 +1078,9 @@ export class MonteCarloSimulator {
   }
 
   identifyKeyScenarios(results) {
-    const sorted_by_irr = [...results].sort((a, b) => b.irr - a.irr);
-    const n = results.length;
+    const ranked = results.filter(r => r.irr !== null);
+    const sorted_by_irr = (ranked.length > 0 ? ranked : [...results]).sort((a, b) => b.irr - a.irr);
+    const n = sorted_by_irr.length;
 
     return {
       best_case: this.formatScenario(sorted_by_irr[0], 'Best Case'),
@@ -801,7 +1096,7 @@ export class MonteCarloSimulator {
       label: label,
       inputs: result.inputs,
       outputs: {
-        irr: parseFloat(result.irr.toFixed(2)),
+        irr: result.irr === null ? null : parseFloat(result.irr.toFixed(2)),
         total_return: parseFloat(result.total_return.toFixed(2)),
         monthly_cash_flow: parseFloat(result.monthly_cash_flow.toFixed(2)),
         equity_multiple: parseFloat(result.equity_multiple.toFixed(2))
@@ -814,8 +1109,12 @@ export class MonteCarloSimulator {
     const metrics = ['irr', 'total_return', 'monthly_cash_flow'];
 
     metrics.forEach(metric => {
-      const values = results.map(r => r[metric]);
+      const values = this.metricValues(results, metric);
       const sorted = [...values].sort((a, b) => a - b);
+      if (values.length === 0) {
+        intervals[metric] = null;
+        return;
+      }
       intervals[metric] = {};
 
       levels.forEach(level => {
@@ -833,11 +1132,18 @@ export class MonteCarloSimulator {
     return intervals;
   }
 
-  generateRecommendations(statistics, riskMetrics, probabilities) {
+  generateRecommendations(statistics, riskMetrics, probabilities, pathAnalysis) {
     const recommendations = [];
 
     // IRR recommendations
-    if (statistics.irr.mean > 15) {
+    if (statistics.irr === null) {
+      recommendations.push({
+        type: 'Performance',
+        priority: 'High',
+        message: 'No unique IRR in any simulated run, so IRR statistics are not reported',
+        action: 'Each run\'s cash flows never turn positive or change sign more than once; check the rent, expenses and exit assumptions and judge the deal on total return and cash flow'
+      });
+    } else if (statistics.irr.mean > 15) {
       recommendations.push({
         type: 'Performance',
         priority: 'High',
@@ -854,7 +1160,7 @@ export class MonteCarloSimulator {
     }
 
     // Risk recommendations
-    if (riskMetrics.irr.probability_of_loss > 20) {
+    if (riskMetrics.irr?.probability_of_loss > 20) {
       recommendations.push({
         type: 'Risk',
         priority: 'High',
@@ -871,10 +1177,27 @@ export class MonteCarloSimulator {
         message: `Only ${probabilities.positive_cash_flow.toFixed(1)}% chance of positive cash flow`,
         action: 'Prepare for potential negative cash flow periods'
       });
+    } else if (pathAnalysis.probability_negative_cash_flow_year > 25) {
+      recommendations.push({
+        type: 'Cash Flow',
+        priority: 'Medium',
+        message: `Year one cash flow is usually positive, but there is a ${pathAnalysis.probability_negative_cash_flow_year.toFixed(1)}% chance of at least one negative year during the hold`,
+        action: 'Hold reserves to carry the property through weak years'
+      });
+    }
+
+    // Leverage recommendations
+    if (pathAnalysis.probability_underwater_loan > 10) {
+      recommendations.push({
+        type: 'Leverage Risk',
+        priority: 'High',
+        message: `${pathAnalysis.probability_underwater_loan.toFixed(1)}% chance the loan balance exceeds the property value at some point`,
+        action: 'Consider a larger down payment; an underwater loan rules out selling or refinancing without bringing cash'
+      });
     }
 
     // Volatility recommendations
-    const irr_cv = statistics.irr.std_dev / Math.abs(statistics.irr.mean);
+    const irr_cv = statistics.irr ? statistics.irr.std_dev / Math.abs(statistics.irr.mean) : 0;
     if (irr_cv > 0.5) {
       recommendations.push({
         type: 'Volatility',
@@ -885,7 +1208,7 @@ export class MonteCarloSimulator {
     }
 
     // Downside protection
-    const var_10 = riskMetrics.irr.value_at_risk.var_10;
+    const var_10 = riskMetrics.irr?.value_at_risk.var_10;
     if (var_10 < 0) {
       recommendations.push({
         type: 'Downside Risk',
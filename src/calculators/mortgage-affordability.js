@@ -1,3 +1,5 @@
+import { loanAmountForPayment } from '../amortization.js';
+
 export class MortgageAffordabilityCalculator {
   getSchema() {
     return {
@@ -80,6 +82,26 @@ export class MortgageAffordabilityCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        income_analysis: { type: 'object', description: 'Gross and net monthly income for all borrowers' },
+        debt_analysis: { type: 'object', description: 'Monthly debt obligations by category' },
+        affordability_results: { type: 'object', description: 'Maximum home price, loan amount and down payment' },
+        monthly_payment_breakdown: { type: 'object', description: 'PITI, PMI and HOA components' },
+        debt_to_income_ratios: { type: 'object', description: 'Front-end and back-end DTI against limits' },
+        alternative_scenarios: { type: 'object', description: 'Conservative, moderate and aggressive price targets' },
+        loan_details: { type: 'object', description: 'Loan terms used in the analysis' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'income_analysis', 'debt_analysis', 'affordability_results', 'monthly_payment_breakdown',
+        'debt_to_income_ratios', 'alternative_scenarios', 'loan_details', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       annual_income,
@@ -133,7 +155,7 @@ export class MortgageAffordabilityCalculator {
     // Calculate max loan amount
     const monthlyRate = interest_rate / 100 / 12;
     const numPayments = loan_term * 12;
-    const maxLoanAmount = availableForPI * ((1 - Math.pow(1 + monthlyRate, -numPayments)) / monthlyRate);
+    const maxLoanAmount = loanAmountForPayment(availableForPI, monthlyRate, numPayments);
     
     // Calculate max home price based on down payment
     let maxHomePrice;
@@ -161,7 +183,7 @@ export class MortgageAffordabilityCalculator {
     // Calculate prices for each scenario
     const calculatePriceForPayment = (payment) => {
       const availablePI = payment - actualMonthlyTax - monthlyInsurance - actualMonthlyPMI - monthlyHOA;
-      const loanAmt = availablePI * ((1 - Math.pow(1 + monthlyRate, -numPayments)) / monthlyRate);
+      const loanAmt = loanAmountForPayment(availablePI, monthlyRate, numPayments);
       return down_payment_percent > 0 ? loanAmt / (1 - down_payment_percent / 100) : loanAmt + down_payment;
     };
 
@@ -1,3 +1,7 @@
+import { PERIODS_PER_YEAR, modifiedIRR, presentValue, solveIRR, yearFraction } from '../financial-math.js';
+
+const PERIOD_UNITS = { annual: 'years', quarterly: 'quarters', monthly: 'months', dated: 'years' };
+
 export class NPVCalculator {
   constructor() {
     this.name = 'NPV Calculator';
@@ -15,13 +19,18 @@ export class NPVCalculator {
         },
         cash_flows: {
           type: 'array',
-          description: 'Array of future cash flows by period',
+          description: 'Array of future cash flows by period number, or by date for irregular timing (XNPV)',
           items: {
             type: 'object',
             properties: {
               period: {
                 type: 'number',
-                description: 'Period number (year, month, etc.)'
+                description: 'Period number (year, quarter or month; see periodicity)'
+              },
+              date: {
+                type: 'string',
+                format: 'date',
+                description: 'Date of the cash flow (YYYY-MM-DD), instead of a period number'
               },
               amount: {
                 type: 'number',
@@ -32,16 +41,27 @@ export class NPVCalculator {
                 description: 'Optional description of cash flow'
               }
             },
-            required: ['period', 'amount']
+            required: ['amount']
           }
         },
         discount_rate: {
           type: 'number',
-          description: 'Required rate of return (discount rate) as percentage',
+          description: 'Required annual rate of return (discount rate) as percentage',
           minimum: 0,
           maximum: 50,
           default: 10
         },
+        periodicity: {
+          type: 'string',
+          enum: ['annual', 'quarterly', 'monthly'],
+          description: 'Length of one period for period-numbered cash flows; discount_rate stays annual',
+          default: 'annual'
+        },
+        investment_date: {
+          type: 'string',
+          format: 'date',
+          description: 'Date of the initial investment; required with dated cash flows'
+        },
         terminal_value: {
           type: 'number',
           description: 'Expected sale/terminal value at end of analysis period',
@@ -53,6 +73,11 @@ export class NPVCalculator {
           description: 'Period when terminal value is realized',
           minimum: 1
         },
+        terminal_date: {
+          type: 'string',
+          format: 'date',
+          description: 'Date the terminal value is realized, for dated cash flows'
+        },
         inflation_rate: {
           type: 'number',
           description: 'Annual inflation rate for real NPV calculation (%)',
@@ -64,43 +89,58 @@ export class NPVCalculator {
           type: 'number',
           description: 'Alternative investment amount for opportunity cost analysis',
           minimum: 0
+        },
+        finance_rate: {
+          type: 'number',
+          description: 'Rate paid to fund negative cash flows, for the modified IRR (%, defaults to discount_rate)',
+          minimum: 0,
+          maximum: 100
+        },
+        reinvestment_rate: {
+          type: 'number',
+          description: 'Rate earned on reinvested cash flows, for the modified IRR (%, defaults to discount_rate)',
+          minimum: 0,
+          maximum: 100
         }
       },
       required: ['initial_investment', 'cash_flows', 'discount_rate']
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        npv_analysis: { type: 'object', description: 'Net present value (XNPV for dated cash flows) and real NPV' },
+        investment_metrics: { type: 'object', description: 'Annual IRR, modified IRR and profitability index' },
+        payback_analysis: { type: 'object', description: 'Simple and discounted payback in periods and years' },
+        decision_criteria: { type: 'object', description: 'Accept/reject decision and rationale' },
+        sensitivity_analysis: { type: 'object', description: 'NPV across discount rates' },
+        opportunity_cost: { type: ['object', 'null'], description: 'Comparison against an alternative investment' },
+        cash_flow_schedule: { type: 'array', description: 'Discounted cash flows by period or date' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'npv_analysis', 'investment_metrics', 'payback_analysis', 'decision_criteria',
+        'sensitivity_analysis', 'opportunity_cost', 'cash_flow_schedule', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       initial_investment,
-      cash_flows,
       discount_rate,
-      terminal_value = 0,
-      terminal_period,
       inflation_rate = 0,
-      comparison_investment
+      comparison_investment,
+      finance_rate = discount_rate,
+      reinvestment_rate = discount_rate
     } = params;
 
-    // Sort cash flows by period
-    const sortedCashFlows = [...cash_flows].sort((a, b) => a.period - b.period);
-
-    // Add terminal value if provided
-    if (terminal_value > 0 && terminal_period) {
-      const existingTerminalFlow = sortedCashFlows.find(cf => cf.period === terminal_period);
-      if (existingTerminalFlow) {
-        existingTerminalFlow.amount += terminal_value;
-        existingTerminalFlow.description = `${existingTerminalFlow.description || 'Cash flow'} + Terminal value`;
-      } else {
-        sortedCashFlows.push({
-          period: terminal_period,
-          amount: terminal_value,
-          description: 'Terminal value'
-        });
-        sortedCashFlows.sort((a, b) => a.period - b.period);
-      }
-    }
+    // Sort cash flows by time, with any terminal value folded in
+    const { timing, cashFlows: sortedCashFlows } = this.normalizeCashFlows(params);
 
-    // Calculate nominal NPV
+    // Calculate nominal NPV (XNPV for dated cash flows)
     const nominalNPV = this.calculateNPV(initial_investment, sortedCashFlows, discount_rate / 100);
 
     // Calculate real NPV (adjusted for inflation)
@@ -117,18 +157,23 @@ export class NPVCalculator {
     const netCashFlow = totalCashInflows - totalCashOutflows;
     const profitabilityIndex = totalCashInflows > 0 ? (nominalNPV + Math.abs(initial_investment)) / Math.abs(initial_investment) : 0;
 
-    // Modified IRR calculation
-    const irr = this.calculateModifiedIRR(initial_investment, sortedCashFlows, discount_rate / 100);
+    // IRR, and the modified IRR with separate finance and reinvestment rates
+    const irrResult = this.calculateIRR(initial_investment, sortedCashFlows);
+    const irr = irrResult.irr;
+    const mirr = this.calculateMIRR(initial_investment, sortedCashFlows, finance_rate / 100, reinvestment_rate / 100);
 
-    // Payback period
-    const paybackPeriod = this.calculatePaybackPeriod(initial_investment, sortedCashFlows);
-    const discountedPayback = this.calculateDiscountedPaybackPeriod(initial_investment, sortedCashFlows, discount_rate / 100);
+    // Payback period, in periods (or years for dated cash flows)
+    const perYear = timing === 'dated' ? 1 : PERIODS_PER_YEAR[timing];
+    const paybackPeriod = this.calculatePaybackPeriod(initial_investment, sortedCashFlows, timing);
+    const discountedPayback = this.calculateDiscountedPaybackPeriod(initial_investment, sortedCashFlows, discount_rate / 100, timing);
+    const paybackYears = paybackPeriod === null ? null : paybackPeriod / perYear;
+    const discountedPaybackYears = discountedPayback === null ? null : discountedPayback / perYear;
 
     // Sensitivity analysis
     const sensitivity = this.performSensitivityAnalysis(initial_investment, sortedCashFlows, discount_rate / 100);
 
     // Decision analysis
-    const decision = this.analyzeDecision(nominalNPV, irr, profitabilityIndex, paybackPeriod);
+    const decision = this.analyzeDecision(nominalNPV, irr, profitabilityIndex, paybackYears, irrResult.message);
 
     // Opportunity cost analysis
     let opportunityCost = null;
@@ -146,7 +191,8 @@ export class NPVCalculator {
       initial_investment,
       sortedCashFlows,
       discount_rate / 100,
-      inflation_rate / 100
+      inflation_rate / 100,
+      params.investment_date ?? null
     );
 
     return {
@@ -157,7 +203,8 @@ export class NPVCalculator {
           ? "Positive NPV - Investment adds value"
           : "Negative NPV - Investment destroys value",
         discount_rate_used: discount_rate,
-        real_discount_rate: inflation_rate > 0 ? parseFloat(realDiscountRate.toFixed(2)) : null
+        real_discount_rate: inflation_rate > 0 ? parseFloat(realDiscountRate.toFixed(2)) : null,
+        cash_flow_timing: timing
       },
       investment_metrics: {
         initial_investment: initial_investment,
@@ -165,11 +212,19 @@ export class NPVCalculator {
         total_cash_outflows: parseFloat(totalCashOutflows.toFixed(2)),
         net_cash_flow: parseFloat(netCashFlow.toFixed(2)),
         profitability_index: parseFloat(profitabilityIndex.toFixed(3)),
-        modified_irr: parseFloat((irr * 100).toFixed(2))
+        irr: irr === null ? null : parseFloat((irr * 100).toFixed(2)),
+        irr_status: irrResult.status,
+        all_irrs: irrResult.irrs.map(rate => parseFloat((rate * 100).toFixed(2))),
+        modified_irr: mirr === null ? null : parseFloat((mirr * 100).toFixed(2)),
+        finance_rate: finance_rate,
+        reinvestment_rate: reinvestment_rate
       },
       payback_analysis: {
         simple_payback_period: paybackPeriod,
         discounted_payback_period: discountedPayback,
+        period_unit: PERIOD_UNITS[timing],
+        simple_payback_years: paybackYears === null ? null : parseFloat(paybackYears.toFixed(2)),
+        discounted_payback_years: discountedPaybackYears === null ? null : parseFloat(discountedPaybackYears.toFixed(2)),
         payback_achieved: paybackPeriod !== null
       },
       decision_criteria: decision,
@@ -180,71 +235,100 @@ export class NPVCalculator {
         nominalNPV,
         irr,
         profitabilityIndex,
-        paybackPeriod,
+        paybackYears,
         sensitivity
       )
     };
   }
 
-  calculateNPV(initialInvestment, cashFlows, discountRate) {
-    let npv = initialInvestment;
-    
-    cashFlows.forEach(cf => {
-      const presentValue = cf.amount / Math.pow(1 + discountRate, cf.period);
-      npv += presentValue;
-    });
+  /**
+   * Period-numbered cash flows sit at period / periods-per-year; dated ones at
+   * actual/365 year fractions from investment_date, as in XNPV
+   */
+  normalizeCashFlows(params) {
+    const {
+      cash_flows,
+      periodicity = 'annual',
+      investment_date,
+      terminal_value = 0,
+      terminal_period,
+      terminal_date
+    } = params;
+    const dated = cash_flows.some(cf => cf.date !== undefined);
 
-    return npv;
-  }
+    if (dated) {
+      if (cash_flows.some(cf => cf.date === undefined)) {
+        throw new Error('Give every cash flow a date, or none of them; dated and period-numbered cash flows cannot be mixed');
+      }
+      if (!investment_date) {
+        throw new Error('investment_date is required when cash flows are dated');
+      }
+    } else if (cash_flows.some(cf => cf.period === undefined)) {
+      throw new Error('Each cash flow needs a period, or a date with investment_date');
+    }
 
-  calculateRealDiscountRate(nominalRate, inflationRate) {
-    return ((1 + nominalRate) / (1 + inflationRate)) - 1;
-  }
+    const perYear = PERIODS_PER_YEAR[periodicity];
+    const toYears = cf => dated ? yearFraction(investment_date, cf.date) : cf.period / perYear;
+    const cashFlows = cash_flows.map(cf => ({ ...cf, years: toYears(cf) }));
 
-  calculateModifiedIRR(initialInvestment, cashFlows, discountRate) {
-    // Build complete cash flow array
-    const allCashFlows = [initialInvestment];
-    let maxPeriod = Math.max(...cashFlows.map(cf => cf.period));
-    
-    for (let period = 1; period <= maxPeriod; period++) {
-      const periodFlow = cashFlows.find(cf => cf.period === period);
-      allCashFlows.push(periodFlow ? periodFlow.amount : 0);
+    const early = cashFlows.find(cf => cf.years < 0);
+    if (early) {
+      throw new Error(`Cash flow dated ${early.date} falls before investment_date ${investment_date}`);
     }
 
-    // Use Newton's method to find IRR
-    let rate = 0.1; // Initial guess
-    const maxIterations = 100;
-    const tolerance = 0.00001;
+    // Add terminal value if provided
+    const terminalKey = dated ? terminal_date : terminal_period;
+    if (terminal_value > 0 && terminalKey) {
+      const existingTerminalFlow = cashFlows.find(cf => (dated ? cf.date : cf.period) === terminalKey);
+      if (existingTerminalFlow) {
+        existingTerminalFlow.amount += terminal_value;
+        existingTerminalFlow.description = `${existingTerminalFlow.description || 'Cash flow'} + Terminal value`;
+      } else {
+        cashFlows.push({
+          ...(dated ? { date: terminal_date } : { period: terminal_period }),
+          amount: terminal_value,
+          description: 'Terminal value',
+          years: toYears(dated ? { date: terminal_date } : { period: terminal_period })
+        });
+      }
+    }
 
-    for (let i = 0; i < maxIterations; i++) {
-      let npv = 0;
-      let dnpv = 0;
+    cashFlows.sort((a, b) => a.years - b.years);
+    return { timing: dated ? 'dated' : periodicity, cashFlows };
+  }
 
-      for (let j = 0; j < allCashFlows.length; j++) {
-        npv += allCashFlows[j] / Math.pow(1 + rate, j);
-        if (j > 0) {
-          dnpv -= j * allCashFlows[j] / Math.pow(1 + rate, j + 1);
-        }
-      }
+  calculateNPV(initialInvestment, cashFlows, discountRate) {
+    return initialInvestment + presentValue(cashFlows.map(cf => cf.amount), discountRate, cashFlows.map(cf => cf.years));
+  }
 
-      const newRate = rate - npv / dnpv;
-      
-      if (Math.abs(newRate - rate) < tolerance) {
-        return newRate;
-      }
-      
-      rate = newRate;
-    }
+  calculateRealDiscountRate(nominalRate, inflationRate) {
+    return ((1 + nominalRate) / (1 + inflationRate)) - 1;
+  }
+
+  calculateIRR(initialInvestment, cashFlows) {
+    return solveIRR(
+      [initialInvestment, ...cashFlows.map(cf => cf.amount)],
+      { times: [0, ...cashFlows.map(cf => cf.years)] }
+    );
+  }
 
-    return rate;
+  calculateMIRR(initialInvestment, cashFlows, financeRate, reinvestmentRate) {
+    return modifiedIRR(
+      [initialInvestment, ...cashFlows.map(cf => cf.amount)],
+      financeRate,
+      reinvestmentRate,
+      [0, ...cashFlows.map(cf => cf.years)]
+    );
   }
 
-  calculatePaybackPeriod(initialInvestment, cashFlows) {
+  // A period's cash flow accrues across that period; a dated one lands on its date
+  calculatePaybackPeriod(initialInvestment, cashFlows, timing) {
     let cumulativeCashFlow = initialInvestment;
     
     for (const cf of cashFlows) {
       cumulativeCashFlow += cf.amount;
       if (cumulativeCashFlow >= 0) {
+        if (timing === 'dated') return parseFloat(cf.years.toFixed(2));
         // Interpolate for fractional period
         const previousCumulative = cumulativeCashFlow - cf.amount;
         const fraction = -previousCumulative / cf.amount;
@@ -255,14 +339,15 @@ export class NPVCalculator {
     return null; // Payback not achieved
   }
 
-  calculateDiscountedPaybackPeriod(initialInvestment, cashFlows, discountRate) {
+  calculateDiscountedPaybackPeriod(initialInvestment, cashFlows, discountRate, timing) {
     let cumulativePV = initialInvestment;
     
     for (const cf of cashFlows) {
-      const presentValue = cf.amount / Math.pow(1 + discountRate, cf.period);
+      const presentValue = cf.amount / Math.pow(1 + discountRate, cf.years);
       cumulativePV += presentValue;
       
       if (cumulativePV >= 0) {
+        if (timing === 'dated') return parseFloat(cf.years.toFixed(2));
         // Interpolate for fractional period
         const previousCumulative = cumulativePV - presentValue;
         const fraction = -previousCumulative / presentValue;
@@ -365,7 +450,7 @@ export class NPVCalculator {
     return mostSensitive;
   }
 
-  analyzeDecision(npv, irr, profitabilityIndex, paybackPeriod) {
+  analyzeDecision(npv, irr, profitabilityIndex, paybackYears, irrNote) {
     const criteria = [];
     let acceptCount = 0;
     let rejectCount = 0;
@@ -390,8 +475,15 @@ export class NPVCalculator {
     }
 
     // IRR criterion (assuming 10% hurdle rate if not specified)
-    const irrPercent = irr * 100;
-    if (irrPercent > 10) {
+    const irrPercent = irr === null ? null : irr * 100;
+    if (irrPercent === null) {
+      criteria.push({
+        criterion: 'IRR',
+        value: 'No unique IRR',
+        decision: 'Caution',
+        reason: irrNote
+      });
+    } else if (irrPercent > 10) {
       criteria.push({
         criterion: 'IRR',
         value: `${irrPercent.toFixed(2)}%`,
@@ -429,18 +521,18 @@ export class NPVCalculator {
     }
 
     // Payback period criterion (assuming 5-year maximum acceptable)
-    if (paybackPeriod && paybackPeriod <= 5) {
+    if (paybackYears !== null && paybackYears <= 5) {
       criteria.push({
         criterion: 'Payback Period',
-        value: `${paybackPeriod.toFixed(1)} periods`,
+        value: `${paybackYears.toFixed(1)} years`,
         decision: 'Accept',
         reason: 'Payback within acceptable timeframe'
       });
       acceptCount++;
-    } else if (paybackPeriod) {
+    } else if (paybackYears !== null) {
       criteria.push({
         criterion: 'Payback Period',
-        value: `${paybackPeriod.toFixed(1)} periods`,
+        value: `${paybackYears.toFixed(1)} years`,
         decision: 'Caution',
         reason: 'Long payback period increases risk'
       });
@@ -471,9 +563,9 @@ export class NPVCalculator {
     const currentNPV = this.calculateNPV(initialInvestment, cashFlows, discountRate);
     
     // Calculate future value of alternative investment
-    const maxPeriod = Math.max(...cashFlows.map(cf => cf.period));
-    const alternativeFV = alternativeInvestment * Math.pow(1 + discountRate, maxPeriod);
-    const alternativeNPV = alternativeFV / Math.pow(1 + discountRate, maxPeriod) - alternativeInvestment;
+    const horizon = Math.max(...cashFlows.map(cf => cf.years));
+    const alternativeFV = alternativeInvestment * Math.pow(1 + discountRate, horizon);
+    const alternativeNPV = alternativeFV / Math.pow(1 + discountRate, horizon) - alternativeInvestment;
 
     return {
       current_investment_npv: parseFloat(currentNPV.toFixed(2)),
@@ -483,9 +575,11 @@ export class NPVCalculator {
     };
   }
 
-  buildCashFlowSchedule(initialInvestment, cashFlows, discountRate, inflationRate) {
+  buildCashFlowSchedule(initialInvestment, cashFlows, discountRate, inflationRate, investmentDate) {
     const schedule = [{
       period: 0,
+      date: investmentDate,
+      years: 0,
       description: 'Initial Investment',
       cash_flow: initialInvestment,
       present_value: initialInvestment,
@@ -495,14 +589,17 @@ export class NPVCalculator {
 
     let cumulativePV = initialInvestment;
     
-    cashFlows.forEach(cf => {
-      const discountFactor = 1 / Math.pow(1 + discountRate, cf.period);
+    cashFlows.forEach((cf, index) => {
+      const discountFactor = 1 / Math.pow(1 + discountRate, cf.years);
       const presentValue = cf.amount * discountFactor;
       cumulativePV += presentValue;
+      const period = cf.period ?? index + 1;
 
       schedule.push({
-        period: cf.period,
-        description: cf.description || `Period ${cf.period} cash flow`,
+        period: period,
+        date: cf.date ?? null,
+        years: parseFloat(cf.years.toFixed(2)),
+        description: cf.description || (cf.date ? `Cash flow on ${cf.date}` : `Period ${period} cash flow`),
         cash_flow: parseFloat(cf.amount.toFixed(2)),
         present_value: parseFloat(presentValue.toFixed(2)),
         cumulative_pv: parseFloat(cumulativePV.toFixed(2)),
@@ -513,7 +610,7 @@ export class NPVCalculator {
     return schedule;
   }
 
-  generateRecommendations(npv, irr, profitabilityIndex, paybackPeriod, sensitivity) {
+  generateRecommendations(npv, irr, profitabilityIndex, paybackYears, sensitivity) {
     const recommendations = [];
 
     // NPV-based recommendations
@@ -534,8 +631,15 @@ export class NPVCalculator {
     }
 
     // IRR recommendations
-    const irrPercent = irr * 100;
-    if (irrPercent > 20) {
+    const irrPercent = irr === null ? null : irr * 100;
+    if (irrPercent === null) {
+      recommendations.push({
+        type: 'Caution',
+        category: 'Returns',
+        message: 'These cash flows have no unique IRR',
+        action: 'Use NPV and the modified IRR to judge the return'
+      });
+    } else if (irrPercent > 20) {
       recommendations.push({
         type: 'Positive',
         category: 'Returns',
@@ -569,18 +673,18 @@ export class NPVCalculator {
     }
 
     // Payback recommendations
-    if (!paybackPeriod) {
+    if (paybackYears === null) {
       recommendations.push({
         type: 'Warning',
         category: 'Liquidity',
         message: 'Investment never fully recovers initial capital',
         action: 'Only proceed if strategic value justifies the loss'
       });
-    } else if (paybackPeriod > 7) {
+    } else if (paybackYears > 7) {
       recommendations.push({
         type: 'Caution',
         category: 'Liquidity',
-        message: `Long ${paybackPeriod.toFixed(1)}-period payback increases risk`,
+        message: `Long ${paybackYears.toFixed(1)}-year payback increases risk`,
         action: 'Ensure you have adequate liquidity for the duration'
       });
     }
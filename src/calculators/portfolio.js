@@ -1,23 +1,493 @@
+/**
+ * Portfolio Growth Simulator
+ * Month-by-month acquisition model reported as a year-by-year ledger
+ */
+
+import { levelPayment } from '../amortization.js';
+
+const PERCENT = { type: 'number', minimum: 0, maximum: 100 };
+
 export class PortfolioSimulator {
   getSchema() {
     return {
       type: 'object',
       properties: {
-        starting_capital: { type: 'number', description: 'Initial investment capital' },
-        years_to_project: { type: 'number', description: 'Number of years to project', default: 20 }
+        starting_capital: { type: 'number', minimum: 0, description: 'Initial investment capital' },
+        annual_savings: { type: 'number', minimum: 0, description: 'New savings added to investable cash each year', default: 0 },
+        years_to_project: { type: 'number', minimum: 1, maximum: 50, description: 'Number of years to project', default: 20 },
+        initial_property_value: { type: 'number', minimum: 1, description: 'Price of a typical property today; later purchases cost the appreciated price', default: 250000 },
+        annual_appreciation: { ...PERCENT, description: 'Annual property appreciation (%)', default: 3 },
+        annual_rent_growth: { ...PERCENT, description: 'Annual rent increase, applied on each purchase anniversary (%)', default: 3 },
+        target_cash_flow_per_property: {
+          type: 'number',
+          description: 'Minimum monthly cash flow per property. Purchases put down more than the minimum when needed to reach it, and cash-out refinances may not drop below it',
+          default: 0
+        },
+        acquisition_pace_years: { type: 'number', minimum: 0, description: 'Minimum years between purchases (0 buys whenever cash allows, at most one property a month)', default: 1 },
+        financing: {
+          type: 'object',
+          properties: {
+            down_payment_percent: { ...PERCENT, description: 'Minimum down payment (%)', default: 25 },
+            interest_rate: { ...PERCENT, description: 'Purchase mortgage rate (%)', default: 7 },
+            loan_term_years: { type: 'number', minimum: 1, maximum: 40, description: 'Purchase mortgage term', default: 30 },
+            closing_cost_percent: { ...PERCENT, description: 'Purchase closing costs (% of price)', default: 3 }
+          }
+        },
+        operations: {
+          type: 'object',
+          properties: {
+            monthly_rent_percent: { ...PERCENT, description: 'Starting monthly rent as a % of price (1 = the 1% rule)', default: 0.9 },
+            vacancy_rate: { ...PERCENT, description: 'Vacancy and credit loss (%)', default: 5 },
+            expense_ratio: { ...PERCENT, description: 'Taxes, insurance, maintenance, management and capex (% of gross rent)', default: 35 },
+            cash_flow_reinvestment_percent: { ...PERCENT, description: 'Share of positive cash flow kept for the next purchase; the rest is withdrawn', default: 100 }
+          }
+        },
+        refinance: {
+          type: 'object',
+          description: 'Cash-out refinancing to pull equity for more purchases',
+          properties: {
+            enabled: { type: 'boolean', default: false },
+            max_ltv: { ...PERCENT, description: 'Loan-to-value of the new loan (%)', default: 75 },
+            seasoning_years: { type: 'number', minimum: 0, description: 'Years since purchase or the last refinance before a property qualifies', default: 5 },
+            interest_rate: { ...PERCENT, description: 'Refinance rate (%); defaults to the purchase rate' },
+            loan_term_years: { type: 'number', minimum: 1, maximum: 40, description: 'Refinance term', default: 30 },
+            closing_cost_percent: { ...PERCENT, description: 'Refinance closing costs (% of the new loan)', default: 2 },
+            min_cash_out: { type: 'number', minimum: 0, description: 'Skip refinances that free up less than this', default: 10000 }
+          }
+        },
+        acquisition_rules: {
+          type: 'object',
+          properties: {
+            max_properties: { type: 'number', minimum: 0, description: 'Stop buying at this many properties' },
+            cash_reserve_per_property: { type: 'number', minimum: 0, description: 'Cash kept in reserve for each property owned, including the one being bought', default: 5000 },
+            stop_acquiring_after_year: { type: 'number', minimum: 0, description: 'No purchases after this year; the portfolio keeps compounding' }
+          }
+        }
       },
       required: ['starting_capital']
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        starting_capital: { type: 'number', description: 'Initial investment capital' },
+        projected_years: { type: 'number', description: 'Number of years projected' },
+        estimated_portfolio_value: { type: 'number', description: 'Property value at the end of the projection' },
+        estimated_properties: { type: 'number', description: 'Properties owned at the end of the projection' },
+        summary: {
+          type: 'object',
+          description: 'End-of-projection totals',
+          properties: {
+            properties_owned: { type: 'number' },
+            portfolio_value: { type: 'number' },
+            total_debt: { type: 'number' },
+            total_equity: { type: 'number' },
+            cash_reserves: { type: 'number' },
+            net_worth: { type: 'number', description: 'Equity plus cash reserves' },
+            monthly_cash_flow: { type: 'number', description: 'Portfolio cash flow in the final month' },
+            annual_cash_flow: { type: 'number', description: 'Portfolio cash flow in the final year' },
+            total_contributions: { type: 'number', description: 'Starting capital plus all savings added' },
+            total_cash_flow: { type: 'number', description: 'Cash flow over the whole projection' },
+            total_withdrawn: { type: 'number', description: 'Cash flow taken out instead of reinvested' },
+            total_refinance_proceeds: { type: 'number' },
+            wealth_multiple: { type: ['number', 'null'], description: 'Net worth plus withdrawals divided by contributions' },
+            loan_to_value: { type: ['number', 'null'], description: 'Portfolio debt / value (%)' },
+            first_purchase_year: { type: ['number', 'null'] }
+          },
+          required: [
+            'properties_owned', 'portfolio_value', 'total_debt', 'total_equity', 'cash_reserves', 'net_worth',
+            'monthly_cash_flow', 'annual_cash_flow', 'total_contributions', 'total_cash_flow', 'total_withdrawn',
+            'total_refinance_proceeds', 'wealth_multiple', 'loan_to_value', 'first_purchase_year'
+          ]
+        },
+        ledger: {
+          type: 'array',
+          description: 'One row per projected year, balances as of year end',
+          items: {
+            type: 'object',
+            properties: {
+              year: { type: 'number' },
+              properties_owned: { type: 'number' },
+              acquisitions: { type: 'number' },
+              refinances: { type: 'number' },
+              portfolio_value: { type: 'number' },
+              total_debt: { type: 'number' },
+              total_equity: { type: 'number' },
+              cash_reserves: { type: 'number' },
+              net_worth: { type: 'number' },
+              savings_added: { type: 'number' },
+              gross_rent: { type: 'number' },
+              net_operating_income: { type: 'number' },
+              debt_service: { type: 'number' },
+              principal_paid: { type: 'number' },
+              cash_flow: { type: 'number' },
+              cash_flow_withdrawn: { type: 'number' },
+              refinance_proceeds: { type: 'number' },
+              down_payments: { type: 'number', description: 'Down payments plus purchase closing costs' },
+              monthly_cash_flow: { type: 'number', description: 'Portfolio cash flow in the last month of the year' }
+            },
+            required: [
+              'year', 'properties_owned', 'acquisitions', 'refinances', 'portfolio_value', 'total_debt',
+              'total_equity', 'cash_reserves', 'net_worth', 'savings_added', 'gross_rent', 'net_operating_income',
+              'debt_service', 'principal_paid', 'cash_flow', 'cash_flow_withdrawn', 'refinance_proceeds',
+              'down_payments', 'monthly_cash_flow'
+            ]
+          }
+        },
+        acquisitions: { type: 'array', description: 'Every purchase with its financing and starting cash flow' },
+        refinances: { type: 'array', description: 'Every cash-out refinance with the equity pulled' },
+        properties: { type: 'array', description: 'Each property at the end of the projection' },
+        assumptions: { type: 'object', description: 'Inputs after defaults were applied' },
+        recommendations: { type: 'array', items: { type: 'string' } }
+      },
+      required: [
+        'starting_capital', 'projected_years', 'estimated_portfolio_value', 'estimated_properties',
+        'summary', 'ledger', 'acquisitions', 'refinances', 'properties', 'assumptions', 'recommendations'
+      ]
+    };
+  }
+
   project(params) {
-    // Simplified implementation
-    const { starting_capital, years_to_project = 20 } = params;
+    const assumptions = this.applyDefaults(params);
+    const { years_to_project, annual_savings, financing, operations, refinance, acquisition_rules } = assumptions;
+    const monthlyAppreciation = Math.pow(1 + assumptions.annual_appreciation / 100, 1 / 12);
+
+    const properties = [];
+    const acquisitions = [];
+    const refinances = [];
+    const ledger = [];
+    let cash = assumptions.starting_capital;
+    let monthsSincePurchase = Infinity;
+    let marketPrice = assumptions.initial_property_value;
+    let marketRent = marketPrice * operations.monthly_rent_percent / 100;
+
+    for (let year = 1; year <= years_to_project; year++) {
+      const row = {
+        year, acquisitions: 0, refinances: 0, savings_added: 0, gross_rent: 0, net_operating_income: 0,
+        debt_service: 0, principal_paid: 0, cash_flow: 0, cash_flow_withdrawn: 0, refinance_proceeds: 0,
+        down_payments: 0, monthly_cash_flow: 0
+      };
+
+      for (let month = 1; month <= 12; month++) {
+        cash += annual_savings / 12;
+        row.savings_added += annual_savings / 12;
+
+        let monthCashFlow = 0;
+        properties.forEach(property => {
+          const { gross, noi } = this.operatingIncome(property.monthly_rent, operations);
+          const { interest, principal } = this.amortize(property.loan);
+          const cashFlow = noi - interest - principal;
+          const reinvested = cashFlow > 0 ? cashFlow * operations.cash_flow_reinvestment_percent / 100 : cashFlow;
+          cash += reinvested;
+          row.gross_rent += gross;
+          row.net_operating_income += noi;
+          row.debt_service += interest + principal;
+          row.principal_paid += principal;
+          row.cash_flow += cashFlow;
+          row.cash_flow_withdrawn += cashFlow - reinvested;
+          monthCashFlow += cashFlow;
+
+          property.value *= monthlyAppreciation;
+          property.months_held++;
+          if (property.months_held % 12 === 0) property.monthly_rent *= 1 + assumptions.annual_rent_growth / 100;
+        });
+        row.monthly_cash_flow = monthCashFlow;
+
+        // Buy at most one property a month, when the rules and cash allow. A purchase needing no
+        // cash (no down payment or closing costs) would otherwise repeat without end
+        if (this.canAcquire(properties.length, year, monthsSincePurchase, assumptions)) {
+          const purchase = this.planPurchase(marketPrice, marketRent, assumptions);
+          const reserve = acquisition_rules.cash_reserve_per_property * (properties.length + 1);
+          if (purchase && cash - purchase.cash_required >= reserve) {
+            cash -= purchase.cash_required;
+            row.acquisitions++;
+            row.down_payments += purchase.cash_required;
+            monthsSincePurchase = 0;
+            const property = {
+              id: properties.length + 1,
+              purchase_year: year,
+              purchase_month: month,
+              purchase_price: marketPrice,
+              value: marketPrice,
+              monthly_rent: marketRent,
+              months_held: 0,
+              months_since_financing: 0,
+              refinances: 0,
+              loan: this.newLoan(purchase.loan_amount, financing.interest_rate, financing.loan_term_years)
+            };
+            properties.push(property);
+            acquisitions.push({
+              property: property.id,
+              year,
+              month,
+              price: round(marketPrice),
+              down_payment: round(purchase.down_payment),
+              down_payment_percent: round(purchase.down_payment / marketPrice * 100),
+              closing_costs: round(purchase.closing_costs),
+              loan_amount: round(purchase.loan_amount),
+              monthly_rent: round(marketRent),
+              monthly_cash_flow: round(purchase.monthly_cash_flow)
+            });
+          }
+        }
+        properties.forEach(property => property.months_since_financing++);
+        monthsSincePurchase++;
+        marketPrice *= monthlyAppreciation;
+        if (month === 12) marketRent *= 1 + assumptions.annual_rent_growth / 100;
+      }
+
+      if (refinance.enabled) {
+        properties.forEach(property => {
+          const refi = this.planRefinance(property, assumptions);
+          if (!refi) return;
+          cash += refi.cash_out;
+          row.refinances++;
+          row.refinance_proceeds += refi.cash_out;
+          property.loan = this.newLoan(refi.new_loan, refinance.interest_rate, refinance.loan_term_years);
+          property.months_since_financing = 0;
+          property.refinances++;
+          refinances.push({
+            property: property.id,
+            year,
+            property_value: round(property.value),
+            previous_balance: round(refi.previous_balance),
+            new_loan: round(refi.new_loan),
+            closing_costs: round(refi.closing_costs),
+            cash_out: round(refi.cash_out),
+            monthly_cash_flow: round(refi.monthly_cash_flow)
+          });
+        });
+      }
+
+      ledger.push(this.closeYear(row, properties, cash));
+    }
+
+    const summary = this.summarize(ledger, acquisitions, assumptions);
     return {
-      starting_capital,
+      starting_capital: assumptions.starting_capital,
       projected_years: years_to_project,
-      estimated_portfolio_value: starting_capital * Math.pow(1.08, years_to_project),
-      estimated_properties: Math.floor(starting_capital / 50000) * 3
+      estimated_portfolio_value: summary.portfolio_value,
+      estimated_properties: summary.properties_owned,
+      summary,
+      ledger,
+      acquisitions,
+      refinances,
+      properties: properties.map(property => {
+        const { noi } = this.operatingIncome(property.monthly_rent, operations);
+        return {
+          property: property.id,
+          purchase_year: property.purchase_year,
+          purchase_price: round(property.purchase_price),
+          current_value: round(property.value),
+          loan_balance: round(property.loan.balance),
+          equity: round(property.value - property.loan.balance),
+          monthly_rent: round(property.monthly_rent),
+          monthly_cash_flow: round(noi - (property.loan.balance > 0 ? property.loan.payment : 0)),
+          refinances: property.refinances
+        };
+      }),
+      assumptions,
+      recommendations: this.generateRecommendations(summary, ledger, assumptions)
+    };
+  }
+
+  applyDefaults(params) {
+    const financing = {
+      down_payment_percent: 25,
+      interest_rate: 7,
+      loan_term_years: 30,
+      closing_cost_percent: 3,
+      ...params.financing
+    };
+    return {
+      starting_capital: params.starting_capital,
+      annual_savings: params.annual_savings ?? 0,
+      years_to_project: params.years_to_project ?? 20,
+      initial_property_value: params.initial_property_value ?? 250000,
+      annual_appreciation: params.annual_appreciation ?? 3,
+      annual_rent_growth: params.annual_rent_growth ?? 3,
+      target_cash_flow_per_property: params.target_cash_flow_per_property ?? 0,
+      acquisition_pace_years: params.acquisition_pace_years ?? 1,
+      financing,
+      operations: {
+        monthly_rent_percent: 0.9,
+        vacancy_rate: 5,
+        expense_ratio: 35,
+        cash_flow_reinvestment_percent: 100,
+        ...params.operations
+      },
+      refinance: {
+        enabled: false,
+        max_ltv: 75,
+        seasoning_years: 5,
+        loan_term_years: 30,
+        closing_cost_percent: 2,
+        min_cash_out: 10000,
+        ...params.refinance,
+        interest_rate: params.refinance?.interest_rate ?? financing.interest_rate
+      },
+      acquisition_rules: {
+        max_properties: null,
+        cash_reserve_per_property: 5000,
+        stop_acquiring_after_year: null,
+        ...params.acquisition_rules
+      }
+    };
+  }
+
+  operatingIncome(monthlyRent, operations) {
+    const effective = monthlyRent * (1 - operations.vacancy_rate / 100);
+    return { gross: monthlyRent, noi: effective - monthlyRent * operations.expense_ratio / 100 };
+  }
+
+  canAcquire(owned, year, monthsSincePurchase, { acquisition_pace_years, acquisition_rules }) {
+    if (acquisition_rules.max_properties !== null && owned >= acquisition_rules.max_properties) return false;
+    if (acquisition_rules.stop_acquiring_after_year !== null && year > acquisition_rules.stop_acquiring_after_year) return false;
+    return monthsSincePurchase >= acquisition_pace_years * 12;
+  }
+
+  /**
+   * Puts down the minimum down payment, or more when the minimum would leave the property below
+   * the target cash flow. Returns null when even an all-cash purchase misses the target.
+   */
+  planPurchase(price, monthlyRent, { target_cash_flow_per_property: target, financing, operations }) {
+    const { noi } = this.operatingIncome(monthlyRent, operations);
+    if (noi < target) return null;
+
+    const paymentPerDollar = this.monthlyPayment(1, financing.interest_rate, financing.loan_term_years);
+    const maxLoanForTarget = (noi - target) / paymentPerDollar;
+    const loan_amount = Math.max(0, Math.min(price * (1 - financing.down_payment_percent / 100), maxLoanForTarget));
+    const down_payment = price - loan_amount;
+    const closing_costs = price * financing.closing_cost_percent / 100;
+    return {
+      down_payment,
+      closing_costs,
+      loan_amount,
+      cash_required: down_payment + closing_costs,
+      monthly_cash_flow: noi - loan_amount * paymentPerDollar
+    };
+  }
+
+  // Cash-out refinance once seasoned, as long as it frees enough cash and keeps the target cash flow
+  planRefinance(property, { refinance, target_cash_flow_per_property, operations }) {
+    if (property.months_since_financing < refinance.seasoning_years * 12) return null;
+
+    const new_loan = property.value * refinance.max_ltv / 100;
+    const closing_costs = new_loan * refinance.closing_cost_percent / 100;
+    const cash_out = new_loan - property.loan.balance - closing_costs;
+    if (cash_out < Math.max(refinance.min_cash_out, 0.01)) return null;
+
+    const { noi } = this.operatingIncome(property.monthly_rent, operations);
+    const monthly_cash_flow = noi - this.monthlyPayment(new_loan, refinance.interest_rate, refinance.loan_term_years);
+    if (monthly_cash_flow < target_cash_flow_per_property) return null;
+
+    return { new_loan, closing_costs, cash_out, previous_balance: property.loan.balance, monthly_cash_flow };
+  }
+
+  newLoan(amount, rate, years) {
+    return { balance: amount, rate, payment: this.monthlyPayment(amount, rate, years) };
+  }
+
+  monthlyPayment(principal, annualRate, years) {
+    return levelPayment(principal, annualRate / 100 / 12, years * 12);
+  }
+
+  // Applies one monthly payment; paid-off loans cost nothing
+  amortize(loan) {
+    if (loan.balance <= 0) return { interest: 0, principal: 0 };
+    const interest = loan.balance * loan.rate / 100 / 12;
+    const principal = Math.min(loan.payment - interest, loan.balance);
+    loan.balance -= principal;
+    if (loan.balance < 0.005) loan.balance = 0;
+    return { interest, principal };
+  }
+
+  closeYear(row, properties, cash) {
+    const portfolio_value = properties.reduce((sum, p) => sum + p.value, 0);
+    const total_debt = properties.reduce((sum, p) => sum + p.loan.balance, 0);
+    const balances = {
+      properties_owned: properties.length,
+      portfolio_value,
+      total_debt,
+      total_equity: portfolio_value - total_debt,
+      cash_reserves: cash,
+      net_worth: portfolio_value - total_debt + cash
     };
+    const { year, acquisitions, refinances, ...flows } = row;
+    return Object.fromEntries([
+      ['year', year],
+      ['properties_owned', balances.properties_owned],
+      ['acquisitions', acquisitions],
+      ['refinances', refinances],
+      ...Object.entries(balances).slice(1).map(([key, value]) => [key, round(value)]),
+      ...Object.entries(flows).map(([key, value]) => [key, round(value)])
+    ]);
   }
-}
\ No newline at end of file
+
+  summarize(ledger, acquisitions, assumptions) {
+    const last = ledger.at(-1);
+    const sum = key => round(ledger.reduce((total, row) => total + row[key], 0));
+    const total_contributions = round(assumptions.starting_capital + assumptions.annual_savings * assumptions.years_to_project);
+    const total_withdrawn = sum('cash_flow_withdrawn');
+    return {
+      properties_owned: last.properties_owned,
+      portfolio_value: last.portfolio_value,
+      total_debt: last.total_debt,
+      total_equity: last.total_equity,
+      cash_reserves: last.cash_reserves,
+      net_worth: last.net_worth,
+      monthly_cash_flow: last.monthly_cash_flow,
+      annual_cash_flow: last.cash_flow,
+      total_contributions,
+      total_cash_flow: sum('cash_flow'),
+      total_withdrawn,
+      total_refinance_proceeds: sum('refinance_proceeds'),
+      wealth_multiple: total_contributions > 0 ? round((last.net_worth + total_withdrawn) / total_contributions) : null,
+      loan_to_value: last.portfolio_value > 0 ? round(last.total_debt / last.portfolio_value * 100) : null,
+      first_purchase_year: acquisitions[0]?.year ?? null
+    };
+  }
+
+  generateRecommendations(summary, ledger, assumptions) {
+    const recommendations = [];
+    const { financing, operations, refinance } = assumptions;
+
+    if (summary.properties_owned === 0) {
+      const purchase = this.planPurchase(assumptions.initial_property_value, assumptions.initial_property_value * operations.monthly_rent_percent / 100, assumptions);
+      recommendations.push(purchase
+        ? `No purchases were affordable: the first property needs about $${Math.round(purchase.cash_required + assumptions.acquisition_rules.cash_reserve_per_property).toLocaleString()} in cash including reserves`
+        : `No purchases met the $${assumptions.target_cash_flow_per_property}/month cash flow target even paying all cash; lower the target or look for higher-rent properties`);
+      return recommendations;
+    }
+
+    if (summary.first_purchase_year > 1) {
+      recommendations.push(`First purchase happens in year ${summary.first_purchase_year}; more starting capital or savings would start compounding sooner`);
+    }
+    const stalled = ledger.slice(-5).every(row => row.acquisitions === 0);
+    if (stalled && ledger.length > 5 && summary.cash_reserves > assumptions.initial_property_value) {
+      recommendations.push('Cash is building up without new purchases; raise max_properties, extend acquisitions or pay down debt');
+    }
+    if (ledger.some(row => row.cash_reserves < 0)) {
+      recommendations.push('Negative cash flow exceeds savings in some years; the plan relies on cash the portfolio does not have');
+    }
+    if (summary.loan_to_value !== null && summary.loan_to_value > 65) {
+      recommendations.push(`Portfolio leverage ends at ${summary.loan_to_value}% LTV, leaving little cushion if values fall`);
+    }
+    if (!refinance.enabled && summary.loan_to_value !== null && summary.loan_to_value < 40 && summary.properties_owned > 1) {
+      recommendations.push('Equity is building faster than debt; enable refinance to recycle equity into more properties');
+    }
+    if (summary.monthly_cash_flow < summary.properties_owned * 100) {
+      recommendations.push(`Cash flow averages under $100/month per property at ${financing.interest_rate}% rates; thin margins leave little room for repairs or vacancies`);
+    }
+    if (recommendations.length === 0) {
+      recommendations.push(`On track: ${summary.properties_owned} properties and $${Math.round(summary.net_worth).toLocaleString()} net worth after ${assumptions.years_to_project} years`);
+    }
+    return recommendations;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -1,3 +1,6 @@
+import { solveIRR } from '../financial-math.js';
+import { levelPayment, remainingBalance } from '../amortization.js';
+
 export class PropertyComparisonTool {
   constructor() {
     this.name = 'Property Comparison Tool';
@@ -229,6 +232,27 @@ export class PropertyComparisonTool {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        property_analyses: { type: 'array', description: 'Full analysis of each property' },
+        comparison_matrix: { type: 'object', description: 'Metric-by-metric comparison across properties' },
+        rankings: { type: 'array', description: 'Properties ranked by weighted score' },
+        best_options: { type: 'object', description: 'Best property for each investment goal' },
+        risk_return_analysis: { type: 'object', description: 'Risk versus return positioning' },
+        sensitivity_comparison: { type: 'object', description: 'Sensitivity of each property to key assumptions' },
+        timeline_comparison: { type: 'array', description: 'Projected value and equity over time' },
+        insights: { type: 'array', description: 'Observations from the comparison' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'property_analyses', 'comparison_matrix', 'rankings', 'best_options', 'risk_return_analysis',
+        'sensitivity_comparison', 'timeline_comparison', 'insights', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       properties,
@@ -316,12 +340,7 @@ export class PropertyComparisonTool {
     // Monthly payment calculation
     const monthly_rate = interestRate / 100 / 12;
     const num_payments = loanTermYears * 12;
-    let monthly_payment = 0;
-    
-    if (loan_amount > 0 && monthly_rate > 0) {
-      monthly_payment = loan_amount * (monthly_rate * Math.pow(1 + monthly_rate, num_payments)) / 
-                       (Math.pow(1 + monthly_rate, num_payments) - 1);
-    }
+    const monthly_payment = loan_amount > 0 ? levelPayment(loan_amount, monthly_rate, num_payments) : 0;
 
     // Income and expense calculations
     const effective_monthly_rent = monthly_rent * (1 - vacancy_rate / 100);
@@ -363,7 +382,8 @@ export class PropertyComparisonTool {
       cashFlows.push(annual_cash_flow);
     }
     cashFlows.push(annual_cash_flow + equity_at_sale);
-    const irr = this.calculateIRR(cashFlows) * 100;
+    const irrRate = this.calculateIRR(cashFlows);
+    const irr = irrRate === null ? null : irrRate * 100;
 
     // Location score
     const avg_location_score = Object.values(location_score).length > 0 ?
@@ -400,7 +420,7 @@ export class PropertyComparisonTool {
         cash_on_cash_return: parseFloat(cash_on_cash_return.toFixed(2)),
         gross_rent_multiplier: parseFloat(gross_rent_multiplier.toFixed(2)),
         total_roi: parseFloat(roi.toFixed(2)),
-        irr: parseFloat(irr.toFixed(2))
+        irr: irr === null ? null : parseFloat(irr.toFixed(2))
       },
       valuation_metrics: {
         price_per_sqft: price_per_sqft ? parseFloat(price_per_sqft.toFixed(2)) : null,
@@ -430,45 +450,12 @@ export class PropertyComparisonTool {
   }
 
   calculateRemainingBalance(principal, monthlyRate, totalPayments, paymentsMade) {
-    if (monthlyRate === 0) {
-      return principal * (1 - paymentsMade / totalPayments);
-    }
-    
-    const monthlyPayment = principal * (monthlyRate * Math.pow(1 + monthlyRate, totalPayments)) / 
-                          (Math.pow(1 + monthlyRate, totalPayments) - 1);
-    
-    const remainingBalance = principal * Math.pow(1 + monthlyRate, paymentsMade) - 
-                           monthlyPayment * (Math.pow(1 + monthlyRate, paymentsMade) - 1) / monthlyRate;
-    
-    return Math.max(0, remainingBalance);
+    return remainingBalance(principal, monthlyRate, totalPayments, paymentsMade);
   }
 
+  // Null when the flows have no unique IRR
   calculateIRR(cashFlows) {
-    let rate = 0.1;
-    const maxIterations = 100;
-    const tolerance = 0.00001;
-
-    for (let i = 0; i < maxIterations; i++) {
-      let npv = 0;
-      let dnpv = 0;
-
-      for (let j = 0; j < cashFlows.length; j++) {
-        npv += cashFlows[j] / Math.pow(1 + rate, j);
-        if (j > 0) {
-          dnpv -= j * cashFlows[j] / Math.pow(1 + rate, j + 1);
-        }
-      }
-
-      const newRate = rate - npv / dnpv;
-      
-      if (Math.abs(newRate - rate) < tolerance) {
-        return newRate;
-      }
-      
-      rate = newRate;
-    }
-
-    return rate;
+    return solveIRR(cashFlows).irr;
   }
 
   createComparisonMatrix(analyses) {
@@ -615,7 +602,7 @@ export class PropertyComparisonTool {
       property: analysis.name,
       risk_score: this.calculateRiskScore(analysis),
       return_score: analysis.return_metrics.irr,
-      efficiency_ratio: analysis.return_metrics.irr / this.calculateRiskScore(analysis)
+      efficiency_ratio: analysis.return_metrics.irr === null ? null : analysis.return_metrics.irr / this.calculateRiskScore(analysis)
     }));
 
     // Identify efficient frontier
@@ -625,7 +612,7 @@ export class PropertyComparisonTool {
     let maxReturn = -Infinity;
     
     riskReturnData.forEach(property => {
-      if (property.return_score > maxReturn) {
+      if (property.return_score !== null && property.return_score > maxReturn) {
         maxReturn = property.return_score;
         efficientFrontier.push(property.property);
       }
@@ -634,7 +621,7 @@ export class PropertyComparisonTool {
     return {
       risk_return_profiles: riskReturnData,
       efficient_frontier: efficientFrontier,
-      risk_adjusted_ranking: [...riskReturnData].sort((a, b) => b.efficiency_ratio - a.efficiency_ratio)
+      risk_adjusted_ranking: [...riskReturnData].sort((a, b) => (b.efficiency_ratio ?? -Infinity) - (a.efficiency_ratio ?? -Infinity) || 0)
     };
   }
 
@@ -136,6 +136,31 @@ export class PropertyExpenseTracker {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        property_summary: { type: 'object', description: 'Property details and tracking period' },
+        expense_analysis: { type: 'object', description: 'Expenses by category' },
+        income_analysis: { type: 'object', description: 'Rental and other income' },
+        financial_metrics: { type: 'object', description: 'NOI, expense ratio and cash flow' },
+        expense_breakdown: { type: ['object', 'null'], description: 'Detailed breakdown of expenses' },
+        benchmark_comparison: { type: ['object', 'null'], description: 'Expenses compared with industry benchmarks' },
+        trend_analysis: { type: ['object', 'null'], description: 'Expense trends over time' },
+        budget_variance: { type: ['object', 'null'], description: 'Actual expenses compared with budget' },
+        tax_analysis: { type: ['object', 'null'], description: 'Deductible expenses and tax impact' },
+        cash_flow_impact: { type: ['object', 'null'], description: 'Effect of expenses on cash flow' },
+        expense_forecasting: { type: ['object', 'null'], description: 'Forecast of future expenses' },
+        recommendations: { type: 'object', description: 'Prioritized recommendations' }
+      },
+      required: [
+        'property_summary', 'expense_analysis', 'income_analysis', 'financial_metrics', 'expense_breakdown',
+        'benchmark_comparison', 'trend_analysis', 'budget_variance', 'tax_analysis', 'cash_flow_impact',
+        'expense_forecasting', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       property_details,
@@ -106,6 +106,29 @@ export class PropertyManagementCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        property_overview: { type: 'object', description: 'Portfolio size, rent and location' },
+        self_management: { type: 'object', description: 'Costs and time of self-management' },
+        professional_management: { type: 'object', description: 'Costs of professional management' },
+        cost_benefit_analysis: { type: 'object', description: 'Net benefit of each option' },
+        recommendations: { type: 'object', description: 'Prioritized recommendations' },
+        comparison_analysis: { type: ['object', 'null'], description: 'Side-by-side comparison of the options' },
+        scenario_modeling: { type: ['array', 'null'], description: 'Outcomes under portfolio scenarios' },
+        efficiency_optimization: { type: ['object', 'null'], description: 'Ways to improve management efficiency' },
+        risk_assessment: { type: ['object', 'null'], description: 'Management risks' },
+        roi_analysis: { type: ['object', 'null'], description: 'Return on management spend' }
+      },
+      required: [
+        'property_overview', 'self_management', 'professional_management', 'cost_benefit_analysis',
+        'recommendations', 'comparison_analysis', 'scenario_modeling', 'efficiency_optimization',
+        'risk_assessment', 'roi_analysis'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       property_details,
@@ -3,6 +3,8 @@
  * Analyzes whether refinancing makes financial sense
  */
 
+import { levelPayment, remainingBalance } from '../amortization.js';
+
 export class RefinanceCalculator {
   getSchema() {
     return {
@@ -55,6 +57,56 @@ export class RefinanceCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        loan_comparison: { type: 'object', description: 'Current and new loan balance, rate, payment and total interest' },
+        financial_impact: { type: 'object', description: 'Monthly, annual and lifetime savings' },
+        break_even_analysis: {
+          type: 'object',
+          description: 'How long it takes for savings to recover refinance costs',
+          properties: {
+            simple_breakeven_months: { type: ['number', 'null'], description: 'Upfront costs divided by monthly savings (null if no savings)' },
+            simple_breakeven_years: { type: ['string', 'null'], description: 'Simple breakeven in years' },
+            true_breakeven_months: { type: ['number', 'null'], description: 'Month when discounted cumulative savings turn positive' },
+            roi_at_breakeven: { type: ['string', 'null'], description: 'Annual savings as a percentage of upfront costs' }
+          },
+          required: ['simple_breakeven_months', 'simple_breakeven_years', 'true_breakeven_months', 'roi_at_breakeven']
+        },
+        npv_analysis: {
+          type: 'object',
+          description: 'Net present value of refinancing over the planning horizon',
+          properties: {
+            net_present_value: { type: 'number' },
+            true_breakeven_months: { type: ['number', 'null'] },
+            total_cash_flow_benefit: { type: 'number' },
+            irr: { type: ['number', 'null'], description: 'Approximate annual return on refinance costs (%)' }
+          }
+        },
+        ltv_analysis: { type: ['object', 'null'], description: 'Current and new LTV (requires current property value)' },
+        effective_rate_analysis: { type: 'object', description: 'After-tax effective interest rates' },
+        decision: {
+          type: 'object',
+          description: 'Refinance recommendation',
+          properties: {
+            should_refinance: { type: 'boolean' },
+            confidence: { type: 'string' },
+            primary_reason: { type: 'string' },
+            risk_factors: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['should_refinance', 'confidence', 'primary_reason', 'risk_factors']
+        },
+        scenarios: { type: 'array', description: 'Alternative refinance scenarios' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'loan_comparison', 'financial_impact', 'break_even_analysis', 'npv_analysis', 'ltv_analysis',
+        'effective_rate_analysis', 'decision', 'scenarios', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const { current_loan, new_loan, property_info = {}, analysis_options = {} } = params;
     
@@ -205,9 +257,7 @@ export class RefinanceCalculator {
   }
   
   calculateMonthlyPayment(principal, monthlyRate, months) {
-    if (monthlyRate === 0) return principal / months;
-    return principal * monthlyRate * Math.pow(1 + monthlyRate, months) / 
-           (Math.pow(1 + monthlyRate, months) - 1);
+    return levelPayment(principal, monthlyRate, months);
   }
   
   calculateTotalInterest(principal, monthlyRate, months) {
@@ -265,16 +315,7 @@ export class RefinanceCalculator {
   }
   
   calculateRemainingBalance(principal, monthlyRate, totalMonths, monthsPaid) {
-    const monthlyPayment = this.calculateMonthlyPayment(principal, monthlyRate, totalMonths);
-    let balance = principal;
-    
-    for (let i = 0; i < monthsPaid; i++) {
-      const interestPayment = balance * monthlyRate;
-      const principalPayment = monthlyPayment - interestPayment;
-      balance -= principalPayment;
-    }
-    
-    return Math.max(0, balance);
+    return remainingBalance(principal, monthlyRate, totalMonths, monthsPaid);
   }
   
   calculateIRR(initialCost, monthlySavings, months) {
@@ -1,3 +1,5 @@
+import { levelPayment, remainingBalance } from '../amortization.js';
+
 export class RentVsBuyCalculator {
   getSchema() {
     return {
@@ -77,6 +79,27 @@ export class RentVsBuyCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        comparison_summary: { type: 'object', description: 'Winner, net advantage and breakeven year' },
+        buying_analysis: { type: 'object', description: 'Costs, equity and net worth from buying' },
+        renting_analysis: { type: 'object', description: 'Costs and invested savings from renting' },
+        comparison: { type: 'object', description: 'Year-by-year comparison of buying and renting' },
+        breakeven_analysis: { type: ['object', 'null'], description: 'Year when buying overtakes renting' },
+        sensitivity_analysis: { type: ['object', 'null'], description: 'Outcome under changing assumptions' },
+        scenario_comparison: { type: ['object', 'null'], description: 'Outcomes under market scenarios' },
+        cash_flow_analysis: { type: ['object', 'null'], description: 'Monthly cash flow comparison' },
+        recommendations: { type: 'object', description: 'Prioritized recommendations' }
+      },
+      required: [
+        'comparison_summary', 'buying_analysis', 'renting_analysis', 'comparison', 'breakeven_analysis',
+        'sensitivity_analysis', 'scenario_comparison', 'cash_flow_analysis', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       home_details,
@@ -216,9 +239,7 @@ export class RentVsBuyCalculator {
     // Monthly costs
     const monthly_rate = (interest_rate / 100) / 12;
     const num_payments = loan_term_years * 12;
-    const monthly_principal_interest = loan_amount * 
-      (monthly_rate * Math.pow(1 + monthly_rate, num_payments)) / 
-      (Math.pow(1 + monthly_rate, num_payments) - 1);
+    const monthly_principal_interest = levelPayment(loan_amount, monthly_rate, num_payments);
 
     const monthly_property_tax = (home_price * (property_tax_rate / 100)) / 12;
     const monthly_insurance = home_insurance_annual / 12;
@@ -787,22 +808,13 @@ export class RentVsBuyCalculator {
 
   // Helper methods
   calculateRemainingBalance(principal, monthly_rate, num_payments, payments_made) {
-    if (payments_made >= num_payments) return 0;
-    
-    const remaining_payments = num_payments - payments_made;
-    const monthly_payment = principal * 
-      (monthly_rate * Math.pow(1 + monthly_rate, num_payments)) / 
-      (Math.pow(1 + monthly_rate, num_payments) - 1);
-    
-    return monthly_payment * (1 - Math.pow(1 + monthly_rate, -remaining_payments)) / monthly_rate;
+    return remainingBalance(principal, monthly_rate, num_payments, payments_made);
   }
 
   calculateAnnualInterest(principal, monthly_rate, num_payments, years) {
     let total_interest = 0;
     let remaining_balance = principal;
-    const monthly_payment = principal * 
-      (monthly_rate * Math.pow(1 + monthly_rate, num_payments)) / 
-      (Math.pow(1 + monthly_rate, num_payments) - 1);
+    const monthly_payment = levelPayment(principal, monthly_rate, num_payments);
     
     for (let month = 1; month <= years * 12; month++) {
       const interest_payment = remaining_balance * monthly_rate;
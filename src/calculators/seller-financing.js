@@ -1,3 +1,5 @@
+import { levelPayment, remainingBalance } from '../amortization.js';
+
 export class SellerFinancingCalculator {
   getSchema() {
     return {
@@ -94,6 +96,28 @@ export class SellerFinancingCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        deal_summary: { type: 'object', description: 'Price, down payment and financed amount' },
+        financing_metrics: { type: 'object', description: 'Payment, balloon and effective yield' },
+        seller_benefits: { type: 'object', description: 'Benefits to the seller' },
+        buyer_benefits: { type: 'object', description: 'Benefits to the buyer' },
+        cash_flow_analysis: { type: 'object', description: 'Investment property cash flow' },
+        risk_assessment: { type: ['object', 'null'], description: 'Credit, market, legal and payment risks' },
+        scenario_comparison: { type: ['object', 'null'], description: 'Alternative terms compared' },
+        tax_analysis: { type: ['object', 'null'], description: 'Installment sale and interest income tax treatment' },
+        exit_strategies: { type: ['object', 'null'], description: 'Hold, early payoff and note sale exits' },
+        recommendations: { type: 'object', description: 'Recommendations for the buyer and seller' }
+      },
+      required: [
+        'deal_summary', 'financing_metrics', 'seller_benefits', 'buyer_benefits', 'cash_flow_analysis',
+        'risk_assessment', 'scenario_comparison', 'tax_analysis', 'exit_strategies', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       property_details,
@@ -201,9 +225,7 @@ export class SellerFinancingCalculator {
 
     switch (payment_type) {
       case 'fully_amortizing':
-        monthly_payment = seller_note_amount * 
-          (monthly_rate * Math.pow(1 + monthly_rate, total_payments)) /
-          (Math.pow(1 + monthly_rate, total_payments) - 1);
+        monthly_payment = levelPayment(seller_note_amount, monthly_rate, total_payments);
         total_interest = (monthly_payment * total_payments) - seller_note_amount;
         break;
 
@@ -215,30 +237,14 @@ export class SellerFinancingCalculator {
 
       case 'balloon':
         const balloon_payments = balloon_period_years * 12;
-        monthly_payment = seller_note_amount * 
-          (monthly_rate * Math.pow(1 + monthly_rate, amortization_payments)) /
-          (Math.pow(1 + monthly_rate, amortization_payments) - 1);
-        
-        // Calculate remaining balance at balloon
-        const remaining_balance = seller_note_amount * 
-          (Math.pow(1 + monthly_rate, amortization_payments) - Math.pow(1 + monthly_rate, balloon_payments)) /
-          (Math.pow(1 + monthly_rate, amortization_payments) - 1);
-        
-        balloon_payment = remaining_balance;
+        monthly_payment = levelPayment(seller_note_amount, monthly_rate, amortization_payments);
+        balloon_payment = remainingBalance(seller_note_amount, monthly_rate, amortization_payments, balloon_payments);
         total_interest = (monthly_payment * balloon_payments) + balloon_payment - seller_note_amount;
         break;
 
       case 'partial_amortization':
-        monthly_payment = seller_note_amount * 
-          (monthly_rate * Math.pow(1 + monthly_rate, amortization_payments)) /
-          (Math.pow(1 + monthly_rate, amortization_payments) - 1);
-        
-        // Calculate remaining balance at term end
-        const remaining_partial = seller_note_amount * 
-          (Math.pow(1 + monthly_rate, amortization_payments) - Math.pow(1 + monthly_rate, total_payments)) /
-          (Math.pow(1 + monthly_rate, amortization_payments) - 1);
-        
-        balloon_payment = remaining_partial;
+        monthly_payment = levelPayment(seller_note_amount, monthly_rate, amortization_payments);
+        balloon_payment = remainingBalance(seller_note_amount, monthly_rate, amortization_payments, total_payments);
         total_interest = (monthly_payment * total_payments) + balloon_payment - seller_note_amount;
         break;
     }
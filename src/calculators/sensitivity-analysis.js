@@ -1,3 +1,20 @@
+import { presentValue, solveIRR } from '../financial-math.js';
+import { runToCompletion, runWithProgress } from '../progress.js';
+import { levelPayment, remainingBalance } from '../amortization.js';
+import { SeededRandom, generateSeed } from '../random.js';
+
+const TWO_WAY_VARIATIONS = [-20, -10, 0, 10, 20];
+const VARIABLES = ['purchase_price', 'rental_income', 'expenses', 'vacancy_rate', 'interest_rate', 'appreciation_rate'];
+const METRICS = ['irr', 'npv', 'cash_on_cash', 'total_return', 'monthly_cash_flow'];
+
+// Changes goal seek tries, nearest the base first; the solution is refined between the two that straddle the target
+const GOAL_SEEK_GRID = [
+  -90, -80, -70, -60, -50, -40, -30, -20, -10, 0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 150, 200, 300, 500, 1000
+];
+
+// Variables goal seek can solve for; vacancy changes are in points, so a percentage search doesn't fit it
+const GOAL_SEEK_VARIABLES = VARIABLES.filter(variable => variable !== 'vacancy_rate');
+
 export class SensitivityAnalysisCalculator {
   constructor() {
     this.name = 'Sensitivity Analysis Calculator';
@@ -81,7 +98,7 @@ export class SensitivityAnalysisCalculator {
               variable: {
                 type: 'string',
                 description: 'Variable name to analyze',
-                enum: ['purchase_price', 'rental_income', 'expenses', 'vacancy_rate', 'interest_rate', 'appreciation_rate']
+                enum: VARIABLES
               },
               variations: {
                 type: 'array',
@@ -100,7 +117,7 @@ export class SensitivityAnalysisCalculator {
           description: 'Metrics to calculate',
           items: {
             type: 'string',
-            enum: ['irr', 'npv', 'cash_on_cash', 'total_return', 'monthly_cash_flow']
+            enum: METRICS
           },
           default: ['irr', 'cash_on_cash', 'total_return']
         },
@@ -110,13 +127,127 @@ export class SensitivityAnalysisCalculator {
           minimum: 0,
           maximum: 30,
           default: 10
+        },
+        global_sensitivity: {
+          type: 'object',
+          description: 'Vary all inputs at once over their ranges: Sobol indices split the variance of the metric between the inputs and their interactions, and Morris screening ranks inputs by elementary effects at a fraction of the cost',
+          properties: {
+            method: {
+              type: 'string',
+              enum: ['sobol', 'morris', 'both'],
+              default: 'both'
+            },
+            metric: {
+              type: 'string',
+              description: 'Metric to analyze (defaults to the first analysis metric)',
+              enum: METRICS
+            },
+            variables: {
+              type: 'array',
+              description: 'Inputs and the range each is drawn from, as changes from base like variations (vacancy in points). Defaults to every input at -20% to +20%, and vacancy from 0% to 10 points above base',
+              items: {
+                type: 'object',
+                properties: {
+                  variable: { type: 'string', enum: VARIABLES },
+                  min_change: { type: 'number', description: 'Lowest change from base (%)' },
+                  max_change: { type: 'number', description: 'Highest change from base (%)' }
+                },
+                required: ['variable']
+              }
+            },
+            samples: {
+              type: 'integer',
+              description: 'Sobol base samples; the model runs samples x (inputs + 2) times',
+              minimum: 64,
+              maximum: 8192,
+              default: 1024
+            },
+            trajectories: {
+              type: 'integer',
+              description: 'Morris trajectories; each runs the model inputs + 1 times',
+              minimum: 4,
+              maximum: 500,
+              default: 20
+            },
+            levels: {
+              type: 'integer',
+              description: 'Morris grid levels across each range',
+              enum: [4, 6, 8, 10],
+              default: 4
+            },
+            random_seed: {
+              type: 'integer',
+              description: 'Seed for reproducible sampling; generated and reported when omitted',
+              minimum: 0
+            }
+          }
+        },
+        scenario_sets: {
+          type: 'array',
+          description: 'Named scenarios that change several variables together, e.g. base, bull and bear cases. Give every set a probability to get probability-weighted metrics',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Scenario name' },
+              changes: {
+                type: 'object',
+                description: 'Change from base per variable, as in variations (vacancy in points)',
+                properties: Object.fromEntries(VARIABLES.map(variable => [variable, { type: 'number' }])),
+                additionalProperties: false
+              },
+              probability: { type: 'number', description: 'Likelihood of the scenario (0-1)', minimum: 0, maximum: 1 }
+            },
+            required: ['name', 'changes']
+          }
+        },
+        goal_seek: {
+          type: 'object',
+          description: 'Solve for the value of one variable that hits a target metric, e.g. the rent needed for a 12% IRR at the base purchase price',
+          properties: {
+            target: { type: 'number', description: 'Target metric value (% for IRR and returns, $ for NPV and cash flow)' },
+            metric: { type: 'string', enum: METRICS, default: 'irr' },
+            variable: { type: 'string', enum: GOAL_SEEK_VARIABLES, default: 'rental_income' }
+          },
+          required: ['target']
         }
       },
       required: ['base_scenario']
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        base_case: { type: 'object', description: 'Metrics under the base assumptions' },
+        sensitivity_analysis: { type: 'array', description: 'One-way sensitivity results per variable' },
+        two_way_analysis: { type: ['object', 'null'], description: 'Two-variable sensitivity grid' },
+        tornado_diagram: { type: 'object', description: 'Variables ranked by impact on the target metric' },
+        critical_values: { type: 'array', description: 'Variable values where the investment breaks even' },
+        global_sensitivity: { type: ['object', 'null'], description: 'Sobol first-order and total indices and Morris elementary effects per input, when requested' },
+        scenario_sets: { type: ['object', 'null'], description: 'Metrics for each scenario set against the base case, and probability-weighted metrics when every set has a probability' },
+        goal_seek: { type: ['object', 'null'], description: 'Value of the variable that reaches the target metric, or why it cannot be reached' },
+        risk_assessment: { type: 'object', description: 'Overall sensitivity risk' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' },
+        analysis_metadata: { type: 'object', description: 'Completed and total analysis steps and whether the run was cancelled early' }
+      },
+      required: [
+        'base_case', 'sensitivity_analysis', 'two_way_analysis', 'tornado_diagram', 'critical_values',
+        'global_sensitivity', 'scenario_sets', 'goal_seek', 'risk_assessment', 'recommendations', 'analysis_metadata'
+      ]
+    };
+  }
+
   calculate(params) {
+    return runToCompletion(this.analysisSteps(params));
+  }
+
+  // Same analysis as calculate(), reporting progress and stopping early when the signal aborts
+  analyze(params, { signal, onProgress } = {}) {
+    return runWithProgress(this.analysisSteps(params), { signal, onProgress });
+  }
+
+  *analysisSteps(params) {
     const {
       base_scenario,
       sensitivity_variables = [
@@ -125,16 +256,37 @@ export class SensitivityAnalysisCalculator {
         { variable: 'interest_rate', variations: [-20, -10, 0, 10, 20] }
       ],
       analysis_metrics = ['irr', 'cash_on_cash', 'total_return'],
-      discount_rate = 10
+      discount_rate = 10,
+      global_sensitivity = null,
+      scenario_sets = null,
+      goal_seek = null
     } = params;
 
+    // One step per variable, per two-way grid row and per break-even search, plus one per global
+    // method, one for the scenario sets and one for goal seek
+    const hasTwoWay = sensitivity_variables.length >= 2;
+    const globalMethod = global_sensitivity && (global_sensitivity.method ?? 'both');
+    const globalSteps = !globalMethod ? 0 : globalMethod === 'both' ? 2 : 1;
+    const totalSteps = sensitivity_variables.length * 2 + (hasTwoWay ? TWO_WAY_VARIATIONS.length : 0) +
+      globalSteps + (scenario_sets ? 1 : 0) + (goal_seek ? 1 : 0);
+    let completedSteps = 0;
+    let cancelled = false;
+
+    // Returns true when the caller asked to stop
+    const checkpoint = function* (message) {
+      completedSteps++;
+      const stop = yield { completed: completedSteps, total: totalSteps, message };
+      cancelled = Boolean(stop) && completedSteps < totalSteps;
+      return cancelled;
+    };
+
     // Calculate base case metrics
     const baseMetrics = this.calculateScenarioMetrics(base_scenario, discount_rate / 100);
 
     // Perform sensitivity analysis
     const sensitivityResults = [];
     
-    sensitivity_variables.forEach(({ variable, variations = [-20, -10, 0, 10, 20] }) => {
+    for (const { variable, variations = [-20, -10, 0, 10, 20] } of sensitivity_variables) {
       const variableResults = {
         variable: this.formatVariableName(variable),
         base_value: this.getBaseValue(base_scenario, variable),
@@ -156,25 +308,91 @@ export class SensitivityAnalysisCalculator {
       // Calculate sensitivity metrics
       variableResults.sensitivity_metrics = this.calculateSensitivityMetrics(variableResults.scenarios);
       sensitivityResults.push(variableResults);
-    });
+
+      if (yield* checkpoint(`Analyzed ${variableResults.variable}`)) break;
+    }
 
     // Two-way sensitivity analysis (if at least 2 variables)
     let twoWayAnalysis = null;
-    if (sensitivity_variables.length >= 2) {
-      twoWayAnalysis = this.performTwoWayAnalysis(
-        base_scenario,
-        sensitivity_variables[0],
-        sensitivity_variables[1],
-        analysis_metrics[0],
-        discount_rate / 100
-      );
+    if (hasTwoWay && !cancelled) {
+      const [var1, var2] = sensitivity_variables;
+      twoWayAnalysis = {
+        variable1: this.formatVariableName(var1.variable),
+        variable2: this.formatVariableName(var2.variable),
+        metric: analysis_metrics[0],
+        var2_changes: TWO_WAY_VARIATIONS,
+        data: []
+      };
+
+      for (const var1Change of TWO_WAY_VARIATIONS) {
+        twoWayAnalysis.data.push(
+          this.calculateTwoWayRow(base_scenario, var1, var2, var1Change, analysis_metrics[0], discount_rate / 100)
+        );
+        if (yield* checkpoint(`Two-way grid row ${twoWayAnalysis.data.length} of ${TWO_WAY_VARIATIONS.length}`)) break;
+      }
     }
 
     // Tornado diagram data
     const tornadoDiagram = this.createTornadoDiagram(sensitivityResults, analysis_metrics[0]);
 
     // Critical values analysis
-    const criticalValues = this.findCriticalValues(base_scenario, sensitivity_variables, discount_rate / 100);
+    const criticalValues = [];
+    if (!cancelled) {
+      for (const { variable } of sensitivity_variables) {
+        const criticalValue = this.findCriticalValue(base_scenario, variable, discount_rate / 100);
+        if (criticalValue) {
+          criticalValues.push(criticalValue);
+        }
+        if (yield* checkpoint(`Searched break-even for ${this.formatVariableName(variable)}`)) break;
+      }
+    }
+
+    // Global sensitivity across all inputs at once
+    let globalSensitivity = null;
+    if (globalMethod && !cancelled) {
+      const metric = global_sensitivity.metric ?? analysis_metrics[0];
+      const seed = global_sensitivity.random_seed ?? generateSeed();
+      const rng = new SeededRandom(seed);
+      const ranges = this.globalRanges(base_scenario, global_sensitivity.variables);
+      globalSensitivity = {
+        method: globalMethod,
+        metric: metric,
+        random_seed: seed,
+        ranges: ranges.map(({ variable, min_change, max_change }) => ({
+          variable: this.formatVariableName(variable), min_change, max_change
+        })),
+        sobol: null,
+        morris: null
+      };
+
+      if (globalMethod !== 'morris') {
+        globalSensitivity.sobol = this.sobolIndices(
+          base_scenario, ranges, metric, discount_rate / 100, global_sensitivity.samples ?? 1024, rng
+        );
+        yield* checkpoint('Estimated Sobol indices');
+      }
+      if (globalMethod !== 'sobol' && !cancelled) {
+        globalSensitivity.morris = this.morrisScreening(
+          base_scenario, ranges, metric, discount_rate / 100,
+          global_sensitivity.trajectories ?? 20, global_sensitivity.levels ?? 4, rng
+        );
+        yield* checkpoint('Screened inputs with Morris elementary effects');
+      }
+    }
+
+    // Scenario sets that move several variables together
+    let scenarioSets = null;
+    if (scenario_sets && !cancelled) {
+      scenarioSets = this.analyzeScenarioSets(base_scenario, scenario_sets, baseMetrics, analysis_metrics, discount_rate / 100);
+      yield* checkpoint('Evaluated scenario sets');
+    }
+
+    // Goal seek
+    let goalSeek = null;
+    if (goal_seek && !cancelled) {
+      goalSeek = this.goalSeek(base_scenario, goal_seek, discount_rate / 100);
+      yield* checkpoint('Solved goal seek');
+    }
 
     // Risk assessment
     const riskAssessment = this.assessRisk(sensitivityResults, baseMetrics);
@@ -188,12 +406,21 @@ export class SensitivityAnalysisCalculator {
       two_way_analysis: twoWayAnalysis,
       tornado_diagram: tornadoDiagram,
       critical_values: criticalValues,
+      global_sensitivity: globalSensitivity,
+      scenario_sets: scenarioSets,
+      goal_seek: goalSeek,
       risk_assessment: riskAssessment,
       recommendations: this.generateRecommendations(
         sensitivityResults,
         riskAssessment,
-        criticalValues
-      )
+        criticalValues,
+        { globalSensitivity, goalSeek }
+      ),
+      analysis_metadata: {
+        total_steps: totalSteps,
+        completed_steps: completedSteps,
+        cancelled: cancelled
+      }
     };
   }
 
@@ -216,14 +443,7 @@ export class SensitivityAnalysisCalculator {
     // Calculate annual debt service
     const monthly_rate = interest_rate / 100 / 12;
     const num_payments = loan_term_years * 12;
-    let monthly_payment = 0;
-    
-    if (loan_amount > 0 && monthly_rate > 0) {
-      monthly_payment = loan_amount * (monthly_rate * Math.pow(1 + monthly_rate, num_payments)) / 
-                       (Math.pow(1 + monthly_rate, num_payments) - 1);
-    } else if (loan_amount > 0) {
-      monthly_payment = loan_amount / num_payments;
-    }
+    const monthly_payment = loan_amount > 0 ? levelPayment(loan_amount, monthly_rate, num_payments) : 0;
     
     const annual_debt_service = monthly_payment * 12;
 
@@ -266,7 +486,7 @@ export class SensitivityAnalysisCalculator {
     const total_return = down_payment > 0 ? ((total_cash_received - down_payment) / down_payment) * 100 : 0;
 
     return {
-      irr: irr * 100,
+      irr: irr === null ? null : irr * 100,
       npv: npv,
       cash_on_cash: cash_on_cash,
       total_return: total_return,
@@ -278,49 +498,16 @@ export class SensitivityAnalysisCalculator {
   }
 
   calculateRemainingBalance(principal, monthlyRate, totalPayments, paymentsMade) {
-    if (monthlyRate === 0) {
-      return principal * (1 - paymentsMade / totalPayments);
-    }
-    
-    const monthlyPayment = principal * (monthlyRate * Math.pow(1 + monthlyRate, totalPayments)) / 
-                          (Math.pow(1 + monthlyRate, totalPayments) - 1);
-    
-    const remainingBalance = principal * Math.pow(1 + monthlyRate, paymentsMade) - 
-                           monthlyPayment * (Math.pow(1 + monthlyRate, paymentsMade) - 1) / monthlyRate;
-    
-    return Math.max(0, remainingBalance);
+    return remainingBalance(principal, monthlyRate, totalPayments, paymentsMade);
   }
 
+  // Null when the flows have no unique IRR
   calculateIRR(cashFlows) {
-    let rate = 0.1;
-    const maxIterations = 100;
-    const tolerance = 0.00001;
-
-    for (let i = 0; i < maxIterations; i++) {
-      let npv = 0;
-      let dnpv = 0;
-
-      for (let j = 0; j < cashFlows.length; j++) {
-        npv += cashFlows[j] / Math.pow(1 + rate, j);
-        if (j > 0) {
-          dnpv -= j * cashFlows[j] / Math.pow(1 + rate, j + 1);
-        }
-      }
-
-      const newRate = rate - npv / dnpv;
-      
-      if (Math.abs(newRate - rate) < tolerance) {
-        return newRate;
-      }
-      
-      rate = newRate;
-    }
-
-    return rate;
+    return solveIRR(cashFlows).irr;
   }
 
   calculateNPV(cashFlows, discountRate) {
-    return cashFlows.reduce((npv, cf, i) => npv + cf / Math.pow(1 + discountRate, i), 0);
+    return presentValue(cashFlows, discountRate);
   }
 
   formatVariableName(variable) {
@@ -340,9 +527,9 @@ export class SensitivityAnalysisCalculator {
       purchase_price: scenario.purchase_price,
       rental_income: scenario.annual_rental_income,
       expenses: scenario.annual_expenses,
-      vacancy_rate: scenario.vacancy_rate || 5,
-      interest_rate: scenario.interest_rate || 7,
-      appreciation_rate: scenario.appreciation_rate || 3
+      vacancy_rate: scenario.vacancy_rate ?? 5,
+      interest_rate: scenario.interest_rate ?? 7,
+      appreciation_rate: scenario.appreciation_rate ?? 3
     };
     return mapping[variable];
   }
@@ -383,7 +570,7 @@ export class SensitivityAnalysisCalculator {
   formatMetrics(metrics, selectedMetrics) {
     const formatted = {};
     selectedMetrics.forEach(metric => {
-      formatted[metric] = parseFloat(metrics[metric].toFixed(2));
+      formatted[metric] = metrics[metric] === null ? null : parseFloat(metrics[metric].toFixed(2));
     });
     return formatted;
   }
@@ -394,7 +581,10 @@ export class SensitivityAnalysisCalculator {
       const baseValue = baseMetrics[metric];
       const scenarioValue = scenarioMetrics[metric];
       
-      if (metric === 'monthly_cash_flow' || metric === 'npv') {
+      if (baseValue === null || scenarioValue === null) {
+        // IRR is null when a scenario's cash flows have no unique IRR
+        impact[metric] = null;
+      } else if (metric === 'monthly_cash_flow' || metric === 'npv') {
         // Absolute change for dollar amounts
         impact[metric] = parseFloat((scenarioValue - baseValue).toFixed(2));
       } else {
@@ -412,8 +602,13 @@ export class SensitivityAnalysisCalculator {
     const metricNames = Object.keys(scenarios[0].metrics);
 
     metricNames.forEach(metric => {
-      const values = scenarios.map(s => s.metrics[metric]);
-      const variations = scenarios.map(s => s.variation_percent);
+      const defined = scenarios.filter(s => s.metrics[metric] !== null);
+      const values = defined.map(s => s.metrics[metric]);
+      const variations = defined.map(s => s.variation_percent);
+      if (values.length === 0) {
+        metrics[metric] = { range: 0, elasticity: 0, min_value: null, max_value: null };
+        return;
+      }
       
       // Calculate range
       const range = Math.max(...values) - Math.min(...values);
@@ -422,7 +617,7 @@ export class SensitivityAnalysisCalculator {
       let totalElasticity = 0;
       let count = 0;
       
-      for (let i = 0; i < scenarios.length - 1; i++) {
+      for (let i = 0; i < values.length - 1; i++) {
         if (variations[i + 1] !== variations[i] && values[i] !== 0) {
           const inputChange = variations[i + 1] - variations[i];
           const outputChange = ((values[i + 1] - values[i]) / Math.abs(values[i])) * 100;
@@ -442,33 +637,20 @@ export class SensitivityAnalysisCalculator {
     return metrics;
   }
 
-  performTwoWayAnalysis(baseScenario, var1, var2, metric, discountRate) {
-    const variations = [-20, -10, 0, 10, 20];
-    const results = [];
-
-    variations.forEach(var1Change => {
-      const row = {
-        var1_change: var1Change,
-        values: []
-      };
-
-      variations.forEach(var2Change => {
-        let scenario = this.createScenario(baseScenario, var1.variable, var1Change);
-        scenario = this.createScenario(scenario, var2.variable, var2Change);
-        const metrics = this.calculateScenarioMetrics(scenario, discountRate);
-        row.values.push(parseFloat(metrics[metric].toFixed(2)));
-      });
+  calculateTwoWayRow(baseScenario, var1, var2, var1Change, metric, discountRate) {
+    const row = {
+      var1_change: var1Change,
+      values: []
+    };
 
-      results.push(row);
+    TWO_WAY_VARIATIONS.forEach(var2Change => {
+      let scenario = this.createScenario(baseScenario, var1.variable, var1Change);
+      scenario = this.createScenario(scenario, var2.variable, var2Change);
+      const metrics = this.calculateScenarioMetrics(scenario, discountRate);
+      row.values.push(metrics[metric] === null ? null : parseFloat(metrics[metric].toFixed(2)));
     });
 
-    return {
-      variable1: this.formatVariableName(var1.variable),
-      variable2: this.formatVariableName(var2.variable),
-      metric: metric,
-      var2_changes: variations,
-      data: results
-    };
+    return row;
   }
 
   createTornadoDiagram(sensitivityResults, primaryMetric) {
@@ -476,7 +658,7 @@ export class SensitivityAnalysisCalculator {
 
     sensitivityResults.forEach(result => {
       const sensitivity = result.sensitivity_metrics[primaryMetric];
-      if (sensitivity) {
+      if (sensitivity && sensitivity.min_value !== null) {
         data.push({
           variable: result.variable,
           min_impact: sensitivity.min_value,
@@ -496,29 +678,25 @@ export class SensitivityAnalysisCalculator {
     };
   }
 
-  findCriticalValues(baseScenario, variables, discountRate) {
-    const criticalValues = [];
-
-    variables.forEach(({ variable }) => {
-      // Find break-even point (where IRR = discount rate or NPV = 0)
-      const breakEven = this.findBreakEvenPoint(
-        baseScenario,
-        variable,
-        discountRate
-      );
+  findCriticalValue(baseScenario, variable, discountRate) {
+    // Find break-even point (where IRR = discount rate or NPV = 0)
+    const breakEven = this.findBreakEvenPoint(
+      baseScenario,
+      variable,
+      discountRate
+    );
 
-      if (breakEven !== null) {
-        criticalValues.push({
-          variable: this.formatVariableName(variable),
-          base_value: this.getBaseValue(baseScenario, variable),
-          break_even_value: breakEven.value,
-          break_even_change_percent: breakEven.changePercent,
-          margin_of_safety: parseFloat((100 - Math.abs(breakEven.changePercent)).toFixed(2))
-        });
-      }
-    });
+    if (breakEven === null) {
+      return null;
+    }
 
-    return criticalValues;
+    return {
+      variable: this.formatVariableName(variable),
+      base_value: this.getBaseValue(baseScenario, variable),
+      break_even_value: breakEven.value,
+      break_even_change_percent: breakEven.changePercent,
+      margin_of_safety: parseFloat((100 - Math.abs(breakEven.changePercent)).toFixed(2))
+    };
   }
 
   findBreakEvenPoint(baseScenario, variable, targetRate) {
@@ -564,6 +742,240 @@ export class SensitivityAnalysisCalculator {
     return null;
   }
 
+  // Range each input is drawn from in the global analysis; vacancy changes are in points, so its default runs from 0% to 10 points above base
+  globalRanges(baseScenario, variables = VARIABLES.map(variable => ({ variable }))) {
+    const seen = new Set();
+    return variables.map(({ variable, min_change, max_change }) => {
+      if (seen.has(variable)) throw new Error(`Global sensitivity lists ${variable} more than once`);
+      seen.add(variable);
+      const [defaultMin, defaultMax] = variable === 'vacancy_rate' ? [-this.getBaseValue(baseScenario, variable), 10] : [-20, 20];
+      const range = { variable, min_change: min_change ?? defaultMin, max_change: max_change ?? defaultMax };
+      if (!(range.min_change < range.max_change)) {
+        throw new Error(`Global sensitivity range for ${variable} needs min_change below max_change (got ${range.min_change} to ${range.max_change})`);
+      }
+      return range;
+    });
+  }
+
+  // Metric at a point of the unit hypercube, each coordinate placed within its input's range
+  metricAt(baseScenario, ranges, point, metric, discountRate) {
+    const scenario = ranges.reduce(
+      (current, { variable, min_change, max_change }, i) =>
+        this.createScenario(current, variable, min_change + point[i] * (max_change - min_change)),
+      baseScenario
+    );
+    return this.calculateScenarioMetrics(scenario, discountRate)[metric];
+  }
+
+  /**
+   * Sobol indices by the Saltelli sampling scheme: two independent sample matrices A and B, and for
+   * each input a matrix AB_i that is A with column i taken from B. First-order indices use the
+   * Saltelli (2010) estimator and total indices the Jansen estimator. Samples where any run has no
+   * metric (no unique IRR) are left out, and with none left the indices are null.
+   */
+  sobolIndices(baseScenario, ranges, metric, discountRate, samples, rng) {
+    const k = ranges.length;
+    const evaluate = point => this.metricAt(baseScenario, ranges, point, metric, discountRate);
+    const rows = [];
+
+    for (let n = 0; n < samples; n++) {
+      const a = Array.from({ length: k }, () => rng.uniform());
+      const b = Array.from({ length: k }, () => rng.uniform());
+      const row = {
+        a: evaluate(a),
+        b: evaluate(b),
+        ab: ranges.map((_, i) => evaluate(a.map((value, j) => (j === i ? b[j] : value))))
+      };
+      if (row.a !== null && row.b !== null && row.ab.every(value => value !== null)) rows.push(row);
+    }
+    if (rows.length === 0) return null;
+
+    const outputs = rows.flatMap(row => [row.a, row.b]);
+    const mean = outputs.reduce((sum, value) => sum + value, 0) / outputs.length;
+    const variance = outputs.reduce((sum, value) => sum + (value - mean) ** 2, 0) / outputs.length;
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const variables = ranges.map(({ variable }, i) => {
+      const first = variance > 0 ? average(rows.map(row => row.b * (row.ab[i] - row.a))) / variance : 0;
+      const total = variance > 0 ? average(rows.map(row => (row.a - row.ab[i]) ** 2)) / 2 / variance : 0;
+      return {
+        variable: this.formatVariableName(variable),
+        first_order: parseFloat(first.toFixed(3)),
+        total_order: parseFloat(total.toFixed(3))
+      };
+    }).sort((x, y) => y.total_order - x.total_order);
+    const firstOrderSum = variables.reduce((sum, v) => sum + v.first_order, 0);
+
+    return {
+      variables: variables,
+      interaction_share: parseFloat(Math.max(0, 1 - firstOrderSum).toFixed(3)),
+      mean: parseFloat(mean.toFixed(2)),
+      variance: parseFloat(variance.toFixed(4)),
+      samples: samples,
+      excluded_samples: samples - rows.length,
+      model_runs: samples * (k + 2)
+    };
+  }
+
+  /**
+   * Morris screening: each trajectory starts at a random point of a grid with `levels` levels per
+   * input and moves one input at a time, in random order, by delta = levels / (2 (levels - 1)).
+   * Each move gives that input's elementary effect, expressed as the change in the metric across
+   * the input's whole range. mu* (mean absolute effect) ranks importance; a sigma large against
+   * mu* flags an effect that depends on where the other inputs are (nonlinear or interacting).
+   */
+  morrisScreening(baseScenario, ranges, metric, discountRate, trajectories, levels, rng) {
+    const k = ranges.length;
+    const delta = levels / (2 * (levels - 1));
+    const effects = ranges.map(() => []);
+    const evaluate = point => this.metricAt(baseScenario, ranges, point, metric, discountRate);
+
+    for (let t = 0; t < trajectories; t++) {
+      const point = Array.from({ length: k }, () => Math.floor(rng.uniform() * levels) / (levels - 1));
+      const order = Array.from({ length: k }, (_, i) => i);
+      for (let i = k - 1; i > 0; i--) {
+        const j = Math.floor(rng.uniform() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+
+      let current = evaluate(point);
+      for (const i of order) {
+        const step = point[i] + delta <= 1 + 1e-12 ? delta : -delta;
+        point[i] += step;
+        const next = evaluate(point);
+        if (current !== null && next !== null) effects[i].push((next - current) / step);
+        current = next;
+      }
+    }
+
+    const variables = ranges.map(({ variable }, i) => {
+      const values = effects[i];
+      const n = values.length || 1;
+      const mu = values.reduce((sum, value) => sum + value, 0) / n;
+      const muStar = values.reduce((sum, value) => sum + Math.abs(value), 0) / n;
+      const sigma = values.length > 1
+        ? Math.sqrt(values.reduce((sum, value) => sum + (value - mu) ** 2, 0) / (values.length - 1))
+        : 0;
+      return {
+        variable: this.formatVariableName(variable),
+        mu: parseFloat(mu.toFixed(3)),
+        mu_star: parseFloat(muStar.toFixed(3)),
+        sigma: parseFloat(sigma.toFixed(3))
+      };
+    }).sort((x, y) => y.mu_star - x.mu_star);
+
+    const largest = variables[0]?.mu_star ?? 0;
+    variables.forEach(v => {
+      v.effect = v.mu_star < 0.1 * largest ? 'Negligible' : v.sigma > 0.5 * v.mu_star ? 'Nonlinear or interacting' : 'Linear';
+    });
+
+    return {
+      variables: variables,
+      trajectories: trajectories,
+      levels: levels,
+      model_runs: trajectories * (k + 1)
+    };
+  }
+
+  // Each set applies all of its changes at once; probability-weighted metrics need a probability on every set, summing to 1
+  analyzeScenarioSets(baseScenario, scenarioSets, baseMetrics, selectedMetrics, discountRate) {
+    const scenarios = scenarioSets.map(({ name, changes, probability }) => {
+      const scenario = Object.entries(changes).reduce(
+        (current, [variable, change]) => this.createScenario(current, variable, change),
+        baseScenario
+      );
+      const metrics = this.calculateScenarioMetrics(scenario, discountRate);
+      return {
+        name: name,
+        probability: probability ?? null,
+        changes: Object.entries(changes).map(([variable, change]) => ({
+          variable: this.formatVariableName(variable),
+          change_percent: change,
+          value: parseFloat(this.getVariableValue(scenario, variable).toFixed(2))
+        })),
+        metrics: this.formatMetrics(metrics, selectedMetrics),
+        impact: this.calculateImpact(baseMetrics, metrics, selectedMetrics)
+      };
+    });
+
+    let probabilityWeighted = null;
+    if (scenarios.length > 0 && scenarios.every(s => s.probability !== null)) {
+      const totalProbability = scenarios.reduce((sum, s) => sum + s.probability, 0);
+      if (Math.abs(totalProbability - 1) > 1e-6) {
+        throw new Error(`Scenario set probabilities must sum to 1 (got ${parseFloat(totalProbability.toFixed(6))})`);
+      }
+      probabilityWeighted = {};
+      selectedMetrics.forEach(metric => {
+        probabilityWeighted[metric] = scenarios.some(s => s.metrics[metric] === null)
+          ? null
+          : parseFloat(scenarios.reduce((sum, s) => sum + s.probability * s.metrics[metric], 0).toFixed(2));
+      });
+    }
+
+    return {
+      scenarios: scenarios,
+      probability_weighted: probabilityWeighted
+    };
+  }
+
+  /**
+   * Value of one variable that brings the metric to the target. Changes from base are tried nearest
+   * first until two straddle the target, then bisected. Unreachable targets report why.
+   */
+  goalSeek(baseScenario, { target, metric = 'irr', variable = 'rental_income' }, discountRate) {
+    const gap = change => {
+      const value = this.calculateScenarioMetrics(this.createScenario(baseScenario, variable, change), discountRate)[metric];
+      return value === null ? null : value - target;
+    };
+    const baseMetric = this.calculateScenarioMetrics(baseScenario, discountRate)[metric];
+    const result = {
+      variable: this.formatVariableName(variable),
+      metric: metric,
+      target: target,
+      base_value: this.getBaseValue(baseScenario, variable),
+      base_metric: baseMetric === null ? null : parseFloat(baseMetric.toFixed(2))
+    };
+
+    const points = GOAL_SEEK_GRID.map(change => ({ change, gap: gap(change) })).filter(point => point.gap !== null);
+    let bracket = null;
+    for (let i = 0; i < points.length - 1; i++) {
+      const [low, high] = [points[i], points[i + 1]];
+      if (Math.sign(low.gap) === Math.sign(high.gap) && low.gap !== 0) continue;
+      const distance = Math.min(Math.abs(low.change), Math.abs(high.change));
+      if (!bracket || distance < bracket.distance) bracket = { low, high, distance };
+    }
+
+    if (!bracket) {
+      return {
+        ...result,
+        achievable: false,
+        required_value: null,
+        change_percent: null,
+        achieved: null,
+        message: `No ${result.variable.toLowerCase()} from ${GOAL_SEEK_GRID[0]}% to +${GOAL_SEEK_GRID.at(-1)}% of base reaches the target ${metric} of ${target}`
+      };
+    }
+
+    let { low, high } = bracket;
+    for (let i = 0; i < 100 && high.change - low.change > 1e-9 && low.gap !== 0; i++) {
+      const change = (low.change + high.change) / 2;
+      const midGap = gap(change);
+      if (midGap === null) break;
+      if (Math.sign(midGap) === Math.sign(low.gap)) low = { change, gap: midGap }; else high = { change, gap: midGap };
+    }
+    const solution = Math.abs(low.gap) <= Math.abs(high.gap) ? low : high;
+    const required = this.getVariableValue(this.createScenario(baseScenario, variable, solution.change), variable);
+
+    return {
+      ...result,
+      achievable: true,
+      required_value: parseFloat(required.toFixed(2)),
+      change_percent: parseFloat(solution.change.toFixed(2)),
+      achieved: parseFloat((target + solution.gap).toFixed(2)),
+      ...(variable === 'rental_income' && { required_monthly_rent: parseFloat((required / 12).toFixed(2)) })
+    };
+  }
+
   assessRisk(sensitivityResults, baseMetrics) {
     let totalElasticity = 0;
     let maxDownsideRisk = 0;
@@ -659,7 +1071,7 @@ export class SensitivityAnalysisCalculator {
     return factors;
   }
 
-  generateRecommendations(sensitivityResults, riskAssessment, criticalValues) {
+  generateRecommendations(sensitivityResults, riskAssessment, criticalValues, { globalSensitivity = null, goalSeek = null } = {}) {
     const recommendations = [];
 
     // Risk level recommendations
@@ -722,6 +1134,55 @@ export class SensitivityAnalysisCalculator {
       });
     }
 
+    // Global sensitivity recommendations
+    const sobol = globalSensitivity?.sobol;
+    if (globalSensitivity && globalSensitivity.method !== 'morris' && sobol === null) {
+      recommendations.push({
+        type: 'Focus Area',
+        priority: 'Medium',
+        message: `No Sobol indices for ${globalSensitivity.metric}: no sampled scenario had a unique value`,
+        action: 'Narrow the variable ranges, or analyze a metric that is always defined such as NPV or cash-on-cash'
+      });
+    }
+    if (sobol?.variables[0]?.total_order > 0.5) {
+      recommendations.push({
+        type: 'Focus Area',
+        priority: 'High',
+        message: `${sobol.variables[0].variable} drives ${Math.round(sobol.variables[0].total_order * 100)}% of the variance in ${globalSensitivity.metric} when all inputs vary together`,
+        action: `Firm up the ${sobol.variables[0].variable} assumption before committing`
+      });
+    }
+    if (sobol?.interaction_share > 0.2) {
+      recommendations.push({
+        type: 'Interactions',
+        priority: 'Medium',
+        message: `${Math.round(sobol.interaction_share * 100)}% of the variance in ${globalSensitivity.metric} comes from inputs moving together`,
+        action: 'Stress-test combined moves with scenario sets rather than one variable at a time'
+      });
+    }
+
+    // Goal seek recommendations
+    if (goalSeek && !goalSeek.achievable) {
+      recommendations.push({
+        type: 'Target',
+        priority: 'High',
+        message: goalSeek.message,
+        action: 'Revisit the target or the deal terms'
+      });
+    } else if (goalSeek && goalSeek.base_metric !== null && goalSeek.base_metric < goalSeek.target) {
+      const required = goalSeek.required_monthly_rent !== undefined
+        ? `$${goalSeek.required_monthly_rent.toLocaleString('en-US')}/month`
+        : ['Interest Rate', 'Appreciation Rate'].includes(goalSeek.variable)
+          ? `${goalSeek.required_value}%`
+          : `$${goalSeek.required_value.toLocaleString('en-US')}`;
+      recommendations.push({
+        type: 'Target',
+        priority: 'Medium',
+        message: `Reaching a ${goalSeek.metric} of ${goalSeek.target} needs ${goalSeek.variable} of ${required} (${goalSeek.change_percent > 0 ? '+' : ''}${goalSeek.change_percent}% from base)`,
+        action: 'Confirm the market supports that value, or renegotiate terms'
+      });
+    }
+
     return recommendations;
   }
 }
\ No newline at end of file
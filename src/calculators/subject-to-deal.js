@@ -3,6 +3,8 @@
  * Analyzes subject-to real estate deals where buyer takes over existing mortgage payments
  */
 
+import { levelPayment, remainingBalance } from '../amortization.js';
+
 export class SubjectToDealCalculator {
   getSchema() {
     return {
@@ -114,6 +116,27 @@ export class SubjectToDealCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        deal_summary: { type: 'object', description: 'Purchase price, existing loan and cash required' },
+        deal_metrics: { type: 'object', description: 'Instant equity, LTV and deal quality score' },
+        cash_flow_analysis: { type: 'object', description: 'Monthly and annual cash flow' },
+        equity_analysis: { type: 'object', description: 'Equity position and growth' },
+        risk_assessment: { type: ['object', 'null'], description: 'Due-on-sale, legal and market risks' },
+        exit_strategies: { type: ['object', 'null'], description: 'Hold, refinance, sale and seller financing exits' },
+        insurance_requirements: { type: ['object', 'null'], description: 'Insurance coverage requirements' },
+        long_term_projections: { type: ['object', 'null'], description: 'Five-year equity and return projection' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'deal_summary', 'deal_metrics', 'cash_flow_analysis', 'equity_analysis', 'risk_assessment',
+        'exit_strategies', 'insurance_requirements', 'long_term_projections', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       property_details,
@@ -774,21 +797,11 @@ export class SubjectToDealCalculator {
   }
 
   calculateMonthlyPayment(principal, annual_rate, months) {
-    const monthly_rate = annual_rate / 12;
-    return principal * (monthly_rate * Math.pow(1 + monthly_rate, months)) / 
-           (Math.pow(1 + monthly_rate, months) - 1);
+    return levelPayment(principal, annual_rate / 12, months);
   }
 
   calculateRemainingBalance(balance, monthly_rate, total_months, payments_made) {
-    const monthly_payment = this.calculateMonthlyPayment(balance, monthly_rate * 12, total_months);
-    
-    for (let i = 0; i < payments_made; i++) {
-      const interest = balance * monthly_rate;
-      const principal = monthly_payment - interest;
-      balance -= principal;
-    }
-    
-    return Math.max(0, balance);
+    return remainingBalance(balance, monthly_rate, total_months, payments_made);
   }
 
   recommendBestExitStrategy(strategies, cash_flow_analysis) {
@@ -1,27 +1,513 @@
+/**
+ * Syndication Analyzer
+ * Runs deal cash flows through an LP/GP distribution waterfall with sponsor fees
+ */
+
+import { solveIRR } from '../financial-math.js';
+
+const PERCENT = { type: 'number', minimum: 0, maximum: 100 };
+
 export class SyndicationAnalyzer {
   getSchema() {
     return {
       type: 'object',
       properties: {
-        investment_amount: { type: 'number', description: 'Your investment amount' },
-        projected_irr: { type: 'number', description: 'Projected Internal Rate of Return (%)' },
-        hold_period: { type: 'number', description: 'Expected hold period in years' },
-        preferred_return: { type: 'number', description: 'Preferred return rate (%)' }
+        investment_amount: { type: 'number', minimum: 1, description: 'Your investment amount' },
+        total_raise: { type: 'number', minimum: 1, description: 'Total LP equity raised, including fees paid at closing; defaults to your investment' },
+        hold_period: { type: 'integer', minimum: 1, maximum: 30, description: 'Expected hold period in years; defaults to the length of annual_cash_flows' },
+        projected_irr: { type: 'number', minimum: -50, maximum: 100, description: 'Projected deal-level IRR on invested equity before sponsor fees and promote (%)' },
+        annual_cash_yield: { ...PERCENT, description: 'Operating cash distributed each year as a % of invested equity when deal cash flows come from projected_irr', default: 5 },
+        annual_cash_flows: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Deal-level operating cash flow available to equity for each year, before sponsor fees. Use with exit_proceeds instead of projected_irr'
+        },
+        exit_proceeds: { type: 'number', minimum: 0, description: 'Net equity proceeds from the sale in the final year, before the disposition fee' },
+        purchase_price: { type: 'number', minimum: 0, description: 'Purchase price, the basis for the acquisition fee' },
+        sale_price: { type: 'number', minimum: 0, description: 'Gross sale price, the basis for the disposition fee' },
+        preferred_return: { ...PERCENT, description: 'Preferred return rate (%)', default: 8 },
+        preferred_return_type: {
+          type: 'string',
+          enum: ['simple', 'compounding'],
+          description: 'Simple pref accrues on unreturned capital only; compounding pref also accrues on unpaid pref',
+          default: 'simple'
+        },
+        profit_split_after_pref: { ...PERCENT, description: 'LP share of profits after the pref (and catch-up) up to the first hurdle (%)', default: 70 },
+        gp_catch_up_percent: {
+          ...PERCENT,
+          description: 'GP share of distributions after the pref until the GP has its full split of profits (0 = no catch-up, 100 = full catch-up)',
+          default: 0
+        },
+        hurdles: {
+          type: 'array',
+          description: 'IRR hurdles in ascending order. Once LPs reach each hurdle IRR, later profits split at that hurdle\'s LP share',
+          items: {
+            type: 'object',
+            properties: {
+              irr: { type: 'number', minimum: 0, maximum: 100, description: 'LP IRR that unlocks this split (%)' },
+              lp_split: { ...PERCENT, description: 'LP share of profits above the hurdle (%)' }
+            },
+            required: ['irr', 'lp_split']
+          }
+        },
+        fees: {
+          type: 'object',
+          properties: {
+            acquisition_fee_percent: { ...PERCENT, description: 'Paid at closing from the raise, as a % of purchase price (or of total raise when no price is given)', default: 0 },
+            asset_management_fee_percent: { ...PERCENT, description: 'Paid each year ahead of distributions, as a % of total raise; unpaid fees carry forward', default: 0 },
+            disposition_fee_percent: { ...PERCENT, description: 'Paid from the sale, as a % of sale price (or of exit proceeds when no price is given)', default: 0 }
+          }
+        }
       },
-      required: ['investment_amount', 'projected_irr', 'hold_period']
+      required: ['investment_amount']
+    };
+  }
+
+  getOutputSchema() {
+    const money = { type: 'number' };
+    return {
+      type: 'object',
+      properties: {
+        investment_amount: { type: 'number', description: 'Amount invested' },
+        projected_total_return: { type: 'number', description: 'Total distributions to your investment' },
+        total_profit: { type: 'number', description: 'Distributions less your investment' },
+        average_annual_return: { type: ['number', 'null'], description: 'Your IRR after fees and promote (%)' },
+        preferred_return_threshold: { type: 'number', description: 'Preferred return rate (%)' },
+        deal_cash_flows: {
+          type: 'array',
+          description: 'Deal-level cash to equity by year, the sponsor fees taken from it and what is left to distribute',
+          items: {
+            type: 'object',
+            properties: {
+              year: money,
+              operating_cash_flow: money,
+              sale_proceeds: money,
+              asset_management_fee: money,
+              disposition_fee: money,
+              distributable: money,
+              capital_call: { type: 'number', description: 'Shortfall the LPs fund when the year\'s cash is negative' }
+            },
+            required: [
+              'year', 'operating_cash_flow', 'sale_proceeds', 'asset_management_fee', 'disposition_fee', 'distributable', 'capital_call'
+            ]
+          }
+        },
+        waterfall: {
+          type: 'array',
+          description: 'How each year\'s distributable cash was split across the waterfall tiers, for the whole LP class',
+          items: {
+            type: 'object',
+            properties: {
+              year: money,
+              distributable: money,
+              preferred_return: money,
+              return_of_capital: money,
+              catch_up: { type: 'object', properties: { lp: money, gp: money }, required: ['lp', 'gp'] },
+              tiers: { type: 'array', items: { type: 'object' } },
+              lp_total: money,
+              gp_promote: money,
+              capital_call: money
+            },
+            required: [
+              'year', 'distributable', 'preferred_return', 'return_of_capital', 'catch_up', 'tiers', 'lp_total', 'gp_promote',
+              'capital_call'
+            ]
+          }
+        },
+        lp_distributions: {
+          type: 'array',
+          description: 'Your cash flows by year: the investment in year 0, then distributions less any capital calls',
+          items: {
+            type: 'object',
+            properties: {
+              year: money,
+              preferred_return: money,
+              return_of_capital: money,
+              profit_share: money,
+              capital_call: money,
+              total: money,
+              cash_yield: { type: ['number', 'null'], description: 'Distribution as a % of your investment' }
+            },
+            required: ['year', 'preferred_return', 'return_of_capital', 'profit_share', 'capital_call', 'total', 'cash_yield']
+          }
+        },
+        lp_returns: {
+          type: 'object',
+          properties: {
+            investment: money,
+            capital_calls: { type: 'number', description: 'Extra capital you fund to cover years with negative cash' },
+            total_distributions: money,
+            profit: { type: 'number', description: 'Distributions less your investment and capital calls' },
+            irr: { type: ['number', 'null'], description: 'LP IRR after fees and promote (%)' },
+            equity_multiple: money,
+            average_cash_yield: money,
+            unpaid_preferred_return: { type: 'number', description: 'Pref still owed to your investment at the end of the hold' }
+          },
+          required: [
+            'investment', 'capital_calls', 'total_distributions', 'profit', 'irr', 'equity_multiple', 'average_cash_yield',
+            'unpaid_preferred_return'
+          ]
+        },
+        gp_returns: {
+          type: 'object',
+          properties: {
+            promote: money,
+            catch_up: money,
+            acquisition_fee: money,
+            asset_management_fees: money,
+            disposition_fee: money,
+            total_fees: money,
+            total_compensation: money,
+            promote_share_of_profit: { type: ['number', 'null'], description: 'Promote as a % of all profit distributed (%)' }
+          },
+          required: [
+            'promote', 'catch_up', 'acquisition_fee', 'asset_management_fees', 'disposition_fee', 'total_fees',
+            'total_compensation', 'promote_share_of_profit'
+          ]
+        },
+        deal_returns: {
+          type: 'object',
+          properties: {
+            invested_equity: { type: 'number', description: 'Total raise less the acquisition fee' },
+            irr: { type: ['number', 'null'], description: 'Deal IRR on invested equity before fees and promote (%)' },
+            equity_multiple: money,
+            fee_and_promote_drag: { type: ['number', 'null'], description: 'Deal IRR less LP IRR (percentage points)' }
+          },
+          required: ['invested_equity', 'irr', 'equity_multiple', 'fee_and_promote_drag']
+        },
+        structure: { type: 'object', description: 'The waterfall tiers and fees after defaults were applied' },
+        recommendations: { type: 'array', items: { type: 'string' } }
+      },
+      required: [
+        'investment_amount', 'projected_total_return', 'total_profit', 'average_annual_return', 'preferred_return_threshold',
+        'deal_cash_flows', 'waterfall', 'lp_distributions', 'lp_returns', 'gp_returns', 'deal_returns', 'structure',
+        'recommendations'
+      ]
     };
   }
 
   analyze(params) {
-    const { investment_amount, projected_irr, hold_period, preferred_return = 8 } = params;
-    const total_return = investment_amount * Math.pow(1 + projected_irr / 100, hold_period);
-    
+    const structure = this.buildStructure(params);
+    const { investment_amount, total_raise, fees } = structure;
+    const share = investment_amount / total_raise;
+
+    const acquisition_fee = (params.purchase_price ?? total_raise) * fees.acquisition_fee_percent / 100;
+    const invested_equity = total_raise - acquisition_fee;
+    if (invested_equity <= 0) {
+      throw new Error(`Acquisition fee of ${Math.round(acquisition_fee)} leaves no equity to invest from a raise of ${total_raise}`);
+    }
+
+    const deal = this.dealCashFlows(params, structure, invested_equity);
+    const deal_cash_flows = this.applyFees(deal, params, structure);
+    const { waterfall, unpaid_preferred_return } = this.runWaterfall(deal_cash_flows, structure);
+
+    const lp_distributions = [
+      { year: 0, preferred_return: 0, return_of_capital: 0, profit_share: 0, capital_call: 0, total: round(-investment_amount), cash_yield: null },
+      ...waterfall.map(row => {
+        const profit = row.catch_up.lp + row.tiers.reduce((sum, tier) => sum + tier.lp, 0);
+        return {
+          year: row.year,
+          preferred_return: round(row.preferred_return * share),
+          return_of_capital: round(row.return_of_capital * share),
+          profit_share: round(profit * share),
+          capital_call: round(row.capital_call * share),
+          total: round((row.lp_total - row.capital_call) * share),
+          cash_yield: round(row.lp_total * share / investment_amount * 100)
+        };
+      })
+    ];
+
+    const lpTotal = waterfall.reduce((sum, row) => sum + row.lp_total, 0) * share;
+    const lpCalls = waterfall.reduce((sum, row) => sum + row.capital_call, 0) * share;
+    const lpIrr = this.calculateIRR([-total_raise, ...waterfall.map(row => row.lp_total - row.capital_call)]);
+    const dealIrr = this.calculateIRR([-invested_equity, ...deal.map(row => row.operating_cash_flow + row.sale_proceeds)]);
+    const operatingYears = lp_distributions.slice(1, -1);
+
+    const catch_up = waterfall.reduce((sum, row) => sum + row.catch_up.gp, 0);
+    const promote = waterfall.reduce((sum, row) => sum + row.gp_promote, 0);
+    const asset_management_fees = deal_cash_flows.reduce((sum, row) => sum + row.asset_management_fee, 0);
+    const disposition_fee = deal_cash_flows.reduce((sum, row) => sum + row.disposition_fee, 0);
+    const total_fees = acquisition_fee + asset_management_fees + disposition_fee;
+    const distributedProfit = waterfall.reduce((sum, row) => sum + row.distributable - row.return_of_capital, 0);
+
+    const lp_returns = {
+      investment: investment_amount,
+      capital_calls: round(lpCalls),
+      total_distributions: round(lpTotal),
+      profit: round(lpTotal - investment_amount - lpCalls),
+      irr: lpIrr === null ? null : round(lpIrr * 100),
+      equity_multiple: round(lpTotal / (investment_amount + lpCalls)),
+      average_cash_yield: operatingYears.length > 0
+        ? round(operatingYears.reduce((sum, row) => sum + row.cash_yield, 0) / operatingYears.length)
+        : 0,
+      unpaid_preferred_return: round(unpaid_preferred_return * share)
+    };
+    const gp_returns = {
+      promote: round(promote),
+      catch_up: round(catch_up),
+      acquisition_fee: round(acquisition_fee),
+      asset_management_fees: round(asset_management_fees),
+      disposition_fee: round(disposition_fee),
+      total_fees: round(total_fees),
+      total_compensation: round(promote + total_fees),
+      promote_share_of_profit: distributedProfit > 0 ? round(promote / distributedProfit * 100) : null
+    };
+    const dealTotal = deal.reduce((sum, row) => sum + row.operating_cash_flow + row.sale_proceeds, 0);
+    const deal_returns = {
+      invested_equity: round(invested_equity),
+      irr: dealIrr === null ? null : round(dealIrr * 100),
+      equity_multiple: round(dealTotal / invested_equity),
+      fee_and_promote_drag: dealIrr === null || lpIrr === null ? null : round((dealIrr - lpIrr) * 100)
+    };
+
+    return {
+      investment_amount,
+      projected_total_return: lp_returns.total_distributions,
+      total_profit: lp_returns.profit,
+      average_annual_return: lp_returns.irr,
+      preferred_return_threshold: structure.preferred_return,
+      deal_cash_flows: deal_cash_flows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, round(value)]))),
+      waterfall: waterfall.map(row => ({
+        year: row.year,
+        distributable: round(row.distributable),
+        preferred_return: round(row.preferred_return),
+        return_of_capital: round(row.return_of_capital),
+        catch_up: { lp: round(row.catch_up.lp), gp: round(row.catch_up.gp) },
+        tiers: row.tiers.map(tier => ({ ...tier, lp: round(tier.lp), gp: round(tier.gp) })),
+        lp_total: round(row.lp_total),
+        gp_promote: round(row.gp_promote),
+        capital_call: round(row.capital_call)
+      })),
+      lp_distributions,
+      lp_returns,
+      gp_returns,
+      deal_returns,
+      structure,
+      recommendations: this.generateRecommendations(lp_returns, gp_returns, deal_returns, structure)
+    };
+  }
+
+  buildStructure(params) {
+    const {
+      investment_amount,
+      total_raise = investment_amount,
+      preferred_return = 8,
+      preferred_return_type = 'simple',
+      profit_split_after_pref = 70,
+      gp_catch_up_percent = 0,
+      hurdles = []
+    } = params;
+
+    if (total_raise < investment_amount) {
+      throw new Error(`total_raise (${total_raise}) cannot be smaller than investment_amount (${investment_amount})`);
+    }
+    hurdles.forEach((hurdle, i) => {
+      const floor = i === 0 ? preferred_return : hurdles[i - 1].irr;
+      if (hurdle.irr <= floor) {
+        throw new Error(`Hurdle ${i + 1} IRR (${hurdle.irr}%) must be above ${i === 0 ? 'the preferred return' : `hurdle ${i}`} (${floor}%)`);
+      }
+    });
+    const gpShare = 100 - profit_split_after_pref;
+    if (gp_catch_up_percent > 0 && gp_catch_up_percent <= gpShare) {
+      throw new Error(`gp_catch_up_percent (${gp_catch_up_percent}%) must exceed the GP's ${gpShare}% split or the catch-up never completes`);
+    }
+
+    // Tier n splits profits until LPs reach hurdle n; the last tier has no ceiling
+    const tiers = [profit_split_after_pref, ...hurdles.map(h => h.lp_split)].map((lp_split, i) => ({
+      tier: i + 1,
+      lp_split,
+      from_irr: i === 0 ? preferred_return : hurdles[i - 1].irr,
+      to_irr: hurdles[i]?.irr ?? null
+    }));
+
     return {
       investment_amount,
-      projected_total_return: Math.round(total_return),
-      total_profit: Math.round(total_return - investment_amount),
-      average_annual_return: projected_irr,
-      preferred_return_threshold: preferred_return
+      total_raise,
+      preferred_return,
+      preferred_return_type,
+      gp_catch_up_percent,
+      tiers,
+      fees: {
+        acquisition_fee_percent: 0,
+        asset_management_fee_percent: 0,
+        disposition_fee_percent: 0,
+        ...params.fees
+      }
     };
   }
-}
\ No newline at end of file
+
+  /**
+   * Explicit annual_cash_flows and exit_proceeds are used as given. Otherwise the deal pays
+   * annual_cash_yield each year and the exit is sized so the deal earns projected_irr.
+   */
+  dealCashFlows(params, structure, investedEquity) {
+    if (params.annual_cash_flows) {
+      if (params.exit_proceeds === undefined) throw new Error('exit_proceeds is required with annual_cash_flows');
+      const years = params.hold_period ?? params.annual_cash_flows.length;
+      if (years < 1) throw new Error('Provide at least one year of annual_cash_flows or a hold_period');
+      return Array.from({ length: years }, (_, i) => ({
+        year: i + 1,
+        operating_cash_flow: params.annual_cash_flows[i] ?? 0,
+        sale_proceeds: i === years - 1 ? params.exit_proceeds : 0
+      }));
+    }
+
+    if (params.projected_irr === undefined || params.hold_period === undefined) {
+      throw new Error('Provide projected_irr and hold_period, or annual_cash_flows and exit_proceeds');
+    }
+    const rate = params.projected_irr / 100;
+    const years = params.hold_period;
+    const cashYield = params.annual_cash_yield ?? 5;
+    const yearly = investedEquity * cashYield / 100;
+    let exit = investedEquity * Math.pow(1 + rate, years);
+    for (let year = 1; year <= years; year++) exit -= yearly * Math.pow(1 + rate, years - year);
+    if (exit < 0) {
+      throw new Error(`annual_cash_yield of ${cashYield}% already exceeds a ${params.projected_irr}% IRR; lower the yield`);
+    }
+    return Array.from({ length: years }, (_, i) => ({
+      year: i + 1,
+      operating_cash_flow: yearly,
+      sale_proceeds: i === years - 1 ? exit : 0
+    }));
+  }
+
+  // Asset management fees come off the top each year, deferred when cash runs short. A year with
+  // negative cash (a shortfall or planned capital need) is funded by the LPs as a capital call
+  applyFees(deal, params, { total_raise, fees }) {
+    let deferred = 0;
+    return deal.map(row => {
+      const disposition_fee = row.sale_proceeds > 0
+        ? (params.sale_price ?? row.sale_proceeds) * fees.disposition_fee_percent / 100
+        : 0;
+      const cash = row.operating_cash_flow + row.sale_proceeds - disposition_fee;
+      const available = Math.max(0, cash);
+      const owed = deferred + total_raise * fees.asset_management_fee_percent / 100;
+      const asset_management_fee = Math.min(owed, available);
+      deferred = owed - asset_management_fee;
+      return {
+        ...row,
+        asset_management_fee,
+        disposition_fee,
+        distributable: available - asset_management_fee,
+        capital_call: Math.max(0, -cash)
+      };
+    });
+  }
+
+  /**
+   * Each year's cash pays accrued pref, then returns capital, then the GP catch-up, then profit
+   * splits tier by tier. IRR hurdles are tracked as balances compounding at the hurdle rate and
+   * reduced by every LP dollar, so a hurdle is met once its balance reaches zero.
+   */
+  runWaterfall(dealCashFlows, { total_raise, preferred_return, preferred_return_type, gp_catch_up_percent, tiers }) {
+    const pref = preferred_return / 100;
+    const catchUp = gp_catch_up_percent / 100;
+    const gpShare = 1 - tiers[0].lp_split / 100;
+    let capital = total_raise;
+    let prefOwed = 0;
+    let lpProfit = 0;
+    let gpProfit = 0;
+    const hurdleBalances = tiers.map(() => total_raise);
+
+    const waterfall = dealCashFlows.map(({ year, distributable, capital_call }) => {
+      prefOwed += (preferred_return_type === 'compounding' ? capital + prefOwed : capital) * pref;
+      tiers.forEach((tier, i) => {
+        if (tier.to_irr !== null) hurdleBalances[i] *= 1 + tier.to_irr / 100;
+      });
+      // Called capital joins the LPs' capital account and every hurdle balance
+      capital += capital_call;
+      hurdleBalances.forEach((_, i) => { hurdleBalances[i] += capital_call; });
+
+      const row = {
+        year, distributable, preferred_return: 0, return_of_capital: 0, catch_up: { lp: 0, gp: 0 },
+        tiers: tiers.map(tier => ({ tier: tier.tier, lp_split: tier.lp_split, lp: 0, gp: 0 })),
+        lp_total: 0, gp_promote: 0, capital_call
+      };
+      let cash = distributable;
+      const payLp = amount => {
+        row.lp_total += amount;
+        hurdleBalances.forEach((_, i) => { hurdleBalances[i] -= amount; });
+      };
+
+      const prefPaid = Math.min(cash, prefOwed);
+      prefOwed -= prefPaid;
+      cash -= prefPaid;
+      row.preferred_return = prefPaid;
+      lpProfit += prefPaid;
+      payLp(prefPaid);
+
+      const capitalPaid = Math.min(cash, capital);
+      capital -= capitalPaid;
+      cash -= capitalPaid;
+      row.return_of_capital = capitalPaid;
+      payLp(capitalPaid);
+
+      // Catch-up runs until the GP holds its tier 1 share of all profit distributed so far
+      if (catchUp > 0 && cash > 0) {
+        const needed = Math.max(0, (gpShare * (lpProfit + gpProfit) - gpProfit) / (catchUp - gpShare));
+        const paid = Math.min(cash, needed);
+        row.catch_up = { lp: paid * (1 - catchUp), gp: paid * catchUp };
+        cash -= paid;
+        lpProfit += row.catch_up.lp;
+        gpProfit += row.catch_up.gp;
+        payLp(row.catch_up.lp);
+      }
+
+      tiers.forEach((tier, i) => {
+        if (cash <= 0) return;
+        const lpShare = tier.lp_split / 100;
+        const paid = tier.to_irr === null || lpShare === 0
+          ? cash
+          : Math.min(cash, Math.max(0, hurdleBalances[i]) / lpShare);
+        const lp = paid * lpShare;
+        row.tiers[i].lp = lp;
+        row.tiers[i].gp = paid - lp;
+        cash -= paid;
+        lpProfit += lp;
+        gpProfit += paid - lp;
+        payLp(lp);
+      });
+
+      row.gp_promote = row.catch_up.gp + row.tiers.reduce((sum, tier) => sum + tier.gp, 0);
+      return row;
+    });
+
+    return { waterfall, unpaid_preferred_return: prefOwed };
+  }
+
+  // Null when the flows have no unique IRR
+  calculateIRR(cashFlows) {
+    return solveIRR(cashFlows).irr;
+  }
+
+  generateRecommendations(lp, gp, deal, structure) {
+    const recommendations = [];
+
+    if (lp.irr === null || lp.irr < structure.preferred_return) {
+      recommendations.push(`LP IRR of ${lp.irr ?? 'n/a'}% falls short of the ${structure.preferred_return}% preferred return; the GP earns no promote and LPs carry the shortfall`);
+    }
+    if (lp.unpaid_preferred_return > 0) {
+      recommendations.push(`$${Math.round(lp.unpaid_preferred_return).toLocaleString()} of your accrued pref is never paid; the pref is only as good as the deal's cash`);
+    }
+    if (deal.fee_and_promote_drag !== null && deal.fee_and_promote_drag > 5) {
+      recommendations.push(`Fees and promote take ${deal.fee_and_promote_drag} points off the deal IRR; compare the sponsor's terms with similar offerings`);
+    }
+    if (gp.total_fees > structure.total_raise * 0.08) {
+      recommendations.push(`Sponsor fees total $${Math.round(gp.total_fees).toLocaleString()}, more than 8% of the raise; fees are paid whether or not the deal performs`);
+    }
+    if (gp.promote_share_of_profit !== null && gp.promote_share_of_profit > 35) {
+      recommendations.push(`The GP promote takes ${gp.promote_share_of_profit}% of distributed profit, above typical 20-30% splits`);
+    }
+    if (structure.gp_catch_up_percent === 100) {
+      recommendations.push('A full GP catch-up sends all cash after the pref to the sponsor until it is caught up; LPs receive nothing extra in that band');
+    }
+    if (recommendations.length === 0) {
+      recommendations.push(`LPs net a ${lp.irr}% IRR and ${lp.equity_multiple}x equity multiple after fees and promote; stress-test the exit assumptions before committing`);
+    }
+    return recommendations;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -1,3 +1,5 @@
+import { levelPayment } from '../amortization.js';
+
 export class TaxBenefitsCalculator {
   constructor() {
     this.name = 'Real Estate Tax Benefits Calculator';
@@ -226,6 +228,26 @@ export class TaxBenefitsCalculator {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        depreciation_analysis: { type: 'object', description: 'Depreciable basis and annual depreciation' },
+        annual_tax_analysis: { type: 'array', description: 'Year-by-year deductions and tax savings' },
+        summary_metrics: { type: 'object', description: 'Total deductions, tax savings and effective benefit' },
+        passive_loss_analysis: { type: 'object', description: 'Passive activity loss limits and carryforwards' },
+        cost_segregation_analysis: { type: ['object', 'null'], description: 'Accelerated depreciation from cost segregation' },
+        tax_strategies: { type: 'array', description: 'Applicable tax strategies' },
+        effective_tax_rates: { type: 'object', description: 'Effective tax rates with and without the property' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'depreciation_analysis', 'annual_tax_analysis', 'summary_metrics', 'passive_loss_analysis',
+        'cost_segregation_analysis', 'tax_strategies', 'effective_tax_rates', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       property_details,
@@ -417,8 +439,7 @@ export class TaxBenefitsCalculator {
     const monthlyRate = interest_rate / 100 / 12;
     const numPayments = loan_term_years * 12;
     
-    const monthlyPayment = loan_amount * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
-                          (Math.pow(1 + monthlyRate, numPayments) - 1);
+    const monthlyPayment = levelPayment(loan_amount, monthlyRate, numPayments);
 
     const schedule = [];
     let remainingBalance = loan_amount;
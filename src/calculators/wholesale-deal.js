@@ -107,6 +107,26 @@ export class WholesaleDealAnalyzer {
     };
   }
 
+  getOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        property_summary: { type: 'object', description: 'Property details and contract price' },
+        deal_metrics: { type: 'object', description: 'Assignment fee, spread and MAO' },
+        profitability_analysis: { type: 'object', description: 'Wholesaler profit and ROI' },
+        buyer_analysis: { type: ['object', 'null'], description: 'End buyer returns and appeal' },
+        risk_assessment: { type: ['object', 'null'], description: 'Deal and market risks' },
+        exit_strategies: { type: ['object', 'null'], description: 'Assignment, double close and alternative exits' },
+        market_timing: { type: ['object', 'null'], description: 'Market timing considerations' },
+        recommendations: { type: 'array', description: 'Actionable recommendations' }
+      },
+      required: [
+        'property_summary', 'deal_metrics', 'profitability_analysis', 'buyer_analysis', 'risk_assessment',
+        'exit_strategies', 'market_timing', 'recommendations'
+      ]
+    };
+  }
+
   calculate(params) {
     const {
       property_details,
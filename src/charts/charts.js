@@ -0,0 +1,161 @@
+/**
+ * Chart Renderers
+ * Tornado, histogram, line, fan and waterfall charts rendered as standalone SVG documents
+ */
+
+import {
+  HEIGHT,
+  NEGATIVE,
+  PALETTE,
+  POSITIVE,
+  TOTAL,
+  WIDTH,
+  circle,
+  formatNumber,
+  legend,
+  line,
+  linearScale,
+  niceTicks,
+  polygon,
+  polyline,
+  rect,
+  svgDocument,
+  text,
+  xAxis,
+  yAxis
+} from './svg.js';
+
+/**
+ * bars: [{ label, low, high }] sorted widest first; each bar spans the metric's value when the
+ * variable moves down and up, drawn either side of the base case line.
+ */
+export function tornadoChart({ title, subtitle, base, bars, unit = '' }) {
+  const rowHeight = 28;
+  const plot = { left: 170, right: WIDTH - 30, top: 70, bottom: 70 + Math.max(bars.length, 1) * rowHeight };
+  const values = [base, ...bars.flatMap(bar => [bar.low, bar.high])];
+  const ticks = niceTicks(Math.min(...values), Math.max(...values));
+  const x = linearScale([ticks[0], ticks.at(-1)], [plot.left, plot.right]);
+
+  const body = [xAxis(ticks, x, plot, { unit })];
+  bars.forEach((bar, i) => {
+    const y = plot.top + i * rowHeight + 5;
+    const height = rowHeight - 10;
+    const [low, high] = [Math.min(bar.low, bar.high), Math.max(bar.low, bar.high)];
+    body.push(text(plot.left - 8, y + height / 2 + 4, bar.label, { anchor: 'end' }));
+    body.push(rect(x(low), y, x(Math.min(base, high)) - x(low), height, NEGATIVE, { label: `${bar.label}: ${formatNumber(low, unit)}` }));
+    body.push(rect(x(Math.max(base, low)), y, x(high) - x(Math.max(base, low)), height, POSITIVE, { label: `${bar.label}: ${formatNumber(high, unit)}` }));
+  });
+  body.push(line(x(base), plot.top - 6, x(base), plot.bottom, { stroke: '#111827', width: 1.5, dash: '4 3' }));
+  body.push(text(x(base), plot.top - 10, `Base ${formatNumber(base, unit)}`, { size: 10, anchor: 'middle' }));
+  body.push(legend([['Below base', NEGATIVE], ['Above base', POSITIVE]], plot.left, plot.bottom + 50));
+
+  return svgDocument({ title, subtitle, body: body.join(''), height: plot.bottom + 66 });
+}
+
+/**
+ * bins: [{ min, max, count }]; markers: [{ label, value }] drawn as labelled vertical lines,
+ * e.g. the 5th, 50th and 95th percentiles.
+ */
+export function histogramChart({ title, subtitle, bins, markers = [], unit = '', xLabel }) {
+  const plot = { left: 60, right: WIDTH - 30, top: 80, bottom: HEIGHT - 60 };
+  const min = bins[0].min;
+  const max = bins.at(-1).max;
+  const xTicks = niceTicks(min, max, 6);
+  const x = linearScale([xTicks[0], xTicks.at(-1)], [plot.left, plot.right]);
+  const yTicks = niceTicks(0, Math.max(...bins.map(bin => bin.count)), 4);
+  const y = linearScale([0, yTicks.at(-1)], [plot.bottom, plot.top]);
+
+  const body = [yAxis(yTicks, y, plot, { label: 'Simulations' }), xAxis(xTicks, x, plot, { unit, label: xLabel })];
+  bins.forEach(bin => {
+    body.push(rect(x(bin.min) + 0.5, y(bin.count), Math.max(x(bin.max) - x(bin.min) - 1, 0.5), plot.bottom - y(bin.count), PALETTE[0], {
+      label: `${formatNumber(bin.min, unit)} to ${formatNumber(bin.max, unit)}: ${bin.count}`
+    }));
+  });
+  markers.forEach((marker, i) => {
+    const mx = x(marker.value);
+    body.push(line(mx, plot.top - 4, mx, plot.bottom, { stroke: '#111827', width: 1.5, dash: '4 3' }));
+    body.push(text(mx, plot.top - 8 - (i % 2) * 12, `${marker.label} ${formatNumber(marker.value, unit)}`, { size: 10, anchor: 'middle' }));
+  });
+
+  return svgDocument({ title, subtitle, body: body.join('') });
+}
+
+/**
+ * series: [{ label, points: [[x, y]] }] plotted against a shared numeric x axis. Each marker
+ * ({ label, x, y }) is drawn as a dot with a caption, e.g. where two series cross.
+ */
+export function lineChart({ title, subtitle, series, markers = [], unit = '', xLabel }) {
+  const plot = { left: 70, right: WIDTH - 30, top: 80, bottom: HEIGHT - 60 };
+  const xs = series.flatMap(s => s.points.map(([px]) => px));
+  const ys = series.flatMap(s => s.points.map(([, py]) => py));
+  const xTicks = niceTicks(Math.min(...xs), Math.max(...xs), 6);
+  const yTicks = niceTicks(Math.min(0, ...ys), Math.max(...ys), 5);
+  const x = linearScale([xTicks[0], xTicks.at(-1)], [plot.left, plot.right]);
+  const y = linearScale([yTicks[0], yTicks.at(-1)], [plot.bottom, plot.top]);
+
+  const body = [yAxis(yTicks, y, plot, { unit }), xAxis(xTicks, x, plot, { label: xLabel })];
+  series.forEach((s, i) => body.push(polyline(s.points.map(([px, py]) => [x(px), y(py)]), PALETTE[i % PALETTE.length])));
+  markers.forEach(marker => {
+    body.push(circle(x(marker.x), y(marker.y), 4, '#111827'));
+    body.push(text(x(marker.x) + 8, y(marker.y) - 8, marker.label, { size: 10, weight: 'bold' }));
+  });
+  body.push(legend(series.map((s, i) => [s.label, PALETTE[i % PALETTE.length]]), plot.left, 64));
+
+  return svgDocument({ title, subtitle, body: body.join('') });
+}
+
+/**
+ * points: [{ x, p5, p25, p50, p75, p95 }] in x order. The 5th-95th and 25th-75th percentile
+ * ranges are shaded as nested bands around a line through the median.
+ */
+export function fanChart({ title, subtitle, points, unit = '', xLabel }) {
+  const plot = { left: 70, right: WIDTH - 30, top: 80, bottom: HEIGHT - 60 };
+  const xTicks = niceTicks(points[0].x, points.at(-1).x, Math.min(points.length - 1, 6));
+  const yTicks = niceTicks(Math.min(0, ...points.map(p => p.p5)), Math.max(0, ...points.map(p => p.p95)), 5);
+  const x = linearScale([xTicks[0], xTicks.at(-1)], [plot.left, plot.right]);
+  const y = linearScale([yTicks[0], yTicks.at(-1)], [plot.bottom, plot.top]);
+  const band = (low, high) => [
+    ...points.map(p => [x(p.x), y(p[high])]),
+    ...[...points].reverse().map(p => [x(p.x), y(p[low])])
+  ];
+
+  const body = [yAxis(yTicks, y, plot, { unit }), xAxis(xTicks, x, plot, { label: xLabel })];
+  body.push(polygon(band('p5', 'p95'), PALETTE[0], { opacity: 0.2 }));
+  body.push(polygon(band('p25', 'p75'), PALETTE[0], { opacity: 0.4 }));
+  body.push(polyline(points.map(p => [x(p.x), y(p.p50)]), PALETTE[0]));
+  body.push(legend([['5th-95th percentile', '#d3e0fb'], ['25th-75th percentile', '#8eaef5'], ['Median', PALETTE[0]]], plot.left, 64));
+
+  return svgDocument({ title, subtitle, body: body.join('') });
+}
+
+/**
+ * steps: [{ label, value, total }]. Non-total steps float from the running balance, green when
+ * they add and red when they subtract; total steps are drawn from zero at the running balance.
+ */
+export function waterfallChart({ title, subtitle, steps, unit = '' }) {
+  const plot = { left: 70, right: WIDTH - 20, top: 70, bottom: HEIGHT - 70 };
+  let running = 0;
+  const bars = steps.map(step => {
+    const start = step.total ? 0 : running;
+    running = step.total ? step.value : running + step.value;
+    return { ...step, start, end: running };
+  });
+  const yTicks = niceTicks(Math.min(0, ...bars.map(b => Math.min(b.start, b.end))), Math.max(...bars.map(b => Math.max(b.start, b.end))), 5);
+  const y = linearScale([yTicks[0], yTicks.at(-1)], [plot.bottom, plot.top]);
+  const slot = (plot.right - plot.left) / bars.length;
+
+  const body = [yAxis(yTicks, y, plot, { unit })];
+  body.push(line(plot.left, y(0), plot.right, y(0), { stroke: '#4b5563' }));
+  bars.forEach((bar, i) => {
+    const left = plot.left + i * slot + slot * 0.15;
+    const fill = bar.total ? TOTAL : bar.value >= 0 ? POSITIVE : NEGATIVE;
+    body.push(rect(left, y(bar.start), slot * 0.7, y(bar.end) - y(bar.start), fill, { label: `${bar.label}: ${formatNumber(bar.value, unit)}` }));
+    body.push(text(left + slot * 0.35, Math.min(y(bar.start), y(bar.end)) - 4, formatNumber(bar.value, unit), { size: 10, anchor: 'middle' }));
+    body.push(text(left + slot * 0.35, plot.bottom + 16, bar.label, { size: 10, anchor: 'middle' }));
+    if (i < bars.length - 1) {
+      body.push(line(left + slot * 0.7, y(bar.end), left + slot, y(bar.end), { stroke: '#9ca3af', dash: '2 2' }));
+    }
+  });
+
+  return svgDocument({ title, subtitle, body: body.join('') });
+}
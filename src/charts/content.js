@@ -0,0 +1,31 @@
+/**
+ * Chart Content
+ * The charts tool option and the MCP content blocks charts are returned as
+ */
+
+export const SVG_MIME_TYPE = 'image/svg+xml';
+
+export const CHARTS_OPTION = {
+  type: 'string',
+  enum: ['none', 'image', 'resource'],
+  description: 'Also return SVG charts of the result: image as inline image content, resource as embedded SVG resources (default none)'
+};
+
+export function withChartsOption(schema) {
+  return { ...schema, properties: { ...schema.properties, charts: CHARTS_OPTION } };
+}
+
+// The option only changes how a result is returned, so calculators never see it
+export function withoutChartsOption(args) {
+  const { charts, ...rest } = args;
+  return rest;
+}
+
+export function chartContent(tool, charts, mode) {
+  return charts.map(chart => (mode === 'image'
+    ? { type: 'image', data: Buffer.from(chart.svg).toString('base64'), mimeType: SVG_MIME_TYPE }
+    : {
+      type: 'resource',
+      resource: { uri: `realvest://charts/${tool}/${chart.name}.svg`, mimeType: SVG_MIME_TYPE, text: chart.svg }
+    }));
+}
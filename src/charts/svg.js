@@ -0,0 +1,138 @@
+/**
+ * SVG Primitives
+ * Scales, ticks, axes and the document frame shared by the chart renderers
+ */
+
+export const WIDTH = 640;
+export const HEIGHT = 400;
+export const PALETTE = ['#2563eb', '#dc2626', '#059669', '#d97706', '#7c3aed', '#0891b2'];
+export const POSITIVE = '#059669';
+export const NEGATIVE = '#dc2626';
+export const TOTAL = '#2563eb';
+
+const FONT = 'font-family="Helvetica, Arial, sans-serif"';
+
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function linearScale([d0, d1], [r0, r1]) {
+  const span = d1 - d0 || 1;
+  return value => r0 + (value - d0) / span * (r1 - r0);
+}
+
+// Round tick steps (1, 2, 5 x 10^n) covering [min, max]
+export function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    const pad = Math.abs(min) || 1;
+    return niceTicks(min - pad, max + pad, count);
+  }
+  const rough = (max - min) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  const ticks = [];
+  for (let tick = Math.floor(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  if (ticks.at(-1) < max) ticks.push(Number((ticks.at(-1) + step).toPrecision(12)));
+  return ticks;
+}
+
+// 1250000 -> 1.3M, 7686 -> 7,686, 0.5 -> 0.5; a unit of '$' or '%' is added where it reads naturally
+export function formatNumber(value, unit = '') {
+  const abs = Math.abs(value);
+  const [scaled, suffix] = abs >= 1e6 ? [value / 1e6, 'M'] : abs >= 1e4 ? [value / 1e3, 'k'] : [value, ''];
+  const digits = Math.abs(scaled) >= 100 ? 0 : suffix ? 1 : 2;
+  // `|| 0` folds -0 into 0 so tiny negatives never print as -0
+  const rounded = Number(scaled.toFixed(digits)) || 0;
+  const text = `${rounded.toLocaleString('en-US', { maximumFractionDigits: digits })}${suffix}`;
+  if (unit === '$') return text.startsWith('-') ? `-$${text.slice(1)}` : `$${text}`;
+  return `${text}${unit}`;
+}
+
+export function text(x, y, content, { size = 11, anchor = 'start', weight = 'normal', fill = '#111827', rotate } = {}) {
+  const transform = rotate ? ` transform="rotate(${rotate} ${round(x)} ${round(y)})"` : '';
+  return `<text x="${round(x)}" y="${round(y)}" font-size="${size}" text-anchor="${anchor}" font-weight="${weight}" fill="${fill}"${transform}>${escapeXml(content)}</text>`;
+}
+
+export function line(x1, y1, x2, y2, { stroke = '#9ca3af', width = 1, dash } = {}) {
+  const dashes = dash ? ` stroke-dasharray="${dash}"` : '';
+  return `<line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}" stroke="${stroke}" stroke-width="${width}"${dashes}/>`;
+}
+
+// Negative widths or heights are normalized so bars can be drawn from either end
+export function rect(x, y, width, height, fill, { label } = {}) {
+  const [left, w] = width < 0 ? [x + width, -width] : [x, width];
+  const [top, h] = height < 0 ? [y + height, -height] : [y, height];
+  const title = label ? `<title>${escapeXml(label)}</title>` : '';
+  return `<rect x="${round(left)}" y="${round(top)}" width="${round(w)}" height="${round(h)}" fill="${fill}">${title}</rect>`;
+}
+
+export function polyline(points, stroke, { width = 2 } = {}) {
+  const path = points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+  return `<polyline points="${path}" fill="none" stroke="${stroke}" stroke-width="${width}" stroke-linejoin="round"/>`;
+}
+
+// Closed, filled shape; used for the shaded bands of fan charts
+export function polygon(points, fill, { opacity = 1 } = {}) {
+  const path = points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+  return `<polygon points="${path}" fill="${fill}" fill-opacity="${opacity}"/>`;
+}
+
+export function circle(x, y, r, fill) {
+  return `<circle cx="${round(x)}" cy="${round(y)}" r="${r}" fill="${fill}"/>`;
+}
+
+// Horizontal axis along the bottom of the plot area
+export function xAxis(ticks, scale, plot, { unit = '', label } = {}) {
+  const parts = [line(plot.left, plot.bottom, plot.right, plot.bottom, { stroke: '#4b5563' })];
+  ticks.forEach(tick => {
+    const x = scale(tick);
+    parts.push(line(x, plot.bottom, x, plot.bottom + 4, { stroke: '#4b5563' }));
+    parts.push(text(x, plot.bottom + 16, formatNumber(tick, unit), { size: 10, anchor: 'middle', fill: '#4b5563' }));
+  });
+  if (label) parts.push(text((plot.left + plot.right) / 2, plot.bottom + 34, label, { anchor: 'middle', fill: '#4b5563' }));
+  return parts.join('');
+}
+
+// Vertical axis on the left with light gridlines across the plot
+export function yAxis(ticks, scale, plot, { unit = '', label } = {}) {
+  const parts = [line(plot.left, plot.top, plot.left, plot.bottom, { stroke: '#4b5563' })];
+  ticks.forEach(tick => {
+    const y = scale(tick);
+    parts.push(line(plot.left, y, plot.right, y, { stroke: '#e5e7eb' }));
+    parts.push(text(plot.left - 6, y + 4, formatNumber(tick, unit), { size: 10, anchor: 'end', fill: '#4b5563' }));
+  });
+  if (label) parts.push(text(16, (plot.top + plot.bottom) / 2, label, { anchor: 'middle', fill: '#4b5563', rotate: -90 }));
+  return parts.join('');
+}
+
+// Legend entries laid out left to right under the subtitle
+export function legend(entries, x, y) {
+  let offset = x;
+  return entries.map(([label, color]) => {
+    const item = rect(offset, y - 9, 12, 12, color) + text(offset + 16, y + 1, label, { size: 10 });
+    offset += 28 + label.length * 6;
+    return item;
+  }).join('');
+}
+
+export function svgDocument({ title, subtitle, body, width = WIDTH, height = HEIGHT }) {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ${FONT} role="img">`,
+    `<title>${escapeXml(title)}</title>`,
+    rect(0, 0, width, height, '#ffffff'),
+    text(20, 28, title, { size: 16, weight: 'bold' }),
+    subtitle ? text(20, 46, subtitle, { size: 11, fill: '#4b5563' }) : '',
+    body,
+    '</svg>'
+  ].join('');
+}
+
+function round(value) {
+  return Number(value.toFixed(1));
+}
@@ -0,0 +1,169 @@
+/**
+ * Tool Charts
+ * Builds the SVG charts each chart-capable tool returns, as [{ name, title, svg }]
+ */
+
+import { RentVsBuyCalculator } from '../calculators/rent-vs-buy.js';
+import { amortizationTable } from '../export/tables.js';
+import { fanChart, histogramChart, lineChart, tornadoChart, waterfallChart } from './charts.js';
+
+// Display names and units for the metrics sensitivity and Monte Carlo results report
+const METRICS = {
+  irr: ['IRR', '%'],
+  npv: ['NPV', '$'],
+  cash_on_cash: ['Cash-on-cash return', '%'],
+  cash_on_cash_return: ['Cash-on-cash return', '%'],
+  total_return: ['Total return', '%'],
+  monthly_cash_flow: ['Monthly cash flow', '$'],
+  equity: ['Equity', '$'],
+  cash_flow: ['Annual cash flow', '$'],
+  cumulative_return: ['Cumulative return', '%']
+};
+
+export function sensitivityCharts(result) {
+  const { metric, variables = [] } = result.tornado_diagram || {};
+  const base = result.base_case?.metrics?.[metric];
+  const bars = variables.filter(v => Number.isFinite(v.min_impact) && Number.isFinite(v.max_impact));
+  if (!Number.isFinite(base) || bars.length === 0) return [];
+
+  const [label, unit] = metricInfo(metric);
+  return [chart('tornado', `${label} sensitivity`, tornadoChart({
+    title: `${label} sensitivity`,
+    subtitle: `Range of ${label} as each variable moves through its variations`,
+    base,
+    bars: bars.map(v => ({ label: v.variable, low: v.min_impact, high: v.max_impact })),
+    unit
+  }))];
+}
+
+// One histogram per simulated metric, marked at the 5th, 50th and 95th percentiles
+export function monteCarloCharts(result) {
+  const histograms = Object.entries(result.distributions || {})
+    .filter(([, distribution]) => distribution?.histogram?.length > 0 && distribution.histogram.every(bin => Number.isFinite(bin.min) && Number.isFinite(bin.max)))
+    .map(([metric, { histogram, percentiles }]) => {
+      const [label, unit] = metricInfo(metric);
+      const markers = [['P5', 'p5'], ['P50', 'p50'], ['P95', 'p95']]
+        .filter(([, key]) => Number.isFinite(percentiles?.[key]))
+        .map(([name, key]) => ({ label: name, value: percentiles[key] }));
+      const runs = histogram.reduce((sum, bin) => sum + bin.count, 0);
+      return chart(`histogram-${metric}`, `${label} distribution`, histogramChart({
+        title: `${label} distribution`,
+        subtitle: `${runs.toLocaleString('en-US')} simulations with 5th, 50th and 95th percentiles`,
+        bins: histogram,
+        markers,
+        unit,
+        xLabel: label
+      }));
+    });
+
+  // One fan chart per yearly path metric, once the hold spans at least two years
+  const years = result.path_analysis?.fan_chart || [];
+  const fans = years.length < 2 ? [] : ['equity', 'cash_flow', 'cumulative_return'].map(metric => {
+    const [label, unit] = metricInfo(metric);
+    return chart(`fan-${metric}`, `${label} by year`, fanChart({
+      title: `${label} by year`,
+      subtitle: 'Median path with the middle 50% and 90% of simulations shaded',
+      points: years.map(year => ({ x: year.year, ...year[metric] })),
+      unit,
+      xLabel: 'Year'
+    }));
+  });
+
+  return [...histograms, ...fans];
+}
+
+// Equity is the down payment plus principal repaid, year by year, for each loan. Shorter loans
+// hold their full equity out to the longest term so the lines stay comparable
+export function loanComparisonCharts(result) {
+  const loans = (result.loan_details || []).filter(loan => loan.loan_amount > 0 && loan.loan_term_years > 0);
+  if (loans.length === 0) return [];
+
+  const years = Math.max(...loans.map(loan => loan.loan_term_years));
+  const series = loans.map(loan => {
+    const { rows } = amortizationTable(loan.loan_amount, loan.interest_rate, loan.loan_term_years);
+    const points = [[0, loan.down_payment]];
+    for (let year = 1; year <= years; year++) {
+      const balance = rows[Math.min(year * 12, rows.length) - 1].balance;
+      points.push([year, loan.down_payment + loan.loan_amount - balance]);
+    }
+    return { label: loan.loan_name, points };
+  });
+  return [chart('equity-buildup', 'Equity buildup', lineChart({
+    title: 'Equity buildup',
+    subtitle: 'Down payment plus principal repaid, before appreciation',
+    series,
+    unit: '$',
+    xLabel: 'Year'
+  }))];
+}
+
+// Annual gross rent down to cash flow, with NOI and cash flow as running totals
+export function cashFlowCharts(result) {
+  const income = result.income_analysis;
+  const expenses = result.expense_analysis;
+  const cashFlow = result.cash_flow_analysis;
+  if (!income || !expenses || !cashFlow) return [];
+
+  const steps = [
+    { label: 'Gross rent', value: income.gross_annual_income },
+    { label: 'Vacancy', value: -income.vacancy_loss },
+    { label: 'Expenses', value: -expenses.operating_expenses },
+    { label: 'Reserves', value: -expenses.reserve_fund },
+    { label: 'NOI', value: cashFlow.net_operating_income, total: true },
+    { label: 'Debt service', value: -cashFlow.annual_debt_service },
+    { label: 'Cash flow', value: cashFlow.annual_cash_flow, total: true }
+  ].filter(step => step.total || step.value !== 0);
+
+  return [chart('cash-flow-waterfall', 'Annual cash flow waterfall', waterfallChart({
+    title: 'Annual cash flow waterfall',
+    subtitle: 'From gross rent to cash flow after debt service',
+    steps,
+    unit: '$'
+  }))];
+}
+
+/**
+ * Net worth impact of buying and of renting for 1-15 years in the home, marking the year the
+ * better choice flips. Breakeven scenarios are only in the result when analysis_options asked
+ * for them, so they are recomputed otherwise.
+ */
+export function rentVsBuyCharts(result, args) {
+  const scenarios = (result.breakeven_analysis || new RentVsBuyCalculator().calculate({
+    ...args,
+    analysis_options: { breakeven_analysis: true }
+  }).breakeven_analysis).scenarios;
+
+  const buy = scenarios.map(s => [s.years, -s.buying_total_cost]);
+  const rent = scenarios.map(s => [s.years, -s.renting_total_cost]);
+  const markers = [];
+  for (let i = 1; i < scenarios.length; i++) {
+    const [before, after] = [scenarios[i - 1].net_benefit_buy, scenarios[i].net_benefit_buy];
+    if (Math.sign(before) !== Math.sign(after) && after !== 0) {
+      // Linear interpolation of where the two lines meet
+      const t = before / (before - after);
+      const years = scenarios[i - 1].years + t;
+      const worth = buy[i - 1][1] + t * (buy[i][1] - buy[i - 1][1]);
+      markers.push({ label: `${after > 0 ? 'Buying' : 'Renting'} pulls ahead at ${years.toFixed(1)} yrs`, x: years, y: worth });
+    }
+  }
+
+  const leader = scenarios.at(-1).net_benefit_buy > 0 ? 'Buying' : 'Renting';
+  return [chart('net-worth-crossover', 'Rent vs buy net worth', lineChart({
+    title: 'Rent vs buy net worth',
+    subtitle: markers.length > 0
+      ? 'Net worth impact by years in the home; higher is better'
+      : `Net worth impact by years in the home; ${leader.toLowerCase()} stays ahead throughout`,
+    series: [{ label: 'Buy', points: buy }, { label: 'Rent', points: rent }],
+    markers,
+    unit: '$',
+    xLabel: 'Years in home'
+  }))];
+}
+
+function metricInfo(metric) {
+  return METRICS[metric] || [String(metric).replace(/_/g, ' '), ''];
+}
+
+function chart(name, title, svg) {
+  return { name, title, svg };
+}
@@ -0,0 +1,234 @@
+/**
+ * Distributions
+ * Quantile functions for the simulation inputs (normal, lognormal, uniform, triangular, PERT, beta and
+ * empirical), so every input can be drawn from a uniform or a standard normal, and the Cholesky factor
+ * that correlates them
+ */
+
+import { inverseNormal, normalCdf } from './random.js';
+
+export const DISTRIBUTION_TYPES = ['normal', 'lognormal', 'uniform', 'triangular', 'pert', 'beta', 'empirical'];
+
+// Types drawn from a standard normal; the rest take a uniform through their quantile function
+const NORMAL_BASED = ['normal', 'lognormal'];
+
+export function isNormalBased(distribution) {
+  return NORMAL_BASED.includes(distribution.type);
+}
+
+/**
+ * Check a distribution's parameters and fill in the defaults: a 10% standard deviation for normal
+ * and lognormal, +/-20% of the mean for uniform and triangular bounds, the mean as the most likely
+ * value, and a 0-1 range for beta. Throws naming the variable when something is missing or inconsistent.
+ */
+export function resolveDistribution(variable, distribution) {
+  const { type = 'normal', mean, std_dev, min, max, mode, alpha, beta, lambda = 4, values } = distribution;
+  const needsMean = () => {
+    if (typeof mean !== 'number') throw new Error(`${variable}: a ${type} distribution needs a mean`);
+  };
+  const checkRange = (low, high, peak = low) => {
+    if (!(low <= peak && peak <= high && low < high)) {
+      throw new Error(`${variable}: ${type} needs min < max with the most likely value between them (got min ${low}, mode ${peak}, max ${high})`);
+    }
+  };
+
+  switch (type) {
+    case 'normal':
+      needsMean();
+      return { type, mean, std_dev: std_dev ?? mean * 0.1 };
+    case 'lognormal': {
+      needsMean();
+      if (mean <= 0) throw new Error(`${variable}: a lognormal distribution needs a positive mean`);
+      // Parameters of the underlying normal that give the requested mean and standard deviation
+      const sigma = Math.sqrt(Math.log(1 + Math.pow((std_dev ?? mean * 0.1) / mean, 2)));
+      return { type, mu: Math.log(mean) - sigma * sigma / 2, sigma };
+    }
+    case 'uniform': {
+      if (min === undefined || max === undefined) needsMean();
+      const resolved = { type, min: min ?? mean * 0.8, max: max ?? mean * 1.2 };
+      checkRange(resolved.min, resolved.max);
+      return resolved;
+    }
+    case 'triangular':
+    case 'pert': {
+      if (min === undefined || max === undefined || mode === undefined) needsMean();
+      const resolved = { type, min: min ?? mean * 0.8, max: max ?? mean * 1.2, mode: mode ?? mean };
+      checkRange(resolved.min, resolved.max, resolved.mode);
+      if (type === 'triangular') return resolved;
+      // PERT is a beta distribution over [min, max] whose weight on the mode is lambda
+      const range = resolved.max - resolved.min;
+      return {
+        ...resolved,
+        alpha: 1 + lambda * (resolved.mode - resolved.min) / range,
+        beta: 1 + lambda * (resolved.max - resolved.mode) / range
+      };
+    }
+    case 'beta': {
+      if (!(alpha > 0 && beta > 0)) throw new Error(`${variable}: a beta distribution needs positive alpha and beta`);
+      const resolved = { type, alpha, beta, min: min ?? 0, max: max ?? 1 };
+      checkRange(resolved.min, resolved.max);
+      return resolved;
+    }
+    case 'empirical':
+      if (!Array.isArray(values) || values.length === 0) {
+        throw new Error(`${variable}: an empirical distribution needs the historical values to resample`);
+      }
+      // Sorted, so the quantile function maps low draws to low values and correlations carry through
+      return { type, values: [...values].sort((x, y) => x - y) };
+    default:
+      throw new Error(`${variable}: unknown distribution type ${type}. Use ${DISTRIBUTION_TYPES.join(', ')}`);
+  }
+}
+
+// Value at probability u in [0, 1) of a resolved distribution
+export function quantile(distribution, u) {
+  const { type, min, max, mode } = distribution;
+  switch (type) {
+    case 'normal':
+    case 'lognormal':
+      return fromStandardNormal(distribution, inverseNormal(u));
+    case 'uniform':
+      return min + u * (max - min);
+    case 'triangular': {
+      const fc = (mode - min) / (max - min);
+      return u < fc
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    case 'pert':
+    case 'beta':
+      return min + (max - min) * betaQuantile(u, distribution.alpha, distribution.beta);
+    case 'empirical':
+      // Bootstrap: each historical value equally likely
+      return distribution.values[Math.min(Math.floor(u * distribution.values.length), distribution.values.length - 1)];
+    default:
+      throw new Error(`Unknown distribution type ${type}`);
+  }
+}
+
+// Value matching a standard normal draw z; exact for normal-based types, through the normal CDF otherwise
+export function fromStandardNormal(distribution, z) {
+  if (distribution.type === 'normal') return distribution.mean + z * distribution.std_dev;
+  if (distribution.type === 'lognormal') return Math.exp(distribution.mu + z * distribution.sigma);
+  return quantile(distribution, normalCdf(z));
+}
+
+/**
+ * Lower-triangular L with L * L^T equal to the correlation matrix. Checks the matrix is square,
+ * symmetric, has a unit diagonal and entries within [-1, 1], and is positive semi-definite.
+ */
+export function choleskyFactor(matrix) {
+  const n = matrix.length;
+  matrix.forEach((row, i) => {
+    if (!Array.isArray(row) || row.length !== n) {
+      throw new Error(`Correlation matrix must be ${n}x${n}; row ${i + 1} has ${row?.length ?? 0} entries`);
+    }
+    if (Math.abs(row[i] - 1) > 1e-9) throw new Error(`Correlation matrix diagonal must be 1 (row ${i + 1} has ${row[i]})`);
+    row.forEach((value, j) => {
+      if (Math.abs(value) > 1) throw new Error(`Correlations must lie between -1 and 1 (row ${i + 1}, column ${j + 1} is ${value})`);
+      if (Math.abs(value - matrix[j][i]) > 1e-9) throw new Error(`Correlation matrix must be symmetric (rows ${i + 1} and ${j + 1} disagree)`);
+    });
+  });
+
+  const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let j = 0; j < n; j++) {
+    let diagonal = matrix[j][j];
+    for (let k = 0; k < j; k++) diagonal -= lower[j][k] * lower[j][k];
+    if (diagonal < -1e-9) {
+      throw new Error('Correlation matrix is not positive semi-definite: the correlations contradict each other');
+    }
+    lower[j][j] = Math.sqrt(Math.max(0, diagonal));
+    for (let i = j + 1; i < n; i++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      lower[i][j] = lower[j][j] > 1e-12 ? sum / lower[j][j] : 0;
+    }
+  }
+  return lower;
+}
+
+// Correlated standard normals L * z from independent ones
+export function correlate(lower, independent) {
+  return lower.map(row => row.reduce((sum, weight, k) => sum + weight * independent[k], 0));
+}
+
+/**
+ * Inverse of the regularized incomplete beta function, by Newton steps kept inside a bisection
+ * bracket so a poor step can never leave [0, 1].
+ */
+export function betaQuantile(u, a, b) {
+  if (u <= 0) return 0;
+  if (u >= 1) return 1;
+  const logBeta = logGamma(a) + logGamma(b) - logGamma(a + b);
+  let low = 0;
+  let high = 1;
+  let x = a / (a + b);
+
+  for (let i = 0; i < 100; i++) {
+    const error = regularizedBeta(x, a, b) - u;
+    if (Math.abs(error) < 1e-12) break;
+    if (error > 0) high = x; else low = x;
+    const density = Math.exp((a - 1) * Math.log(x) + (b - 1) * Math.log(1 - x) - logBeta);
+    let next = x - error / density;
+    if (!(next > low && next < high)) next = (low + high) / 2;
+    if (Math.abs(next - x) < 1e-14) break;
+    x = next;
+  }
+  return x;
+}
+
+// I_x(a, b) from its continued fraction, using the symmetry I_x(a, b) = 1 - I_{1-x}(b, a) where it converges faster
+export function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - (logGamma(a) + logGamma(b) - logGamma(a + b)));
+  if (x < (a + 1) / (a + b + 2)) return front * betaContinuedFraction(x, a, b) / a;
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Modified Lentz evaluation of the incomplete beta continued fraction
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    const even = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + even * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + even / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    const odd = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + odd * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + odd / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return result;
+}
+
+// Lanczos approximation (g = 7, n = 9)
+function logGamma(x) {
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const shifted = x - 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < coefficients.length; i++) sum += coefficients[i] / (shifted + i);
+  const t = shifted + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+}
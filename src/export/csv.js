@@ -0,0 +1,16 @@
+/**
+ * CSV Export
+ * RFC 4180 CSV for one result table
+ */
+
+export function toCSV({ columns, rows }) {
+  const lines = [columns.map(escapeCell).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => escapeCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
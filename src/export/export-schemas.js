@@ -0,0 +1,127 @@
+/**
+ * Export Schemas
+ * Input and output schemas for the export_result and generate_investment_memo tools
+ */
+
+import { EXPORT_FORMATS } from './exporter.js';
+import { MEMO_SECTIONS } from './investment-memo.js';
+
+export const EXPORT_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    tool: { type: 'string', description: 'Calculator tool to run and export, e.g. compare_loans', minLength: 1 },
+    arguments: { type: 'object', description: 'Arguments for the tool; validated against its input schema' },
+    scenario: {
+      type: 'object',
+      description: 'Export a saved scenario instead of running a tool',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        version: { type: 'integer', description: 'Saved version (default latest)', minimum: 1 }
+      },
+      required: ['name']
+    },
+    formats: {
+      type: 'array',
+      description: 'Formats to write (default all): csv writes one file per table, xlsx one sheet per table, markdown a memo',
+      items: { type: 'string', enum: EXPORT_FORMATS },
+      minItems: 1
+    },
+    tables: {
+      type: 'array',
+      description: 'Only export these tables, e.g. ["Summary", "financing_metrics.payment_schedule"]',
+      items: { type: 'string' }
+    },
+    file_name: { type: 'string', description: 'Base file name without extension (default tool name and timestamp)', minLength: 1 },
+    title: { type: 'string', description: 'Title of the Markdown memo' }
+  }
+};
+
+export const EXPORT_RESULT_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    output_dir: { type: 'string', description: 'Directory the files were written to' },
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: EXPORT_FORMATS },
+          path: { type: 'string' },
+          bytes: { type: 'integer' },
+          table: { type: 'string', description: 'Table a CSV file holds' }
+        },
+        required: ['format', 'path', 'bytes']
+      }
+    },
+    tables: {
+      type: 'array',
+      description: 'Tables extracted from the result with their sizes',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          columns: { type: 'integer' },
+          rows: { type: 'integer' }
+        }
+      }
+    },
+    message: { type: 'string' }
+  },
+  required: ['output_dir', 'files', 'tables', 'message']
+};
+
+// Each memo section takes the tool's arguments or a saved scenario of that tool
+function memoSectionSchema(tool, label) {
+  return {
+    type: 'object',
+    description: `${label} section: arguments for ${tool}, or a scenario saved from it`,
+    properties: {
+      arguments: { type: 'object', description: `Arguments for ${tool}; validated against its input schema` },
+      scenario: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          version: { type: 'integer', description: 'Saved version (default latest)', minimum: 1 }
+        },
+        required: ['name']
+      }
+    }
+  };
+}
+
+export const GENERATE_INVESTMENT_MEMO_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', description: 'Memo title (default "Investment Memo" plus the property address)' },
+    property_address: { type: 'string', description: 'Property the memo covers' },
+    prepared_for: { type: 'string', description: 'Investor, lender or partner the memo is for' },
+    prepared_by: { type: 'string', description: 'Author shown on the memo' },
+    ...Object.fromEntries(Object.entries(MEMO_SECTIONS).map(([key, { tool, label }]) => [key, memoSectionSchema(tool, label)])),
+    file_name: { type: 'string', description: 'Base file name without extension (default investment-memo and a timestamp)', minLength: 1 }
+  }
+};
+
+export const GENERATE_INVESTMENT_MEMO_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    path: { type: 'string', description: 'Path of the written PDF' },
+    bytes: { type: 'integer' },
+    pages: { type: 'integer' },
+    sections: {
+      type: 'array',
+      description: 'Sections included, in print order',
+      items: {
+        type: 'object',
+        properties: {
+          section: { type: 'string', enum: Object.keys(MEMO_SECTIONS) },
+          tool: { type: 'string' },
+          source: { type: 'string', description: 'Tool run or saved scenario the figures come from' },
+          recommendations: { type: 'integer' },
+          risks: { type: 'integer' }
+        }
+      }
+    },
+    message: { type: 'string' }
+  },
+  required: ['path', 'bytes', 'pages', 'sections', 'message']
+};
@@ -0,0 +1,84 @@
+/**
+ * Result Exporter
+ * Writes a calculator result to CSV, XLSX and Markdown files in the local output directory
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+import { resolveOutputDir } from '../store/data-dir.js';
+import { toCSV } from './csv.js';
+import { toMarkdown } from './markdown.js';
+import { extractTables, flattenInputs } from './tables.js';
+import { toXLSX } from './xlsx.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'markdown'];
+
+export async function exportResult({
+  tool,
+  args = {},
+  result,
+  formats = EXPORT_FORMATS,
+  fileName,
+  title,
+  tables: tableNames,
+  outputDir = resolveOutputDir(),
+  now = new Date()
+}) {
+  // Export what clients receive: Infinity and NaN become null
+  const tables = selectTables(extractTables(tool, JSON.parse(JSON.stringify(result))), tableNames);
+  const base = fileName ? slugify(fileName) : `${tool}-${fileStamp(now)}`;
+  if (!base) {
+    throw new Error(`File name ${JSON.stringify(fileName)} has no usable characters`);
+  }
+
+  await mkdir(outputDir, { recursive: true });
+  const files = [];
+  const write = async (format, name, content, table) => {
+    const path = join(outputDir, name);
+    await writeFile(path, content);
+    files.push({ format, path, bytes: Buffer.byteLength(content), ...(table && { table }) });
+  };
+
+  for (const format of [...new Set(formats)]) {
+    if (format === 'csv') {
+      // One file per table; a single-table result keeps the plain name
+      for (const table of tables) {
+        const name = tables.length === 1 ? `${base}.csv` : `${base}-${slugify(table.name)}.csv`;
+        await write('csv', name, toCSV(table), table.name);
+      }
+    } else if (format === 'xlsx') {
+      await write('xlsx', `${base}.xlsx`, toXLSX(tables, now));
+    } else if (format === 'markdown') {
+      const memo = toMarkdown({ title: title || `${tool} report`, tool, inputs: flattenInputs(args), tables, generatedAt: now });
+      await write('markdown', `${base}.md`, memo);
+    } else {
+      throw new Error(`Unknown export format: ${format} (expected one of ${EXPORT_FORMATS.join(', ')})`);
+    }
+  }
+
+  return {
+    output_dir: outputDir,
+    files,
+    tables: tables.map(table => ({ name: table.name, columns: table.columns.length, rows: table.rows.length }))
+  };
+}
+
+function selectTables(tables, names) {
+  if (!names?.length) return tables;
+  const unknown = names.filter(name => !tables.some(table => table.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown table ${unknown.join(', ')}; available tables: ${tables.map(t => t.name).join(', ')}`);
+  }
+  return tables.filter(table => names.includes(table.name));
+}
+
+// Names only ever become a file name inside the output directory, never a path
+export function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+}
+
+// 2024-07-01T09:30:05.123Z -> 20240701-093005
+export function fileStamp(date) {
+  return date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+}
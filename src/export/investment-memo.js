@@ -0,0 +1,363 @@
+/**
+ * Investment Memo
+ * Lays out fix-flip, DSCR, market comps and sensitivity results as a paginated PDF memo
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+import { resolveOutputDir } from '../store/data-dir.js';
+import { fileStamp, slugify } from './exporter.js';
+import { PdfDocument } from './pdf.js';
+import { flattenInputs } from './tables.js';
+
+// Labels and formats for the metrics analyze_sensitivity can report
+const SENSITIVITY_METRICS = {
+  irr: ['IRR', 'percent'],
+  npv: ['NPV', 'currency'],
+  cash_on_cash: ['Cash-on-cash return', 'percent'],
+  total_return: ['Total return', 'percent'],
+  monthly_cash_flow: ['Monthly cash flow', 'currency']
+};
+
+// Recommendation types and categories that belong in the risk section rather than the action list
+const RISK_PATTERN = /risk|caution|warning|critical|volatility|action required/i;
+
+/**
+ * Memo sections in print order. metrics are [label, path, format]; headline names the
+ * metrics repeated in the executive summary; findings turns a result's own risk output into
+ * [level, message, action] items.
+ */
+export const MEMO_SECTIONS = {
+  fix_flip: {
+    tool: 'analyze_fix_flip',
+    label: 'Fix & Flip',
+    metrics: [
+      ['Purchase price', 'deal_summary.purchase_price', 'currency'],
+      ['After repair value', 'deal_summary.after_repair_value', 'currency'],
+      ['Rehab budget incl. contingency', 'deal_summary.total_rehab_budget', 'currency'],
+      ['Total project costs', 'cost_breakdown.total_costs', 'currency'],
+      ['Net profit', 'profit_analysis.net_profit', 'currency'],
+      ['ROI', 'profit_analysis.roi_percentage', 'percent'],
+      ['Annualized ROI', 'profit_analysis.annualized_roi', 'percent'],
+      ['Profit margin', 'profit_analysis.profit_margin', 'percent'],
+      ['Total cash needed', 'investment_requirements.total_cash_needed', 'currency'],
+      ['Maximum offer (70% rule)', 'mao_analysis.mao_70_rule', 'currency'],
+      ['Break-even sale price', 'break_even_analysis.break_even_price', 'currency'],
+      ['Overall risk', 'risk_assessment.overall_risk', 'text']
+    ],
+    headline: ['Net profit', 'ROI', 'Total cash needed', 'Overall risk'],
+    tables: result => [
+      {
+        title: 'Cost Breakdown',
+        columns: [{ key: 'cost', label: 'Cost' }, { key: 'amount', label: 'Amount', align: 'right' }],
+        rows: Object.entries(result.cost_breakdown || {}).map(([key, amount]) => ({ cost: humanize(key), amount: currency(amount) }))
+      },
+      {
+        title: 'Project Timeline',
+        columns: [
+          { key: 'month', label: 'Month', align: 'right' },
+          { key: 'phase', label: 'Phase' },
+          { key: 'activities', label: 'Activities' },
+          { key: 'cash_outflow', label: 'Cash Outflow', align: 'right' }
+        ],
+        rows: (result.project_timeline || []).map(step => ({
+          month: String(step.month),
+          phase: step.phase,
+          activities: (step.activities || []).join(', '),
+          cash_outflow: currency(step.cash_outflow)
+        }))
+      }
+    ],
+    findings: result => (result.risk_assessment?.risk_factors || []).map(risk => [risk.severity, `${risk.factor}: ${risk.description}`])
+  },
+  dscr: {
+    tool: 'calculate_dscr',
+    label: 'Debt Service Coverage',
+    metrics: [
+      ['Effective monthly income', 'income_analysis.effective_monthly_income', 'currency'],
+      ['Annual NOI', 'noi_analysis.annual_noi', 'currency'],
+      ['Annual debt service', 'debt_service.annual_debt_service', 'currency'],
+      ['DSCR', 'dscr_analysis.dscr_ratio', 'ratio'],
+      ['Coverage', 'dscr_analysis.dscr_interpretation', 'text'],
+      ['Monthly cash flow', 'dscr_analysis.monthly_cash_flow', 'currency'],
+      ['Loan qualification', 'qualification_analysis.qualification_status', 'text'],
+      ['Maximum loan amount', 'maximum_loan_analysis.maximum_loan_amount', 'currency'],
+      ['Break-even occupancy', 'break_even_analysis.break_even_occupancy', 'percent']
+    ],
+    headline: ['DSCR', 'Monthly cash flow', 'Loan qualification'],
+    tables: result => [
+      {
+        title: 'Stress Tests',
+        columns: [
+          { key: 'scenario', label: 'Scenario' },
+          { key: 'dscr', label: 'DSCR', align: 'right' },
+          { key: 'cash_flow', label: 'Monthly Cash Flow', align: 'right' },
+          { key: 'passes', label: 'Passes Minimum' }
+        ],
+        rows: (result.stress_test_results?.scenarios || []).map(scenario => ({
+          scenario: scenario.scenario,
+          dscr: ratio(scenario.dscr),
+          cash_flow: currency(scenario.monthly_cash_flow),
+          passes: scenario.passes_minimum ? 'Yes' : 'No'
+        }))
+      }
+    ],
+    findings: result => (result.stress_test_results?.scenarios || [])
+      .filter(scenario => !scenario.passes_minimum)
+      .map(scenario => ['Stress test', `${scenario.scenario} drops DSCR to ${ratio(scenario.dscr)}, below the lender minimum`])
+  },
+  market_comps: {
+    tool: 'analyze_market_comps',
+    label: 'Market Comparables',
+    metrics: [
+      ['Estimated value', 'cma_results.estimated_value', 'currency'],
+      ['Value range low', 'cma_results.value_range.low', 'currency'],
+      ['Value range high', 'cma_results.value_range.high', 'currency'],
+      ['Valuation confidence', 'cma_results.confidence', 'text'],
+      ['Price per sq ft', 'cma_results.price_per_sqft', 'currency'],
+      ['Initial offer', 'price_recommendations.buying.initial_offer', 'currency'],
+      ['Maximum offer', 'price_recommendations.buying.max_offer', 'currency'],
+      ['Qualified comparables', 'comparable_analysis.qualified_comps', 'number'],
+      ['Market conditions', 'market_trends.market_conditions', 'text'],
+      ['Neighborhood grade', 'neighborhood_analysis.neighborhood_grade', 'text'],
+      ['Overall risk', 'risk_assessment.overall_risk_level', 'text']
+    ],
+    headline: ['Estimated value', 'Maximum offer', 'Valuation confidence'],
+    tables: result => [
+      {
+        title: 'Best Comparables',
+        columns: [
+          { key: 'address', label: 'Address' },
+          { key: 'sale_price', label: 'Sale Price', align: 'right' },
+          { key: 'sale_date', label: 'Sale Date' },
+          { key: 'square_feet', label: 'Sq Ft', align: 'right' },
+          { key: 'score', label: 'Score', align: 'right' }
+        ],
+        rows: (result.comparable_analysis?.best_comps || []).map(comp => ({
+          address: comp.address,
+          sale_price: currency(comp.sale_price),
+          sale_date: comp.sale_date,
+          square_feet: number(comp.square_feet),
+          score: number(comp.score)
+        }))
+      }
+    ],
+    findings: result => (result.risk_assessment?.identified_risks || []).map(risk => [risk.level, `${risk.category}: ${risk.description}`])
+  },
+  sensitivity: {
+    tool: 'analyze_sensitivity',
+    label: 'Sensitivity Analysis',
+    // Base case metrics depend on the analysis_metrics requested, so they are read from the result
+    metrics: result => [
+      ...Object.keys(result.base_case?.metrics || {}).map(metric => {
+        const [label, format] = SENSITIVITY_METRICS[metric] || [humanize(metric), 'number'];
+        return [`Base case ${label}`, `base_case.metrics.${metric}`, format];
+      }),
+      ['Overall sensitivity risk', 'risk_assessment.overall_risk_level', 'text'],
+      ['Average elasticity', 'risk_assessment.average_elasticity', 'ratio'],
+      ['Maximum downside', 'risk_assessment.max_downside_risk', 'percent'],
+      ['Critical variables', 'risk_assessment.critical_variables', 'list']
+    ],
+    headline: ['Overall sensitivity risk', 'Critical variables'],
+    tables: result => [
+      {
+        title: `Tornado Diagram (${(SENSITIVITY_METRICS[result.tornado_diagram?.metric] || [humanize(result.tornado_diagram?.metric || '')])[0]})`,
+        columns: [
+          { key: 'variable', label: 'Variable' },
+          { key: 'min_impact', label: 'Low', align: 'right' },
+          { key: 'max_impact', label: 'High', align: 'right' },
+          { key: 'range', label: 'Range', align: 'right' },
+          { key: 'elasticity', label: 'Elasticity', align: 'right' }
+        ],
+        rows: (result.tornado_diagram?.variables || []).map(variable => ({
+          variable: variable.variable,
+          min_impact: number(variable.min_impact),
+          max_impact: number(variable.max_impact),
+          range: number(variable.range),
+          elasticity: ratio(variable.elasticity)
+        }))
+      },
+      {
+        title: 'Break-even Values',
+        columns: [
+          { key: 'variable', label: 'Variable' },
+          { key: 'base_value', label: 'Base Value', align: 'right' },
+          { key: 'break_even_value', label: 'Break-even Value', align: 'right' },
+          { key: 'margin_of_safety', label: 'Margin of Safety', align: 'right' }
+        ],
+        rows: (result.critical_values || []).map(value => ({
+          variable: value.variable,
+          base_value: number(value.base_value),
+          break_even_value: number(value.break_even_value),
+          margin_of_safety: percent(value.margin_of_safety)
+        }))
+      }
+    ],
+    findings: result => (result.risk_assessment?.risk_factors || []).map(risk => [null, `${risk.factor}: ${risk.description}`, risk.mitigation])
+  }
+};
+
+/**
+ * sections: [{ key, args, result, source }] in any order; printed in MEMO_SECTIONS order.
+ * Returns the rendered PDF with its page count and per-section recommendation and risk counts.
+ */
+export function buildInvestmentMemo({ title, propertyAddress, preparedFor, preparedBy, sections, now = new Date() }) {
+  // Render what clients receive: Infinity and NaN become null
+  const ordered = Object.keys(MEMO_SECTIONS)
+    .map(key => sections.find(section => section.key === key))
+    .filter(Boolean)
+    .map(section => ({ ...section, ...MEMO_SECTIONS[section.key], result: JSON.parse(JSON.stringify(section.result)) }))
+    .map(section => ({ ...section, ...splitFindings(section) }));
+
+  const memoTitle = title || (propertyAddress ? `Investment Memo: ${propertyAddress}` : 'Investment Memo');
+  const pdf = new PdfDocument({ title: memoTitle, author: preparedBy || '', footer: memoTitle, createdAt: now });
+
+  pdf.title(memoTitle);
+  [
+    ['Property', propertyAddress],
+    ['Prepared for', preparedFor],
+    ['Prepared by', preparedBy],
+    ['Date', now.toISOString().slice(0, 10)]
+  ].filter(([, value]) => value).forEach(([label, value]) => pdf.paragraph(`${label}: ${value}`, { gray: true }));
+
+  pdf.heading('Executive Summary');
+  pdf.paragraph(`This memo covers ${ordered.map(section => section.label).join(', ')}. ` +
+    `It lists ${count(ordered, 'recommendations')} recommendation(s) and ${count(ordered, 'risks')} risk item(s).`);
+  pdf.table(
+    [{ key: 'analysis', label: 'Analysis' }, { key: 'metric', label: 'Metric' }, { key: 'value', label: 'Value', align: 'right' }],
+    ordered.flatMap(section => section.metricRows
+      .filter(([label]) => section.headline.includes(label))
+      .map(([metric, value]) => ({ analysis: section.label, metric, value })))
+  );
+
+  ordered.forEach(section => {
+    pdf.heading(section.label);
+    pdf.paragraph(`Source: ${section.source}`, { size: 9, gray: true });
+    pdf.table(
+      [{ key: 'metric', label: 'Metric' }, { key: 'value', label: 'Value', align: 'right' }],
+      section.metricRows.map(([metric, value]) => ({ metric, value }))
+    );
+    section.tables(section.result).filter(table => table.rows.length > 0).forEach(table => {
+      pdf.subheading(table.title);
+      pdf.table(table.columns, table.rows);
+    });
+  });
+
+  pdf.heading('Recommendations');
+  ordered.forEach(section => {
+    pdf.subheading(section.label);
+    if (section.recommendations.length > 0) pdf.bullets(section.recommendations);
+    else pdf.paragraph('No recommendations.', { gray: true });
+  });
+
+  pdf.heading('Risks');
+  ordered.forEach(section => {
+    pdf.subheading(section.label);
+    if (section.risks.length > 0) pdf.bullets(section.risks);
+    else pdf.paragraph('No risks flagged.', { gray: true });
+  });
+
+  pdf.heading('Appendix: Inputs');
+  ordered.forEach(section => {
+    pdf.subheading(`${section.label} (${section.tool})`);
+    pdf.table(
+      [{ key: 'input', label: 'Input' }, { key: 'value', label: 'Value' }],
+      flattenInputs(section.args || {}).map(({ input, value }) => ({ input, value: value === null ? '' : String(value) }))
+    );
+  });
+
+  return {
+    buffer: pdf.toBuffer(),
+    pages: pdf.pageCount,
+    sections: ordered.map(section => ({
+      section: section.key,
+      tool: section.tool,
+      source: section.source,
+      recommendations: section.recommendations.length,
+      risks: section.risks.length
+    }))
+  };
+}
+
+export async function writeInvestmentMemo({ fileName, outputDir = resolveOutputDir(), now = new Date(), ...options }) {
+  const base = fileName ? slugify(fileName) : `investment-memo-${fileStamp(now)}`;
+  if (!base) {
+    throw new Error(`File name ${JSON.stringify(fileName)} has no usable characters`);
+  }
+
+  const { buffer, pages, sections } = buildInvestmentMemo({ ...options, now });
+  await mkdir(outputDir, { recursive: true });
+  const path = join(outputDir, `${base}.pdf`);
+  await writeFile(path, buffer);
+  return { path, bytes: buffer.length, pages, sections };
+}
+
+// Splits generateRecommendations output into actions and risks, then adds the section's own risk findings
+function splitFindings(section) {
+  const definitions = typeof section.metrics === 'function' ? section.metrics(section.result) : section.metrics;
+  const metricRows = definitions
+    .map(([label, path, format]) => [label, formatValue(valueAt(section.result, path), format)])
+    .filter(([, value]) => value !== '');
+
+  const recommendations = [];
+  const risks = [];
+  (section.result.recommendations || []).forEach(rec => {
+    const tag = rec.type || rec.priority;
+    const line = findingLine(tag && humanize(tag), rec.category ? `${rec.category}: ${rec.message}` : rec.message, rec.action);
+    (RISK_PATTERN.test(`${rec.type || ''} ${rec.category || ''}`) ? risks : recommendations).push(line);
+  });
+  section.findings(section.result).forEach(([level, message, action]) => risks.push(findingLine(level, message, action)));
+
+  return { metricRows, recommendations, risks };
+}
+
+function findingLine(tag, message, action) {
+  return `${tag ? `[${tag}] ` : ''}${message}${action ? ` — ${action}` : ''}`;
+}
+
+function count(sections, key) {
+  return sections.reduce((total, section) => total + section[key].length, 0);
+}
+
+function valueAt(object, path) {
+  return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+function formatValue(value, format) {
+  if (value === null || value === undefined) return '';
+  if (format === 'list') return Array.isArray(value) && value.length > 0 ? value.join(', ') : 'None';
+  if (typeof value === 'string') return humanize(value);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (format === 'currency') return currency(value);
+  if (format === 'percent') return percent(value);
+  if (format === 'ratio') return ratio(value);
+  return number(value);
+}
+
+function currency(value) {
+  if (typeof value !== 'number') return '';
+  const digits = Number.isInteger(value) || Math.abs(value) >= 1000 ? 0 : 2;
+  const formatted = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  return `${value < 0 ? '-' : ''}$${formatted}`;
+}
+
+function percent(value) {
+  return typeof value === 'number' ? `${number(value)}%` : '';
+}
+
+function ratio(value) {
+  return typeof value === 'number' ? value.toFixed(2) : '';
+}
+
+function number(value) {
+  return typeof value === 'number' ? value.toLocaleString('en-US', { maximumFractionDigits: 2 }) : '';
+}
+
+// insufficient_data -> Insufficient data; text that already has capitals or spaces is left alone
+function humanize(text) {
+  const value = String(text);
+  if (!/^[a-z0-9_]+$/.test(value)) return value;
+  const words = value.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
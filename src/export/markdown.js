@@ -0,0 +1,55 @@
+/**
+ * Markdown Export
+ * Renders a result as a short memo: inputs, headline metrics and each table
+ */
+
+// Long schedules are cut off in the memo; the CSV and XLSX exports keep every row
+export const MAX_MARKDOWN_ROWS = 25;
+
+export function toMarkdown({ title, tool, inputs, tables, generatedAt = new Date(), maxRows = MAX_MARKDOWN_ROWS }) {
+  const lines = [
+    `# ${title}`,
+    '',
+    `_Generated ${generatedAt.toISOString().slice(0, 10)} with \`${tool}\`_`,
+    ''
+  ];
+
+  if (inputs.length > 0) {
+    lines.push('## Inputs', '', ...markdownTable(['input', 'value'], inputs), '');
+  }
+
+  tables.forEach(table => {
+    lines.push(`## ${headingFor(table.name)}`, '');
+    lines.push(...markdownTable(table.columns, table.rows.slice(0, maxRows)));
+    if (table.rows.length > maxRows) {
+      lines.push('', `_Showing ${maxRows} of ${table.rows.length} rows; the CSV and XLSX exports include every row._`);
+    }
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+function markdownTable(columns, rows) {
+  return [
+    `| ${columns.map(headingFor).join(' | ')} |`,
+    `| ${columns.map(column => (rows.some(row => typeof row[column] === 'number') ? '---:' : '---')).join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(column => formatValue(row[column])).join(' | ')} |`)
+  ];
+}
+
+// cash_flow_analysis.annual_cash_flow -> Cash Flow Analysis / Annual Cash Flow
+function headingFor(name) {
+  return name
+    .split('.')
+    .map(part => part.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase()))
+    .join(' / ');
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') {
+    return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
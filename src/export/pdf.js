@@ -0,0 +1,303 @@
+/**
+ * PDF Writer
+ * Minimal PDF 1.4 writer for paginated text, tables and rules in the standard Helvetica fonts
+ */
+
+import { deflateSync } from 'zlib';
+
+// US Letter in points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const FOOTER_Y = 30;
+const CELL_PADDING = 4;
+
+// Glyph widths per 1000 units for ASCII 32-126, from the Adobe core font metrics
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Punctuation outside Latin-1 that WinAnsiEncoding still covers
+const WIN_ANSI = {
+  '€': 0x80, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+export function textWidth(text, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD : HELVETICA;
+  let units = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return units * size / 1000;
+}
+
+// Greedy word wrap; words wider than the line are broken by character
+export function wrapText(text, width, size, bold = false) {
+  const lines = [];
+  String(text).split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= width) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = '';
+      for (const char of word) {
+        if (line && textWidth(line + char, size, bold) > width) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+export class PdfDocument {
+  constructor({ title = '', author = '', footer = '', createdAt = new Date() } = {}) {
+    this.info = { title, author, footer, createdAt };
+    this.pages = [];
+    this.newPage();
+  }
+
+  get pageCount() {
+    return this.pages.length;
+  }
+
+  get contentWidth() {
+    return PAGE_WIDTH - 2 * MARGIN;
+  }
+
+  newPage() {
+    this.ops = [];
+    this.pages.push(this.ops);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  // Starts a new page unless `height` points still fit above the bottom margin
+  ensureSpace(height) {
+    if (this.y - height < MARGIN && this.y < PAGE_HEIGHT - MARGIN) {
+      this.newPage();
+    }
+  }
+
+  space(height) {
+    this.y -= height;
+  }
+
+  title(text, size = 18) {
+    this.lines(wrapText(text, this.contentWidth, size, true), { size, bold: true });
+    this.space(4);
+  }
+
+  // Headings keep at least a few lines of what follows on the same page
+  heading(text, size = 13) {
+    this.ensureSpace(size * 1.4 + 60);
+    this.space(8);
+    this.lines(wrapText(text, this.contentWidth, size, true), { size, bold: true });
+    this.rule();
+    this.space(6);
+  }
+
+  subheading(text, size = 11) {
+    this.ensureSpace(size * 1.4 + 40);
+    this.space(4);
+    this.lines(wrapText(text, this.contentWidth, size, true), { size, bold: true });
+    this.space(2);
+  }
+
+  paragraph(text, { size = 10, bold = false, gray = false } = {}) {
+    this.lines(wrapText(text, this.contentWidth, size, bold), { size, bold, gray });
+    this.space(4);
+  }
+
+  bullets(items, { size = 10 } = {}) {
+    const indent = 12;
+    items.forEach(item => {
+      const lines = wrapText(item, this.contentWidth - indent, size);
+      this.ensureSpace(size * 1.35);
+      this.text('•', MARGIN + 2, this.y - size, size);
+      this.lines(lines, { size, x: MARGIN + indent });
+      this.space(2);
+    });
+    this.space(2);
+  }
+
+  lines(lines, { size = 10, bold = false, gray = false, x = MARGIN } = {}) {
+    const lineHeight = size * 1.35;
+    lines.forEach(line => {
+      this.ensureSpace(lineHeight);
+      this.text(line, x, this.y - size, size, { bold, gray });
+      this.space(lineHeight);
+    });
+  }
+
+  /**
+   * columns: [{ key, label, align }]; rows are objects of preformatted strings.
+   * Cells wrap within their column and the header repeats on every page the table spans.
+   */
+  table(columns, rows, { size = 9 } = {}) {
+    const widths = this.columnWidths(columns, rows, size);
+    const lineHeight = size * 1.3;
+
+    const drawRow = (cells, bold) => {
+      const wrapped = columns.map((column, i) => wrapText(cells[column.key] ?? '', widths[i] - 2 * CELL_PADDING, size, bold));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight + 2 * CELL_PADDING;
+      return { wrapped, height };
+    };
+    const render = ({ wrapped, height }, bold) => {
+      let x = MARGIN;
+      wrapped.forEach((lines, i) => {
+        lines.forEach((line, n) => {
+          const baseline = this.y - CELL_PADDING - size - n * lineHeight;
+          const offset = columns[i].align === 'right'
+            ? widths[i] - CELL_PADDING - textWidth(line, size, bold)
+            : CELL_PADDING;
+          this.text(line, x + offset, baseline, size, { bold });
+        });
+        x += widths[i];
+      });
+      this.space(height);
+      this.rule({ gray: bold ? 0.3 : 0.8 });
+    };
+
+    const header = drawRow(Object.fromEntries(columns.map(column => [column.key, column.label])), true);
+    const renderHeader = () => {
+      this.fill(MARGIN, this.y - header.height, this.contentWidth, header.height, 0.92);
+      render(header, true);
+    };
+
+    this.ensureSpace(header.height + lineHeight + 2 * CELL_PADDING);
+    renderHeader();
+    rows.forEach(cells => {
+      const row = drawRow(cells, false);
+      if (this.y - row.height < MARGIN) {
+        this.newPage();
+        renderHeader();
+      }
+      render(row, false);
+    });
+    this.space(8);
+  }
+
+  // Natural widths shrunk in proportion when the table is wider than the page
+  columnWidths(columns, rows, size) {
+    const natural = columns.map(column => Math.max(
+      textWidth(column.label, size, true),
+      ...rows.map(row => textWidth(row[column.key] ?? '', size))
+    ) + 2 * CELL_PADDING + 1);
+    const total = natural.reduce((sum, width) => sum + width, 0);
+    if (total <= this.contentWidth) {
+      // Spread the spare width so every table spans the page
+      return natural.map(width => width + (this.contentWidth - total) / columns.length);
+    }
+    return natural.map(width => width * this.contentWidth / total);
+  }
+
+  rule({ gray = 0.6 } = {}) {
+    this.ops.push(`${gray} G 0.5 w ${MARGIN} ${fixed(this.y)} m ${MARGIN + this.contentWidth} ${fixed(this.y)} l S 0 G`);
+  }
+
+  fill(x, y, width, height, gray) {
+    this.ops.push(`${gray} g ${fixed(x)} ${fixed(y)} ${fixed(width)} ${fixed(height)} re f 0 g`);
+  }
+
+  text(text, x, y, size, { bold = false, gray = false, ops = this.ops } = {}) {
+    const color = gray ? '0.4 g ' : '';
+    ops.push(`${color}BT /${bold ? 'F2' : 'F1'} ${size} Tf ${fixed(x)} ${fixed(y)} Td (${escapeText(text)}) Tj ET${gray ? ' 0 g' : ''}`);
+  }
+
+  toBuffer() {
+    const { title, author, footer, createdAt } = this.info;
+    const total = this.pages.length;
+    const pageIds = this.pages.map((_, i) => 6 + i * 2);
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${total} >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Title (${escapeText(title)}) /Author (${escapeText(author)}) /Producer (realvest-mcp) /CreationDate (${pdfDate(createdAt)}) >>`
+    ];
+
+    this.pages.forEach((ops, i) => {
+      const page = [...ops];
+      const label = `Page ${i + 1} of ${total}`;
+      if (footer) this.text(footer, MARGIN, FOOTER_Y, 8, { gray: true, ops: page });
+      this.text(label, PAGE_WIDTH - MARGIN - textWidth(label, 8), FOOTER_Y, 8, { gray: true, ops: page });
+
+      const stream = deflateSync(encodeText(page.join('\n')));
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+        [`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, stream, '\nendstream']
+      );
+    });
+
+    // The binary comment line marks the file as binary for transfer tools
+    const chunks = [encodeText('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')];
+    let length = chunks[0].length;
+    const offsets = [];
+    const push = chunk => {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : encodeText(chunk);
+      chunks.push(buffer);
+      length += buffer.length;
+    };
+
+    objects.forEach((body, i) => {
+      offsets.push(length);
+      push(`${i + 1} 0 obj\n`);
+      (Array.isArray(body) ? body : [body]).forEach(push);
+      push('\nendobj\n');
+    });
+
+    const xref = length;
+    push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => push(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+    return Buffer.concat(chunks);
+  }
+}
+
+// Latin-1 passes through; anything WinAnsi cannot show becomes '?'
+function encodeText(text) {
+  let encoded = '';
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI[char]) encoded += String.fromCharCode(WIN_ANSI[char]);
+    else encoded += code <= 0xff ? char : '?';
+  }
+  return Buffer.from(encoded, 'latin1');
+}
+
+function escapeText(text) {
+  return String(text).replace(/[\\()]/g, match => `\\${match}`).replace(/[\r\n\t]/g, ' ');
+}
+
+function fixed(value) {
+  return Number(value.toFixed(2));
+}
+
+// 2024-07-01T09:30:05Z -> D:20240701093005Z
+function pdfDate(date) {
+  return `D:${date.toISOString().slice(0, 19).replace(/[-:T]/g, '')}Z`;
+}
@@ -0,0 +1,98 @@
+/**
+ * Result Tables
+ * Turns a calculator result into named tables: a summary of scalar metrics plus one table per list of records
+ */
+
+import { amortize } from '../amortization.js';
+
+// Schedules some tools only summarize; rebuilt here so exports carry every row
+const TABLE_BUILDERS = {
+  compare_loans: result => result.loan_details.map(loan => ({
+    name: `Amortization ${loan.loan_name}`,
+    ...amortizationTable(loan.loan_amount, loan.interest_rate, loan.loan_term_years)
+  }))
+};
+
+export function extractTables(tool, result) {
+  const summary = [];
+  const tables = [];
+  collect(result, '', summary, tables);
+
+  const built = TABLE_BUILDERS[tool]?.(result) || [];
+  return [
+    { name: 'Summary', columns: ['metric', 'value'], rows: summary.map(([metric, value]) => ({ metric, value })) },
+    ...tables,
+    ...built
+  ].filter(table => table.rows.length > 0);
+}
+
+// Inputs are short, so lists of records stay inline as loans[0].interest_rate rather than separate tables
+export function flattenInputs(args) {
+  const row = {};
+  flattenIndexed(args, '', row);
+  return Object.entries(row).map(([input, value]) => ({ input, value }));
+}
+
+function collect(value, path, summary, tables) {
+  if (Array.isArray(value)) {
+    if (value.length > 0 && value.every(isPlainObject)) {
+      tables.push(recordTable(path, value));
+    } else if (value.length > 0) {
+      summary.push([path, value.map(formatCell).join('; ')]);
+    }
+  } else if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, child]) => collect(child, path ? `${path}.${key}` : key, summary, tables));
+  } else if (path) {
+    summary.push([path, value ?? null]);
+  }
+}
+
+// Nested objects become dotted columns; nested lists are kept as one cell
+function recordTable(path, records) {
+  const columns = [];
+  const rows = records.map(record => {
+    const row = {};
+    flattenRecord(record, '', row);
+    Object.keys(row).forEach(column => {
+      if (!columns.includes(column)) columns.push(column);
+    });
+    return row;
+  });
+  return { name: path, columns, rows };
+}
+
+function flattenRecord(value, path, row) {
+  if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, child]) => flattenRecord(child, path ? `${path}.${key}` : key, row));
+  } else if (Array.isArray(value)) {
+    row[path] = value.map(formatCell).join('; ');
+  } else {
+    row[path] = value ?? null;
+  }
+}
+
+function flattenIndexed(value, path, row) {
+  if (Array.isArray(value) && value.some(isPlainObject)) {
+    value.forEach((item, index) => flattenIndexed(item, `${path}[${index}]`, row));
+  } else if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, child]) => flattenIndexed(child, path ? `${path}.${key}` : key, row));
+  } else if (Array.isArray(value)) {
+    row[path] = value.map(formatCell).join('; ');
+  } else if (path) {
+    row[path] = value ?? null;
+  }
+}
+
+export function amortizationTable(principal, annualRate, years) {
+  const { schedule } = amortize({ principal, annual_rate: annualRate, amortization_months: years * 12 });
+  const columns = ['month', 'payment', 'principal', 'interest', 'balance'];
+  return { columns, rows: schedule.map(row => Object.fromEntries(columns.map(column => [column, row[column]]))) };
+}
+
+function formatCell(value) {
+  return isPlainObject(value) || Array.isArray(value) ? JSON.stringify(value) : String(value);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
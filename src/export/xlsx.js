@@ -0,0 +1,124 @@
+/**
+ * XLSX Export
+ * Writes result tables as sheets of an Office Open XML workbook
+ */
+
+import { createZip } from './zip.js';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+export function toXLSX(tables, date = new Date()) {
+  const sheetNames = uniqueSheetNames(tables.map(table => table.name));
+
+  const entries = [
+    { name: '[Content_Types].xml', data: contentTypes(tables.length) },
+    {
+      name: '_rels/.rels',
+      data: `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}"><Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    { name: 'xl/workbook.xml', data: workbook(sheetNames) },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRels(tables.length) },
+    { name: 'xl/styles.xml', data: styles() },
+    ...tables.map((table, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, data: worksheet(table) }))
+  ];
+
+  return createZip(entries, date);
+}
+
+// Sheet names are limited to 31 characters, cannot contain []:*?/\ and must be unique
+export function uniqueSheetNames(names) {
+  const used = new Set();
+  return names.map(name => {
+    const base = (name.replace(/[[\]:*?/\\]/g, ' ').trim() || 'Sheet').slice(0, 31);
+    let candidate = base;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+function contentTypes(sheetCount) {
+  const sheets = Array.from({ length: sheetCount }, (_, i) =>
+    `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join('');
+  return `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    `${sheets}</Types>`;
+}
+
+function workbook(sheetNames) {
+  const sheets = sheetNames.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('');
+  return `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>${sheets}</sheets></workbook>`;
+}
+
+function workbookRels(sheetCount) {
+  const sheets = Array.from({ length: sheetCount }, (_, i) =>
+    `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+  ).join('');
+  return `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">${sheets}` +
+    `<Relationship Id="rId${sheetCount + 1}" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`;
+}
+
+// Style 1 is the bold header row
+function styles() {
+  return `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '</styleSheet>';
+}
+
+function worksheet({ columns, rows }) {
+  const header = `<row r="1">${columns.map((column, c) => cell(column, c, 1, 1)).join('')}</row>`;
+  const body = rows.map((row, r) =>
+    `<row r="${r + 2}">${columns.map((column, c) => cell(row[column], c, r + 2)).join('')}</row>`
+  ).join('');
+  // Keep the header visible while scrolling long schedules
+  const views = '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>';
+  return `${XML_HEADER}<worksheet xmlns="${MAIN_NS}">${views}<sheetData>${header}${body}</sheetData></worksheet>`;
+}
+
+function cell(value, columnIndex, rowNumber, style = 0) {
+  const ref = `${columnName(columnIndex)}${rowNumber}`;
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined) {
+    return `<c r="${ref}"${styleAttr}/>`;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+}
+
+export function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newlines are not allowed in XML
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
@@ -0,0 +1,145 @@
+/**
+ * Financial Math
+ * Present value, IRR and modified IRR shared by the calculators, with bracketed root finding that reports when a cash flow stream has no unique IRR
+ */
+
+export const PERIODS_PER_YEAR = { annual: 1, quarterly: 4, monthly: 12 };
+
+// IRRs are searched between -99% and +1000% a period
+const MIN_RATE = -0.99;
+const MAX_RATE = 10;
+const SCAN_STEPS = 200;
+const RATE_TOLERANCE = 1e-10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const IRR_STATUS = {
+  UNIQUE: 'unique',
+  MULTIPLE: 'multiple',
+  NONE: 'none',
+  NO_SIGN_CHANGE: 'no_sign_change'
+};
+
+// Actual/365 year fraction between two dates, as used by XIRR and XNPV
+export function yearFraction(start, end) {
+  return (Date.parse(end) - Date.parse(start)) / DAY_MS / 365;
+}
+
+// Cash flow i falls at times[i] periods (its index when times is omitted)
+export function presentValue(cashFlows, rate, times) {
+  return cashFlows.reduce((sum, cf, i) => sum + cf / Math.pow(1 + rate, times ? times[i] : i), 0);
+}
+
+export function countSignChanges(cashFlows) {
+  const signs = cashFlows.filter(cf => cf !== 0).map(Math.sign);
+  return signs.slice(1).filter((sign, i) => sign !== signs[i]).length;
+}
+
+/**
+ * Solve NPV = 0 for the rate. One sign change guarantees at most one IRR (Descartes' rule),
+ * so that case bisects the full range directly. Otherwise the range is scanned for every
+ * bracket where NPV changes sign and each root is refined by bisection.
+ *
+ * Returns { status, irr, irrs, sign_changes, message }. irr is null unless status is 'unique'.
+ */
+export function solveIRR(cashFlows, { times } = {}) {
+  const npv = rate => presentValue(cashFlows, rate, times);
+  const signChanges = countSignChanges(cashFlows);
+
+  if (signChanges === 0) {
+    return irrResult(IRR_STATUS.NO_SIGN_CHANGE, [], signChanges);
+  }
+
+  const brackets = signChanges === 1 ? [[MIN_RATE, MAX_RATE]] : scanForBrackets(npv);
+  const irrs = [];
+  brackets.forEach(([low, high]) => {
+    const fLow = npv(low);
+    const fHigh = npv(high);
+    if (!Number.isFinite(fLow) || !Number.isFinite(fHigh)) return;
+    if (fLow !== 0 && fHigh !== 0 && Math.sign(fLow) === Math.sign(fHigh)) return;
+    const root = fLow === 0 ? low : fHigh === 0 ? high : bisect(npv, low, high, fLow);
+    if (!irrs.some(existing => Math.abs(existing - root) < 1e-7)) irrs.push(root);
+  });
+
+  if (irrs.length === 0) return irrResult(IRR_STATUS.NONE, irrs, signChanges);
+  if (irrs.length > 1) return irrResult(IRR_STATUS.MULTIPLE, irrs, signChanges);
+  return irrResult(IRR_STATUS.UNIQUE, irrs, signChanges);
+}
+
+/**
+ * Modified IRR: outflows are discounted to time 0 at the finance rate and inflows
+ * compounded to the last cash flow at the reinvestment rate. Null without both.
+ */
+export function modifiedIRR(cashFlows, financeRate, reinvestmentRate, times) {
+  const timeAt = i => (times ? times[i] : i);
+  const horizon = Math.max(...cashFlows.map((_, i) => timeAt(i)));
+  let presentCost = 0;
+  let futureValue = 0;
+
+  cashFlows.forEach((cf, i) => {
+    if (cf < 0) {
+      presentCost -= cf / Math.pow(1 + financeRate, timeAt(i));
+    } else {
+      futureValue += cf * Math.pow(1 + reinvestmentRate, horizon - timeAt(i));
+    }
+  });
+
+  if (presentCost === 0 || futureValue === 0 || horizon <= 0) return null;
+  return Math.pow(futureValue / presentCost, 1 / horizon) - 1;
+}
+
+// Scan on a log(1 + rate) grid so low rates, where IRRs usually sit, are sampled finely
+function scanForBrackets(npv) {
+  const lowest = Math.log(1 + MIN_RATE);
+  const step = (Math.log(1 + MAX_RATE) - lowest) / SCAN_STEPS;
+  const brackets = [];
+  let previousRate = MIN_RATE;
+  let previousValue = npv(previousRate);
+
+  for (let i = 1; i <= SCAN_STEPS; i++) {
+    const rate = i === SCAN_STEPS ? MAX_RATE : Math.exp(lowest + step * i) - 1;
+    const value = npv(rate);
+    if (value === 0) {
+      brackets.push([rate, rate]);
+    } else if (Math.sign(value) !== Math.sign(previousValue) && previousValue !== 0) {
+      brackets.push([previousRate, rate]);
+    }
+    previousRate = rate;
+    previousValue = value;
+  }
+
+  return brackets;
+}
+
+function bisect(npv, low, high, fLow) {
+  while (high - low > RATE_TOLERANCE) {
+    const mid = (low + high) / 2;
+    const fMid = npv(mid);
+    if (fMid === 0) return mid;
+    if (Math.sign(fMid) === Math.sign(fLow)) {
+      low = mid;
+      fLow = fMid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+function irrResult(status, irrs, signChanges) {
+  const sorted = [...irrs].sort((a, b) => a - b);
+  const percents = sorted.map(rate => `${(rate * 100).toFixed(2)}%`).join(', ');
+  const messages = {
+    [IRR_STATUS.UNIQUE]: null,
+    [IRR_STATUS.MULTIPLE]: `No unique IRR: the cash flows change sign ${signChanges} times and NPV is zero at ${percents}. Judge the deal on NPV or the modified IRR instead`,
+    [IRR_STATUS.NONE]: 'No IRR between -99% and 1000%: NPV never reaches zero in that range',
+    [IRR_STATUS.NO_SIGN_CHANGE]: 'No IRR: the cash flows never change sign'
+  };
+
+  return {
+    status,
+    irr: status === IRR_STATUS.UNIQUE ? sorted[0] : null,
+    irrs: sorted,
+    sign_changes: signChanges,
+    message: messages[status]
+  };
+}
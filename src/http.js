@@ -0,0 +1,228 @@
+/**
+ * Streamable HTTP Host
+ * Serves the MCP streamable HTTP transport with one server instance per session, a health endpoint and optional bearer-token auth.
+ * Sessions are capped and closed after sitting idle, and Host/Origin checks guard against DNS rebinding
+ */
+
+import { createServer as createHttpServer } from 'node:http';
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+import { createServer, SERVER_INFO } from './server.js';
+import { registry } from './tools.js';
+
+export const MCP_PATH = '/mcp';
+export const HEALTH_PATH = '/health';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::', '[::]'];
+
+export async function startHttpServer({
+  port = 3000,
+  host = '127.0.0.1',
+  authToken = null,
+  allowedHosts = null,
+  maxSessions = 100,
+  sessionIdleMs = 30 * 60 * 1000
+} = {}) {
+  const sessions = new Map();
+  const startedAt = Date.now();
+  const hostnames = resolveAllowedHosts(host, allowedHosts);
+
+  // Close sessions whose client went away without sending DELETE
+  const closeIdleSessions = () => {
+    const cutoff = Date.now() - sessionIdleMs;
+    return Promise.all([...sessions].filter(([, session]) => session.lastSeen < cutoff).map(([id, session]) => {
+      sessions.delete(id);
+      return session.server.close();
+    }));
+  };
+  const sweep = setInterval(() => closeIdleSessions().catch(error => console.error('Session sweep error:', error)), Math.min(sessionIdleMs, 60 * 1000));
+  sweep.unref();
+
+  const httpServer = createHttpServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (pathname === HEALTH_PATH && req.method === 'GET') {
+        return sendJson(res, 200, {
+          status: 'ok',
+          name: SERVER_INFO.name,
+          version: SERVER_INFO.version,
+          tools: registry.names().length,
+          sessions: sessions.size,
+          uptime_seconds: Math.round((Date.now() - startedAt) / 1000)
+        });
+      }
+
+      if (pathname !== MCP_PATH) {
+        return sendJson(res, 404, { error: 'not_found', message: `No route for ${req.method} ${pathname}` });
+      }
+
+      const rejected = checkHostAndOrigin(req, hostnames);
+      if (rejected) {
+        return sendRpcError(res, 403, -32000, `Forbidden: ${rejected}`);
+      }
+
+      if (authToken && !isAuthorized(req, authToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="realvest-mcp"');
+        return sendJson(res, 401, { error: 'unauthorized', message: 'Missing or invalid bearer token' });
+      }
+
+      await handleMcpRequest(req, res, sessions, { maxSessions, closeIdleSessions });
+    } catch (error) {
+      console.error('HTTP request error:', error);
+      if (!res.headersSent) {
+        sendRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    const onError = error => {
+      clearInterval(sweep);
+      reject(error);
+    };
+    httpServer.once('error', onError);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', onError);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const urlHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+
+  return {
+    httpServer,
+    sessions,
+    url: `http://${urlHost}:${address.port}${MCP_PATH}`,
+    async close() {
+      clearInterval(sweep);
+      await Promise.all([...sessions.values()].map(session => session.server.close()));
+      sessions.clear();
+      httpServer.closeAllConnections();
+      await new Promise(resolve => httpServer.close(() => resolve()));
+    }
+  };
+}
+
+async function handleMcpRequest(req, res, sessions, { maxSessions, closeIdleSessions }) {
+  const sessionId = req.headers['mcp-session-id'];
+
+  let body;
+  if (req.method === 'POST') {
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      return sendRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+    }
+  }
+
+  if (sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return sendRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+    }
+    session.lastSeen = Date.now();
+    return session.transport.handleRequest(req, res, body);
+  }
+
+  if (req.method !== 'POST' || !isInitializeRequest(body)) {
+    return sendRpcError(res, 400, -32000, 'Bad Request: send an initialize request to open a session, then pass its Mcp-Session-Id header');
+  }
+
+  if (sessions.size >= maxSessions) {
+    await closeIdleSessions();
+    if (sessions.size >= maxSessions) {
+      res.setHeader('Retry-After', '60');
+      return sendRpcError(res, 503, -32000, `Too many open sessions (limit ${maxSessions}); close an existing session or retry later`);
+    }
+  }
+
+  // New session: every client gets its own server so handlers and protocol state are never shared
+  const server = createServer();
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    onsessioninitialized: id => {
+      sessions.set(id, { server, transport, createdAt: new Date().toISOString(), lastSeen: Date.now() });
+    }
+  });
+  // The server hears about a closed transport on every SDK 1.x release; older ones replace transport.onclose on connect
+  server.onclose = () => {
+    if (transport.sessionId) {
+      sessions.delete(transport.sessionId);
+    }
+  };
+
+  await server.connect(transport);
+  await transport.handleRequest(req, res, body);
+}
+
+// Hostnames a request may address. Loopback names are always allowed; a specific bind address is added to them.
+// A wildcard bind with no configured list can't know its public names, so only the Origin check applies.
+function resolveAllowedHosts(host, allowedHosts) {
+  if (allowedHosts?.length) {
+    return new Set([...LOOPBACK_HOSTS, ...allowedHosts.map(name => hostnameOf(name)).filter(Boolean)]);
+  }
+  if (WILDCARD_HOSTS.includes(host)) {
+    return null;
+  }
+  return new Set([...LOOPBACK_HOSTS, hostnameOf(host.includes(':') && !host.startsWith('[') ? `[${host}]` : host)]);
+}
+
+// A rebound DNS name reaches the server with a foreign Host header, and a browser page on another
+// site sends its own Origin. Clients outside a browser send no Origin and pass.
+function checkHostAndOrigin(req, hostnames) {
+  const requestHost = hostnameOf(req.headers.host || '');
+  if (hostnames && !hostnames.has(requestHost)) {
+    return `Host header ${req.headers.host ?? '(missing)'} is not allowed`;
+  }
+
+  const origin = req.headers.origin;
+  if (origin === undefined) return null;
+  const originHost = hostnameOf(origin, true);
+  const allowed = hostnames ? hostnames.has(originHost) : originHost !== null && originHost === requestHost;
+  return allowed ? null : `Origin ${origin} is not allowed`;
+}
+
+function hostnameOf(value, isUrl = false) {
+  try {
+    return new URL(isUrl ? value : `http://${value}`).hostname;
+  } catch {
+    return null;
+  }
+}
+
+function isAuthorized(req, authToken) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+
+  const expected = Buffer.from(authToken);
+  const received = Buffer.from(match[1].trim());
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error(`request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function sendRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
@@ -0,0 +1,393 @@
+/**
+ * Property Deal Model
+ * One canonical description of a rental deal and the mappings into each calculator's input shape
+ */
+
+import { levelPayment } from '../amortization.js';
+
+const money = (description, extra = {}) => ({ type: 'number', description, minimum: 0, ...extra });
+const percent = (description, defaultValue, extra = {}) => ({
+  type: 'number', description, minimum: 0, maximum: 100, default: defaultValue, ...extra
+});
+
+export const PROPERTY_DEAL_SCHEMA = {
+  type: 'object',
+  properties: {
+    property: {
+      type: 'object',
+      description: 'The property being acquired',
+      properties: {
+        address: { type: 'string', description: 'Address or short description' },
+        property_type: {
+          type: 'string',
+          enum: ['single_family', 'multi_family', 'condo', 'commercial'],
+          default: 'single_family'
+        },
+        units: { type: 'integer', description: 'Number of rentable units', minimum: 1, default: 1 },
+        purchase_price: money('Purchase price', { exclusiveMinimum: 0 }),
+        land_value: money('Land value (not depreciable). Defaults to 20% of the purchase price'),
+        closing_costs: money('Purchase closing costs', { default: 0 }),
+        renovation_costs: money('Up-front renovation costs', { default: 0 })
+      },
+      required: ['purchase_price']
+    },
+    financing: {
+      type: 'object',
+      description: 'Acquisition loan. Omit for the default 25% down; set down_payment_percent to 100 for an all-cash purchase',
+      properties: {
+        down_payment: money('Down payment amount; takes precedence over down_payment_percent'),
+        down_payment_percent: percent('Down payment as a percentage of the purchase price', 25),
+        interest_rate: { type: 'number', description: 'Annual interest rate (%); required when the deal is financed', minimum: 0, maximum: 30 },
+        loan_term_years: { type: 'integer', description: 'Amortization period in years', minimum: 1, maximum: 40, default: 30 },
+        loan_type: { type: 'string', enum: ['conventional', 'dscr', 'portfolio', 'commercial'], default: 'conventional' },
+        points_paid: money('Loan points paid at closing', { default: 0 })
+      }
+    },
+    income: {
+      type: 'object',
+      description: 'Monthly income across all units',
+      properties: {
+        monthly_rent: money('Total monthly rent across all units', { exclusiveMinimum: 0 }),
+        other_monthly_income: money('Parking, laundry, storage and other monthly income', { default: 0 }),
+        vacancy_rate: percent('Expected vacancy rate (%)', 5),
+        annual_rent_growth: percent('Expected annual rent growth (%)', 3)
+      },
+      required: ['monthly_rent']
+    },
+    expenses: {
+      type: 'object',
+      description: 'Monthly operating expenses (excluding the mortgage)',
+      properties: {
+        property_tax: money('Monthly property tax', { default: 0 }),
+        insurance: money('Monthly insurance', { default: 0 }),
+        hoa: money('Monthly HOA fees', { default: 0 }),
+        property_management: money('Monthly property management', { default: 0 }),
+        maintenance: money('Monthly maintenance and repairs reserve', { default: 0 }),
+        utilities: money('Monthly owner-paid utilities', { default: 0 }),
+        other: money('Other monthly expenses', { default: 0 })
+      }
+    },
+    assumptions: {
+      type: 'object',
+      description: 'Hold and exit assumptions for the multi-year projection',
+      properties: {
+        holding_period_years: { type: 'integer', description: 'Years until sale', minimum: 1, maximum: 30, default: 5 },
+        appreciation_rate: percent('Annual property appreciation (%)', 3, { minimum: -20 }),
+        expense_growth_rate: percent('Annual operating expense growth (%)', 2),
+        selling_costs_percent: percent('Selling costs as a percentage of the sale price', 7),
+        required_return: percent('Required annual return (%): the NPV discount rate and IRR target', 10)
+      }
+    },
+    taxpayer: {
+      type: 'object',
+      description: 'Investor tax profile. Tax benefits are only analyzed when provided',
+      properties: {
+        other_income: money('Other taxable income (wages, etc.)'),
+        filing_status: {
+          type: 'string',
+          enum: ['single', 'married_filing_jointly', 'married_filing_separately', 'head_of_household'],
+          default: 'single'
+        },
+        state: { type: 'string', description: 'Two-letter state of residence', default: 'CA' },
+        real_estate_professional: { type: 'boolean', default: false },
+        active_participation: { type: 'boolean', default: true }
+      },
+      required: ['other_income']
+    }
+  },
+  required: ['property', 'income']
+};
+
+const EXPENSE_FIELDS = ['property_tax', 'insurance', 'hoa', 'property_management', 'maintenance', 'utilities', 'other'];
+
+// Fills defaults and derives financing, the year-by-year operating projection and the sale
+export function normalizeDeal(input) {
+  const property = {
+    property_type: 'single_family',
+    units: 1,
+    closing_costs: 0,
+    renovation_costs: 0,
+    ...input.property
+  };
+  const notes = [];
+  if (property.land_value === undefined) {
+    property.land_value = property.purchase_price * 0.2;
+    notes.push('Land value assumed at 20% of the purchase price for depreciation');
+  }
+
+  const financingInput = { down_payment_percent: 25, loan_term_years: 30, loan_type: 'conventional', points_paid: 0, ...input.financing };
+  const down_payment = Math.min(
+    financingInput.down_payment ?? property.purchase_price * (financingInput.down_payment_percent / 100),
+    property.purchase_price
+  );
+  const loan_amount = property.purchase_price - down_payment;
+  if (loan_amount > 0 && financingInput.interest_rate === undefined) {
+    throw new Error('financing.interest_rate is required when the deal is financed');
+  }
+  const financing = {
+    ...financingInput,
+    interest_rate: financingInput.interest_rate ?? 0,
+    down_payment,
+    loan_amount,
+    monthly_payment: loan_amount > 0
+      ? monthlyPayment(loan_amount, financingInput.interest_rate, financingInput.loan_term_years)
+      : 0
+  };
+
+  const income = { other_monthly_income: 0, vacancy_rate: 5, annual_rent_growth: 3, ...input.income };
+  const expenses = Object.fromEntries(EXPENSE_FIELDS.map(field => [field, input.expenses?.[field] || 0]));
+  const assumptions = {
+    holding_period_years: 5,
+    appreciation_rate: 3,
+    expense_growth_rate: 2,
+    selling_costs_percent: 7,
+    required_return: 10,
+    ...input.assumptions
+  };
+
+  const deal = {
+    property,
+    financing,
+    income,
+    expenses,
+    assumptions,
+    taxpayer: input.taxpayer ? { filing_status: 'single', state: 'CA', ...input.taxpayer } : null,
+    total_cash_invested: down_payment + property.closing_costs + property.renovation_costs + financing.points_paid,
+    notes
+  };
+  deal.projection = projectOperations(deal);
+  deal.sale = projectSale(deal);
+  return deal;
+}
+
+export function toCOCRInput(deal) {
+  const { property, financing, income, expenses } = deal;
+  return {
+    purchase_price: property.purchase_price,
+    down_payment: financing.down_payment,
+    closing_costs: property.closing_costs + financing.points_paid,
+    renovation_costs: property.renovation_costs,
+    annual_rental_income: (income.monthly_rent + income.other_monthly_income) * 12,
+    annual_expenses: {
+      property_tax: expenses.property_tax * 12,
+      insurance: expenses.insurance * 12,
+      hoa_fees: expenses.hoa * 12,
+      property_management: expenses.property_management * 12,
+      maintenance: expenses.maintenance * 12,
+      utilities: expenses.utilities * 12,
+      other: expenses.other * 12
+    },
+    vacancy_rate: income.vacancy_rate,
+    loan_details: {
+      loan_amount: financing.loan_amount,
+      interest_rate: financing.interest_rate,
+      loan_term_years: financing.loan_term_years
+    },
+    // Reserves are modeled explicitly as the maintenance expense
+    reserve_fund_percent: 0
+  };
+}
+
+export function toDSCRInput(deal) {
+  const { property, financing, income, expenses } = deal;
+  return {
+    property_income: {
+      monthly_rent: income.monthly_rent,
+      other_monthly_income: income.other_monthly_income,
+      vacancy_rate: income.vacancy_rate
+    },
+    property_expenses: {
+      property_tax: expenses.property_tax,
+      insurance: expenses.insurance,
+      hoa: expenses.hoa,
+      property_management: expenses.property_management,
+      maintenance_reserve: expenses.maintenance,
+      utilities: expenses.utilities,
+      other: expenses.other
+    },
+    loan_details: {
+      loan_amount: financing.loan_amount,
+      interest_rate: financing.interest_rate,
+      loan_term_years: financing.loan_term_years,
+      loan_type: financing.loan_type
+    },
+    property_details: {
+      purchase_price: property.purchase_price,
+      property_type: property.property_type,
+      units: property.units
+    }
+  };
+}
+
+export function toBreakevenInput(deal) {
+  const { property, financing, income, expenses, assumptions } = deal;
+  const effectiveIncome = (income.monthly_rent + income.other_monthly_income) * (1 - income.vacancy_rate / 100);
+  return {
+    property_costs: {
+      purchase_price: property.purchase_price,
+      down_payment: financing.down_payment,
+      closing_costs: property.closing_costs + financing.points_paid,
+      renovation_costs: property.renovation_costs
+    },
+    fixed_costs: {
+      mortgage_payment: financing.monthly_payment,
+      property_tax: expenses.property_tax,
+      insurance: expenses.insurance,
+      hoa_fees: expenses.hoa,
+      property_management: expenses.property_management,
+      other: expenses.other
+    },
+    // The breakeven model scales maintenance with collected income, so the dollar amount becomes a rate
+    variable_costs: {
+      utilities_per_unit: expenses.utilities / property.units,
+      maintenance_percent: effectiveIncome > 0 ? (expenses.maintenance / effectiveIncome) * 100 : 0,
+      vacancy_rate: income.vacancy_rate,
+      management_percent: 0
+    },
+    revenue_streams: {
+      monthly_rent_per_unit: income.monthly_rent / property.units,
+      total_units: property.units,
+      other_monthly_income: income.other_monthly_income,
+      annual_rent_increase: income.annual_rent_growth
+    },
+    analysis_parameters: {
+      analysis_period_years: assumptions.holding_period_years,
+      include_appreciation: true,
+      appreciation_rate: assumptions.appreciation_rate
+    }
+  };
+}
+
+export function toIRRInput(deal) {
+  const { assumptions, projection, sale } = deal;
+  return {
+    initial_investment: deal.total_cash_invested,
+    holding_period_years: assumptions.holding_period_years,
+    annual_cash_flows: projection.map(year => year.cash_flow),
+    projected_sale_price: sale.sale_price,
+    selling_costs_percent: assumptions.selling_costs_percent,
+    loan_balance_at_sale: sale.loan_payoff,
+    target_irr: assumptions.required_return
+  };
+}
+
+export function toNPVInput(deal) {
+  const { assumptions, projection, sale } = deal;
+  // Sale proceeds are folded into the final year (rather than terminal_value) so an underwater sale still counts
+  return {
+    initial_investment: -deal.total_cash_invested,
+    cash_flows: projection.map(year => year.year === sale.year
+      ? { period: year.year, amount: round(year.cash_flow + sale.net_proceeds), description: `Year ${year.year} cash flow + sale proceeds` }
+      : { period: year.year, amount: year.cash_flow, description: `Year ${year.year} cash flow` }),
+    discount_rate: assumptions.required_return
+  };
+}
+
+export function toTaxBenefitsInput(deal) {
+  const { property, financing, income, expenses, assumptions, taxpayer, projection } = deal;
+  return {
+    property_details: {
+      purchase_price: property.purchase_price,
+      land_value: property.land_value,
+      closing_costs: property.closing_costs,
+      property_type: property.property_type === 'commercial' ? 'commercial' : 'residential_rental'
+    },
+    income_expenses: {
+      // Taxed on rent actually collected
+      annual_rental_income: projection[0].effective_income,
+      operating_expenses: {
+        property_tax: expenses.property_tax * 12,
+        insurance: expenses.insurance * 12,
+        repairs_maintenance: expenses.maintenance * 12,
+        property_management: expenses.property_management * 12,
+        utilities: expenses.utilities * 12,
+        hoa_fees: expenses.hoa * 12,
+        other: expenses.other * 12
+      }
+    },
+    loan_details: financing.loan_amount > 0
+      ? {
+        loan_amount: financing.loan_amount,
+        interest_rate: financing.interest_rate,
+        loan_term_years: financing.loan_term_years,
+        points_paid: financing.points_paid
+      }
+      : {},
+    taxpayer_info: taxpayer,
+    analysis_options: { projection_years: assumptions.holding_period_years }
+  };
+}
+
+function projectOperations(deal) {
+  const { financing, income, expenses, assumptions } = deal;
+  const monthlyExpenses = Object.values(expenses).reduce((sum, value) => sum + value, 0);
+  const schedule = amortize(financing, assumptions.holding_period_years);
+
+  return schedule.map(({ year, interest, principal, balance }) => {
+    const rentGrowth = Math.pow(1 + income.annual_rent_growth / 100, year - 1);
+    const expenseGrowth = Math.pow(1 + assumptions.expense_growth_rate / 100, year - 1);
+
+    const gross_income = (income.monthly_rent + income.other_monthly_income) * 12 * rentGrowth;
+    const effective_income = gross_income * (1 - income.vacancy_rate / 100);
+    const operating_expenses = monthlyExpenses * 12 * expenseGrowth;
+    const noi = effective_income - operating_expenses;
+    // Actual payments, so loans that mature during the hold stop costing anything
+    const debt_service = interest + principal;
+
+    return {
+      year,
+      gross_income: round(gross_income),
+      effective_income: round(effective_income),
+      operating_expenses: round(operating_expenses),
+      noi: round(noi),
+      debt_service: round(debt_service),
+      cash_flow: round(noi - debt_service),
+      interest_paid: round(interest),
+      principal_paid: round(principal),
+      loan_balance: round(balance)
+    };
+  });
+}
+
+function projectSale(deal) {
+  const { property, assumptions, projection } = deal;
+  const sale_price = property.purchase_price * Math.pow(1 + assumptions.appreciation_rate / 100, assumptions.holding_period_years);
+  const selling_costs = sale_price * (assumptions.selling_costs_percent / 100);
+  const loan_payoff = projection.at(-1).loan_balance;
+  return {
+    year: assumptions.holding_period_years,
+    sale_price: round(sale_price),
+    selling_costs: round(selling_costs),
+    loan_payoff,
+    net_proceeds: round(sale_price - selling_costs - loan_payoff)
+  };
+}
+
+// Annual interest, principal and ending balance over the holding period
+function amortize({ loan_amount, interest_rate, loan_term_years, monthly_payment }, years) {
+  const monthlyRate = interest_rate / 100 / 12;
+  const totalPayments = loan_term_years * 12;
+  let balance = loan_amount;
+  let month = 0;
+
+  return Array.from({ length: years }, (_, index) => {
+    let interest = 0;
+    let principal = 0;
+    for (let m = 0; m < 12 && month < totalPayments && balance > 0; m++, month++) {
+      const monthInterest = balance * monthlyRate;
+      const monthPrincipal = Math.min(monthly_payment - monthInterest, balance);
+      interest += monthInterest;
+      principal += monthPrincipal;
+      balance -= monthPrincipal;
+    }
+    return { year: index + 1, interest, principal, balance: Math.max(0, balance) };
+  });
+}
+
+function monthlyPayment(principal, annualRate, years) {
+  return levelPayment(principal, annualRate / 100 / 12, years * 12);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,64 @@
+/**
+ * Server Options
+ * Resolves transport, port, bind address, allowed hostnames and auth token from CLI flags and environment variables
+ */
+
+export const DEFAULT_OPTIONS = {
+  transport: 'stdio',
+  port: 3000,
+  host: '127.0.0.1',
+  authToken: null,
+  allowedHosts: null
+};
+
+const TRANSPORTS = ['stdio', 'http'];
+
+// CLI flags take precedence over environment variables. The auth token is read from the
+// environment only so it never shows up in process listings.
+export function parseServerOptions(argv = [], env = {}) {
+  const flags = parseFlags(argv);
+
+  const transport = flags.http ? 'http' : (flags.transport || env.REALVEST_TRANSPORT || DEFAULT_OPTIONS.transport);
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown transport "${transport}" (expected ${TRANSPORTS.join(' or ')})`);
+  }
+
+  const rawPort = flags.port ?? env.REALVEST_PORT;
+  const port = rawPort === undefined ? DEFAULT_OPTIONS.port : Number(rawPort);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port "${rawPort}" (expected an integer from 0 to 65535)`);
+  }
+
+  return {
+    transport,
+    port,
+    host: flags.host || env.REALVEST_HOST || DEFAULT_OPTIONS.host,
+    authToken: env.REALVEST_AUTH_TOKEN || DEFAULT_OPTIONS.authToken,
+    allowedHosts: parseList(flags['allowed-hosts'] ?? env.REALVEST_ALLOWED_HOSTS) ?? DEFAULT_OPTIONS.allowedHosts
+  };
+}
+
+function parseFlags(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (key === 'http') {
+      flags.http = true;
+    } else if (['transport', 'port', 'host', 'allowed-hosts'].includes(key)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for --${key}`);
+      }
+      flags[key] = value;
+    }
+  }
+  return flags;
+}
+
+function parseList(value) {
+  const items = value?.split(',').map(item => item.trim()).filter(Boolean);
+  return items?.length ? items : null;
+}
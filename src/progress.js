@@ -0,0 +1,30 @@
+/**
+ * Progress Runner
+ * Drives step generators used by long-running calculators, either synchronously or with progress reporting and cancellation
+ */
+
+// Step generators yield { completed, total, message } between units of work. The value passed back into
+// next() tells the generator whether to stop early; it then returns a result built from the work done so far.
+
+export function runToCompletion(steps) {
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next(false);
+  }
+  return step.value;
+}
+
+export async function runWithProgress(steps, { signal, onProgress } = {}) {
+  let step = steps.next();
+  while (!step.done) {
+    const { completed, total, message } = step.value;
+    if (onProgress) {
+      await onProgress({ progress: completed, total, message });
+    }
+
+    // Let pending I/O (such as a cancellation notification) run before the next batch
+    await new Promise(resolve => setImmediate(resolve));
+    step = steps.next(signal?.aborted === true);
+  }
+  return step.value;
+}
@@ -0,0 +1,305 @@
+/**
+ * Workflow Prompts
+ * Guided multi-tool investment workflows exposed through prompts/list and prompts/get
+ */
+
+import { filterCompletions } from '../resources/catalog.js';
+
+const WORKFLOWS = [
+  {
+    name: 'underwrite_rental',
+    title: 'Underwrite a Rental',
+    description: 'Underwrite a buy-and-hold rental: cash-on-cash return, DSCR loan qualification, then sensitivity to key assumptions',
+    arguments: [
+      { name: 'purchase_price', description: 'Purchase price of the property', required: true },
+      { name: 'monthly_rent', description: 'Expected total monthly rent', required: true },
+      { name: 'down_payment_percent', description: 'Down payment percentage (default 25)', required: false },
+      { name: 'interest_rate', description: 'Loan interest rate (%). Defaults to the current 30-year rate', required: false },
+      { name: 'property_description', description: 'Address or short description of the property', required: false }
+    ]
+  },
+  {
+    name: 'evaluate_flip',
+    title: 'Evaluate a Flip',
+    description: 'Evaluate a fix-and-flip: project profit and maximum offer, then stress the hard money financing',
+    arguments: [
+      { name: 'purchase_price', description: 'Purchase price of the property', required: true },
+      { name: 'rehab_budget', description: 'Total rehab budget', required: true },
+      { name: 'after_repair_value', description: 'Estimated after repair value (ARV)', required: true },
+      { name: 'holding_period_months', description: 'Months from purchase to sale (default 6)', required: false },
+      { name: 'property_description', description: 'Address or short description of the property', required: false }
+    ]
+  },
+  {
+    name: 'first_time_buyer',
+    title: 'First-Time Buyer',
+    description: 'Guide a first-time buyer: mortgage affordability with a full DTI review, then matching down payment assistance programs',
+    arguments: [
+      { name: 'annual_income', description: 'Gross annual household income', required: true },
+      { name: 'down_payment', description: 'Cash available for the down payment', required: true },
+      { name: 'state', description: 'State where the buyer is purchasing (e.g. California)', required: false },
+      { name: 'interest_rate', description: 'Mortgage interest rate (%). Defaults to the current 30-year rate', required: false }
+    ]
+  }
+];
+
+export class WorkflowPrompts {
+  constructor({ marketData, stateAssistance } = {}) {
+    this.marketData = marketData;
+    this.stateAssistance = stateAssistance;
+  }
+
+  list() {
+    return WORKFLOWS.map(({ name, title, description, arguments: args }) => ({
+      name,
+      title,
+      description,
+      arguments: args
+    }));
+  }
+
+  async get(name, args = {}) {
+    const workflow = WORKFLOWS.find(w => w.name === name);
+    if (!workflow) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    const missing = workflow.arguments
+      .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+      .map(arg => arg.name);
+    if (missing.length > 0) {
+      throw new Error(`Missing required arguments for ${name}: ${missing.join(', ')}`);
+    }
+
+    const currentRate = await this.getCurrentRate();
+    const builders = {
+      underwrite_rental: () => this.buildUnderwriteRental(args, currentRate),
+      evaluate_flip: () => this.buildEvaluateFlip(args),
+      first_time_buyer: () => this.buildFirstTimeBuyer(args, currentRate)
+    };
+
+    const messages = [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: builders[name]()
+      }
+    }];
+
+    // Attach the buyer's state programs so the assistant does not need a separate resource read
+    if (name === 'first_time_buyer' && args.state && this.stateAssistance) {
+      messages.push({
+        role: 'user',
+        content: {
+          type: 'resource',
+          resource: {
+            uri: `realvest://state-assistance/${encodeURIComponent(args.state)}`,
+            mimeType: 'application/json',
+            text: JSON.stringify(await this.stateAssistance.getByState(args.state), null, 2)
+          }
+        }
+      });
+    }
+
+    return {
+      description: workflow.description,
+      messages
+    };
+  }
+
+  complete(name, argumentName, value) {
+    if (argumentName === 'state' && this.stateAssistance && WORKFLOWS.some(w => w.name === name)) {
+      return filterCompletions(this.stateAssistance.listStates().flatMap(s => [s.code, s.name]), value);
+    }
+    return filterCompletions([], value);
+  }
+
+  async getCurrentRate() {
+    if (!this.marketData) return 7.0;
+    const current = await this.marketData.getCurrent();
+    return current.mortgage_rates.conventional_30_year;
+  }
+
+  buildUnderwriteRental(args, currentRate) {
+    const purchase_price = parseAmount(args.purchase_price, 'purchase_price');
+    const monthly_rent = parseAmount(args.monthly_rent, 'monthly_rent');
+    const down_payment_percent = parseAmount(args.down_payment_percent, 'down_payment_percent', 25);
+    const interest_rate = parseAmount(args.interest_rate, 'interest_rate', currentRate);
+    const down_payment = Math.round(purchase_price * down_payment_percent / 100);
+    const loan_amount = purchase_price - down_payment;
+    // Taxes and insurance (~1.7% of price) plus management and maintenance (~18% of rent)
+    const estimated_annual_expenses = Math.round(purchase_price * 0.017 + monthly_rent * 12 * 0.18);
+
+    return [
+      `Underwrite this buy-and-hold rental${args.property_description ? `: ${args.property_description}` : ''}.`,
+      '',
+      '## Known inputs',
+      `- Purchase price: ${formatCurrency(purchase_price)}`,
+      `- Monthly rent: ${formatCurrency(monthly_rent)}`,
+      `- Down payment: ${down_payment_percent}% (${formatCurrency(down_payment)}), loan amount ${formatCurrency(loan_amount)}`,
+      `- Interest rate: ${interest_rate}%${args.interest_rate ? '' : ' (current 30-year market rate)'}`,
+      '',
+      '## Assumptions to collect before running any tool',
+      'Ask for each of these and confirm the defaults in parentheses if the user does not know:',
+      '1. Annual property tax (about 1.2% of price) and annual insurance (about 0.5% of price)',
+      '2. Monthly HOA dues (0) and owner-paid utilities (0)',
+      '3. Property management fee (8-10% of rent) and maintenance reserve (5-10% of rent)',
+      '4. Vacancy rate (5% single family, 8% small multi-family)',
+      '5. Closing costs (about 3% of price) and any upfront renovation costs',
+      '6. Expected appreciation (3%) and holding period (5 years)',
+      '',
+      '## Tool sequence',
+      '1. `calculate_cocr` - cash-on-cash return, cap rate and five-year projection. Add the collected expenses under `annual_expenses`:',
+      formatArguments({
+        purchase_price,
+        down_payment,
+        annual_rental_income: monthly_rent * 12,
+        vacancy_rate: 5,
+        loan_details: { loan_amount, interest_rate, loan_term_years: 30 }
+      }),
+      '2. `calculate_dscr` - lender coverage ratio and stress tests. Use the same expenses converted to monthly amounts under `property_expenses`:',
+      formatArguments({
+        property_income: { monthly_rent, vacancy_rate: 5 },
+        loan_details: { loan_amount, interest_rate, loan_term_years: 30, loan_type: 'dscr' },
+        property_details: { purchase_price }
+      }),
+      '3. `analyze_sensitivity` - replace the estimated `annual_expenses` with the total annual operating expenses from step 1:',
+      formatArguments({
+        base_scenario: {
+          purchase_price,
+          down_payment_percent,
+          annual_rental_income: monthly_rent * 12,
+          annual_expenses: estimated_annual_expenses,
+          interest_rate,
+          vacancy_rate: 5
+        },
+        sensitivity_variables: [
+          { variable: 'rental_income', variations: [-20, -10, 0, 10, 20] },
+          { variable: 'vacancy_rate', variations: [-50, 0, 50, 100] },
+          { variable: 'interest_rate', variations: [-10, 0, 10, 20] }
+        ]
+      }),
+      '',
+      '## Deliverable',
+      'Summarize cash-on-cash return, cap rate, DSCR and loan qualification, then name the variable the deal is most sensitive to and the rent or vacancy level where cash flow turns negative. Finish with a clear buy, negotiate or pass recommendation.'
+    ].join('\n');
+  }
+
+  buildEvaluateFlip(args) {
+    const purchase_price = parseAmount(args.purchase_price, 'purchase_price');
+    const rehab_budget = parseAmount(args.rehab_budget, 'rehab_budget');
+    const after_repair_value = parseAmount(args.after_repair_value, 'after_repair_value');
+    const holding_period_months = parseAmount(args.holding_period_months, 'holding_period_months', 6);
+    const loan_amount = Math.round(purchase_price * 0.9 + rehab_budget);
+
+    return [
+      `Evaluate this fix-and-flip${args.property_description ? `: ${args.property_description}` : ''}.`,
+      '',
+      '## Known inputs',
+      `- Purchase price: ${formatCurrency(purchase_price)}`,
+      `- Rehab budget: ${formatCurrency(rehab_budget)}`,
+      `- After repair value: ${formatCurrency(after_repair_value)}`,
+      `- Holding period: ${holding_period_months} months`,
+      '',
+      '## Assumptions to collect before running any tool',
+      'Ask for each of these and confirm the defaults in parentheses if the user does not know:',
+      '1. Lender terms: rate (12%), points (2), down payment on purchase (10%) and whether rehab is funded through draws',
+      '2. Purchase closing costs (about 2% of price) and selling costs (8% of ARV)',
+      '3. Monthly holding costs: taxes, insurance and utilities while the property is vacant',
+      '4. Contingency on the rehab budget (10%, 15-20% for older homes)',
+      '5. Borrower experience level and liquid assets, which drive hard money risk',
+      '',
+      '## Tool sequence',
+      '1. `analyze_fix_flip` - profit, ROI, 70% rule maximum allowable offer and break-even sale price:',
+      formatArguments({
+        purchase_price,
+        rehab_budget,
+        after_repair_value,
+        holding_period_months,
+        financing_type: 'hard_money',
+        down_payment_percent: 10,
+        interest_rate: 12,
+        loan_points: 2,
+        contingency_percent: 10
+      }),
+      '2. `analyze_hard_money_loan` - total borrowing cost and what happens if the project runs long. Match the rate, points and loan amount used in step 1:',
+      formatArguments({
+        loan_details: {
+          loan_amount,
+          property_value: purchase_price,
+          interest_rate: 12,
+          loan_term_months: Math.max(12, holding_period_months + 3),
+          points: 2,
+          payment_type: 'interest_only'
+        },
+        project_details: {
+          project_type: 'fix_flip',
+          purchase_price,
+          rehab_budget,
+          after_repair_value,
+          project_timeline_months: holding_period_months,
+          construction_draws: true
+        },
+        analysis_options: { stress_testing: true, roi_analysis: true }
+      }),
+      '',
+      '## Deliverable',
+      'Report net profit, ROI and annualized ROI, compare the purchase price with the maximum allowable offer, and show how profit changes if the project runs three months long or the rehab goes 20% over budget. Finish with a go, renegotiate or pass recommendation.'
+    ].join('\n');
+  }
+
+  buildFirstTimeBuyer(args, currentRate) {
+    const annual_income = parseAmount(args.annual_income, 'annual_income');
+    const down_payment = parseAmount(args.down_payment, 'down_payment');
+    const interest_rate = parseAmount(args.interest_rate, 'interest_rate', currentRate);
+
+    return [
+      `Help a first-time home buyer${args.state ? ` in ${args.state}` : ''} work out what they can afford and what assistance they qualify for.`,
+      '',
+      '## Known inputs',
+      `- Gross annual income: ${formatCurrency(annual_income)}`,
+      `- Cash for down payment: ${formatCurrency(down_payment)}`,
+      `- Interest rate: ${interest_rate}%${args.interest_rate ? '' : ' (current 30-year market rate)'}`,
+      '',
+      '## Assumptions to collect before running any tool',
+      'Ask for each of these and confirm the defaults in parentheses if the user does not know:',
+      '1. Co-borrower income, if buying with a partner (0)',
+      '2. Monthly car payment, student loans, credit card minimums and other debts (0 each)',
+      '3. Loan term (30 years) and target down payment percentage (3-5% for first-time programs)',
+      '4. Local property tax rate (1.2%), annual homeowners insurance ($1,200) and HOA dues (0)',
+      '5. Household size and whether the buyer is a veteran, which affects program eligibility',
+      '',
+      '## Tool sequence',
+      '1. `calculate_mortgage_affordability` - maximum price, payment breakdown and DTI ratios. Add the collected debts:',
+      formatArguments({
+        annual_income,
+        down_payment,
+        interest_rate,
+        loan_term: 30
+      }),
+      args.state
+        ? `2. Review the attached \`realvest://state-assistance/${encodeURIComponent(args.state)}\` programs and compare their income limits with the buyer's income.`
+        : '2. Ask for the buyer\'s state, read `realvest://state-assistance/{state}` and compare program income limits with the buyer\'s income.',
+      '',
+      '## Deliverable',
+      'Give a comfortable and a maximum home price, the monthly payment at each, and the DTI ratios lenders will see. List the assistance programs the buyer likely qualifies for with how much they add to the down payment, and end with three concrete next steps.'
+    ].join('\n');
+  }
+}
+
+function parseAmount(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const amount = Number(String(value).replace(/[$,%\s]/g, ''));
+  if (!Number.isFinite(amount)) {
+    throw new Error(`Argument ${name} must be a number (received "${value}")`);
+  }
+  return amount;
+}
+
+function formatCurrency(amount) {
+  return '$' + Math.round(amount).toLocaleString('en-US');
+}
+
+function formatArguments(args) {
+  return '```json\n' + JSON.stringify(args, null, 2) + '\n```';
+}
@@ -0,0 +1,179 @@
+/**
+ * Random
+ * Seeded xoshiro128** generator, Box-Muller normals, the normal CDF and its inverse, and the plain,
+ * antithetic and Latin hypercube samplers behind the simulations. The same seed always yields the same sequence
+ */
+
+export const GENERATOR = 'xoshiro128**';
+export const SAMPLING_METHODS = ['random', 'antithetic', 'latin_hypercube'];
+
+const TWO_POW_32 = 0x100000000;
+
+// Seed for runs that don't supply one, reported back so the run can be repeated
+export function generateSeed() {
+  return Math.floor(Math.random() * TWO_POW_32);
+}
+
+/**
+ * xoshiro128** (Blackman and Vigna): 128 bits of state, period 2^128 - 1. The state is filled
+ * from the seed with splitmix32, so nearby seeds give unrelated streams. Seeds are non-negative
+ * integers up to Number.MAX_SAFE_INTEGER.
+ */
+export class SeededRandom {
+  constructor(seed) {
+    if (!Number.isSafeInteger(seed) || seed < 0) {
+      throw new Error(`Random seed must be a non-negative integer no larger than ${Number.MAX_SAFE_INTEGER}, got ${seed}`);
+    }
+    const mix = splitmix32((seed % TWO_POW_32) ^ Math.imul(Math.floor(seed / TWO_POW_32), 0x9e3779b9));
+    this.state = new Uint32Array([mix(), mix(), mix(), mix()]);
+    this.spareNormal = null;
+  }
+
+  nextUint32() {
+    const s = this.state;
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result;
+  }
+
+  // Uniform on [0, 1) with 53 bits of precision
+  uniform() {
+    return ((this.nextUint32() >>> 5) * 0x4000000 + (this.nextUint32() >>> 6)) / 0x20000000000000;
+  }
+
+  // Standard normal by Box-Muller; each pair of uniforms gives two normals, the second kept for the next call
+  normal() {
+    if (this.spareNormal !== null) {
+      const spare = this.spareNormal;
+      this.spareNormal = null;
+      return spare;
+    }
+    const radius = Math.sqrt(-2 * Math.log(1 - this.uniform()));
+    const angle = 2 * Math.PI * this.uniform();
+    this.spareNormal = radius * Math.sin(angle);
+    return radius * Math.cos(angle);
+  }
+}
+
+/**
+ * Draws for one simulation run after another. Each run asks for its variables by name, in the
+ * same order every run.
+ * - random: independent uniforms and Box-Muller normals
+ * - antithetic: every second run mirrors the run before it (u -> 1 - u, z -> -z), pairing
+ *   each outcome with its opposite to cut the variance of the mean
+ * - latin_hypercube: each variable's range is split into `runs` equal-probability strata and
+ *   every stratum is sampled exactly once, in a shuffled order; normals come from the inverse CDF
+ */
+export class Sampler {
+  constructor(rng, method = 'random', runs = 1) {
+    if (!SAMPLING_METHODS.includes(method)) {
+      throw new Error(`Unknown sampling method: ${method}. Use ${SAMPLING_METHODS.join(', ')}`);
+    }
+    this.rng = rng;
+    this.method = method;
+    this.runs = runs;
+    this.run = -1;
+    this.previousDraws = new Map();
+    this.draws = new Map();
+    this.strata = new Map();
+  }
+
+  // Move on to the next run
+  nextRun() {
+    this.run++;
+    this.previousDraws = this.draws;
+    this.draws = new Map();
+  }
+
+  uniform(variable) {
+    if (this.mirrors()) return 1 - this.previousDraws.get(`${variable}:u`);
+    const u = this.method === 'latin_hypercube' ? this.stratifiedUniform(variable) : this.rng.uniform();
+    this.draws.set(`${variable}:u`, u);
+    return u;
+  }
+
+  normal(variable) {
+    if (this.mirrors()) return -this.previousDraws.get(`${variable}:z`);
+    const z = this.method === 'latin_hypercube' ? inverseNormal(this.stratifiedUniform(variable)) : this.rng.normal();
+    this.draws.set(`${variable}:z`, z);
+    return z;
+  }
+
+  mirrors() {
+    return this.method === 'antithetic' && this.run % 2 === 1;
+  }
+
+  stratifiedUniform(variable) {
+    if (!this.strata.has(variable)) {
+      this.strata.set(variable, shuffle(Array.from({ length: this.runs }, (_, i) => i), this.rng));
+    }
+    const stratum = this.strata.get(variable)[this.run % this.runs];
+    return (stratum + this.rng.uniform()) / this.runs;
+  }
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation, relative error below
+ * 1.2e-9). Used where normals have to follow a given uniform, as in Latin hypercube sampling.
+ */
+export function inverseNormal(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = 0.02425;
+
+  if (p < tail || p > 1 - tail) {
+    const q = Math.sqrt(-2 * Math.log(p < tail ? p : 1 - p));
+    const x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+              ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < tail ? x : -x;
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+         (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Standard normal CDF from the complementary error function (Numerical Recipes erfc, relative error below 1.2e-7)
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.5 * x);
+  const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+  return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
+
+// Fisher-Yates shuffle in place
+function shuffle(values, rng) {
+  for (let i = values.length - 1; i > 0; i--) {
+    const j = Math.floor(rng.uniform() * (i + 1));
+    [values[i], values[j]] = [values[j], values[i]];
+  }
+  return values;
+}
+
+function splitmix32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x9e3779b9) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+}
+
+function rotl(x, k) {
+  return (x << k) | (x >>> (32 - k));
+}
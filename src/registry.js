@@ -0,0 +1,101 @@
+/**
+ * Tool Registry
+ * Single place where every MCP tool declares its name, description, schema, handler and metadata
+ */
+
+import { withChartsOption, withoutChartsOption } from './charts/content.js';
+import { ToolInputError, validateSchema } from './validation.js';
+
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  register(definition) {
+    const {
+      name,
+      description,
+      calculator,
+      method = 'calculate',
+      handler,
+      inputSchema,
+      outputSchema,
+      category = 'general',
+      charts
+    } = definition;
+
+    if (!name || !description) {
+      throw new Error('Tool definitions require a name and description');
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Tool already registered: ${name}`);
+    }
+    if (!handler && typeof calculator?.[method] !== 'function') {
+      throw new Error(`Tool ${name} needs a handler or a calculator exposing ${method}()`);
+    }
+
+    const schema = inputSchema || calculator.getSchema();
+    this.tools.set(name, {
+      name,
+      description,
+      category,
+      calculator,
+      // Tools that can draw their result also accept the charts option
+      inputSchema: charts ? withChartsOption(schema) : schema,
+      outputSchema: outputSchema || calculator?.getOutputSchema?.(),
+      handler: handler || (args => calculator[method](args)),
+      charts
+    });
+
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+    return tool;
+  }
+
+  names() {
+    return [...this.tools.keys()];
+  }
+
+  list() {
+    return [...this.tools.values()].map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+      ...(tool.outputSchema && { outputSchema: tool.outputSchema })
+    }));
+  }
+
+  validate(name, args = {}) {
+    const tool = this.get(name);
+    const errors = validateSchema(tool.inputSchema, args);
+    if (errors.length > 0) {
+      throw new ToolInputError(name, errors);
+    }
+  }
+
+  // context carries per-request options such as { signal, onProgress } for long-running tools
+  async call(name, args = {}, context = {}) {
+    this.validate(name, args);
+    const tool = this.get(name);
+    return tool.handler(tool.charts ? withoutChartsOption(args) : args, context);
+  }
+
+  // SVG charts for a result, [{ name, title, svg }]; empty unless the call asked for them
+  charts(name, args = {}, result) {
+    const tool = this.get(name);
+    if (!tool.charts || !args.charts || args.charts === 'none') {
+      return [];
+    }
+    return tool.charts(result, withoutChartsOption(args));
+  }
+}
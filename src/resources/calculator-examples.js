@@ -0,0 +1,254 @@
+/**
+ * Calculator Examples Resource
+ * Example scenarios and inputs for the calculators
+ */
+
+export class CalculatorExamplesResource {
+  async getAll() {
+    return {
+      affordability: [
+        {
+          title: "First-Time Buyer - Median Income",
+          description: "Single person with median US income, minimal debt, saving for first home",
+          inputs: {
+            annual_income: 75000,
+            monthly_debts: 500,
+            down_payment: 20000,
+            interest_rate: 6.85,
+            property_tax_rate: 1.2,
+            insurance_rate: 0.5,
+            hoa_monthly: 0,
+            loan_term_years: 30
+          },
+          expected_outcome: "Can afford approximately $285,000-$305,000 home"
+        },
+        {
+          title: "Dual Income - High Debt",
+          description: "Married couple with good income but student loans and car payments",
+          inputs: {
+            annual_income: 135000,
+            monthly_debts: 2200,
+            down_payment: 50000,
+            interest_rate: 6.85,
+            property_tax_rate: 1.5,
+            insurance_rate: 0.6,
+            hoa_monthly: 250,
+            loan_term_years: 30
+          },
+          expected_outcome: "Can afford approximately $425,000-$450,000 home"
+        },
+        {
+          title: "High Earner - 15-Year Mortgage",
+          description: "Tech professional seeking faster payoff with 15-year term",
+          inputs: {
+            annual_income: 185000,
+            monthly_debts: 800,
+            down_payment: 100000,
+            interest_rate: 6.02,
+            property_tax_rate: 1.1,
+            insurance_rate: 0.4,
+            hoa_monthly: 0,
+            loan_term_years: 15
+          },
+          expected_outcome: "Can afford approximately $600,000-$650,000 home"
+        }
+      ],
+      brrrr: [
+        {
+          title: "Midwest Single Family BRRRR",
+          description: "Classic BRRRR in Cleveland area - distressed property rehabilitation",
+          inputs: {
+            purchase_price: 85000,
+            rehab_cost: 45000,
+            after_repair_value: 175000,
+            monthly_rent: 1400,
+            refinance_ltv: 0.75,
+            holding_costs_monthly: 800,
+            holding_period_months: 4
+          },
+          expected_outcome: "Cash out ~$1,250, monthly cash flow ~$200-250"
+        },
+        {
+          title: "Small Multi-Family BRRRR",
+          description: "Duplex BRRRR in growing secondary market",
+          inputs: {
+            purchase_price: 225000,
+            rehab_cost: 65000,
+            after_repair_value: 385000,
+            monthly_rent: 3200,
+            refinance_ltv: 0.70,
+            holding_costs_monthly: 1500,
+            holding_period_months: 6
+          },
+          expected_outcome: "Cash out ~$20,000, monthly cash flow ~$400-500"
+        },
+        {
+          title: "Value-Add Triplex",
+          description: "Heavy rehab triplex in Phoenix suburbs",
+          inputs: {
+            purchase_price: 320000,
+            rehab_cost: 120000,
+            after_repair_value: 575000,
+            monthly_rent: 4800,
+            refinance_ltv: 0.75,
+            holding_costs_monthly: 2200,
+            holding_period_months: 8
+          },
+          expected_outcome: "Cash out ~$25,000, monthly cash flow ~$600-800"
+        }
+      ],
+      house_hacking: [
+        {
+          title: "FHA Duplex House Hack",
+          description: "First-time buyer using FHA 3.5% down on duplex",
+          inputs: {
+            purchase_price: 385000,
+            units: [
+              { label: "Owner unit", monthly_rent: 1800, owner_occupied: true },
+              { label: "Unit 2", monthly_rent: 1800 }
+            ],
+            loan_type: "fha",
+            down_payment: 13475,
+            interest_rate: 6.45,
+            property_tax_rate: 1.2,
+            insurance_rate: 0.6,
+            current_rent: 2400
+          },
+          expected_outcome: "Net housing cost ~$1,775/month vs $2,400 renting; slightly negative cash flow once fully rented"
+        },
+        {
+          title: "Triplex with ADU",
+          description: "Living in main unit, renting 2 units + ADU",
+          inputs: {
+            purchase_price: 625000,
+            units: [
+              { label: "Main unit", monthly_rent: 2200, owner_occupied: true },
+              { label: "Unit 2", monthly_rent: 1600 },
+              { label: "Unit 3", monthly_rent: 1600 },
+              { label: "ADU", monthly_rent: 1200 }
+            ],
+            loan_type: "conventional",
+            down_payment: 125000,
+            interest_rate: 6.85
+          },
+          expected_outcome: "Net housing cost ~$640/month, then ~$1,100/month cash flow once the main unit is rented"
+        },
+        {
+          title: "Single Family with Basement Rental",
+          description: "SFR with finished basement apartment",
+          inputs: {
+            purchase_price: 425000,
+            units: [
+              { label: "Main house", monthly_rent: 2400, owner_occupied: true },
+              { label: "Basement apartment", monthly_rent: 1400 }
+            ],
+            loan_type: "conventional",
+            down_payment: 85000,
+            interest_rate: 6.85,
+            property_tax_rate: 1.3,
+            insurance_rate: 0.5
+          },
+          expected_outcome: "Housing cost ~$1,915/month vs $2,400 for the whole house, about 20% less"
+        }
+      ],
+      portfolio_growth: [
+        {
+          title: "Conservative Buy & Hold",
+          description: "Starting with one rental, acquiring one every 2 years",
+          inputs: {
+            starting_capital: 50000,
+            annual_savings: 15000,
+            initial_property_value: 200000,
+            annual_appreciation: 3.5,
+            annual_rent_growth: 3.0,
+            target_cash_flow_per_property: 300,
+            acquisition_pace_years: 2
+          },
+          expected_outcome: "10 properties, $3M+ portfolio value in 20 years"
+        },
+        {
+          title: "Aggressive BRRRR Strategy",
+          description: "BRRRR investor recycling capital rapidly",
+          inputs: {
+            starting_capital: 75000,
+            annual_savings: 25000,
+            initial_property_value: 150000,
+            annual_appreciation: 4.0,
+            annual_rent_growth: 3.5,
+            target_cash_flow_per_property: 400,
+            acquisition_pace_years: 0.75
+          },
+          expected_outcome: "25+ properties, $5M+ portfolio in 20 years"
+        },
+        {
+          title: "Mixed Strategy - SFR to Multi-Family",
+          description: "Starting with SFRs, transitioning to small multi-family",
+          inputs: {
+            starting_capital: 100000,
+            annual_savings: 30000,
+            initial_property_value: 250000,
+            annual_appreciation: 3.8,
+            annual_rent_growth: 3.2,
+            target_cash_flow_per_property: 500,
+            acquisition_pace_years: 1.5
+          },
+          expected_outcome: "15 properties, $4M portfolio, $10k+/month cash flow"
+        }
+      ],
+      syndication: [
+        {
+          title: "Class B Multi-Family Value-Add",
+          description: "200-unit apartment complex in growing Sun Belt market",
+          inputs: {
+            investment_amount: 50000,
+            total_raise: 8500000,
+            preferred_return: 7,
+            profit_split_after_pref: 70,
+            hold_period: 5,
+            projected_irr: 15.5,
+            annual_cash_yield: 5,
+            fees: { acquisition_fee_percent: 1, asset_management_fee_percent: 1 }
+          },
+          expected_outcome: "About $86,600 back on $50k: 12.3% LP IRR and 1.73x after fees and the 70/30 split"
+        },
+        {
+          title: "Ground-Up Development",
+          description: "New construction 150-unit apartment complex",
+          inputs: {
+            investment_amount: 100000,
+            total_raise: 12000000,
+            preferred_return: 8,
+            preferred_return_type: "compounding",
+            profit_split_after_pref: 65,
+            hold_period: 3,
+            projected_irr: 22,
+            annual_cash_yield: 0,
+            hurdles: [{ irr: 15, lp_split: 50 }]
+          },
+          expected_outcome: "About $160,000 back on $100k at exit: 16.9% LP IRR (higher risk/return)"
+        },
+        {
+          title: "Stabilized Cash Flow Play",
+          description: "Fully occupied Class A property in major metro",
+          inputs: {
+            investment_amount: 25000,
+            total_raise: 5000000,
+            preferred_return: 6,
+            profit_split_after_pref: 75,
+            hold_period: 7,
+            projected_irr: 12,
+            annual_cash_yield: 7
+          },
+          expected_outcome: "Steady 7% annual distributions, 10.7% LP IRR and 1.85x over 7 years"
+        }
+      ],
+      tips: [
+        "Always run multiple scenarios with different assumptions",
+        "Include all costs: closing, holding, maintenance, property management",
+        "Be conservative with rent estimates and aggressive with expense estimates",
+        "Factor in vacancy rates: 5-10% for SFR, 10-15% for multi-family",
+        "Don't forget reserves: 6 months of expenses minimum per property"
+      ]
+    };
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Resource Catalog
+ * Routes static resources and parameterized resource templates, and completes template arguments
+ */
+
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
+
+const MAX_COMPLETIONS = 100;
+
+export class ResourceCatalog {
+  constructor({ insights, stateAssistance, marketData, examples }) {
+    this.insights = insights;
+    this.stateAssistance = stateAssistance;
+    this.marketData = marketData;
+
+    this.resources = [
+      {
+        uri: 'realvest://insights',
+        name: 'RealVest Insights Articles',
+        description: 'Search and access RealVest.ai educational articles and market insights',
+        read: () => insights.getAll()
+      },
+      {
+        uri: 'realvest://state-assistance',
+        name: 'State Assistance Programs',
+        description: 'Access down payment assistance programs for all 50 states',
+        read: () => stateAssistance.getAll()
+      },
+      {
+        uri: 'realvest://market-data',
+        name: 'Current Market Data',
+        description: 'Get current mortgage rates and market conditions',
+        read: () => marketData.getCurrent()
+      },
+      {
+        uri: 'realvest://market-data/rates/history',
+        name: 'Mortgage Rate History',
+        description: '30-year fixed rate history, 2023 peak and rate forecast',
+        read: () => marketData.getRateHistory()
+      },
+      {
+        uri: 'realvest://market-data/investor-metrics',
+        name: 'Investor Metrics',
+        description: 'Cap rates, cash-on-cash returns and top markets by investment metric',
+        read: () => marketData.getInvestorMetrics()
+      },
+      {
+        uri: 'realvest://calculator-examples',
+        name: 'Calculator Examples',
+        description: 'Example scenarios for each calculator',
+        read: () => examples.getAll()
+      }
+    ];
+
+    this.templates = [
+      {
+        uriTemplate: 'realvest://state-assistance/{state}',
+        name: 'State Assistance Programs by State',
+        description: 'Down payment assistance programs for one state (two-letter code or full name) plus federal programs',
+        read: ({ state }) => stateAssistance.getByState(state),
+        complete: {
+          state: () => stateAssistance.listStates().flatMap(s => [s.code, s.name])
+        }
+      },
+      {
+        uriTemplate: 'realvest://market-data/location/{metro}',
+        name: 'Market Data by Location',
+        description: 'Median price, appreciation, inventory and market temperature for a metro area',
+        read: ({ metro }) => marketData.getMarketByLocation(metro),
+        complete: {
+          metro: () => marketData.listLocations()
+        }
+      },
+      {
+        uriTemplate: 'realvest://insights/category/{category}',
+        name: 'Insights by Category',
+        description: 'RealVest.ai articles in one category',
+        read: ({ category }) => insights.getByCategory(category),
+        complete: {
+          category: () => insights.listCategories()
+        }
+      },
+      {
+        uriTemplate: 'realvest://insights/search/{query}',
+        name: 'Search Insights',
+        description: 'RealVest.ai articles whose title, summary or category match a search term',
+        read: ({ query }) => insights.search(query)
+      }
+    ].map(template => ({ ...template, matcher: new UriTemplate(template.uriTemplate) }));
+  }
+
+  list() {
+    return this.resources.map(({ uri, name, description }) => ({
+      uri,
+      name,
+      description,
+      mimeType: 'application/json'
+    }));
+  }
+
+  listTemplates() {
+    return this.templates.map(({ uriTemplate, name, description }) => ({
+      uriTemplate,
+      name,
+      description,
+      mimeType: 'application/json'
+    }));
+  }
+
+  async read(uri) {
+    const resource = this.resources.find(r => r.uri === uri);
+    if (resource) {
+      return resource.read();
+    }
+
+    for (const template of this.templates) {
+      const variables = template.matcher.match(uri);
+      if (variables) {
+        const decoded = Object.fromEntries(
+          Object.entries(variables).map(([key, value]) => [key, decodeURIComponent(value)])
+        );
+        return template.read(decoded);
+      }
+    }
+
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+
+  complete(uriTemplate, argumentName, value = '') {
+    const template = this.templates.find(t => t.uriTemplate === uriTemplate);
+    const candidates = template?.complete?.[argumentName]?.() || [];
+    return filterCompletions(candidates, value);
+  }
+}
+
+export function filterCompletions(candidates, value = '') {
+  const prefix = value.toLowerCase();
+  const matches = candidates.filter(candidate => candidate.toLowerCase().startsWith(prefix));
+  return {
+    values: matches.slice(0, MAX_COMPLETIONS),
+    total: matches.length,
+    hasMore: matches.length > MAX_COMPLETIONS
+  };
+}
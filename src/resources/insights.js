@@ -48,6 +48,10 @@ export class InsightsResource {
     );
   }
 
+  listCategories() {
+    return this.insightsData.categories;
+  }
+
   async getByCategory(category) {
     return this.insightsData.articles.filter(article => 
       article.category.toLowerCase() === category.toLowerCase()
@@ -80,6 +80,7 @@ export class MarketDataResource {
       six_months_ago: historical.six_months_ago?.['30_year_fixed'] || 7.15,
       peak_2023: historical.peak_2023 || { rate: 7.79, date: "October 2023" },
       forecast: this.marketData.mortgage_rates.forecast || {},
+      arm_index_history: this.marketData.mortgage_rates.arm_index_history || null,
       historical_context: [
         { period: "Current", rate: current },
         { period: "1 Year Ago", rate: historical.one_year_ago?.['30_year_fixed'] || 6.35 },
@@ -112,6 +113,10 @@ export class MarketDataResource {
     };
   }
 
+  listLocations() {
+    return (this.marketData.home_prices.top_markets || []).map(m => m.metro);
+  }
+
   async getMarketByLocation(location) {
     // Find market data for specific location
     const market = this.marketData.home_prices.top_markets?.find(
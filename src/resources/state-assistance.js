@@ -5,6 +5,18 @@ import { dirname, join } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const STATE_CODES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+  SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
 export class StateAssistanceResource {
   constructor() {
     // Load state programs data from JSON file
@@ -43,9 +55,10 @@ export class StateAssistanceResource {
   }
 
   async getByState(state) {
-    // Find state data
+    // Accept two-letter codes (TX) as well as full names (Texas)
+    const stateName = STATE_CODES[state.toUpperCase()] || state;
     const stateData = this.programsData.programs.find(
-      s => s.state.toLowerCase() === state.toLowerCase()
+      s => s.state.toLowerCase() === stateName.toLowerCase()
     );
     
     if (stateData) {
@@ -66,7 +79,7 @@ export class StateAssistanceResource {
       return { 
         programs: [], 
         federal_programs: this.programsData.federal_programs,
-        message: `State-specific data for ${state} not available. Federal programs listed below are available nationwide.`,
+        message: `State-specific data for ${stateName} not available. Federal programs listed below are available nationwide.`,
         tips: [
           'Check your state housing finance agency website',
           'Look for local city/county down payment assistance',
@@ -76,6 +89,15 @@ export class StateAssistanceResource {
     }
   }
 
+  listStates() {
+    const withPrograms = new Set(this.programsData.programs.map(s => s.state));
+    return Object.entries(STATE_CODES).map(([code, name]) => ({
+      code,
+      name,
+      has_state_programs: withPrograms.has(name)
+    }));
+  }
+
   async searchPrograms(query) {
     const searchLower = query.toLowerCase();
     const results = [];
@@ -0,0 +1,189 @@
+/**
+ * RealVest MCP Server
+ * Builds a fully wired server instance; each transport session gets its own
+ */
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  CompleteRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  ReadResourceRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+
+import { chartContent } from './charts/content.js';
+import { registry } from './tools.js';
+import { ToolInputError } from './validation.js';
+
+// Import resources
+import { InsightsResource } from './resources/insights.js';
+import { StateAssistanceResource } from './resources/state-assistance.js';
+import { MarketDataResource } from './resources/market-data.js';
+import { CalculatorExamplesResource } from './resources/calculator-examples.js';
+import { ResourceCatalog } from './resources/catalog.js';
+
+// Import prompts
+import { WorkflowPrompts } from './prompts/workflows.js';
+
+export const SERVER_INFO = {
+  name: 'realvest-mcp',
+  version: '1.0.0',
+  description: 'MCP server for RealVest.ai real estate investment tools'
+};
+
+export function createServer() {
+  const server = new Server(SERVER_INFO, {
+    capabilities: {
+      tools: {},
+      resources: {},
+      prompts: {},
+      completions: {}
+    }
+  });
+
+  // Initialize resources
+  const insightsResource = new InsightsResource();
+  const stateAssistanceResource = new StateAssistanceResource();
+  const marketDataResource = new MarketDataResource();
+  const resourceCatalog = new ResourceCatalog({
+    insights: insightsResource,
+    stateAssistance: stateAssistanceResource,
+    marketData: marketDataResource,
+    examples: new CalculatorExamplesResource()
+  });
+
+  // Initialize prompts
+  const workflowPrompts = new WorkflowPrompts({
+    marketData: marketDataResource,
+    stateAssistance: stateAssistanceResource
+  });
+
+  // Register tools
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return {
+      tools: registry.list()
+    };
+  });
+
+  // Handle tool calls
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+
+    try {
+      const result = await registry.call(name, args, createCallContext(request, extra));
+      const text = JSON.stringify(result, null, 2);
+      return {
+        content: [
+          {
+            type: 'text',
+            text
+          },
+          ...chartContent(name, registry.charts(name, args, result), args?.charts)
+        ],
+        // Round-trip through JSON so structured output matches the text block exactly (Infinity/NaN become null)
+        structuredContent: JSON.parse(text)
+      };
+    } catch (error) {
+      if (error instanceof ToolInputError) {
+        return formatValidationError(error);
+      }
+      return {
+        content: [{
+          type: 'text',
+          text: `Error: ${error.message}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Register resources
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return {
+      resources: resourceCatalog.list()
+    };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return {
+      resourceTemplates: resourceCatalog.listTemplates()
+    };
+  });
+
+  // Handle resource reads
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+
+    try {
+      return {
+        contents: [{
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(await resourceCatalog.read(uri), null, 2)
+        }]
+      };
+    } catch (error) {
+      throw new Error(`Failed to read resource: ${error.message}`);
+    }
+  });
+
+  // Register prompts
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return {
+      prompts: workflowPrompts.list()
+    };
+  });
+
+  // Handle prompt requests
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    return workflowPrompts.get(name, args);
+  });
+
+  // Complete resource template and prompt arguments
+  server.setRequestHandler(CompleteRequestSchema, async (request) => {
+    const { ref, argument } = request.params;
+    const completion = ref.type === 'ref/resource'
+      ? resourceCatalog.complete(ref.uri, argument.name, argument.value)
+      : workflowPrompts.complete(ref.name, argument.name, argument.value);
+
+    return { completion };
+  });
+
+  return server;
+}
+
+// Long-running tools report progress only when the client sent a progress token
+function createCallContext(request, extra) {
+  const progressToken = request.params._meta?.progressToken;
+  return {
+    signal: extra.signal,
+    onProgress: progressToken === undefined
+      ? undefined
+      : ({ progress, total, message }) => extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message }
+      })
+  };
+}
+
+function formatValidationError(error) {
+  const lines = error.errors.map(e => `- ${e.path} ${e.message}`);
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Invalid arguments for ${error.toolName}. Fix the following and retry:\n${lines.join('\n')}`
+      },
+      {
+        type: 'text',
+        text: JSON.stringify({ error: 'invalid_arguments', tool: error.toolName, errors: error.errors }, null, 2)
+      }
+    ],
+    isError: true
+  };
+}
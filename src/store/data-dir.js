@@ -0,0 +1,22 @@
+/**
+ * Data Directory
+ * Resolves where locally persisted state (deals, saved scenarios) and exported reports are written
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Bundled reference data lives in src/data; user state goes in data/ at the package root unless overridden
+export const DEFAULT_DATA_DIR = join(__dirname, '..', '..', 'data');
+
+export function resolveDataDir(env = process.env) {
+  return env.REALVEST_DATA_DIR ? resolve(env.REALVEST_DATA_DIR) : DEFAULT_DATA_DIR;
+}
+
+// Exports default to data/exports so reports sit next to the state they were generated from
+export function resolveOutputDir(env = process.env) {
+  return env.REALVEST_OUTPUT_DIR ? resolve(env.REALVEST_OUTPUT_DIR) : join(resolveDataDir(env), 'exports');
+}
@@ -0,0 +1,73 @@
+/**
+ * Deal Store Schemas
+ * Input and output schemas for the deal CRUD tools, derived from the track_deal_pipeline deal schema
+ */
+
+import { DEAD_REASONS, DealPipelineTracker } from '../calculators/deal-pipeline.js';
+import { DEAL_STAGES, NOTE_CATEGORIES, UPDATABLE_FIELDS } from './deal-store.js';
+
+const dealSchema = new DealPipelineTracker().getSchema().properties.deals.items;
+
+const dealIdSchema = { type: 'string', description: 'Identifier of a saved deal', minLength: 1 };
+
+export const DEAL_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    deal: { type: 'object', description: 'The saved deal including stage_history, notes and timestamps' },
+    message: { type: 'string', description: 'What changed' }
+  },
+  required: ['deal', 'message']
+};
+
+export const CREATE_DEAL_SCHEMA = {
+  ...dealSchema,
+  properties: {
+    ...dealSchema.properties,
+    deal_id: { type: 'string', description: 'Optional identifier; generated when omitted', minLength: 1 },
+    current_stage: { ...dealSchema.properties.current_stage, description: 'Starting stage (default lead)' }
+  },
+  required: ['property_address', 'deal_type']
+};
+
+export const UPDATE_DEAL_SCHEMA = {
+  type: 'object',
+  properties: {
+    deal_id: dealIdSchema,
+    changes: {
+      type: 'object',
+      description: 'Fields to change; nested objects are merged into the saved values',
+      properties: Object.fromEntries(UPDATABLE_FIELDS.map(field => [field, dealSchema.properties[field]])),
+      additionalProperties: false
+    }
+  },
+  required: ['deal_id', 'changes']
+};
+
+export const MOVE_DEAL_STAGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    deal_id: dealIdSchema,
+    stage: { type: 'string', enum: DEAL_STAGES, description: 'Stage the deal is moving into' },
+    note: { type: 'string', description: 'Optional note recorded with the transition' },
+    dead_reason: { type: 'string', enum: DEAD_REASONS, description: 'Why the deal died (only when stage is dead)' }
+  },
+  required: ['deal_id', 'stage']
+};
+
+export const ADD_DEAL_NOTE_SCHEMA = {
+  type: 'object',
+  properties: {
+    deal_id: dealIdSchema,
+    note: { type: 'string', minLength: 1 },
+    category: { type: 'string', enum: NOTE_CATEGORIES, default: 'general' }
+  },
+  required: ['deal_id', 'note']
+};
+
+export const DELETE_DEAL_SCHEMA = {
+  type: 'object',
+  properties: {
+    deal_id: dealIdSchema
+  },
+  required: ['deal_id']
+};
@@ -0,0 +1,198 @@
+/**
+ * Deal Store
+ * File-backed persistence for the deal pipeline, recording a timestamped history of every stage transition
+ */
+
+import { randomUUID } from 'crypto';
+
+import { JsonFile } from './json-file.js';
+import { DEAD_REASONS } from '../calculators/deal-pipeline.js';
+
+export const DEAL_STAGES = [
+  'lead', 'initial_analysis', 'offer_submitted', 'under_contract', 'due_diligence', 'financing', 'closing', 'completed', 'dead'
+];
+
+export const NOTE_CATEGORIES = ['general', 'financial', 'inspection', 'negotiation', 'timeline'];
+
+// Fields update() may change; stages and notes have their own operations so history stays consistent
+export const UPDATABLE_FIELDS = [
+  'property_address', 'deal_type', 'property_details', 'financial_projections', 'timeline', 'deal_metrics', 'contacts',
+  'dead_reason'
+];
+
+// Timeline dates filled in automatically the first time a deal enters the stage
+const STAGE_TIMELINE_FIELDS = {
+  lead: 'date_discovered',
+  initial_analysis: 'date_analyzed',
+  offer_submitted: 'offer_date',
+  under_contract: 'contract_date',
+  completed: 'closing_date'
+};
+
+export class DealStore {
+  constructor({ filePath, clock = () => new Date() } = {}) {
+    this.file = new JsonFile({ fileName: 'deals.json', filePath, collection: 'deals', label: 'deal store' });
+    this.clock = clock;
+  }
+
+  get filePath() {
+    return this.file.filePath;
+  }
+
+  async list({ deal_types, stages } = {}) {
+    const deals = await this.file.read();
+    return deals.filter(deal =>
+      (!deal_types?.length || deal_types.includes(deal.deal_type)) &&
+      (!stages?.length || stages.includes(deal.current_stage))
+    );
+  }
+
+  async get(dealId) {
+    const deals = await this.file.read();
+    return findDeal(deals, dealId);
+  }
+
+  create(deal) {
+    return this.file.update(deals => {
+      const now = this.timestamp();
+      const deal_id = deal.deal_id || `deal-${randomUUID().slice(0, 8)}`;
+      if (deals.some(d => d.deal_id === deal_id)) {
+        throw new Error(`Deal already exists: ${deal_id}`);
+      }
+
+      // Imported deals may bring their own history; otherwise it starts now
+      const imported_history = deal.stage_history?.length > 0 ? deal.stage_history : null;
+      const current_stage = deal.current_stage || imported_history?.at(-1).stage || 'lead';
+      assertStage(current_stage);
+
+      const created = {
+        ...deal,
+        deal_id,
+        current_stage,
+        timeline: { ...deal.timeline },
+        notes: (deal.notes || []).map(note => this.stampNote(note, now)),
+        stage_history: imported_history || [{ stage: current_stage, entered_at: now, exited_at: null }],
+        created_at: now,
+        updated_at: now
+      };
+      fillTimelineDate(created, current_stage, now);
+
+      deals.push(created);
+      return created;
+    });
+  }
+
+  update(dealId, changes) {
+    const unsupported = Object.keys(changes).filter(key => !UPDATABLE_FIELDS.includes(key));
+    if (unsupported.length > 0) {
+      return Promise.reject(new Error(
+        `Cannot update ${unsupported.join(', ')}; use moveStage() for stages and addNote() for notes`
+      ));
+    }
+
+    return this.file.update(deals => {
+      const deal = findDeal(deals, dealId);
+      Object.entries(changes).forEach(([key, value]) => {
+        deal[key] = isPlainObject(value) && isPlainObject(deal[key]) ? { ...deal[key], ...value } : value;
+      });
+      deal.updated_at = this.timestamp();
+      return deal;
+    });
+  }
+
+  moveStage(dealId, stage, { note, dead_reason } = {}) {
+    return this.file.update(deals => {
+      assertStage(stage);
+      if (dead_reason && stage !== 'dead') {
+        throw new Error('dead_reason only applies when moving a deal to the dead stage');
+      }
+      if (dead_reason && !DEAD_REASONS.includes(dead_reason)) {
+        throw new Error(`Unknown dead reason: ${dead_reason} (expected one of ${DEAD_REASONS.join(', ')})`);
+      }
+
+      const deal = findDeal(deals, dealId);
+      if (deal.current_stage === stage) {
+        throw new Error(`Deal ${dealId} is already in stage ${stage}`);
+      }
+
+      const now = this.timestamp();
+      const history = deal.stage_history || [];
+      const open = history.find(entry => !entry.exited_at);
+      if (open) {
+        open.exited_at = now;
+      }
+      history.push({ stage, entered_at: now, exited_at: null });
+
+      deal.stage_history = history;
+      deal.current_stage = stage;
+      if (stage === 'dead') {
+        if (dead_reason) deal.dead_reason = dead_reason;
+      } else {
+        // Reopened deals drop the reason they died
+        delete deal.dead_reason;
+      }
+      deal.timeline = { ...deal.timeline };
+      fillTimelineDate(deal, stage, now);
+
+      if (note) {
+        deal.notes = [...(deal.notes || []), this.stampNote({ note, category: 'timeline' }, now)];
+      }
+      deal.updated_at = now;
+      return deal;
+    });
+  }
+
+  addNote(dealId, { note, category = 'general' }) {
+    return this.file.update(deals => {
+      if (!NOTE_CATEGORIES.includes(category)) {
+        throw new Error(`Unknown note category: ${category}`);
+      }
+      const deal = findDeal(deals, dealId);
+      const now = this.timestamp();
+      deal.notes = [...(deal.notes || []), this.stampNote({ note, category }, now)];
+      deal.updated_at = now;
+      return deal;
+    });
+  }
+
+  delete(dealId) {
+    return this.file.update(deals => {
+      const deal = findDeal(deals, dealId);
+      deals.splice(deals.indexOf(deal), 1);
+      return deal;
+    });
+  }
+
+  timestamp() {
+    return this.clock().toISOString();
+  }
+
+  stampNote(note, now) {
+    return { date: now, category: 'general', ...note };
+  }
+}
+
+function findDeal(deals, dealId) {
+  const deal = deals.find(d => d.deal_id === dealId);
+  if (!deal) {
+    throw new Error(`Deal not found: ${dealId}`);
+  }
+  return deal;
+}
+
+function assertStage(stage) {
+  if (!DEAL_STAGES.includes(stage)) {
+    throw new Error(`Unknown stage: ${stage} (expected one of ${DEAL_STAGES.join(', ')})`);
+  }
+}
+
+function fillTimelineDate(deal, stage, now) {
+  const field = STAGE_TIMELINE_FIELDS[stage];
+  if (field && !deal.timeline[field]) {
+    deal.timeline[field] = now.slice(0, 10);
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
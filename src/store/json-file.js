@@ -0,0 +1,62 @@
+/**
+ * JSON File
+ * Serialized, atomic read-modify-write access to one collection stored as JSON in the data directory
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+
+import { resolveDataDir } from './data-dir.js';
+
+export class JsonFile {
+  constructor({ fileName, filePath, collection, label = collection }) {
+    this.fileName = fileName;
+    this.explicitFilePath = filePath;
+    this.collection = collection;
+    this.label = label;
+    this.pending = Promise.resolve();
+  }
+
+  // Resolved on every access so REALVEST_DATA_DIR can change between calls (tests, embedding)
+  get filePath() {
+    return this.explicitFilePath || join(resolveDataDir(), this.fileName);
+  }
+
+  read() {
+    return this.pending.then(async () => (await this.load())[this.collection]);
+  }
+
+  // Operations run one at a time so concurrent tool calls never overwrite each other's changes
+  update(operation) {
+    const run = this.pending.then(async () => {
+      const data = await this.load();
+      const result = operation(data[this.collection]);
+      await this.save(data);
+      return result;
+    });
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await readFile(this.filePath, 'utf-8'));
+      return { version: 1, ...data, [this.collection]: data[this.collection] || [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: 1, [this.collection]: [] };
+      }
+      throw new Error(`Failed to load ${this.label} ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async save(data) {
+    const filePath = this.filePath;
+    await mkdir(dirname(filePath), { recursive: true });
+
+    // Write to a temp file and rename so a crash never leaves a half-written store
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify(data, null, 2));
+    await rename(tempPath, filePath);
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Scenario Diff
+ * Lines up changed inputs between two saved runs with the resulting metric deltas
+ */
+
+const MAX_METRIC_DELTAS = 50;
+
+export function diffScenarioVersions(from, to, { maxMetrics = MAX_METRIC_DELTAS } = {}) {
+  if (from.tool !== to.tool) {
+    throw new Error(`Cannot diff ${from.tool} against ${to.tool}; scenarios must use the same tool`);
+  }
+
+  const input_changes = diffInputs(flatten(from.arguments), flatten(to.arguments));
+  const metric_deltas = diffMetrics(flatten(from.result), flatten(to.result));
+
+  return {
+    tool: from.tool,
+    from: { name: from.name, version: from.version },
+    to: { name: to.name, version: to.version },
+    input_changes,
+    metric_deltas: metric_deltas.slice(0, maxMetrics),
+    metrics_changed: metric_deltas.length,
+    metrics_truncated: metric_deltas.length > maxMetrics
+  };
+}
+
+function diffInputs(before, after) {
+  const paths = [...new Set([...before.keys(), ...after.keys()])];
+  return paths
+    .filter(path => JSON.stringify(before.get(path)) !== JSON.stringify(after.get(path)))
+    .map(path => ({
+      path,
+      from: before.has(path) ? before.get(path) : null,
+      to: after.has(path) ? after.get(path) : null,
+      change_type: !before.has(path) ? 'added' : !after.has(path) ? 'removed' : 'changed'
+    }));
+}
+
+function diffMetrics(before, after) {
+  const deltas = [];
+  after.forEach((value, path) => {
+    const previous = before.get(path);
+    if (typeof value !== 'number' || typeof previous !== 'number' || value === previous) return;
+
+    const change = value - previous;
+    deltas.push({
+      path,
+      from: previous,
+      to: value,
+      change: round(change),
+      change_percent: previous !== 0 ? round((change / Math.abs(previous)) * 100) : null
+    });
+  });
+  return deltas;
+}
+
+// Flattens nested objects and arrays into dotted paths, e.g. loan_details.rate or cash_flows[2].amount
+function flatten(value, path = '', leaves = new Map()) {
+  if (Array.isArray(value) && value.length > 0) {
+    value.forEach((item, index) => flatten(item, `${path}[${index}]`, leaves));
+  } else if (typeof value === 'object' && value !== null && Object.keys(value).length > 0) {
+    Object.entries(value).forEach(([key, child]) => flatten(child, path ? `${path}.${key}` : key, leaves));
+  } else if (path) {
+    leaves.set(path, value);
+  }
+  return leaves;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
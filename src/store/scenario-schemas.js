@@ -0,0 +1,150 @@
+/**
+ * Scenario Store Schemas
+ * Input and output schemas for the saved scenario tools
+ */
+
+const nameSchema = { type: 'string', description: 'Scenario name, e.g. "Elm St duplex - 25% down"', minLength: 1 };
+const versionSchema = { type: 'integer', description: 'Saved version (default latest)', minimum: 1 };
+const noteSchema = { type: 'string', description: 'Optional note describing this version' };
+
+const scenarioSummarySchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    tool: { type: 'string' },
+    description: { type: ['string', 'null'] },
+    latest_version: { type: 'integer' },
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' }
+  },
+  required: ['name', 'tool', 'latest_version']
+};
+
+const versionEntrySchema = {
+  type: 'object',
+  description: 'One saved run: version, arguments, result, saved_at and note',
+  properties: {
+    name: { type: 'string' },
+    tool: { type: 'string' },
+    version: { type: ['integer', 'null'], description: 'Null when a re-run was not saved' },
+    arguments: { type: 'object' },
+    result: { type: 'object' },
+    saved_at: { type: 'string' },
+    note: { type: ['string', 'null'] }
+  },
+  required: ['version', 'arguments', 'result']
+};
+
+const diffSchema = {
+  type: 'object',
+  description: 'Changed inputs and numeric result deltas between two saved versions',
+  properties: {
+    tool: { type: 'string' },
+    from: { type: 'object' },
+    to: { type: 'object' },
+    input_changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string' },
+          from: {},
+          to: {},
+          change_type: { type: 'string', enum: ['added', 'removed', 'changed'] }
+        }
+      }
+    },
+    metric_deltas: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string' },
+          from: { type: 'number' },
+          to: { type: 'number' },
+          change: { type: 'number' },
+          change_percent: { type: ['number', 'null'] }
+        }
+      }
+    },
+    metrics_changed: { type: 'integer' },
+    metrics_truncated: { type: 'boolean' }
+  },
+  required: ['input_changes', 'metric_deltas', 'metrics_changed']
+};
+
+export const SAVE_SCENARIO_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: nameSchema,
+    tool: { type: 'string', description: 'Calculator tool to run, e.g. calculate_cocr', minLength: 1 },
+    arguments: { type: 'object', description: 'Arguments for the tool; validated against its input schema' },
+    description: { type: 'string', description: 'Optional description of the scenario' },
+    note: noteSchema
+  },
+  required: ['name', 'tool', 'arguments']
+};
+
+export const LIST_SCENARIOS_SCHEMA = {
+  type: 'object',
+  properties: {
+    tool: { type: 'string', description: 'Only list scenarios saved for this tool' }
+  }
+};
+
+export const LOAD_SCENARIO_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: nameSchema,
+    version: versionSchema
+  },
+  required: ['name']
+};
+
+export const RERUN_SCENARIO_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: nameSchema,
+    version: { ...versionSchema, description: 'Version whose arguments the changes apply to (default latest)' },
+    changes: {
+      type: 'object',
+      description: 'Argument changes; nested objects are merged into the saved arguments, arrays are replaced'
+    },
+    note: noteSchema,
+    save: { type: 'boolean', description: 'Save the run as a new version (default true)', default: true }
+  },
+  required: ['name']
+};
+
+export const DIFF_SCENARIOS_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: nameSchema,
+    from_version: { ...versionSchema, description: 'Base version (default the one before latest)' },
+    compare_to: { ...nameSchema, description: 'Another scenario for the same tool to compare against (default the same scenario)' },
+    to_version: { ...versionSchema, description: 'Version to compare (default latest)' }
+  },
+  required: ['name']
+};
+
+export const SCENARIO_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    scenario: scenarioSummarySchema,
+    version: versionEntrySchema,
+    diff: { ...diffSchema, description: 'Only for re-runs: changes against the base version' },
+    message: { type: 'string' }
+  },
+  required: ['scenario', 'version', 'message']
+};
+
+export const SCENARIO_LIST_SCHEMA = {
+  type: 'object',
+  properties: {
+    scenarios: { type: 'array', items: scenarioSummarySchema },
+    total: { type: 'integer' }
+  },
+  required: ['scenarios', 'total']
+};
+
+export const SCENARIO_DIFF_SCHEMA = diffSchema;
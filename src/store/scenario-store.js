@@ -0,0 +1,107 @@
+/**
+ * Scenario Store
+ * Named, versioned calculator runs (tool, arguments and result) saved to the local data directory
+ */
+
+import { JsonFile } from './json-file.js';
+
+export class ScenarioStore {
+  constructor({ filePath, clock = () => new Date() } = {}) {
+    this.file = new JsonFile({ fileName: 'scenarios.json', filePath, collection: 'scenarios', label: 'scenario store' });
+    this.clock = clock;
+  }
+
+  get filePath() {
+    return this.file.filePath;
+  }
+
+  async list({ tool } = {}) {
+    const scenarios = await this.file.read();
+    return scenarios
+      .filter(scenario => !tool || scenario.tool === tool)
+      .map(summarize);
+  }
+
+  async get(name) {
+    return findScenario(await this.file.read(), name);
+  }
+
+  async summary(name) {
+    return summarize(await this.get(name));
+  }
+
+  // Latest version when none is given
+  async getVersion(name, version) {
+    return selectVersion(await this.get(name), version);
+  }
+
+  save({ name, tool, args, result, description, note }) {
+    return this.file.update(scenarios => {
+      const now = this.clock().toISOString();
+      let scenario = scenarios.find(s => s.name === name);
+
+      if (!scenario) {
+        scenario = { name, tool, description: description || null, created_at: now, updated_at: now, versions: [] };
+        scenarios.push(scenario);
+      } else if (scenario.tool !== tool) {
+        throw new Error(`Scenario ${name} belongs to ${scenario.tool}; save ${tool} runs under a different name`);
+      }
+
+      const entry = {
+        version: scenario.versions.length + 1,
+        arguments: args,
+        // Stored the way clients receive it (Infinity/NaN become null)
+        result: JSON.parse(JSON.stringify(result)),
+        saved_at: now,
+        note: note || null
+      };
+      scenario.versions.push(entry);
+      scenario.updated_at = now;
+      if (description) {
+        scenario.description = description;
+      }
+
+      return { scenario: summarize(scenario), version: { name, tool, ...entry } };
+    });
+  }
+}
+
+// Objects merge recursively; arrays and scalars replace the base value
+export function mergeArguments(base, changes) {
+  const merged = { ...base };
+  Object.entries(changes || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base?.[key]) ? mergeArguments(base[key], value) : value;
+  });
+  return merged;
+}
+
+function summarize(scenario) {
+  return {
+    name: scenario.name,
+    tool: scenario.tool,
+    description: scenario.description,
+    latest_version: scenario.versions.length,
+    created_at: scenario.created_at,
+    updated_at: scenario.updated_at
+  };
+}
+
+function findScenario(scenarios, name) {
+  const scenario = scenarios.find(s => s.name === name);
+  if (!scenario) {
+    throw new Error(`Scenario not found: ${name}`);
+  }
+  return scenario;
+}
+
+function selectVersion(scenario, version = scenario.versions.length) {
+  const entry = scenario.versions.find(v => v.version === version);
+  if (!entry) {
+    throw new Error(`Scenario ${scenario.name} has no version ${version} (latest is ${scenario.versions.length})`);
+  }
+  return { name: scenario.name, tool: scenario.tool, ...entry };
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
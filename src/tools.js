@@ -0,0 +1,533 @@
+import { ToolRegistry } from './registry.js';
+
+// Import calculators
+import { AffordabilityCalculator } from './calculators/affordability.js';
+import { BRRRRCalculator } from './calculators/brrrr.js';
+import { HouseHackingCalculator } from './calculators/house-hacking.js';
+import { PortfolioSimulator } from './calculators/portfolio.js';
+import { SyndicationAnalyzer } from './calculators/syndication.js';
+import { MortgageAffordabilityCalculator } from './calculators/mortgage-affordability.js';
+import { DebtToIncomeCalculator } from './calculators/debt-to-income.js';
+import { IRRCalculator } from './calculators/irr.js';
+import { FixFlipCalculator } from './calculators/fix-flip.js';
+import { LoanComparisonTool } from './calculators/loan-comparison.js';
+import { AmortizationScheduleCalculator } from './calculators/amortization-schedule.js';
+import { NPVCalculator } from './calculators/npv.js';
+import { COCRCalculator } from './calculators/cocr.js';
+import { DSCRCalculator } from './calculators/dscr.js';
+import { BreakevenCalculator } from './calculators/breakeven.js';
+import { SensitivityAnalysisCalculator } from './calculators/sensitivity-analysis.js';
+import { MonteCarloSimulator } from './calculators/monte-carlo.js';
+import { TaxBenefitsCalculator } from './calculators/tax-benefits.js';
+import { PropertyComparisonTool } from './calculators/property-comparison.js';
+import { RefinanceCalculator } from './calculators/refinance.js';
+import { AirbnbSTRCalculator } from './calculators/airbnb-str.js';
+import { Exchange1031Calculator } from './calculators/1031-exchange.js';
+import { MarketAnalysisTool } from './calculators/market-analysis.js';
+import { ConstructionLoanCalculator } from './calculators/construction-loan.js';
+import { WholesaleDealAnalyzer } from './calculators/wholesale-deal.js';
+import { SubjectToDealCalculator } from './calculators/subject-to-deal.js';
+import { SellerFinancingCalculator } from './calculators/seller-financing.js';
+import { HardMoneyLoanCalculator } from './calculators/hard-money-loan.js';
+import { CapitalGainsTaxCalculator } from './calculators/capital-gains-tax.js';
+import { RentVsBuyCalculator } from './calculators/rent-vs-buy.js';
+import { DealPipelineTracker } from './calculators/deal-pipeline.js';
+import { JointVentureCalculator } from './calculators/joint-venture.js';
+import { PropertyManagementCalculator } from './calculators/property-management.js';
+import { PropertyExpenseTracker } from './calculators/property-expense-tracker.js';
+import { DealUnderwriter } from './calculators/deal-underwriting.js';
+import {
+  cashFlowCharts,
+  loanComparisonCharts,
+  monteCarloCharts,
+  rentVsBuyCharts,
+  sensitivityCharts
+} from './charts/tool-charts.js';
+
+// Import stores
+import { DealStore } from './store/deal-store.js';
+import {
+  ADD_DEAL_NOTE_SCHEMA,
+  CREATE_DEAL_SCHEMA,
+  DEAL_RESULT_SCHEMA,
+  DELETE_DEAL_SCHEMA,
+  MOVE_DEAL_STAGE_SCHEMA,
+  UPDATE_DEAL_SCHEMA
+} from './store/deal-schemas.js';
+import { ScenarioStore, mergeArguments } from './store/scenario-store.js';
+import { diffScenarioVersions } from './store/scenario-diff.js';
+import {
+  DIFF_SCENARIOS_SCHEMA,
+  LIST_SCENARIOS_SCHEMA,
+  LOAD_SCENARIO_SCHEMA,
+  RERUN_SCENARIO_SCHEMA,
+  SAVE_SCENARIO_SCHEMA,
+  SCENARIO_DIFF_SCHEMA,
+  SCENARIO_LIST_SCHEMA,
+  SCENARIO_RESULT_SCHEMA
+} from './store/scenario-schemas.js';
+import { exportResult } from './export/exporter.js';
+import { MEMO_SECTIONS, writeInvestmentMemo } from './export/investment-memo.js';
+import {
+  EXPORT_RESULT_OUTPUT_SCHEMA,
+  EXPORT_RESULT_SCHEMA,
+  GENERATE_INVESTMENT_MEMO_OUTPUT_SCHEMA,
+  GENERATE_INVESTMENT_MEMO_SCHEMA
+} from './export/export-schemas.js';
+
+export const registry = new ToolRegistry();
+export const dealStore = new DealStore();
+export const scenarioStore = new ScenarioStore();
+
+const dealPipelineTracker = new DealPipelineTracker();
+
+// Basic analysis tools
+registry
+  .register({
+    name: 'calculate_affordability',
+    description: 'Calculate how much house you can afford based on income, debts, and down payment',
+    category: 'basic',
+    calculator: new AffordabilityCalculator()
+  })
+  .register({
+    name: 'analyze_brrrr_deal',
+    description: 'Analyze a BRRRR (Buy, Rehab, Rent, Refinance, Repeat) real estate deal',
+    category: 'basic',
+    calculator: new BRRRRCalculator(),
+    method: 'analyze'
+  })
+  .register({
+    name: 'evaluate_house_hack',
+    description: 'Analyze a 2-4 unit house hack: FHA or conventional financing with MIP/PMI, housing cost versus renting, year-one returns and the cash flow once your unit is rented too',
+    category: 'basic',
+    calculator: new HouseHackingCalculator(),
+    method: 'evaluate'
+  })
+  .register({
+    name: 'project_portfolio_growth',
+    description: 'Simulate portfolio growth year by year: savings, purchases, amortization, rent growth, reinvested cash flow and cash-out refinancing, with a yearly ledger of properties, equity, debt, cash flow and net worth',
+    category: 'basic',
+    calculator: new PortfolioSimulator(),
+    method: 'project'
+  })
+  .register({
+    name: 'analyze_syndication',
+    description: 'Evaluate a real estate syndication: LP/GP distribution waterfall with pref, catch-up, IRR hurdles and sponsor fees, yearly LP distributions, LP IRR, equity multiple and GP promote',
+    category: 'basic',
+    calculator: new SyndicationAnalyzer(),
+    method: 'analyze'
+  });
+
+// Lending & qualification tools
+registry
+  .register({
+    name: 'calculate_mortgage_affordability',
+    description: 'Advanced mortgage affordability calculator with dual income and detailed DTI analysis',
+    category: 'lending',
+    calculator: new MortgageAffordabilityCalculator()
+  })
+  .register({
+    name: 'analyze_debt_to_income',
+    description: 'Analyze debt-to-income ratios for mortgage qualification with different loan types',
+    category: 'lending',
+    calculator: new DebtToIncomeCalculator()
+  });
+
+// Investment analysis tools
+registry
+  .register({
+    name: 'calculate_irr',
+    description: 'Calculate Internal Rate of Return (IRR) for real estate investments from annual, quarterly, monthly or dated cash flows (XIRR), with modified IRR and sensitivity analysis',
+    category: 'investment',
+    calculator: new IRRCalculator()
+  })
+  .register({
+    name: 'analyze_fix_flip',
+    description: 'Analyze profitability of fix and flip real estate investments with detailed cost breakdown',
+    category: 'investment',
+    calculator: new FixFlipCalculator()
+  })
+  .register({
+    name: 'compare_loans',
+    description: 'Compare multiple mortgage loan scenarios side by side to find the best option, running ARMs through flat, rising, falling, custom and historical index paths against the fixed loans',
+    category: 'lending',
+    calculator: new LoanComparisonTool(),
+    charts: loanComparisonCharts
+  })
+  .register({
+    name: 'generate_amortization_schedule',
+    description: 'Generate a payment-by-payment loan schedule with one-time and recurring extra principal, recasts, interest-only periods, balloons, biweekly payments and ARM resets with caps; export it with export_result',
+    category: 'lending',
+    calculator: new AmortizationScheduleCalculator()
+  })
+  .register({
+    name: 'calculate_npv',
+    description: 'Calculate Net Present Value for real estate investment decisions from period-numbered or dated cash flows (XNPV), with IRR, modified IRR and payback',
+    category: 'investment',
+    calculator: new NPVCalculator()
+  })
+  .register({
+    name: 'calculate_cocr',
+    description: 'Calculate Cash-on-Cash Return with detailed expense analysis and projections',
+    category: 'investment',
+    calculator: new COCRCalculator(),
+    charts: cashFlowCharts
+  })
+  .register({
+    name: 'calculate_dscr',
+    description: 'Calculate Debt Service Coverage Ratio for investment property loans',
+    category: 'investment',
+    calculator: new DSCRCalculator()
+  })
+  .register({
+    name: 'analyze_breakeven',
+    description: 'Calculate breakeven points for occupancy, rent, and ROI for real estate investments',
+    category: 'investment',
+    calculator: new BreakevenCalculator()
+  });
+
+// Advanced analysis tools
+registry
+  .register({
+    name: 'analyze_sensitivity',
+    description: 'Perform multi-variable sensitivity analysis on real estate investments: one-way and two-way variations, Sobol and Morris global sensitivity, scenario sets and goal seek for a target IRR',
+    category: 'advanced',
+    calculator: new SensitivityAnalysisCalculator(),
+    // Long-running tools get a fresh instance per call since they yield between batches
+    handler: (args, context) => new SensitivityAnalysisCalculator().analyze(args, context),
+    charts: sensitivityCharts
+  })
+  .register({
+    name: 'run_monte_carlo',
+    description: 'Run Monte Carlo simulation to assess investment risk and return probabilities, with correlated inputs, normal, lognormal, uniform, triangular, PERT, beta and empirical distributions, discrete cost events, and year-by-year paths with optional vacancy, value and rent shocks and fan charts of equity, cash flow and cumulative return',
+    category: 'advanced',
+    calculator: new MonteCarloSimulator(),
+    handler: (args, context) => new MonteCarloSimulator().simulate(args, context),
+    charts: monteCarloCharts
+  })
+  .register({
+    name: 'calculate_tax_benefits',
+    description: 'Calculate depreciation, deductions, and tax savings for real estate investments',
+    category: 'advanced',
+    calculator: new TaxBenefitsCalculator()
+  })
+  .register({
+    name: 'compare_properties',
+    description: 'Compare multiple investment properties side by side with comprehensive analysis',
+    category: 'advanced',
+    calculator: new PropertyComparisonTool()
+  })
+  .register({
+    name: 'analyze_refinance',
+    description: 'Analyze whether refinancing your mortgage makes financial sense with break-even and NPV analysis',
+    category: 'advanced',
+    calculator: new RefinanceCalculator()
+  })
+  .register({
+    name: 'analyze_airbnb_str',
+    description: 'Analyze Airbnb/short-term rental income potential with seasonal variations and risk assessment',
+    category: 'advanced',
+    calculator: new AirbnbSTRCalculator()
+  })
+  .register({
+    name: 'analyze_1031_exchange',
+    description: 'Analyze 1031 like-kind exchange tax benefits, qualification requirements, and alternative strategies',
+    category: 'advanced',
+    calculator: new Exchange1031Calculator()
+  })
+  .register({
+    name: 'analyze_market_comps',
+    description: 'Analyze market conditions with comparable property analysis, CMA, and investment metrics',
+    category: 'advanced',
+    calculator: new MarketAnalysisTool()
+  })
+  .register({
+    name: 'analyze_construction_loan',
+    description: 'Analyze construction loan financing, draw schedules, interest costs, and permanent conversion',
+    category: 'advanced',
+    calculator: new ConstructionLoanCalculator()
+  })
+  .register({
+    name: 'analyze_wholesale_deal',
+    description: 'Analyze wholesale real estate deals with assignment fees, profit margins, and exit strategies',
+    category: 'advanced',
+    calculator: new WholesaleDealAnalyzer()
+  })
+  .register({
+    name: 'analyze_subject_to_deal',
+    description: 'Analyze subject-to real estate deals where buyer takes over existing mortgage payments',
+    category: 'advanced',
+    calculator: new SubjectToDealCalculator()
+  })
+  .register({
+    name: 'analyze_seller_financing',
+    description: 'Analyze seller financing deals with comprehensive terms, benefits, and risk assessment',
+    category: 'advanced',
+    calculator: new SellerFinancingCalculator()
+  })
+  .register({
+    name: 'analyze_hard_money_loan',
+    description: 'Analyze hard money loans for real estate projects with cost analysis and risk assessment',
+    category: 'advanced',
+    calculator: new HardMoneyLoanCalculator()
+  })
+  .register({
+    name: 'calculate_capital_gains_tax',
+    description: 'Calculate capital gains tax liability for real estate sales with optimization strategies',
+    category: 'advanced',
+    calculator: new CapitalGainsTaxCalculator()
+  })
+  .register({
+    name: 'analyze_rent_vs_buy',
+    description: 'Compare the costs and benefits of renting vs buying a home with comprehensive financial analysis',
+    category: 'advanced',
+    calculator: new RentVsBuyCalculator(),
+    charts: rentVsBuyCharts
+  })
+  .register({
+    name: 'track_deal_pipeline',
+    description: 'Track and analyze multiple real estate deals through various stages with performance metrics and pipeline insights. Omit deals to analyze the saved pipeline',
+    category: 'advanced',
+    calculator: dealPipelineTracker,
+    handler: async args => dealPipelineTracker.calculate({ ...args, deals: args.deals || await dealStore.list() })
+  })
+  .register({
+    name: 'analyze_joint_venture',
+    description: 'Analyze joint venture partnerships for real estate investments with profit splitting, fairness analysis, and risk assessment',
+    category: 'advanced',
+    calculator: new JointVentureCalculator()
+  })
+  .register({
+    name: 'analyze_property_management',
+    description: 'Compare self-management vs professional property management with cost-benefit analysis, efficiency optimization, and risk assessment',
+    category: 'advanced',
+    calculator: new PropertyManagementCalculator()
+  })
+  .register({
+    name: 'track_property_expenses',
+    description: 'Track and analyze property expenses across categories with benchmarking, tax analysis, and budget variance reporting',
+    category: 'advanced',
+    calculator: new PropertyExpenseTracker()
+  })
+  .register({
+    name: 'underwrite_deal',
+    description: 'Underwrite one property described once (property, financing, income, expenses, hold assumptions) through cash-on-cash, DSCR, breakeven, IRR, NPV and tax benefits, returning a consolidated report with cross-checked metrics and a buy, negotiate or pass verdict',
+    category: 'advanced',
+    calculator: new DealUnderwriter()
+  });
+
+// Deal store tools
+registry
+  .register({
+    name: 'create_deal',
+    description: 'Save a new deal to the local pipeline store; its stage history starts now',
+    category: 'pipeline',
+    inputSchema: CREATE_DEAL_SCHEMA,
+    outputSchema: DEAL_RESULT_SCHEMA,
+    handler: async args => {
+      const deal = await dealStore.create(args);
+      return { deal, message: `Created deal ${deal.deal_id} in stage ${deal.current_stage}` };
+    }
+  })
+  .register({
+    name: 'update_deal',
+    description: 'Update details, projections, timeline or contacts of a saved deal',
+    category: 'pipeline',
+    inputSchema: UPDATE_DEAL_SCHEMA,
+    outputSchema: DEAL_RESULT_SCHEMA,
+    handler: async ({ deal_id, changes }) => {
+      const deal = await dealStore.update(deal_id, changes);
+      return { deal, message: `Updated ${Object.keys(changes).join(', ')} on deal ${deal_id}` };
+    }
+  })
+  .register({
+    name: 'move_deal_stage',
+    description: 'Move a saved deal to another pipeline stage, recording when it left the previous stage',
+    category: 'pipeline',
+    inputSchema: MOVE_DEAL_STAGE_SCHEMA,
+    outputSchema: DEAL_RESULT_SCHEMA,
+    handler: async ({ deal_id, stage, note, dead_reason }) => {
+      const deal = await dealStore.moveStage(deal_id, stage, { note, dead_reason });
+      return { deal, message: `Moved deal ${deal_id} to ${stage}` };
+    }
+  })
+  .register({
+    name: 'add_deal_note',
+    description: 'Add a dated note to a saved deal',
+    category: 'pipeline',
+    inputSchema: ADD_DEAL_NOTE_SCHEMA,
+    outputSchema: DEAL_RESULT_SCHEMA,
+    handler: async ({ deal_id, note, category }) => {
+      const deal = await dealStore.addNote(deal_id, { note, category });
+      return { deal, message: `Added ${category || 'general'} note to deal ${deal_id}` };
+    }
+  })
+  .register({
+    name: 'delete_deal',
+    description: 'Delete a saved deal from the local pipeline store',
+    category: 'pipeline',
+    inputSchema: DELETE_DEAL_SCHEMA,
+    outputSchema: DEAL_RESULT_SCHEMA,
+    handler: async ({ deal_id }) => {
+      const deal = await dealStore.delete(deal_id);
+      return { deal, message: `Deleted deal ${deal_id}` };
+    }
+  });
+
+// Saved scenario tools
+registry
+  .register({
+    name: 'save_scenario',
+    description: 'Run a calculator tool and save its arguments and result as a named scenario; saving an existing name adds a new version',
+    category: 'scenarios',
+    inputSchema: SAVE_SCENARIO_SCHEMA,
+    outputSchema: SCENARIO_RESULT_SCHEMA,
+    handler: async ({ name, tool, arguments: args, description, note }, context) => {
+      const result = await runScenarioTool(tool, args, context);
+      const { scenario, version } = await scenarioStore.save({ name, tool, args, result, description, note });
+      return { scenario, version, message: `Saved ${name} version ${version.version} (${tool})` };
+    }
+  })
+  .register({
+    name: 'list_scenarios',
+    description: 'List saved scenarios with their tool and latest version',
+    category: 'scenarios',
+    inputSchema: LIST_SCENARIOS_SCHEMA,
+    outputSchema: SCENARIO_LIST_SCHEMA,
+    handler: async ({ tool }) => {
+      const scenarios = await scenarioStore.list({ tool });
+      return { scenarios, total: scenarios.length };
+    }
+  })
+  .register({
+    name: 'load_scenario',
+    description: 'Load the arguments and result of a saved scenario version',
+    category: 'scenarios',
+    inputSchema: LOAD_SCENARIO_SCHEMA,
+    outputSchema: SCENARIO_RESULT_SCHEMA,
+    handler: async ({ name, version }) => {
+      const scenario = await scenarioStore.summary(name);
+      const entry = await scenarioStore.getVersion(name, version);
+      return { scenario, version: entry, message: `Loaded ${name} version ${entry.version} of ${scenario.latest_version}` };
+    }
+  })
+  .register({
+    name: 'rerun_scenario',
+    description: 'Re-run a saved scenario with changed arguments, save it as a new version and diff it against the version it started from',
+    category: 'scenarios',
+    inputSchema: RERUN_SCENARIO_SCHEMA,
+    outputSchema: SCENARIO_RESULT_SCHEMA,
+    handler: async ({ name, version, changes, note, save = true }, context) => {
+      const base = await scenarioStore.getVersion(name, version);
+      const args = mergeArguments(base.arguments, changes);
+      const result = await runScenarioTool(base.tool, args, context);
+
+      if (!save) {
+        const scenario = await scenarioStore.summary(name);
+        const unsaved = { name, tool: base.tool, version: null, arguments: args, result: JSON.parse(JSON.stringify(result)), note: note || null };
+        return { scenario, version: unsaved, diff: diffScenarioVersions(base, unsaved), message: `Re-ran ${name} from version ${base.version} without saving` };
+      }
+
+      const saved = await scenarioStore.save({ name, tool: base.tool, args, result, note });
+      return {
+        ...saved,
+        diff: diffScenarioVersions(base, saved.version),
+        message: `Saved ${name} version ${saved.version.version} from version ${base.version}`
+      };
+    }
+  })
+  .register({
+    name: 'diff_scenarios',
+    description: 'Compare two saved scenario versions: changed inputs alongside the resulting metric deltas',
+    category: 'scenarios',
+    inputSchema: DIFF_SCENARIOS_SCHEMA,
+    outputSchema: SCENARIO_DIFF_SCHEMA,
+    handler: async ({ name, from_version, compare_to, to_version }) => {
+      const scenario = await scenarioStore.get(name);
+      const baseVersion = from_version || (compare_to ? scenario.versions.length : Math.max(1, scenario.versions.length - 1));
+      const from = await scenarioStore.getVersion(name, baseVersion);
+      const to = await scenarioStore.getVersion(compare_to || name, to_version);
+      return diffScenarioVersions(from, to);
+    }
+  });
+
+// Export tools
+registry
+  .register({
+    name: 'export_result',
+    description: 'Export a calculator result, or a saved scenario, to CSV, a multi-sheet XLSX workbook and a Markdown memo in the local output directory',
+    category: 'export',
+    inputSchema: EXPORT_RESULT_SCHEMA,
+    outputSchema: EXPORT_RESULT_OUTPUT_SCHEMA,
+    handler: async ({ tool, arguments: args, scenario, formats, tables, file_name, title }, context) => {
+      if (Boolean(tool) === Boolean(scenario)) {
+        throw new Error('Provide either tool and arguments or a saved scenario to export');
+      }
+
+      let source;
+      if (scenario) {
+        const saved = await scenarioStore.getVersion(scenario.name, scenario.version);
+        source = { tool: saved.tool, args: saved.arguments, result: saved.result, title: title || `${saved.name} (v${saved.version})` };
+      } else {
+        if (!isCalculatorTool(tool)) {
+          throw new Error(`Only calculator results can be exported; ${tool} is not a calculator tool`);
+        }
+        source = { tool, args: args || {}, result: await registry.call(tool, args || {}, context), title };
+      }
+
+      const exported = await exportResult({ ...source, formats, tables, fileName: file_name });
+      return { ...exported, message: `Wrote ${exported.files.length} file(s) to ${exported.output_dir}` };
+    }
+  })
+  .register({
+    name: 'generate_investment_memo',
+    description: 'Render fix-flip, DSCR, market comps and sensitivity results into a paginated PDF investment memo with summary metrics, tables, recommendations and risks',
+    category: 'export',
+    inputSchema: GENERATE_INVESTMENT_MEMO_SCHEMA,
+    outputSchema: GENERATE_INVESTMENT_MEMO_OUTPUT_SCHEMA,
+    handler: async (params, context) => {
+      const sections = [];
+      for (const [key, { tool }] of Object.entries(MEMO_SECTIONS)) {
+        const source = params[key];
+        if (!source) continue;
+        if (Boolean(source.arguments) === Boolean(source.scenario)) {
+          throw new Error(`${key}: provide either arguments or a saved scenario`);
+        }
+
+        if (source.scenario) {
+          const saved = await scenarioStore.getVersion(source.scenario.name, source.scenario.version);
+          if (saved.tool !== tool) {
+            throw new Error(`${key}: scenario ${saved.name} was saved from ${saved.tool}, not ${tool}`);
+          }
+          sections.push({ key, args: saved.arguments, result: saved.result, source: `saved scenario ${saved.name} (v${saved.version})` });
+        } else {
+          sections.push({ key, args: source.arguments, result: await registry.call(tool, source.arguments, context), source: tool });
+        }
+      }
+      if (sections.length === 0) {
+        throw new Error(`Provide at least one memo section: ${Object.keys(MEMO_SECTIONS).join(', ')}`);
+      }
+
+      const memo = await writeInvestmentMemo({
+        title: params.title,
+        propertyAddress: params.property_address,
+        preparedFor: params.prepared_for,
+        preparedBy: params.prepared_by,
+        fileName: params.file_name,
+        sections
+      });
+      return { ...memo, message: `Wrote a ${memo.pages}-page investment memo to ${memo.path}` };
+    }
+  });
+
+// Scenarios and exports replay calculator tools, not the store tools themselves
+function isCalculatorTool(tool) {
+  return registry.has(tool) && Boolean(registry.get(tool).calculator);
+}
+
+function runScenarioTool(tool, args, context) {
+  if (!isCalculatorTool(tool)) {
+    throw new Error(`Scenarios can only be saved for calculator tools; ${tool} is not one`);
+  }
+  return registry.call(tool, args, context);
+}
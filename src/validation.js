@@ -0,0 +1,152 @@
+/**
+ * Input Validation
+ * Checks tool arguments against the JSON schema published by each calculator's getSchema()
+ */
+
+export class ToolInputError extends Error {
+  constructor(toolName, errors) {
+    super(`Invalid arguments for ${toolName}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    this.name = 'ToolInputError';
+    this.toolName = toolName;
+    this.errors = errors;
+  }
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function validateSchema(schema, value, path = 'arguments') {
+  const errors = [];
+  visit(schema, value, path, errors);
+  return errors;
+}
+
+function visit(schema, value, path, errors) {
+  if (!schema || value === undefined) return;
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({
+      path,
+      constraint: 'type',
+      expected: schema.type,
+      received: describeType(value),
+      message: `must be of type ${[].concat(schema.type).join(' or ')} (received ${describeType(value)})`
+    });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path,
+      constraint: 'enum',
+      expected: schema.enum,
+      received: value,
+      message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (received ${JSON.stringify(value)})`
+    });
+  }
+
+  if (typeof value === 'number') {
+    checkBound(schema, 'minimum', value, path, errors, (v, limit) => v >= limit, '>=');
+    checkBound(schema, 'maximum', value, path, errors, (v, limit) => v <= limit, '<=');
+    checkBound(schema, 'exclusiveMinimum', value, path, errors, (v, limit) => v > limit, '>');
+    checkBound(schema, 'exclusiveMaximum', value, path, errors, (v, limit) => v < limit, '<');
+  }
+
+  if (typeof value === 'string') {
+    checkBound(schema, 'minLength', value.length, path, errors, (v, limit) => v >= limit, 'length >=');
+    checkBound(schema, 'maxLength', value.length, path, errors, (v, limit) => v <= limit, 'length <=');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({
+        path,
+        constraint: 'pattern',
+        expected: schema.pattern,
+        received: value,
+        message: `must match pattern ${schema.pattern}`
+      });
+    }
+    if (schema.format === 'date' && (!DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+      errors.push({
+        path,
+        constraint: 'format',
+        expected: 'date (YYYY-MM-DD)',
+        received: value,
+        message: 'must be a date in YYYY-MM-DD format'
+      });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    checkBound(schema, 'minItems', value.length, path, errors, (v, limit) => v >= limit, 'item count >=');
+    checkBound(schema, 'maxItems', value.length, path, errors, (v, limit) => v <= limit, 'item count <=');
+    if (schema.items) {
+      value.forEach((item, index) => visit(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({
+          path: `${path}.${key}`,
+          constraint: 'required',
+          expected: schema.properties?.[key]?.type || 'value',
+          received: 'undefined',
+          message: 'is required'
+        });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key]) {
+        visit(properties[key], child, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: `${path}.${key}`,
+          constraint: 'additionalProperties',
+          expected: Object.keys(properties),
+          received: key,
+          message: 'is not a recognized property'
+        });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        visit(schema.additionalProperties, child, `${path}.${key}`, errors);
+      }
+    });
+  }
+}
+
+function checkBound(schema, keyword, actual, path, errors, passes, operator) {
+  if (schema[keyword] === undefined || passes(actual, schema[keyword])) return;
+  errors.push({
+    path,
+    constraint: keyword,
+    expected: schema[keyword],
+    received: actual,
+    message: `must be ${operator} ${schema[keyword]} (received ${actual})`
+  });
+}
+
+function matchesType(type, value) {
+  return [].concat(type).some(t => {
+    switch (t) {
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'string': return typeof value === 'string';
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'object': return isPlainObject(value);
+      case 'null': return value === null;
+      default: return true;
+    }
+  });
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'non-finite number';
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { amortize, levelPayment, loanAmountForPayment, remainingBalance } from '../src/amortization.js';
+import { AmortizationScheduleCalculator } from '../src/calculators/amortization-schedule.js';
+import { extractTables } from '../src/export/tables.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+const close = (actual, expected, tolerance = 0.02) =>
+  assert(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+const monthlyRate = 6 / 100 / 12;
+
+test('amortization - level payment, balance and loan size agree with the schedule', () => {
+  const payment = levelPayment(300000, monthlyRate, 360);
+  close(payment, 1798.65, 0.005);
+  assert.strictEqual(levelPayment(360000, 0, 360), 1000);
+  close(loanAmountForPayment(payment, monthlyRate, 360), 300000, 1e-6);
+
+  const { schedule, totals } = amortize({ principal: 300000, annual_rate: 6, amortization_months: 360 });
+  assert.strictEqual(schedule.length, 360);
+  close(schedule[59].balance, remainingBalance(300000, monthlyRate, 360, 60));
+  assert.strictEqual(schedule.at(-1).balance, 0);
+  assert.strictEqual(totals.principal, 300000);
+  assert.strictEqual(remainingBalance(300000, monthlyRate, 360, 400), 0);
+});
+
+test('amortization - extra principal shortens the loan and a recast lowers the payment', () => {
+  const base = { principal: 300000, annual_rate: 6, amortization_months: 360 };
+  const extra = amortize({
+    ...base,
+    extra_payments: [{ amount: 200, frequency: 'monthly', month: 1, end_month: 60 }, { amount: 10000, month: 24 }]
+  });
+  assert.strictEqual(extra.schedule[0].extra_principal, 200);
+  assert.strictEqual(extra.schedule[23].extra_principal, 10200);
+  assert.strictEqual(extra.schedule[60].extra_principal, 0, 'The recurring payment stops after month 60');
+  assert(extra.schedule.length < 360);
+  assert.strictEqual(extra.totals.extra_principal, 22000);
+
+  const recast = amortize({ ...base, recasts: [{ month: 36, amount: 50000 }] });
+  const balanceAfter = remainingBalance(300000, monthlyRate, 360, 36) - 50000;
+  close(recast.events[0].payment, levelPayment(balanceAfter, monthlyRate, 324));
+  assert.strictEqual(recast.schedule[36].payment, recast.events[0].payment);
+  assert.strictEqual(recast.schedule.length, 360, 'A recast keeps the original maturity');
+});
+
+test('amortization - interest-only period, balloon and biweekly payments', () => {
+  const interestOnly = amortize({ principal: 300000, annual_rate: 5, amortization_months: 360, interest_only_months: 60, balloon_month: 120 });
+  assert.strictEqual(interestOnly.schedule[0].payment, 1250);
+  assert.strictEqual(interestOnly.schedule[59].balance, 300000);
+  const amortizing = levelPayment(300000, 5 / 100 / 12, 300);
+  close(interestOnly.schedule[60].payment, amortizing);
+  assert.deepStrictEqual(interestOnly.events.map(event => [event.type, event.month]), [['interest_only_end', 61], ['balloon', 120]]);
+  // Sixty amortizing payments after the interest-only years, then the rest comes due
+  close(interestOnly.schedule.at(-1).balloon_payment, remainingBalance(300000, 5 / 100 / 12, 300, 60));
+  assert.strictEqual(interestOnly.schedule.length, 120);
+
+  const biweekly = amortize({ principal: 300000, annual_rate: 6, amortization_months: 360, payment_frequency: 'biweekly', start_date: '2026-01-02' });
+  close(biweekly.schedule[0].payment, 1798.65 / 2, 0.01);
+  assert.strictEqual(biweekly.schedule.filter(row => row.month <= 12).length, 26);
+  assert.strictEqual(biweekly.schedule[1].date, '2026-01-16');
+  assert(biweekly.schedule.at(-1).month < 300, 'Half payments every two weeks retire a 30-year loan in under 25 years');
+});
+
+test('amortization - ARM resets respect the initial, periodic and lifetime caps and the floor', () => {
+  const arm = { initial_fixed_months: 60, adjustment_interval_months: 12, margin: 2.75, initial_adjustment_cap: 2, periodic_cap: 1, lifetime_cap: 5, floor: 2.75 };
+  const rising = amortize({ principal: 300000, annual_rate: 5, amortization_months: 360, arm: { ...arm, index_rates: [6, 8] } });
+  assert.deepStrictEqual(
+    rising.events.map(event => [event.month, event.new_rate, event.limited_by]),
+    [[61, 7, 'periodic_cap'], [73, 8, 'periodic_cap'], [85, 9, 'periodic_cap'], [97, 10, 'lifetime_cap']]
+  );
+  close(rising.schedule[60].payment, levelPayment(remainingBalance(300000, 5 / 100 / 12, 360, 60), 7 / 100 / 12, 300));
+
+  const falling = amortize({
+    principal: 300000,
+    annual_rate: 5,
+    amortization_months: 360,
+    arm: { ...arm, index_rate: 0, initial_adjustment_cap: 1, floor: 3.5 }
+  });
+  assert.deepStrictEqual(
+    falling.events.map(event => [event.new_rate, event.limited_by]),
+    [[4, 'periodic_cap'], [3.5, 'floor']]
+  );
+});
+
+test('generate_amortization_schedule - summary, savings and output schema', async () => {
+  const result = await registry.call('generate_amortization_schedule', {
+    loan_amount: 300000,
+    interest_rate: 6,
+    start_date: '2026-01-31',
+    extra_payments: [{ amount: 200, frequency: 'monthly' }],
+    recasts: [{ month: 36, amount: 20000 }]
+  });
+  const errors = validateSchema(registry.get('generate_amortization_schedule').outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+  assert.deepStrictEqual(errors, []);
+
+  assert.strictEqual(result.schedule[1].date, '2026-02-28', 'Short months fall back to their last day');
+  assert.strictEqual(result.loan_summary.total_principal, 300000);
+  assert.strictEqual(result.compared_to_standard.standard_payoff_month, 360);
+  assert.strictEqual(result.compared_to_standard.months_saved, 360 - result.loan_summary.payoff_month);
+  assert(result.compared_to_standard.interest_saved > 90000);
+  assert.match(result.recommendations[0], /retires the loan \d+ months/);
+  assert.strictEqual(result.annual_summary[0].payments, 12);
+  close(result.annual_summary[0].extra_principal, 2400);
+
+  const tables = extractTables('generate_amortization_schedule', result);
+  assert.strictEqual(tables.find(table => table.name === 'schedule').rows.length, result.schedule.length);
+});
+
+test('generate_amortization_schedule - a recast during interest-only reports the interest-only payment', () => {
+  const result = new AmortizationScheduleCalculator().calculate({
+    loan_amount: 300000, interest_rate: 6, interest_only_months: 24, recasts: [{ month: 12, amount: 50000 }]
+  });
+  const recast = result.events.find(event => event.type === 'recast');
+  assert.strictEqual(recast.payment, 1250);
+  assert.strictEqual(result.schedule[12].payment, 1250);
+  const interestOnlyEnd = result.events.find(event => event.type === 'interest_only_end');
+  assert.strictEqual(interestOnlyEnd.payment, 1537.81);
+  assert.strictEqual(result.schedule[24].payment, 1537.81);
+  assert(result.recommendations.includes(
+    'The recast in month 12 lowers the interest-only payment to $1,250; amortizing payments from month 25 are $1,537.81'
+  ));
+});
+
+test('generate_amortization_schedule - rejects impossible terms', () => {
+  const calculator = new AmortizationScheduleCalculator();
+  const base = { loan_amount: 200000, interest_rate: 7, loan_term_years: 30 };
+  assert.throws(() => calculator.calculate({ ...base, balloon_month: 400 }), /balloon_month \(400\) must fall within the 360-month/);
+  assert.throws(() => calculator.calculate({ ...base, interest_only_months: 84, balloon_month: 84 }), /must end before the loan matures in month 84/);
+  assert.throws(() => calculator.calculate({ ...base, recasts: [{ month: 361 }] }), /Recast in month 361/);
+  assert.throws(() => calculator.calculate({ ...base, extra_payments: [{ amount: 100, month: 12, end_month: 6, frequency: 'monthly' }] }), /ends \(month 6\) before it starts/);
+
+  const summary = calculator.calculate({ ...base, include_schedule: false });
+  assert.deepStrictEqual(summary.schedule, []);
+  assert.strictEqual(summary.annual_summary.length, 30);
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { formatNumber, niceTicks } from '../src/charts/svg.js';
+import { createServer } from '../src/server.js';
+import { registry } from '../src/tools.js';
+
+async function connectInMemory() {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createServer().connect(serverTransport);
+  const client = new Client({ name: 'charts-test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+// Text drawn in an SVG, in document order
+function svgText(svg) {
+  return [...svg.matchAll(/<text[^>]*>([^<]*)<\/text>/g)].map(match => match[1]);
+}
+
+async function chartsFor(tool, args) {
+  const withCharts = { ...args, charts: 'image' };
+  return registry.charts(tool, withCharts, await registry.call(tool, withCharts));
+}
+
+const cocr = {
+  purchase_price: 300000,
+  down_payment: 60000,
+  closing_costs: 5000,
+  annual_rental_income: 36000,
+  annual_expenses: { property_tax: 3600, insurance: 1200, maintenance: 1800 },
+  loan_details: { interest_rate: 6.5, loan_term_years: 30 }
+};
+
+test('SVG helpers - round ticks and compact labels', () => {
+  assert.deepStrictEqual(niceTicks(3, 97), [0, 20, 40, 60, 80, 100]);
+  assert.deepStrictEqual(niceTicks(-0.3, 0.45, 4), [-0.4, -0.2, 0, 0.2, 0.4, 0.6]);
+  assert.deepStrictEqual(niceTicks(5, 5), [0, 2, 4, 6, 8, 10]);
+  assert.deepStrictEqual(
+    [1250000, 7686.4, -1800, 25890, -0.004].map(value => formatNumber(value, '$')),
+    ['$1.3M', '$7,686', '-$1,800', '$25.9k', '$0']
+  );
+  assert.strictEqual(formatNumber(12.345, '%'), '12.35%');
+});
+
+test('Charts - charts option is added to chart-capable tools and stripped before the calculator runs', async () => {
+  const charted = registry.list().filter(tool => tool.inputSchema.properties.charts).map(tool => tool.name);
+  assert.deepStrictEqual(charted.sort(), ['analyze_rent_vs_buy', 'analyze_sensitivity', 'calculate_cocr', 'compare_loans', 'run_monte_carlo']);
+
+  assert.deepStrictEqual(await registry.call('calculate_cocr', { ...cocr, charts: 'resource' }), await registry.call('calculate_cocr', cocr));
+  assert.deepStrictEqual(registry.charts('calculate_cocr', cocr, {}), [], 'No charts unless asked for');
+  await assert.rejects(() => registry.call('calculate_cocr', { ...cocr, charts: 'png' }), /charts/);
+});
+
+test('Charts - tornado, histograms, equity buildup, waterfall and rent vs buy crossover', async () => {
+  const [tornado] = await chartsFor('analyze_sensitivity', {
+    base_scenario: { purchase_price: 300000, annual_rental_income: 36000, annual_expenses: 12000, down_payment_percent: 20, interest_rate: 7 },
+    sensitivity_variables: [
+      { variable: 'purchase_price', variations: [-10, 0, 10] },
+      { variable: 'rental_income', variations: [-10, 0, 10] }
+    ],
+    analysis_metrics: ['irr']
+  });
+  assert.strictEqual(tornado.name, 'tornado');
+  assert.deepStrictEqual(svgText(tornado.svg).filter(t => t.endsWith('Income') || t.endsWith('Price')), ['Rental Income', 'Purchase Price']);
+  assert(svgText(tornado.svg).some(t => /^Base \d+(\.\d+)?%$/.test(t)));
+
+  const monteCarlo = await chartsFor('run_monte_carlo', {
+    investment_parameters: { purchase_price: 300000, down_payment_percent: 20, holding_period_years: 5 },
+    variable_distributions: {
+      rental_income: { type: 'normal', mean: 2500, std_dev: 200 },
+      operating_expenses: { type: 'normal', mean: 15000, std_dev: 2000 }
+    },
+    simulation_settings: { num_simulations: 500, random_seed: 7 }
+  });
+  const histograms = monteCarlo.filter(c => c.name.startsWith('histogram-'));
+  assert.deepStrictEqual(histograms.map(c => c.name), ['histogram-irr', 'histogram-total_return', 'histogram-monthly_cash_flow']);
+  assert.deepStrictEqual(monteCarlo.filter(c => c.name.startsWith('fan-')).map(c => c.name), ['fan-equity', 'fan-cash_flow', 'fan-cumulative_return']);
+  const fan = monteCarlo.find(c => c.name === 'fan-equity').svg;
+  assert.strictEqual((fan.match(/<polygon /g) || []).length, 2, 'The 90% and 50% bands');
+  assert.strictEqual((fan.match(/<polyline points="([^"]+)"/)[1].split(' ')).length, 5, 'One median point per year');
+  const cashFlow = histograms[2].svg;
+  assert.strictEqual((cashFlow.match(/<rect [^>]*fill="#2563eb">/g) || []).length, 20, 'One bar per bin');
+  assert.deepStrictEqual(svgText(cashFlow).filter(t => /^P\d+ /.test(t)).map(t => t.split(' ')[0]), ['P5', 'P50', 'P95']);
+
+  const [equity] = await chartsFor('compare_loans', {
+    home_price: 400000,
+    loans: [
+      { loan_name: '30-Year Fixed', down_payment_percent: 20, interest_rate: 6.5, loan_term_years: 30 },
+      { loan_name: '15-Year Fixed', down_payment_percent: 20, interest_rate: 5.8, loan_term_years: 15 }
+    ]
+  });
+  const lines = [...equity.svg.matchAll(/<polyline points="([^"]+)"/g)].map(match => match[1].split(' '));
+  assert.strictEqual(lines.length, 2);
+  assert.strictEqual(lines[0].length, 31, 'Year 0 through 30');
+  assert.strictEqual(lines[1].length, 31, 'The 15-year loan holds full equity to year 30');
+  assert.strictEqual(lines[0][30], lines[1][30], 'Both loans end at full equity');
+  assert.strictEqual(lines[1][15].split(',')[1], lines[1][30].split(',')[1], 'Flat after payoff');
+
+  const [waterfall] = await chartsFor('calculate_cocr', cocr);
+  assert.deepStrictEqual(
+    svgText(waterfall.svg).slice(-14).filter((_, i) => i % 2 === 1),
+    ['Gross rent', 'Vacancy', 'Expenses', 'Reserves', 'NOI', 'Debt service', 'Cash flow']
+  );
+  assert(svgText(waterfall.svg).includes('$7,686'));
+
+  const [crossover] = await chartsFor('analyze_rent_vs_buy', {
+    home_details: { home_price: 400000, down_payment_percent: 20, interest_rate: 6.5, property_tax_rate: 1.2, home_insurance_annual: 1200 },
+    rental_details: { monthly_rent: 2500 }
+  });
+  assert.strictEqual(crossover.name, 'net-worth-crossover');
+  assert(svgText(crossover.svg).some(t => /^Buying pulls ahead at \d+\.\d yrs$/.test(t)));
+});
+
+test('Charts - server returns SVG as image or embedded resource content', async () => {
+  const client = await connectInMemory();
+
+  const plain = await client.callTool({ name: 'calculate_cocr', arguments: cocr });
+  assert.deepStrictEqual(plain.content.map(c => c.type), ['text']);
+
+  const image = await client.callTool({ name: 'calculate_cocr', arguments: { ...cocr, charts: 'image' } });
+  assert.deepStrictEqual(image.content.map(c => c.type), ['text', 'image']);
+  assert.strictEqual(image.content[1].mimeType, 'image/svg+xml');
+  const svg = Buffer.from(image.content[1].data, 'base64').toString('utf-8');
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"[^>]*><title>Annual cash flow waterfall<\/title>/);
+  assert.deepStrictEqual(image.structuredContent, plain.structuredContent);
+
+  const resource = await client.callTool({ name: 'calculate_cocr', arguments: { ...cocr, charts: 'resource' } });
+  assert.deepStrictEqual(resource.content[1], {
+    type: 'resource',
+    resource: { uri: 'realvest://charts/calculate_cocr/cash-flow-waterfall.svg', mimeType: 'image/svg+xml', text: svg }
+  });
+
+  await client.close();
+});
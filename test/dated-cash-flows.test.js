@@ -0,0 +1,163 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { IRRCalculator } from '../src/calculators/irr.js';
+import { NPVCalculator } from '../src/calculators/npv.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+// The XIRR/XNPV worked example from the spreadsheet documentation
+const investmentDate = '2008-01-01';
+const datedFlows = [
+  { date: '2008-03-01', amount: 2750 },
+  { date: '2008-10-30', amount: 4250 },
+  { date: '2009-02-15', amount: 3250 },
+  { date: '2009-04-01', amount: 2750 }
+];
+
+test('IRRCalculator - dated cash flows give XIRR', () => {
+  const result = new IRRCalculator().calculate({
+    initial_investment: 10000,
+    investment_date: investmentDate,
+    annual_cash_flows: datedFlows,
+    projected_sale_price: 0,
+    selling_costs_percent: 0
+  });
+
+  assert.strictEqual(result.irr_analysis.cash_flow_timing, 'dated');
+  assert.strictEqual(result.irr_analysis.irr_percentage, 37.34);
+  assert.strictEqual(result.irr_analysis.periodic_irr_percentage, null);
+  assert.deepStrictEqual(result.cash_flow_schedule.map(row => row.date), [investmentDate, ...datedFlows.map(cf => cf.date)]);
+  assert.strictEqual(result.cash_flow_schedule.at(-1).description, 'Distribution + Sale Proceeds');
+  assert.strictEqual(result.sale_analysis.sale_date, '2009-04-01');
+  assert.strictEqual(result.cash_flow_summary.holding_period_years, 1.25);
+
+  // A later sale_date adds its own row; capital calls are negative dated flows
+  const withSale = new IRRCalculator().calculate({
+    initial_investment: 100000,
+    investment_date: '2022-01-01',
+    annual_cash_flows: [
+      { date: '2022-07-01', amount: -25000, description: 'Capital call' },
+      { date: '2023-12-31', amount: 8000 }
+    ],
+    projected_sale_price: 180000,
+    selling_costs_percent: 5,
+    sale_date: '2024-06-30'
+  });
+  assert.deepStrictEqual(withSale.cash_flow_schedule.map(row => [row.description, row.cash_flow]), [
+    ['Initial Investment', -100000],
+    ['Capital call', -25000],
+    ['Distribution', 8000],
+    ['Sale Proceeds', 171000]
+  ]);
+});
+
+test('NPVCalculator - dated cash flows give XNPV and XIRR', () => {
+  const result = new NPVCalculator().calculate({
+    initial_investment: -10000,
+    investment_date: investmentDate,
+    cash_flows: datedFlows,
+    discount_rate: 9
+  });
+
+  assert.strictEqual(result.npv_analysis.cash_flow_timing, 'dated');
+  assert.strictEqual(result.npv_analysis.nominal_npv, 2086.65);
+  assert.strictEqual(result.investment_metrics.irr, 37.34);
+  assert.strictEqual(result.payback_analysis.period_unit, 'years');
+  // Cumulative cash turns positive with the 2009-02-15 payment
+  assert.strictEqual(result.payback_analysis.simple_payback_period, 1.13);
+  assert.strictEqual(result.cash_flow_schedule[1].years, 0.16);
+
+  const terminal = new NPVCalculator().calculate({
+    initial_investment: -10000,
+    investment_date: investmentDate,
+    cash_flows: datedFlows,
+    discount_rate: 9,
+    terminal_value: 5000,
+    terminal_date: '2010-01-01'
+  });
+  assert.strictEqual(terminal.cash_flow_schedule.at(-1).description, 'Terminal value');
+  assert(Math.abs(terminal.npv_analysis.nominal_npv - (2086.65 + 5000 / Math.pow(1.09, 731 / 365))) < 0.01);
+});
+
+test('IRR and NPV - monthly and quarterly periods are annualized', () => {
+  const monthly = new IRRCalculator().calculate({
+    initial_investment: 100000,
+    periodicity: 'monthly',
+    annual_cash_flows: Array(60).fill(1000),
+    projected_sale_price: 150000
+  });
+  const { irr_analysis: irr } = monthly;
+  assert.strictEqual(irr.cash_flow_timing, 'monthly');
+  assert(Math.abs(Math.pow(1 + irr.periodic_irr_percentage / 100, 12) - 1 - irr.irr_decimal) < 0.001);
+  assert.strictEqual(monthly.cash_flow_summary.holding_period_years, 5);
+  assert.strictEqual(monthly.cash_flow_schedule[12].description, 'Month 12 Net Cash Flow');
+  assert.strictEqual(monthly.cash_flow_schedule[12].year, 1);
+
+  const quarterly = new NPVCalculator().calculate({
+    initial_investment: -100000,
+    periodicity: 'quarterly',
+    cash_flows: Array.from({ length: 20 }, (_, i) => ({ period: i + 1, amount: 7500 })),
+    discount_rate: 10
+  });
+  const expected = -100000 + Array.from({ length: 20 }, (_, i) => 7500 / Math.pow(1.1, (i + 1) / 4)).reduce((a, b) => a + b, 0);
+  assert(Math.abs(quarterly.npv_analysis.nominal_npv - expected) < 0.01);
+  assert.strictEqual(quarterly.payback_analysis.period_unit, 'quarters');
+  assert.strictEqual(quarterly.payback_analysis.simple_payback_years, 3.33);
+  assert(Math.abs(quarterly.payback_analysis.simple_payback_period - 40 / 3) < 1e-9);
+});
+
+test('IRR and NPV - modified IRR uses separate finance and reinvestment rates', () => {
+  // Spreadsheet MIRR example: -120k then 39k, 30k, 21k, 37k, 46k
+  const flows = [39000, 30000, 21000, 37000, 46000];
+  const irr = new IRRCalculator();
+  const npv = new NPVCalculator();
+  const irrInput = { initial_investment: 120000, annual_cash_flows: flows, projected_sale_price: 0, selling_costs_percent: 0 };
+  const npvInput = { initial_investment: -120000, cash_flows: flows.map((amount, i) => ({ period: i + 1, amount })), discount_rate: 10 };
+
+  assert.strictEqual(irr.calculate({ ...irrInput, finance_rate: 10, reinvestment_rate: 12 }).irr_analysis.mirr_percentage, 12.61);
+  assert.strictEqual(irr.calculate({ ...irrInput, finance_rate: 10, reinvestment_rate: 14 }).irr_analysis.mirr_percentage, 13.48);
+  const result = npv.calculate({ ...npvInput, reinvestment_rate: 12 });
+  assert.strictEqual(result.investment_metrics.modified_irr, 12.61);
+  assert.strictEqual(result.investment_metrics.finance_rate, 10);
+  assert.strictEqual(result.investment_metrics.irr, 13.07);
+
+  // A capital call in year 2 is funded at the finance rate
+  const withCall = npv.calculate({ ...npvInput, cash_flows: [...npvInput.cash_flows, { period: 2, amount: -20000 }], finance_rate: 6 });
+  const presentCost = 120000 + 20000 / Math.pow(1.06, 2);
+  const futureValue = [39000, 30000, 21000, 37000, 46000].reduce((sum, cf, i) => sum + cf * Math.pow(1.1, 4 - i), 0);
+  assert.strictEqual(withCall.investment_metrics.modified_irr, parseFloat(((Math.pow(futureValue / presentCost, 1 / 5) - 1) * 100).toFixed(2)));
+});
+
+test('IRR and NPV - reject inconsistent dated inputs', async () => {
+  const irr = new IRRCalculator();
+  const npv = new NPVCalculator();
+  const base = { initial_investment: 10000, annual_cash_flows: datedFlows, projected_sale_price: 0 };
+
+  assert.throws(() => irr.calculate(base), /investment_date is required/);
+  assert.throws(() => irr.calculate({ ...base, investment_date: investmentDate, annual_cash_flows: [...datedFlows, 500] }), /not a mix/);
+  assert.throws(() => irr.calculate({ ...base, investment_date: '2008-06-01' }), /2008-03-01 falls before investment_date/);
+  assert.throws(() => irr.calculate({ ...base, investment_date: investmentDate, sale_date: '2009-01-01' }), /must be on or after the last cash flow/);
+  assert.throws(
+    () => npv.calculate({ initial_investment: -1000, investment_date: investmentDate, cash_flows: [{ date: '2008-05-01', amount: 500 }, { period: 2, amount: 700 }], discount_rate: 8 }),
+    /cannot be mixed/
+  );
+  assert.throws(() => npv.calculate({ initial_investment: -1000, cash_flows: [{ amount: 500 }], discount_rate: 8 }), /needs a period/);
+
+  await assert.rejects(
+    () => registry.call('calculate_npv', { initial_investment: -1000, investment_date: '01/01/2008', cash_flows: [{ date: '2008-05-01', amount: 500 }], discount_rate: 8 }),
+    /investment_date must be a date in YYYY-MM-DD format/
+  );
+});
+
+test('calculate_irr and calculate_npv - dated results match their output schemas', async () => {
+  const irrResult = await registry.call('calculate_irr', {
+    initial_investment: 10000, investment_date: investmentDate, annual_cash_flows: datedFlows, projected_sale_price: 0
+  });
+  const npvResult = await registry.call('calculate_npv', {
+    initial_investment: -10000, investment_date: investmentDate, cash_flows: datedFlows, discount_rate: 9
+  });
+  [['calculate_irr', irrResult], ['calculate_npv', npvResult]].forEach(([name, result]) => {
+    const errors = validateSchema(registry.get(name).outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+    assert.deepStrictEqual(errors, []);
+  });
+});
@@ -426,4 +426,96 @@ test('DealPipelineTracker - Deal Scoring with Financial Metrics', () => {
   assert(typeof metrics.breakeven_ratio === 'number', 'Should calculate breakeven ratio');
   assert(metrics.cap_rate > 0, 'Cap rate should be positive for profitable deal');
   assert(metrics.breakeven_ratio > 1, 'Should have positive cash flow (breakeven > 1)');
-});
\ No newline at end of file
+});
+
+function history(...transitions) {
+  return transitions.map(([stage, entered_at], i) => ({
+    stage,
+    entered_at,
+    exited_at: transitions[i + 1]?.[1] ?? null
+  }));
+}
+
+const historyDeals = [
+  {
+    deal_id: 'won-sfr', property_address: '1 A St', deal_type: 'single_family', current_stage: 'completed',
+    stage_history: history(
+      ['lead', '2024-01-05'], ['initial_analysis', '2024-01-10'], ['offer_submitted', '2024-01-12'],
+      ['under_contract', '2024-01-20'], ['due_diligence', '2024-02-01'], ['financing', '2024-02-10'],
+      ['closing', '2024-02-25'], ['completed', '2024-03-01']
+    )
+  },
+  {
+    deal_id: 'outbid-sfr', property_address: '2 B St', deal_type: 'single_family', current_stage: 'dead', dead_reason: 'outbid',
+    stage_history: history(['lead', '2024-01-15'], ['initial_analysis', '2024-01-18'], ['offer_submitted', '2024-01-22'], ['dead', '2024-02-05'])
+  },
+  {
+    deal_id: 'inspection-flip', property_address: '3 C St', deal_type: 'fix_flip', current_stage: 'dead', dead_reason: 'failed_inspection',
+    stage_history: history(['lead', '2024-02-03'], ['offer_submitted', '2024-02-04'], ['under_contract', '2024-02-10'], ['dead', '2024-02-20'])
+  },
+  {
+    deal_id: 'active-flip', property_address: '4 D St', deal_type: 'fix_flip', current_stage: 'initial_analysis',
+    stage_history: history(['lead', '2024-02-10'], ['initial_analysis', '2024-02-17'])
+  }
+];
+
+test('DealPipelineTracker - Funnel analytics from stage history', () => {
+  const tracker = new DealPipelineTracker();
+  const { funnel_analytics } = tracker.calculate({
+    deals: historyDeals,
+    analysis_options: { funnel_analytics: true }
+  });
+
+  assert.strictEqual(funnel_analytics.deals_with_history, 4);
+
+  // Cohort funnels by month of entry
+  const [january, february] = funnel_analytics.cohort_funnels;
+  assert.strictEqual(january.cohort, '2024-01');
+  assert.deepStrictEqual([january.deals, january.won, january.lost, january.win_rate], [2, 1, 1, 50]);
+  assert.strictEqual(january.funnel.find(f => f.stage === 'under_contract').reached, 1);
+  assert.strictEqual(february.funnel.find(f => f.stage === 'under_contract').percent_of_cohort, 50);
+  assert.strictEqual(february.win_rate, 0);
+
+  // Median time in stage uses closed stints only
+  const lead = funnel_analytics.time_in_stage.find(s => s.stage === 'lead');
+  assert.deepStrictEqual([lead.median_days, lead.average_days, lead.sample_size], [4, 4, 4]);
+  const analysis = funnel_analytics.time_in_stage.find(s => s.stage === 'initial_analysis');
+  assert.deepStrictEqual([analysis.median_days, analysis.sample_size, analysis.currently_in_stage], [3, 2, 1]);
+
+  // Win/loss reasons by deal type
+  const { single_family, fix_flip } = funnel_analytics.win_loss_by_deal_type;
+  assert.strictEqual(single_family.win_rate, 50);
+  assert.deepStrictEqual(single_family.loss_reasons, [{ reason: 'outbid', count: 1, percentage: 100 }]);
+  assert.deepStrictEqual([fix_flip.won, fix_flip.lost, fix_flip.active], [0, 1, 1]);
+  assert.strictEqual(fix_flip.loss_reasons[0].reason, 'failed_inspection');
+
+  // Monthly throughput
+  const { months, trend } = funnel_analytics.monthly_throughput;
+  assert.deepStrictEqual(months, [
+    { month: '2024-01', new_deals: 2, stage_advances: 5, won: 0, lost: 0 },
+    { month: '2024-02', new_deals: 2, stage_advances: 6, won: 0, lost: 2 },
+    { month: '2024-03', new_deals: 0, stage_advances: 1, won: 1, lost: 0 }
+  ]);
+  assert.strictEqual(trend, 'decreasing');
+});
+
+test('DealPipelineTracker - Drop-offs count deals that died at each stage', () => {
+  const tracker = new DealPipelineTracker();
+  const drop_offs = tracker.analyzeDropOffs([
+    { from_stage: 'offer_submitted', conversion_rate: 40 },
+    { from_stage: 'under_contract', conversion_rate: 30 }
+  ], historyDeals);
+
+  assert.deepStrictEqual(drop_offs.map(d => [d.stage, d.deals_lost, d.top_dead_reasons[0].reason]), [
+    ['offer_submitted', 1, 'outbid'],
+    ['under_contract', 1, 'failed_inspection']
+  ]);
+
+  const without_history = tracker.calculate({
+    deals: [{ deal_id: 'x', property_address: 'x', deal_type: 'land', current_stage: 'lead' }],
+    analysis_options: { funnel_analytics: true }
+  }).funnel_analytics;
+  assert.strictEqual(without_history.deals_with_history, 0);
+  assert.strictEqual(without_history.monthly_throughput.trend, 'insufficient_data');
+  assert.strictEqual(without_history.time_in_stage[0].median_days, null);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DealStore } from '../src/store/deal-store.js';
+import { DealPipelineTracker } from '../src/calculators/deal-pipeline.js';
+import { registry } from '../src/tools.js';
+
+function createStore(t, startDate = '2024-07-01T09:00:00.000Z') {
+  const dir = mkdtempSync(join(tmpdir(), 'realvest-deals-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  // Each call advances the clock by one day so transitions get distinct timestamps
+  let now = new Date(startDate);
+  const clock = () => {
+    const current = now;
+    now = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    return current;
+  };
+  return { dir, store: new DealStore({ filePath: join(dir, 'deals.json'), clock }) };
+}
+
+const duplex = {
+  deal_id: 'duplex-1',
+  property_address: '12 Elm St, Austin, TX',
+  deal_type: 'multi_family',
+  financial_projections: { purchase_price: 400000, down_payment: 80000, monthly_rent: 3600, monthly_expenses: 1100 }
+};
+
+test('DealStore - creates, updates, notes and deletes deals on disk', async (t) => {
+  const { dir, store } = createStore(t);
+
+  const created = await store.create(duplex);
+  assert.strictEqual(created.current_stage, 'lead');
+  assert.deepStrictEqual(created.stage_history, [{ stage: 'lead', entered_at: '2024-07-01T09:00:00.000Z', exited_at: null }]);
+  assert.strictEqual(created.timeline.date_discovered, '2024-07-01');
+
+  const generated = await store.create({ property_address: '9 Oak Ave', deal_type: 'fix_flip' });
+  assert.match(generated.deal_id, /^deal-[0-9a-f]{8}$/);
+  await assert.rejects(() => store.create(duplex), /Deal already exists: duplex-1/);
+
+  const updated = await store.update('duplex-1', { financial_projections: { monthly_rent: 3800 } });
+  assert.strictEqual(updated.financial_projections.monthly_rent, 3800);
+  assert.strictEqual(updated.financial_projections.purchase_price, 400000, 'Nested objects should merge');
+  await assert.rejects(() => store.update('duplex-1', { current_stage: 'closing' }), /use moveStage\(\)/);
+
+  await store.addNote('duplex-1', { note: 'Seller motivated', category: 'negotiation' });
+  await assert.rejects(() => store.addNote('duplex-1', { note: 'x', category: 'gossip' }), /Unknown note category/);
+
+  // A fresh store on the same file sees every change
+  const reloaded = await new DealStore({ filePath: join(dir, 'deals.json') }).get('duplex-1');
+  assert.strictEqual(reloaded.notes[0].note, 'Seller motivated');
+  assert.strictEqual(reloaded.financial_projections.monthly_rent, 3800);
+
+  await store.delete(generated.deal_id);
+  assert.deepStrictEqual((await store.list()).map(d => d.deal_id), ['duplex-1']);
+  await assert.rejects(() => store.get(generated.deal_id), /Deal not found/);
+
+  const onDisk = JSON.parse(readFileSync(join(dir, 'deals.json'), 'utf-8'));
+  assert.strictEqual(onDisk.version, 1);
+  assert.strictEqual(onDisk.deals.length, 1);
+});
+
+test('DealStore - stage moves close the previous stage and fill timeline dates', async (t) => {
+  const { store } = createStore(t);
+  await store.create(duplex);
+  await store.moveStage('duplex-1', 'offer_submitted');
+  const deal = await store.moveStage('duplex-1', 'under_contract', { note: 'Accepted at asking' });
+
+  assert.deepStrictEqual(deal.stage_history.map(e => [e.stage, e.entered_at.slice(0, 10), e.exited_at?.slice(0, 10) ?? null]), [
+    ['lead', '2024-07-01', '2024-07-02'],
+    ['offer_submitted', '2024-07-02', '2024-07-03'],
+    ['under_contract', '2024-07-03', null]
+  ]);
+  assert.strictEqual(deal.timeline.offer_date, '2024-07-02');
+  assert.strictEqual(deal.timeline.contract_date, '2024-07-03');
+  assert.deepStrictEqual(deal.notes.map(n => [n.category, n.note]), [['timeline', 'Accepted at asking']]);
+
+  await assert.rejects(() => store.moveStage('duplex-1', 'under_contract'), /already in stage under_contract/);
+  await assert.rejects(() => store.moveStage('duplex-1', 'sold'), /Unknown stage: sold/);
+  await assert.rejects(() => store.moveStage('duplex-1', 'closing', { dead_reason: 'outbid' }), /only applies/);
+
+  const dead = await store.moveStage('duplex-1', 'dead', { dead_reason: 'appraisal_gap' });
+  assert.strictEqual(dead.dead_reason, 'appraisal_gap');
+  const reopened = await store.moveStage('duplex-1', 'under_contract');
+  assert.strictEqual(reopened.dead_reason, undefined, 'Reopening should clear the dead reason');
+  assert.strictEqual(reopened.stage_history.length, 5);
+});
+
+test('DealStore - concurrent operations are applied in order', async (t) => {
+  const { store } = createStore(t);
+  await store.create(duplex);
+  await Promise.all([
+    store.addNote('duplex-1', { note: 'first' }),
+    store.addNote('duplex-1', { note: 'second' }),
+    store.moveStage('duplex-1', 'initial_analysis'),
+    store.addNote('duplex-1', { note: 'third' })
+  ]);
+  const deal = await store.get('duplex-1');
+  assert.deepStrictEqual(deal.notes.map(n => n.note), ['first', 'second', 'third']);
+  assert.strictEqual(deal.current_stage, 'initial_analysis');
+});
+
+test('DealPipelineTracker - uses recorded stage history', () => {
+  const tracker = new DealPipelineTracker();
+  const enteredAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+  const result = tracker.calculate({
+    deals: [
+      {
+        ...duplex,
+        current_stage: 'dead',
+        stage_history: [
+          { stage: 'lead', entered_at: '2024-07-01T00:00:00.000Z', exited_at: '2024-07-05T00:00:00.000Z' },
+          { stage: 'offer_submitted', entered_at: '2024-07-05T00:00:00.000Z', exited_at: enteredAt },
+          { stage: 'dead', entered_at: enteredAt, exited_at: null }
+        ]
+      },
+      { ...duplex, deal_id: 'duplex-2', current_stage: 'lead', stage_history: [{ stage: 'lead', entered_at: enteredAt, exited_at: null }] }
+    ],
+    analysis_options: { stage_conversion_rates: true }
+  });
+
+  assert.strictEqual(result.deals[0].days_in_stage, 10);
+  const [fromLead] = result.conversion_rates.stage_conversions;
+  assert.strictEqual(fromLead.deals_available, 2);
+  assert.strictEqual(fromLead.deals_converted, 1, 'Dead deal should count toward stages it reached');
+});
+
+test('track_deal_pipeline - analyzes the saved pipeline when deals are omitted', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'realvest-deals-'));
+  const previous = process.env.REALVEST_DATA_DIR;
+  process.env.REALVEST_DATA_DIR = dir;
+  t.after(() => {
+    if (previous === undefined) delete process.env.REALVEST_DATA_DIR;
+    else process.env.REALVEST_DATA_DIR = previous;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const { deal } = await registry.call('create_deal', duplex);
+  await registry.call('move_deal_stage', { deal_id: deal.deal_id, stage: 'initial_analysis' });
+  await registry.call('add_deal_note', { deal_id: deal.deal_id, note: 'Rent comps look solid', category: 'financial' });
+
+  const analysis = await registry.call('track_deal_pipeline', { analysis_options: { pipeline_analytics: true } });
+  assert.strictEqual(analysis.pipeline_summary.total_deals, 1);
+  assert.strictEqual(analysis.deals[0].current_stage, 'initial_analysis');
+  assert.strictEqual(analysis.deals[0].notes.length, 1);
+
+  await assert.rejects(
+    () => registry.call('update_deal', { deal_id: deal.deal_id, changes: { current_stage: 'closing' } }),
+    /changes\.current_stage is not a recognized property/
+  );
+
+  const { message } = await registry.call('delete_deal', { deal_id: deal.deal_id });
+  assert.strictEqual(message, 'Deleted deal duplex-1');
+  assert.strictEqual((await registry.call('track_deal_pipeline', {})).pipeline_summary.total_deals, 0);
+});
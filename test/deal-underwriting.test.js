@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { DealUnderwriter } from '../src/calculators/deal-underwriting.js';
+import { DSCRCalculator } from '../src/calculators/dscr.js';
+import { BreakevenCalculator } from '../src/calculators/breakeven.js';
+import { normalizeDeal, toBreakevenInput, toCOCRInput, toDSCRInput, toNPVInput } from '../src/models/property-deal.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+const duplex = {
+  property: { address: '12 Elm St', property_type: 'multi_family', units: 2, purchase_price: 400000, closing_costs: 8000 },
+  financing: { down_payment_percent: 25, interest_rate: 7, points_paid: 3000 },
+  income: { monthly_rent: 3600, other_monthly_income: 100 },
+  expenses: { property_tax: 400, insurance: 120, maintenance: 200, property_management: 300, utilities: 80, other: 20 },
+  taxpayer: { other_income: 120000, filing_status: 'married_filing_jointly' }
+};
+
+test('Property deal model - maps one description into each calculator shape', () => {
+  const deal = normalizeDeal(duplex);
+  assert.strictEqual(deal.financing.loan_amount, 300000);
+  assert.strictEqual(deal.total_cash_invested, 111000, 'Down payment, closing costs and points');
+  assert.strictEqual(deal.projection.length, 5);
+  assert.strictEqual(deal.property.land_value, 80000);
+
+  const cocr = toCOCRInput(deal);
+  assert.strictEqual(cocr.annual_rental_income, 44400);
+  assert.strictEqual(cocr.annual_expenses.maintenance, 2400);
+  assert.strictEqual(cocr.closing_costs, 11000);
+
+  const dscr = toDSCRInput(deal);
+  assert.strictEqual(dscr.property_expenses.maintenance_reserve, 200);
+  assert.strictEqual(dscr.loan_details.loan_amount, 300000);
+
+  const breakeven = toBreakevenInput(deal);
+  assert.strictEqual(breakeven.revenue_streams.monthly_rent_per_unit, 1800);
+  assert.strictEqual(breakeven.fixed_costs.mortgage_payment, deal.financing.monthly_payment);
+
+  const npv = toNPVInput(deal);
+  assert.strictEqual(npv.initial_investment, -111000);
+  assert.match(npv.cash_flows.at(-1).description, /sale proceeds/);
+
+  assert.throws(() => normalizeDeal({ ...duplex, financing: { down_payment_percent: 20 } }), /interest_rate is required/);
+});
+
+test('DealUnderwriter - calculators agree on the shared metrics', () => {
+  const report = new DealUnderwriter().calculate(duplex);
+
+  report.cross_checks.forEach(check => {
+    assert(check.consistent, `${check.metric} should agree across ${Object.keys(check.values).join(', ')}`);
+  });
+  const noi = report.cross_checks.find(c => c.metric === 'annual_noi');
+  assert.deepStrictEqual(Object.keys(noi.values), ['model', 'calculate_cocr', 'calculate_dscr', 'analyze_breakeven']);
+  assert(report.cross_checks.some(c => c.metric === 'first_year_mortgage_interest'));
+
+  assert.strictEqual(report.key_metrics.net_operating_income, 28740);
+  assert.strictEqual(report.key_metrics.dscr, 1.2);
+  assert.deepStrictEqual(report.verdict.failed_criteria, ['dscr', 'cash_on_cash_return']);
+  assert.strictEqual(report.verdict.recommendation, 'negotiate');
+  assert.deepStrictEqual(report.skipped, []);
+  assert.strictEqual(report.calculator_results, null);
+});
+
+test('DealUnderwriter - all-cash deals without a tax profile skip DSCR and tax benefits', () => {
+  const report = new DealUnderwriter().calculate({
+    property: { purchase_price: 250000 },
+    financing: { down_payment_percent: 100 },
+    income: { monthly_rent: 2200, vacancy_rate: 0 },
+    expenses: { property_tax: 250, insurance: 90 },
+    include_calculator_results: true
+  });
+
+  assert.deepStrictEqual(report.skipped.map(s => s.tool), ['calculate_dscr', 'calculate_tax_benefits']);
+  assert.strictEqual(report.key_metrics.dscr, null);
+  assert(!report.underwriting_criteria.some(c => c.criterion === 'dscr'));
+  assert.strictEqual(report.deal_summary.loan_amount, 0);
+  assert(report.calculator_results.calculate_cocr.return_metrics);
+  report.cross_checks.forEach(check => assert(check.consistent, `${check.metric} should agree`));
+});
+
+test('DSCR and breakeven honor explicit zero vacancy and maintenance rates', () => {
+  const dscr = new DSCRCalculator().calculate({
+    property_income: { monthly_rent: 2000, vacancy_rate: 0 },
+    loan_details: { loan_amount: 200000, interest_rate: 6 }
+  }, true);
+  assert.strictEqual(dscr.income_analysis.vacancy_loss, 0);
+
+  const breakeven = new BreakevenCalculator().calculate({
+    property_costs: { purchase_price: 200000, down_payment: 40000 },
+    fixed_costs: { property_tax: 200, other: 50 },
+    variable_costs: { vacancy_rate: 0, maintenance_percent: 0 },
+    revenue_streams: { monthly_rent_per_unit: 1500 }
+  });
+  assert.strictEqual(breakeven.current_performance.net_operating_income, 1250);
+});
+
+test('underwrite_deal - registered tool validates the model and matches its output schema', async () => {
+  const result = await registry.call('underwrite_deal', duplex);
+  const errors = validateSchema(registry.get('underwrite_deal').outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+  assert.deepStrictEqual(errors, []);
+
+  await assert.rejects(
+    () => registry.call('underwrite_deal', { property: { purchase_price: 400000 }, income: {} }),
+    /income\.monthly_rent/
+  );
+});
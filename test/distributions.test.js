@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  betaQuantile, choleskyFactor, correlate, fromStandardNormal, quantile, regularizedBeta, resolveDistribution
+} from '../src/distributions.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+const close = (actual, expected, tolerance) =>
+  assert(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+// Mean of a distribution by midpoint integration of its quantile function
+const quantileMean = (distribution, steps = 20000) => {
+  let sum = 0;
+  for (let i = 0; i < steps; i++) sum += quantile(distribution, (i + 0.5) / steps);
+  return sum / steps;
+};
+
+test('distributions - beta, PERT and lognormal quantiles', () => {
+  // I_x(2, 5) = 1 - (1 - x)^6 - 6x(1 - x)^5
+  close(regularizedBeta(0.3, 2, 5), 0.579825, 1e-6);
+  close(betaQuantile(0.579825, 2, 5), 0.3, 1e-6);
+  close(betaQuantile(0.5, 3, 3), 0.5, 1e-9);
+
+  const pert = resolveDistribution('operating_expenses', { type: 'pert', min: 12000, mode: 14000, max: 20000 });
+  close(quantileMean(pert), (12000 + 4 * 14000 + 20000) / 6, 5);
+
+  const lognormal = resolveDistribution('rental_income', { type: 'lognormal', mean: 2500, std_dev: 250 });
+  close(quantileMean(lognormal), 2500, 2);
+  assert(quantile(lognormal, 1e-9) > 0, 'Lognormal values stay positive');
+
+  const beta = resolveDistribution('vacancy_rate', { type: 'beta', alpha: 2, beta: 30, min: 0, max: 100 });
+  close(quantileMean(beta), 100 * 2 / 32, 0.01);
+});
+
+test('distributions - empirical resampling and parameter checks', () => {
+  const empirical = resolveDistribution('appreciation_rate', { type: 'empirical', values: [5, -3, 8, 1] });
+  assert.deepStrictEqual([0.1, 0.3, 0.6, 0.9].map(u => quantile(empirical, u)), [-3, 1, 5, 8]);
+  assert.strictEqual(fromStandardNormal(empirical, 10), 8);
+
+  const normal = resolveDistribution('rental_income', { type: 'normal', mean: 2000, std_dev: 0 });
+  assert.strictEqual(fromStandardNormal(normal, 2), 2000, 'A zero standard deviation is kept, not replaced by 10%');
+  const uniform = resolveDistribution('vacancy_rate', { type: 'uniform', mean: 5, min: 0, max: 10 });
+  assert.strictEqual(quantile(uniform, 0), 0, 'A zero minimum is kept');
+
+  assert.throws(() => resolveDistribution('rental_income', { type: 'lognormal', mean: -1 }), /rental_income: a lognormal distribution needs a positive mean/);
+  assert.throws(() => resolveDistribution('vacancy_rate', { type: 'beta', alpha: 2 }), /needs positive alpha and beta/);
+  assert.throws(() => resolveDistribution('operating_expenses', { type: 'pert', min: 10, mode: 30, max: 20 }), /min < max with the most likely value between them/);
+  assert.throws(() => resolveDistribution('appreciation_rate', { type: 'empirical', values: [] }), /needs the historical values/);
+  assert.throws(() => resolveDistribution('rental_income', { type: 'normal' }), /needs a mean/);
+});
+
+test('distributions - Cholesky factor reproduces the correlation matrix', () => {
+  const matrix = [[1, 0.6, -0.4], [0.6, 1, -0.3], [-0.4, -0.3, 1]];
+  const lower = choleskyFactor(matrix);
+  matrix.forEach((row, i) => row.forEach((value, j) => {
+    close(lower[i].reduce((sum, weight, k) => sum + weight * lower[j][k], 0), value, 1e-12);
+  }));
+  assert.deepStrictEqual(correlate(lower, [1, 0, 0]), [1, 0.6, -0.4]);
+
+  assert.deepStrictEqual(choleskyFactor([[1, 1], [1, 1]]), [[1, 0], [1, 0]], 'Perfect correlation is allowed');
+  assert.throws(() => choleskyFactor([[1, 0.9, 0.9], [0.9, 1, -0.9], [0.9, -0.9, 1]]), /not positive semi-definite/);
+  assert.throws(() => choleskyFactor([[1, 0.5], [0.4, 1]]), /must be symmetric/);
+  assert.throws(() => choleskyFactor([[1, 0.5], [0.5, 2]]), /diagonal must be 1/);
+});
+
+test('run_monte_carlo - correlated inputs, mixed distributions and discrete events', async () => {
+  const args = {
+    investment_parameters: { purchase_price: 300000, holding_period_years: 7 },
+    variable_distributions: {
+      rental_income: { type: 'lognormal', mean: 2500, std_dev: 250 },
+      operating_expenses: { type: 'pert', min: 12000, mode: 14000, max: 20000 },
+      vacancy_rate: { type: 'beta', alpha: 2, beta: 30, min: 0, max: 100 },
+      appreciation_rate: { type: 'normal', mean: 3, std_dev: 2 },
+      rent_growth: { type: 'normal', mean: 3, std_dev: 1.5 }
+    },
+    correlation_matrix: {
+      variables: ['rent_growth', 'appreciation_rate', 'vacancy_rate'],
+      matrix: [[1, 0.6, -0.4], [0.6, 1, -0.3], [-0.4, -0.3, 1]]
+    },
+    discrete_events: [{ name: 'Roof replacement', probability: 0.3, year: 4, cost: 15000 }],
+    simulation_settings: { num_simulations: 4000, random_seed: 11 }
+  };
+  const result = await registry.call('run_monte_carlo', args);
+  const errors = validateSchema(registry.get('run_monte_carlo').outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+  assert.deepStrictEqual(errors, []);
+
+  // Gaussian copula rank correlations sit just under the normal correlations: (6 / pi) asin(rho / 2)
+  const { target, sampled_rank_correlation: sampled } = result.input_analysis.correlation;
+  target.forEach((row, i) => row.forEach((rho, j) => {
+    close(sampled[i][j], 6 / Math.PI * Math.asin(rho / 2), 0.04);
+  }));
+
+  const [roof] = result.input_analysis.discrete_events;
+  assert.strictEqual(roof.name, 'Roof replacement');
+  close(roof.occurred_percent, 30, 3);
+  const ranked = result.correlations.sensitivity_ranking.map(entry => entry.variable);
+  assert(ranked.includes('rent_growth') && ranked.includes('event_costs'));
+  assert(result.correlations.correlation_matrix.total_return.event_costs < 0, 'The roof cost lowers returns');
+
+  const { correlation_matrix, discrete_events, ...independent } = args;
+  const uncorrelated = await registry.call('run_monte_carlo', independent);
+  assert.strictEqual(uncorrelated.input_analysis.correlation, null);
+  assert.deepStrictEqual(uncorrelated.input_analysis.discrete_events, []);
+});
+
+test('run_monte_carlo - rejects inconsistent correlation and event inputs', async () => {
+  const base = {
+    investment_parameters: { purchase_price: 300000, holding_period_years: 5 },
+    variable_distributions: {
+      rental_income: { type: 'normal', mean: 2500, std_dev: 200 },
+      operating_expenses: { type: 'normal', mean: 15000, std_dev: 2000 }
+    },
+    simulation_settings: { num_simulations: 100, random_seed: 1 }
+  };
+  const call = extra => registry.call('run_monte_carlo', { ...base, ...extra });
+
+  await assert.rejects(
+    call({ correlation_matrix: { variables: ['rental_income', 'appreciation_rate'], matrix: [[1, 0.5], [0.5, 1]] } }),
+    /includes appreciation_rate, which has no distribution/
+  );
+  await assert.rejects(
+    call({ correlation_matrix: { variables: ['rental_income', 'operating_expenses'], matrix: [[1, 0.5]] } }),
+    /2 variables but 1 rows/
+  );
+  await assert.rejects(
+    call({ discrete_events: [{ name: 'Boiler', probability: 0.2, year: 6, cost: 8000 }] }),
+    /"Boiler" falls in year 6, after the 5-year holding period/
+  );
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import { inflateRawSync } from 'zlib';
+import { toCSV } from '../src/export/csv.js';
+import { extractTables } from '../src/export/tables.js';
+import { columnName, toXLSX, uniqueSheetNames } from '../src/export/xlsx.js';
+import { crc32 } from '../src/export/zip.js';
+import { registry } from '../src/tools.js';
+
+function useDirs(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'realvest-export-'));
+  const previous = { data: process.env.REALVEST_DATA_DIR, output: process.env.REALVEST_OUTPUT_DIR };
+  process.env.REALVEST_DATA_DIR = join(dir, 'data');
+  process.env.REALVEST_OUTPUT_DIR = join(dir, 'exports');
+  t.after(() => {
+    if (previous.data === undefined) delete process.env.REALVEST_DATA_DIR;
+    else process.env.REALVEST_DATA_DIR = previous.data;
+    if (previous.output === undefined) delete process.env.REALVEST_OUTPUT_DIR;
+    else process.env.REALVEST_OUTPUT_DIR = previous.output;
+    rmSync(dir, { recursive: true, force: true });
+  });
+  return join(dir, 'exports');
+}
+
+// Reads the local file entries of a zip archive back into { name: text }
+function readZip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf-8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    const content = inflateRawSync(buffer.subarray(start, start + compressedSize));
+    assert.strictEqual(crc32(content), buffer.readUInt32LE(offset + 14), `${name} checksum`);
+    files[name] = content.toString('utf-8');
+    offset = start + compressedSize;
+  }
+  return files;
+}
+
+const sellerFinancing = {
+  property_details: { property_value: 300000, property_type: 'single_family', monthly_rent: 2500, operating_expenses: 800 },
+  seller_financing_terms: {
+    down_payment: 60000, seller_note_amount: 240000, interest_rate: 7, loan_term_years: 30, payment_type: 'fully_amortizing'
+  }
+};
+
+test('Export helpers - CSV quoting, checksums and sheet naming', () => {
+  assert.strictEqual(
+    toCSV({ columns: ['name', 'note'], rows: [{ name: 'A, "B"', note: 'line\nbreak' }, { name: 'C', note: null }] }),
+    'name,note\r\n"A, ""B""","line\nbreak"\r\nC,\r\n'
+  );
+  assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.deepStrictEqual([0, 25, 26, 701, 702].map(columnName), ['A', 'Z', 'AA', 'ZZ', 'AAA']);
+  assert.deepStrictEqual(
+    uniqueSheetNames(['best_options.lowest_monthly_payment.savings', 'best_options.lowest_monthly_payment.other', 'a/b']),
+    ['best_options.lowest_monthly_pay', 'best_options.lowest_monthly (2)', 'a b']
+  );
+});
+
+test('Export tables - summary metrics, record lists and rebuilt loan amortization', () => {
+  const tables = extractTables('compare_loans', {
+    loan_details: [
+      { loan_name: '30yr', loan_amount: 300000, interest_rate: 6, loan_term_years: 30, pmi_details: { has_pmi: false } }
+    ],
+    best_options: { lowest_monthly_payment: { loan_name: '30yr', value: 1798.65 } },
+    notes: ['a', 'b']
+  });
+
+  assert.deepStrictEqual(tables.map(t => t.name), ['Summary', 'loan_details', 'Amortization 30yr']);
+  assert.deepStrictEqual(tables[0].rows, [
+    { metric: 'best_options.lowest_monthly_payment.loan_name', value: '30yr' },
+    { metric: 'best_options.lowest_monthly_payment.value', value: 1798.65 },
+    { metric: 'notes', value: 'a; b' }
+  ]);
+  assert(tables[1].columns.includes('pmi_details.has_pmi'));
+
+  const amortization = tables[2].rows;
+  assert.strictEqual(amortization.length, 360);
+  assert.deepStrictEqual(amortization[0], { month: 1, payment: 1798.65, principal: 298.65, interest: 1500, balance: 299701.35 });
+  assert.strictEqual(amortization.at(-1).balance, 0);
+});
+
+test('XLSX export - one sheet per table with typed cells', () => {
+  const files = readZip(toXLSX([
+    { name: 'Summary', columns: ['metric', 'value'], rows: [{ metric: 'a & b', value: 1.5 }, { metric: 'ok', value: true }] },
+    { name: 'Schedule', columns: ['month'], rows: [{ month: 1 }] }
+  ]));
+
+  assert.deepStrictEqual(Object.keys(files), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml',
+    'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml'
+  ]);
+  assert.match(files['xl/workbook.xml'], /<sheet name="Summary" sheetId="1" r:id="rId1"\/><sheet name="Schedule"/);
+  assert.match(files['xl/worksheets/sheet1.xml'], /<c r="A2" t="inlineStr"><is><t xml:space="preserve">a &amp; b<\/t><\/is><\/c><c r="B2"><v>1.5<\/v><\/c>/);
+  assert.match(files['xl/worksheets/sheet1.xml'], /<c r="B3" t="b"><v>1<\/v><\/c>/);
+});
+
+test('export_result - writes CSV, XLSX and Markdown for a payment schedule', async (t) => {
+  const outputDir = useDirs(t);
+  const result = await registry.call('export_result', {
+    tool: 'analyze_seller_financing',
+    arguments: sellerFinancing,
+    file_name: 'Elm St / seller note',
+    title: 'Elm St seller financing'
+  });
+
+  assert.strictEqual(result.output_dir, outputDir);
+  const schedule = result.files.find(f => f.table === 'financing_metrics.payment_schedule');
+  assert.strictEqual(basename(schedule.path), 'elm-st-seller-note-financing-metrics-payment-schedule.csv');
+  assert.match(readFileSync(schedule.path, 'utf-8'), /^period,payment,principal,interest,balance\r\n/);
+
+  const xlsx = result.files.find(f => f.format === 'xlsx');
+  const sheets = readZip(readFileSync(xlsx.path));
+  assert.strictEqual(Object.keys(sheets).filter(name => name.startsWith('xl/worksheets/')).length, result.tables.length);
+
+  const memo = readFileSync(result.files.find(f => f.format === 'markdown').path, 'utf-8');
+  assert.match(memo, /^# Elm St seller financing/);
+  assert.match(memo, /\| seller_financing_terms\.interest_rate \| 7 \|/);
+  assert.match(memo, /## Financing Metrics \/ Payment Schedule/);
+});
+
+test('export_result - exports saved scenarios and rejects bad requests', async (t) => {
+  useDirs(t);
+  await registry.call('save_scenario', { name: 'Seller note', tool: 'analyze_seller_financing', arguments: sellerFinancing });
+
+  const result = await registry.call('export_result', {
+    scenario: { name: 'Seller note' },
+    formats: ['markdown', 'csv'],
+    tables: ['Summary']
+  });
+  assert.deepStrictEqual(result.files.map(f => f.format), ['markdown', 'csv']);
+  assert.match(basename(result.files[0].path), /^analyze_seller_financing-\d{8}-\d{6}\.md$/);
+  assert.match(readFileSync(result.files[0].path, 'utf-8'), /^# Seller note \(v1\)/);
+
+  await assert.rejects(() => registry.call('export_result', {}), /either tool and arguments or a saved scenario/);
+  await assert.rejects(
+    () => registry.call('export_result', { tool: 'list_scenarios', arguments: {} }),
+    /not a calculator tool/
+  );
+  await assert.rejects(
+    () => registry.call('export_result', { scenario: { name: 'Seller note' }, tables: ['missing'] }),
+    /Unknown table missing; available tables: Summary/
+  );
+  await assert.rejects(
+    () => registry.call('export_result', { tool: 'analyze_seller_financing', arguments: sellerFinancing, formats: ['pdf'] }),
+    /formats\[0\]/
+  );
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { IRR_STATUS, countSignChanges, modifiedIRR, presentValue, solveIRR, yearFraction } from '../src/financial-math.js';
+import { IRRCalculator } from '../src/calculators/irr.js';
+import { NPVCalculator } from '../src/calculators/npv.js';
+import { JointVentureCalculator } from '../src/calculators/joint-venture.js';
+import { monteCarloCharts } from '../src/charts/tool-charts.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+const round = (value, digits = 4) => parseFloat(value.toFixed(digits));
+
+test('solveIRR - conventional cash flows have one IRR', () => {
+  const result = solveIRR([-70000, 12000, 15000, 18000, 21000, 26000]);
+  assert.strictEqual(result.status, IRR_STATUS.UNIQUE);
+  assert.strictEqual(result.sign_changes, 1);
+  assert.strictEqual(round(result.irr), 0.0866);
+  assert.deepStrictEqual(result.irrs, [result.irr]);
+  assert.strictEqual(result.message, null);
+  assert(Math.abs(presentValue([-70000, 12000, 15000, 18000, 21000, 26000], result.irr)) < 1e-4);
+
+  // Losing investments still solve
+  assert.strictEqual(round(solveIRR([-1000, 100, 100]).irr), -0.6298);
+});
+
+test('solveIRR - non-conventional cash flows report every IRR and no unique answer', () => {
+  // The classic mine problem: NPV is zero at both 25% and 400%
+  const multiple = solveIRR([-1600, 10000, -10000]);
+  assert.strictEqual(multiple.status, IRR_STATUS.MULTIPLE);
+  assert.strictEqual(multiple.irr, null);
+  assert.deepStrictEqual(multiple.irrs.map(rate => round(rate, 6)), [0.25, 4]);
+  assert.match(multiple.message, /No unique IRR: the cash flows change sign 2 times and NPV is zero at 25.00%, 400.00%/);
+
+  // Two sign changes with a single root in range is still unique
+  const refinanced = solveIRR([-100000, 8000, 60000, 8000, -20000, 90000]);
+  assert.strictEqual(countSignChanges([-100000, 8000, 60000, 8000, -20000, 90000]), 3);
+  assert.strictEqual(refinanced.status, IRR_STATUS.UNIQUE);
+  assert(Math.abs(presentValue([-100000, 8000, 60000, 8000, -20000, 90000], refinanced.irr)) < 1e-4);
+
+  const none = solveIRR([-100, 250, -170]);
+  assert.strictEqual(none.status, IRR_STATUS.NONE);
+  assert.strictEqual(none.irr, null);
+  assert.deepStrictEqual(none.irrs, []);
+
+  const noSignChange = solveIRR([100, 0, 200]);
+  assert.strictEqual(noSignChange.status, IRR_STATUS.NO_SIGN_CHANGE);
+  assert.strictEqual(noSignChange.sign_changes, 0);
+});
+
+test('solveIRR and modifiedIRR - fractional times', () => {
+  const times = ['2008-01-01', '2008-03-01', '2008-10-30', '2009-02-15', '2009-04-01'].map(date => yearFraction('2008-01-01', date));
+  assert.strictEqual(round(solveIRR([-10000, 2750, 4250, 3250, 2750], { times }).irr), 0.3734);
+
+  // Monthly flows solved on year fractions give the effective annual rate
+  const monthly = [-1000, ...Array(12).fill(90)];
+  const annual = solveIRR(monthly, { times: monthly.map((_, i) => i / 12) }).irr;
+  const periodic = solveIRR(monthly).irr;
+  assert(Math.abs(annual - (Math.pow(1 + periodic, 12) - 1)) < 1e-8);
+
+  assert.strictEqual(round(modifiedIRR([-120000, 39000, 30000, 21000, 37000, 46000], 0.10, 0.12)), 0.1261);
+  assert.strictEqual(modifiedIRR([-1000, -500], 0.1, 0.1), null);
+});
+
+test('IRR and NPV calculators - report no unique IRR instead of a misleading rate', () => {
+  const irr = new IRRCalculator().calculate({
+    initial_investment: 1600,
+    annual_cash_flows: [10000, 0],
+    projected_sale_price: 0,
+    loan_balance_at_sale: 10000
+  });
+  assert.strictEqual(irr.irr_analysis.irr_status, 'multiple');
+  assert.strictEqual(irr.irr_analysis.irr_percentage, null);
+  assert.deepStrictEqual(irr.irr_analysis.all_irr_percentages, [25, 400]);
+  assert.strictEqual(irr.irr_analysis.meets_target, null);
+  assert.strictEqual(irr.performance_rating.rating, 'Not Meaningful');
+  assert.strictEqual(irr.npv_analysis.break_even_rate, null);
+  assert.match(irr.recommendations[0].message, /No unique IRR/);
+  assert(irr.irr_analysis.mirr_percentage !== null, 'The modified IRR is always defined');
+
+  const npv = new NPVCalculator().calculate({
+    initial_investment: -1600,
+    cash_flows: [{ period: 1, amount: 10000 }, { period: 2, amount: -10000 }],
+    discount_rate: 10
+  });
+  assert.strictEqual(npv.investment_metrics.irr, null);
+  assert.strictEqual(npv.investment_metrics.irr_status, 'multiple');
+  assert.deepStrictEqual(npv.investment_metrics.all_irrs, [25, 400]);
+  const criterion = npv.decision_criteria.criteria.find(c => c.criterion === 'IRR');
+  assert.deepStrictEqual([criterion.value, criterion.decision], ['No unique IRR', 'Caution']);
+});
+
+test('run_monte_carlo - reports no IRR statistics when no run has a unique IRR', async () => {
+  // All cash, expenses far above rent and a negative exit NOI: every cash flow is negative
+  const result = await registry.call('run_monte_carlo', {
+    investment_parameters: { purchase_price: 200000, down_payment_percent: 100, holding_period_years: 3 },
+    variable_distributions: {
+      rental_income: { type: 'normal', mean: 500, std_dev: 50 },
+      operating_expenses: { type: 'normal', mean: 30000, std_dev: 1000 }
+    },
+    simulation_settings: { num_simulations: 200, random_seed: 3 }
+  });
+  const errors = validateSchema(registry.get('run_monte_carlo').outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+  assert.deepStrictEqual(errors, []);
+
+  assert.strictEqual(result.summary_statistics.irr, null);
+  assert.strictEqual(result.distributions.irr, null);
+  assert.strictEqual(result.risk_metrics.irr, null);
+  assert.strictEqual(result.confidence_intervals.irr, null);
+  assert(result.summary_statistics.total_return.mean < -100);
+  assert.match(result.recommendations[0].message, /No unique IRR/);
+  assert(!result.recommendations.some(r => r.type === 'Downside Risk' || r.type === 'Volatility'));
+  assert(!monteCarloCharts(result).some(chart => chart.name === 'histogram-irr'));
+});
+
+test('JointVentureCalculator - project IRR solves the monthly cash flows', () => {
+  const calc = new JointVentureCalculator();
+  const { summary, monthly_projections: months } = calc.projectCashFlows(
+    { total_investment: 300000, expected_profit: 90000, project_duration_months: 12 },
+    [],
+    {}
+  );
+  const flows = months.map(month => month.net_cash_flow);
+  const rate = summary.project_irr / 100;
+  assert(Math.abs(presentValue(flows, rate, flows.map((_, i) => i / 12))) < flows[11] * 0.001);
+  assert(summary.project_irr > 30, 'A 30% profit over ten months annualizes above 30%');
+});
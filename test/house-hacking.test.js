@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { HouseHackingCalculator } from '../src/calculators/house-hacking.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+const duplex = {
+  purchase_price: 400000,
+  units: [
+    { label: 'Owner unit', monthly_rent: 1800, owner_occupied: true },
+    { label: 'Unit 2', monthly_rent: 1800 }
+  ],
+  interest_rate: 6.5,
+  current_rent: 2000
+};
+
+test('HouseHackingCalculator - FHA duplex financing, housing cost and savings', () => {
+  const result = new HouseHackingCalculator().evaluate(duplex);
+  const { financing, monthly_costs } = result;
+
+  // 3.5% down, 1.75% upfront MIP financed, 0.55% annual MIP for the life of the loan
+  assert.strictEqual(financing.down_payment, 14000);
+  assert.strictEqual(financing.base_loan_amount, 386000);
+  assert.strictEqual(financing.upfront_mip, 6755);
+  assert.strictEqual(financing.loan_amount, 392755);
+  assert.strictEqual(financing.monthly_mortgage_insurance, Math.round(386000 * 0.0055 / 12 * 100) / 100);
+  assert.strictEqual(financing.mortgage_insurance_months, null);
+  assert.strictEqual(financing.cash_to_close, 14000 + 12000);
+
+  assert.strictEqual(monthly_costs.property_tax, 400);
+  assert.strictEqual(monthly_costs.maintenance, 180);
+  assert.strictEqual(monthly_costs.capex, 180);
+  assert.strictEqual(monthly_costs.management, 0);
+  assert.strictEqual(result.gross_housing_cost, monthly_costs.total);
+
+  assert.strictEqual(result.rental_income, 1710);
+  assert.strictEqual(result.net_housing_cost, Math.round((result.gross_housing_cost - 1710) * 100) / 100);
+  assert.strictEqual(result.monthly_savings, Math.round((2000 - result.net_housing_cost) * 100) / 100);
+  assert(result.vs_renting.effective_cost_after_principal < result.net_housing_cost);
+  assert.strictEqual(result.fha_self_sufficiency, null, 'The self-sufficiency test only applies to 3-4 units');
+});
+
+test('HouseHackingCalculator - conventional PMI ends at 78% LTV', () => {
+  const calculator = new HouseHackingCalculator();
+  const fivePercent = calculator.evaluate({ ...duplex, loan_type: 'conventional' });
+  assert.strictEqual(fivePercent.financing.down_payment_percent, 5);
+  assert.strictEqual(fivePercent.financing.upfront_mip, 0);
+  assert.strictEqual(fivePercent.financing.mortgage_insurance_rate, 0.75);
+  assert(fivePercent.financing.mortgage_insurance_months > 100 && fivePercent.financing.mortgage_insurance_months < 360);
+
+  const twentyPercent = calculator.evaluate({ ...duplex, loan_type: 'conventional', down_payment: 80000 });
+  assert.strictEqual(twentyPercent.financing.monthly_mortgage_insurance, 0);
+  assert(twentyPercent.net_housing_cost < fivePercent.net_housing_cost);
+
+  const fhaTenPercent = calculator.evaluate({ ...duplex, down_payment: 40000 });
+  assert.strictEqual(fhaTenPercent.financing.mortgage_insurance_months, 132);
+});
+
+test('HouseHackingCalculator - year one returns and move-out projection', () => {
+  const result = new HouseHackingCalculator().evaluate({
+    ...duplex,
+    move_out: { after_years: 2, rent_growth: 5, appreciation: 4, management_rate: 10 }
+  });
+  const { year_one_returns: yearOne, move_out: moveOut } = result;
+
+  assert.strictEqual(yearOne.housing_savings, result.annual_savings);
+  assert.strictEqual(yearOne.appreciation, 16000);
+  assert(Math.abs(yearOne.total_return - (yearOne.housing_savings + yearOne.principal_paydown + yearOne.appreciation)) < 0.02);
+  assert.strictEqual(yearOne.total_roi, Math.round(yearOne.total_return / yearOne.cash_invested * 10000) / 100);
+
+  // Year 3 is the first fully rented year: both units at market rent grown 5% twice
+  assert.strictEqual(moveOut.year, 3);
+  assert.strictEqual(moveOut.gross_monthly_rent, 3600 * 1.05 * 1.05);
+  const collected = 3969 * 0.95;
+  const expenses = 400 + 400000 * 0.005 / 12 + 3969 * 0.10 + collected * 0.10;
+  assert(Math.abs(moveOut.net_operating_income - (collected - expenses) * 12) < 0.05);
+  assert(Math.abs(moveOut.annual_cash_flow - (moveOut.net_operating_income - moveOut.annual_debt_service)) < 0.02);
+  assert.strictEqual(moveOut.cash_on_cash_return, Math.round(moveOut.annual_cash_flow / yearOne.cash_invested * 10000) / 100);
+  assert.strictEqual(moveOut.property_value, Math.round(400000 * Math.pow(1.04, 3) * 100) / 100);
+  assert(Math.abs(moveOut.equity - (moveOut.property_value - moveOut.loan_balance)) < 0.02);
+});
+
+test('HouseHackingCalculator - fourplex self-sufficiency and recommendations', () => {
+  const calculator = new HouseHackingCalculator();
+  const fourplex = {
+    purchase_price: 800000,
+    units: [{ monthly_rent: 1500 }, { monthly_rent: 1500 }, { monthly_rent: 1500 }, { monthly_rent: 1500 }],
+    interest_rate: 7
+  };
+
+  const fha = calculator.evaluate(fourplex);
+  assert.strictEqual(fha.units[0].owner_occupied, true, 'The first unit is the owner\'s by default');
+  assert.strictEqual(fha.rental_income, 4500 * 0.95);
+  assert.strictEqual(fha.fha_self_sufficiency.net_self_sufficiency_rent, 4500);
+  assert.strictEqual(fha.fha_self_sufficiency.passes, false);
+  assert(fha.recommendations.some(r => r.startsWith('Fails the FHA self-sufficiency test')));
+  assert(fha.recommendations.some(r => r.includes('life of the loan')));
+  assert(fha.recommendations.some(r => r.includes('loses')), 'Fully rented, the fourplex runs negative');
+
+  const lowDown = calculator.evaluate({ ...fourplex, loan_type: 'conventional', down_payment: 20000 });
+  assert.match(lowDown.recommendations[0], /CONVENTIONAL loans need at least 5% down on an owner-occupied 4-unit/);
+
+  assert.throws(() => calculator.evaluate({ purchase_price: 300000 }), /Provide units/);
+  assert.throws(
+    () => calculator.evaluate({ purchase_price: 300000, units: [{ monthly_rent: 1000, owner_occupied: true }, { monthly_rent: 1000, owner_occupied: true }] }),
+    /Only one unit can be owner-occupied/
+  );
+});
+
+test('evaluate_house_hack - duplex shorthand and output schema', async () => {
+  await assert.rejects(() => registry.call('evaluate_house_hack', { ...duplex, units: duplex.units.slice(0, 1) }), /item count >= 2/);
+
+  const result = await registry.call('evaluate_house_hack', { purchase_price: 385000, down_payment: 13475, monthly_rent_unit2: 1800 });
+  assert.deepStrictEqual(result.units.map(unit => [unit.monthly_rent, unit.owner_occupied]), [[1800, true], [1800, false]]);
+  assert.strictEqual(result.vs_renting.current_rent, 1800);
+  const errors = validateSchema(registry.get('evaluate_house_hack').outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+  assert.deepStrictEqual(errors, []);
+});
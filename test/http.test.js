@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { request } from 'node:http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { startHttpServer } from '../src/http.js';
+import { registry } from '../src/tools.js';
+import { parseServerOptions, DEFAULT_OPTIONS } from '../src/options.js';
+
+async function connect(url, headers = {}) {
+  const client = new Client({ name: 'http-test', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(new URL(url), { requestInit: { headers } }));
+  return client;
+}
+
+// fetch won't let a caller override Host, so send the raw request
+function post(url, headers) {
+  return new Promise((resolve, reject) => {
+    const req = request(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers } }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }));
+  });
+}
+
+test('parseServerOptions - stdio is the default', () => {
+  assert.deepStrictEqual(parseServerOptions([], {}), DEFAULT_OPTIONS);
+});
+
+test('parseServerOptions - flags override environment variables', () => {
+  const env = { REALVEST_TRANSPORT: 'http', REALVEST_PORT: '8080', REALVEST_HOST: '0.0.0.0', REALVEST_AUTH_TOKEN: 'secret' };
+  assert.deepStrictEqual(parseServerOptions([], env), { transport: 'http', port: 8080, host: '0.0.0.0', authToken: 'secret', allowedHosts: null });
+  assert.deepStrictEqual(parseServerOptions([], { ...env, REALVEST_ALLOWED_HOSTS: 'mcp.example.com, 10.0.0.5' }).allowedHosts, ['mcp.example.com', '10.0.0.5']);
+  assert.deepStrictEqual(parseServerOptions(['--allowed-hosts', 'mcp.internal'], env).allowedHosts, ['mcp.internal']);
+
+  const options = parseServerOptions(['--http', '--port', '9000', '--host=localhost'], env);
+  assert.strictEqual(options.port, 9000);
+  assert.strictEqual(options.host, 'localhost');
+  assert.strictEqual(parseServerOptions(['--transport', 'stdio'], env).transport, 'stdio');
+
+  assert.throws(() => parseServerOptions(['--transport', 'ws']), /Unknown transport "ws"/);
+  assert.throws(() => parseServerOptions(['--port', 'abc']), /Invalid port "abc"/);
+  assert.throws(() => parseServerOptions(['--port']), /Missing value for --port/);
+});
+
+test('startHttpServer - health endpoint and per-session servers', async () => {
+  const host = await startHttpServer({ port: 0 });
+  try {
+    const health = await fetch(new URL('/health', host.url)).then(r => r.json());
+    assert.strictEqual(health.status, 'ok');
+    assert.strictEqual(health.tools, registry.names().length);
+    assert.strictEqual(health.sessions, 0);
+
+    const first = await connect(host.url);
+    const second = await connect(host.url);
+    assert.strictEqual(host.sessions.size, 2);
+    assert.notStrictEqual(first.transport.sessionId, second.transport.sessionId);
+
+    const { tools } = await first.listTools();
+    assert.strictEqual(tools.length, registry.names().length);
+
+    const result = await second.callTool({ name: 'calculate_cocr', arguments: { purchase_price: 200000, down_payment: 50000, annual_rental_income: 24000 } });
+    assert(!result.isError);
+    assert(result.structuredContent);
+
+    await first.transport.terminateSession();
+    await first.close();
+    assert.strictEqual(host.sessions.size, 1);
+    await second.close();
+  } finally {
+    await host.close();
+  }
+});
+
+test('startHttpServer - rejects requests without a session or valid token', async () => {
+  const host = await startHttpServer({ port: 0, authToken: 'team-token' });
+  try {
+    const health = await fetch(new URL('/health', host.url));
+    assert.strictEqual(health.status, 200, 'Health checks do not require a token');
+
+    const unauthorized = await fetch(host.url, { method: 'POST', body: '{}' });
+    assert.strictEqual(unauthorized.status, 401);
+    assert.match(unauthorized.headers.get('www-authenticate'), /^Bearer/);
+    await assert.rejects(() => connect(host.url, { Authorization: 'Bearer wrong' }));
+
+    const client = await connect(host.url, { Authorization: 'Bearer team-token' });
+    const { prompts } = await client.listPrompts();
+    assert(prompts.length > 0);
+    await client.close();
+
+    const noSession = await fetch(host.url, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer team-token', 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    assert.strictEqual(noSession.status, 400);
+
+    const unknownSession = await fetch(host.url, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer team-token', 'Mcp-Session-Id': 'missing', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    assert.strictEqual(unknownSession.status, 404);
+  } finally {
+    await host.close();
+  }
+});
+
+test('startHttpServer - rejects foreign Host and Origin headers', async () => {
+  const host = await startHttpServer({ port: 0 });
+  const { port } = host.httpServer.address();
+  try {
+    assert.strictEqual(await post(host.url, { Host: `attacker.example:${port}` }), 403, 'A rebound DNS name is refused');
+    assert.strictEqual(await post(host.url, { Origin: 'https://attacker.example' }), 403, 'A cross-site browser page is refused');
+    assert.strictEqual(await post(host.url, { Host: `localhost:${port}`, Origin: `http://localhost:${port}` }), 400, 'Loopback names reach the session check');
+    assert.strictEqual(await post(host.url, {}), 400);
+  } finally {
+    await host.close();
+  }
+
+  const shared = await startHttpServer({ port: 0, host: '0.0.0.0', allowedHosts: ['mcp.example.com'] });
+  try {
+    const url = `http://127.0.0.1:${shared.httpServer.address().port}/mcp`;
+    assert.strictEqual(await post(url, { Host: 'mcp.example.com' }), 400);
+    assert.strictEqual(await post(url, { Host: 'other.example.com' }), 403);
+  } finally {
+    await shared.close();
+  }
+});
+
+test('startHttpServer - caps open sessions and closes idle ones', async () => {
+  const host = await startHttpServer({ port: 0, maxSessions: 1, sessionIdleMs: 100 });
+  try {
+    const first = await connect(host.url);
+    await assert.rejects(() => connect(host.url), /Too many open sessions \(limit 1\)/);
+    assert.strictEqual(host.sessions.size, 1);
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    assert.strictEqual(host.sessions.size, 0, 'The idle session is swept');
+    await assert.rejects(() => first.listTools(), /Session not found/);
+
+    const second = await connect(host.url);
+    assert.strictEqual(host.sessions.size, 1);
+    await second.close();
+    await first.close();
+  } finally {
+    await host.close();
+  }
+});
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import { inflateSync } from 'zlib';
+import { PdfDocument, wrapText } from '../src/export/pdf.js';
+import { registry } from '../src/tools.js';
+
+function useDirs(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'realvest-memo-'));
+  const previous = { data: process.env.REALVEST_DATA_DIR, output: process.env.REALVEST_OUTPUT_DIR };
+  process.env.REALVEST_DATA_DIR = join(dir, 'data');
+  process.env.REALVEST_OUTPUT_DIR = join(dir, 'exports');
+  t.after(() => {
+    if (previous.data === undefined) delete process.env.REALVEST_DATA_DIR;
+    else process.env.REALVEST_DATA_DIR = previous.data;
+    if (previous.output === undefined) delete process.env.REALVEST_OUTPUT_DIR;
+    else process.env.REALVEST_OUTPUT_DIR = previous.output;
+    rmSync(dir, { recursive: true, force: true });
+  });
+  return join(dir, 'exports');
+}
+
+// Checks the cross-reference table and returns the page count and the text drawn on each page
+function readPdf(buffer) {
+  const pdf = buffer.toString('latin1');
+  assert(pdf.startsWith('%PDF-1.4\n'));
+  assert(pdf.endsWith('%%EOF\n'));
+
+  const xref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  assert(pdf.startsWith('xref\n', xref), 'startxref should point at the xref table');
+  const offsets = [...pdf.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+  offsets.forEach((offset, i) => assert(pdf.startsWith(`${i + 1} 0 obj\n`, offset), `object ${i + 1} offset`));
+
+  const pages = [...pdf.matchAll(/\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g)].map(match => {
+    const start = match.index + match[0].length;
+    const length = Number(match[1]);
+    assert.strictEqual(pdf.slice(start + length, start + length + 10), '\nendstream');
+    const content = inflateSync(buffer.subarray(start, start + length)).toString('latin1');
+    return [...content.matchAll(/\((.*?)\) Tj/g)].map(text => text[1].replace(/\\(.)/g, '$1')).join('\n');
+  });
+  assert.strictEqual(Number(pdf.match(/\/Count (\d+)/)[1]), pages.length);
+  return pages;
+}
+
+const fixFlip = {
+  purchase_price: 150000,
+  rehab_budget: 50000,
+  after_repair_value: 280000,
+  holding_period_months: 6,
+  financing_type: 'hard_money',
+  interest_rate: 12,
+  monthly_holding_costs: 800
+};
+
+const dscr = {
+  property_income: { monthly_rent: 3000, vacancy_rate: 5 },
+  property_expenses: { property_tax: 300, insurance: 150, maintenance_reserve: 200 },
+  loan_details: { loan_amount: 250000, interest_rate: 6.75, loan_term_years: 30 }
+};
+
+const sensitivity = {
+  base_scenario: {
+    purchase_price: 300000,
+    annual_rental_income: 36000,
+    annual_expenses: 12000,
+    down_payment_percent: 20,
+    interest_rate: 7,
+    vacancy_rate: 5
+  },
+  sensitivity_variables: [
+    { variable: 'purchase_price', variations: [-10, 0, 10] },
+    { variable: 'rental_income', variations: [-10, 0, 10] }
+  ],
+  analysis_metrics: ['irr', 'cash_on_cash']
+};
+
+test('PDF writer - wraps text, escapes strings and repeats table headers across pages', () => {
+  assert.deepStrictEqual(wrapText('one two three', 40, 10), ['one two', 'three']);
+  assert.deepStrictEqual(wrapText('abcdefghij', 20, 10), ['abc', 'defg', 'hij']);
+
+  const pdf = new PdfDocument({ title: 'Test (draft)', footer: 'Footer' });
+  pdf.title('Rent \\ (gross)');
+  pdf.table(
+    [{ key: 'month', label: 'Month', align: 'right' }, { key: 'note', label: 'Note' }],
+    Array.from({ length: 80 }, (_, i) => ({ month: String(i + 1), note: `Row ${i + 1}` }))
+  );
+
+  const pages = readPdf(pdf.toBuffer());
+  assert.strictEqual(pages.length, pdf.pageCount);
+  assert(pages.length > 1, 'A long table should span pages');
+  assert(pages[0].startsWith('Rent \\ (gross)\nMonth\nNote\n1\nRow 1'));
+  pages.forEach((page, i) => {
+    assert(page.includes('Month\nNote'), `page ${i + 1} should repeat the table header`);
+    assert(page.endsWith(`Footer\nPage ${i + 1} of ${pages.length}`));
+  });
+  assert(pages.at(-1).includes('Row 80'));
+});
+
+test('generate_investment_memo - renders metrics, tables, recommendations and risks', async (t) => {
+  const outputDir = useDirs(t);
+  await registry.call('save_scenario', { name: 'Elm sensitivity', tool: 'analyze_sensitivity', arguments: sensitivity });
+
+  const result = await registry.call('generate_investment_memo', {
+    property_address: '12 Elm St',
+    prepared_for: 'Acme Capital',
+    sensitivity: { scenario: { name: 'Elm sensitivity' } },
+    fix_flip: { arguments: fixFlip },
+    dscr: { arguments: dscr },
+    file_name: 'Elm St memo'
+  });
+
+  assert.strictEqual(result.path, join(outputDir, 'elm-st-memo.pdf'));
+  assert.deepStrictEqual(result.sections.map(s => [s.section, s.source]), [
+    ['fix_flip', 'analyze_fix_flip'],
+    ['dscr', 'calculate_dscr'],
+    ['sensitivity', 'saved scenario Elm sensitivity (v1)']
+  ]);
+
+  const buffer = readFileSync(result.path);
+  assert.strictEqual(result.bytes, buffer.length);
+  const pages = readPdf(buffer);
+  assert.strictEqual(pages.length, result.pages);
+
+  const text = pages.join('\n');
+  assert(text.startsWith('Investment Memo: 12 Elm St\nProperty: 12 Elm St\nPrepared for: Acme Capital'));
+  assert.match(text, /Fix & Flip\nNet profit\n\$34,200\nFix & Flip\nROI\n102\.4%/);
+  assert.match(text, /Stress Tests\nScenario\nDSCR\nMonthly Cash Flow\nPasses Minimum/);
+  assert.match(text, /25% Vacancy\n0\.99\n-\$21\.50\nNo/);
+  assert.match(text, /Tornado Diagram \(IRR\)/);
+
+  // generateRecommendations output is split between the action list and the risk section
+  const recommendations = text.slice(text.indexOf('\nRecommendations\n'), text.indexOf('\nRisks\n'));
+  const risks = text.slice(text.indexOf('\nRisks\n'), text.indexOf('\nAppendix: Inputs\n'));
+  assert.match(recommendations, /\[Positive\] Returns: Strong ROI above 30%/);
+  assert.doesNotMatch(recommendations, /Risk Alert/);
+  assert.match(risks, /\[Risk Alert\] Stress Testing: Property fails under 25% Vacancy scenario/);
+  assert.match(risks, /\[Stress test\] 25% Vacancy drops DSCR to 0\.99/);
+  assert.match(risks, /Income Risk: Returns heavily dependent on rental income/);
+  assert.strictEqual(result.sections[1].risks, 2);
+});
+
+test('generate_investment_memo - rejects missing, ambiguous and mismatched sections', async (t) => {
+  useDirs(t);
+  await registry.call('save_scenario', { name: 'Flip', tool: 'analyze_fix_flip', arguments: fixFlip });
+
+  await assert.rejects(() => registry.call('generate_investment_memo', {}), /at least one memo section/);
+  await assert.rejects(
+    () => registry.call('generate_investment_memo', { fix_flip: { arguments: fixFlip, scenario: { name: 'Flip' } } }),
+    /fix_flip: provide either arguments or a saved scenario/
+  );
+  await assert.rejects(
+    () => registry.call('generate_investment_memo', { dscr: { scenario: { name: 'Flip' } } }),
+    /dscr: scenario Flip was saved from analyze_fix_flip, not calculate_dscr/
+  );
+  await assert.rejects(
+    () => registry.call('generate_investment_memo', { fix_flip: { arguments: { purchase_price: 100000 } } }),
+    /rehab_budget/
+  );
+
+  const result = await registry.call('generate_investment_memo', { fix_flip: { scenario: { name: 'Flip' } } });
+  assert.match(basename(result.path), /^investment-memo-\d{8}-\d{6}\.pdf$/);
+  assert.match(result.message, /^Wrote a \d+-page investment memo to /);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { LoanComparisonTool } from '../src/calculators/loan-comparison.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+const fixed = { loan_name: '30-Year Fixed', down_payment_percent: 20, interest_rate: 6.75, loan_term_years: 30 };
+const arm = {
+  loan_name: '5/1 ARM',
+  loan_type: 'arm',
+  down_payment_percent: 20,
+  interest_rate: 5.75,
+  loan_term_years: 30,
+  arm_details: { fixed_period_years: 5, initial_adjustment_cap: 2, adjustment_cap: 1, lifetime_cap: 5 }
+};
+
+test('compare_loans - ARM runs through the default rate scenarios against the fixed loans', async () => {
+  const result = await registry.call('compare_loans', { home_price: 500000, loans: [fixed, arm], comparison_period_years: 10 });
+  const errors = validateSchema(registry.get('compare_loans').outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+  assert.deepStrictEqual(errors, []);
+
+  const [analysis] = result.arm_risk_analysis;
+  const armDetails = result.loan_details[1];
+  assert.strictEqual(analysis.current_index, 3, 'The index defaults to the initial rate less the margin');
+  assert.deepStrictEqual(analysis.scenarios.map(s => s.type), ['flat', 'rising', 'falling', 'historical']);
+
+  const [flat, rising, falling, historical] = analysis.scenarios;
+  assert.deepStrictEqual(flat.rate_path, [{ month: 1, rate: 5.75 }]);
+  assert.strictEqual(flat.total_cost_over_period, armDetails.total_cost_over_period);
+
+  // 2-point first reset, 1-point resets after, 10.75% lifetime ceiling
+  assert.deepStrictEqual(rising.rate_path.map(step => step.rate), [5.75, 7.75, 8.75, 9.75, 10.75]);
+  assert.strictEqual(rising.rate_path[1].month, 61);
+  assert.strictEqual(falling.rate_path.at(-1).rate, 2.75, 'The rate stops at the margin floor');
+  assert(falling.total_cost_over_period < flat.total_cost_over_period);
+  assert(historical.historical_start_year >= 1990);
+
+  const vsFixed = rising.vs_fixed[0];
+  assert.strictEqual(vsFixed.loan_name, '30-Year Fixed');
+  assert.strictEqual(vsFixed.fixed_total_cost, result.loan_details[0].total_cost_over_period);
+  assert.strictEqual(vsFixed.difference, parseFloat((rising.total_cost_over_period - vsFixed.fixed_total_cost).toFixed(2)));
+  assert.strictEqual(vsFixed.arm_cheaper, false);
+  assert.strictEqual(flat.vs_fixed[0].arm_cheaper, true);
+
+  const caution = result.recommendations.find(r => r.type === 'ARM Caution');
+  const cheaper = analysis.scenarios.filter(s => s.vs_fixed[0].arm_cheaper).length;
+  assert.match(caution.message, new RegExp(`in ${cheaper} of 4 rate scenarios; the costliest \\(Index rises 1 pt/yr\\)`));
+});
+
+test('compare_loans - worst case climbs by the caps after the fixed period', () => {
+  const calc = new LoanComparisonTool();
+  const { loan_details: loanDetails } = calc.calculate({ home_price: 500000, loans: [fixed, arm] });
+  const [analysis] = calc.analyzeARMRisks(loanDetails, 500000, [{ type: 'flat' }], 5);
+  assert.strictEqual(analysis.first_reset_month, 61);
+  assert.strictEqual(analysis.max_possible_rate, 10.75);
+  assert.strictEqual(analysis.months_to_max_rate, 97);
+  assert(analysis.max_possible_payment > analysis.current_payment);
+});
+
+test('compare_loans - custom and historical index paths', () => {
+  const calc = new LoanComparisonTool();
+  const result = calc.calculate({
+    home_price: 500000,
+    loans: [fixed, arm],
+    comparison_period_years: 8,
+    rate_scenarios: [
+      { name: 'Spike then relief', type: 'custom', index_rates: [3, 3, 3, 3, 3, 6, 2] },
+      { type: 'historical', start_year: 2004 }
+    ]
+  });
+  const [custom, history] = result.arm_risk_analysis[0].scenarios;
+
+  assert.strictEqual(custom.scenario, 'Spike then relief');
+  assert.deepStrictEqual(custom.index_path, [3, 3, 3, 3, 3, 6, 2, 2]);
+  assert.deepStrictEqual(custom.rate_path.map(step => step.rate), [5.75, 7.75, 6.75, 5.75]);
+
+  // Replays the moves from 2004 on top of today's index
+  const values = Object.fromEntries(calc.getIndexHistory());
+  assert.strictEqual(history.historical_start_year, 2004);
+  assert.strictEqual(history.index_path[2], parseFloat((3 + values[2006] - values[2004]).toFixed(2)));
+
+  assert.throws(
+    () => calc.calculate({ home_price: 500000, loans: [fixed, arm], rate_scenarios: [{ type: 'historical', start_year: 1950 }] }),
+    /No index history for 1950/
+  );
+  assert.throws(
+    () => calc.calculate({ home_price: 500000, loans: [fixed, arm], rate_scenarios: [{ type: 'custom' }] }),
+    /need index_rates/
+  );
+});
+
+test('compare_loans - ARM still fixed through the comparison period', () => {
+  const result = new LoanComparisonTool().calculate({
+    home_price: 500000,
+    loans: [fixed, { ...arm, loan_name: '7/1 ARM', arm_details: { ...arm.arm_details, fixed_period_years: 7 } }],
+    comparison_period_years: 5
+  });
+  const costs = result.arm_risk_analysis[0].scenarios.map(s => s.total_cost_over_period);
+  assert(costs.every(cost => cost === costs[0]), 'No reset falls within the comparison period');
+  assert.match(result.recommendations.find(r => r.type === 'ARM Caution').message, /stays fixed for the whole 5-year comparison/);
+});
+
+test('compare_loans - rate scenarios default when omitted and cannot be empty', async () => {
+  const args = { home_price: 500000, loans: [fixed, arm], comparison_period_years: 10 };
+  await assert.rejects(registry.call('compare_loans', { ...args, rate_scenarios: [] }), /rate_scenarios/);
+
+  const result = await registry.call('compare_loans', args);
+  assert.deepStrictEqual(result.arm_risk_analysis[0].scenarios.map(s => s.type), ['flat', 'rising', 'falling', 'historical']);
+  assert(result.recommendations.some(r => r.type === 'ARM Caution'));
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { MonteCarloSimulator } from '../src/calculators/monte-carlo.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+const args = {
+  investment_parameters: { purchase_price: 300000, down_payment_percent: 20, holding_period_years: 6 },
+  variable_distributions: {
+    rental_income: { type: 'normal', mean: 2600, std_dev: 200 },
+    operating_expenses: { type: 'normal', mean: 9000, std_dev: 1000 },
+    appreciation_rate: { type: 'normal', mean: 2, std_dev: 1 }
+  },
+  simulation_settings: { num_simulations: 1000, random_seed: 5 }
+};
+
+const moving = { vacancy_volatility: 2, appreciation_volatility: 5, rent_shock_volatility: 3 };
+
+test('run_monte_carlo - yearly fan chart and path probabilities', async () => {
+  const result = await registry.call('run_monte_carlo', { ...args, path_dynamics: moving });
+  const errors = validateSchema(registry.get('run_monte_carlo').outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+  assert.deepStrictEqual(errors, []);
+
+  const { dynamics, fan_chart } = result.path_analysis;
+  assert.deepStrictEqual(dynamics, { vacancy_reversion_speed: 0.5, ...moving });
+  assert.deepStrictEqual(fan_chart.map(year => year.year), [1, 2, 3, 4, 5, 6]);
+  fan_chart.forEach(year => ['equity', 'cash_flow', 'cumulative_return'].forEach(metric => {
+    const { p5, p25, p50, p75, p95 } = year[metric];
+    assert(p5 <= p25 && p25 <= p50 && p50 <= p75 && p75 <= p95, `${metric} bands are ordered in year ${year.year}`);
+  }));
+
+  // Appreciation shocks compound, so the equity band widens over the hold
+  const width = year => year.equity.p95 - year.equity.p5;
+  assert(width(fan_chart[5]) > 2 * width(fan_chart[0]));
+  assert(result.path_analysis.probability_negative_cash_flow_year >= 100 - result.probability_analysis.positive_cash_flow,
+    'Any losing year is at least as likely as a losing first year');
+});
+
+test('run_monte_carlo - without path volatilities each draw holds for the whole hold', async () => {
+  const result = await registry.call('run_monte_carlo', args);
+  const { fan_chart, probability_negative_cash_flow_year, expected_negative_cash_flow_years } = result.path_analysis;
+
+  fan_chart.forEach(year => assert.deepStrictEqual(year.cash_flow, fan_chart[0].cash_flow));
+  const negative = 100 - result.probability_analysis.positive_cash_flow;
+  assert.strictEqual(probability_negative_cash_flow_year, parseFloat(negative.toFixed(2)));
+  assert.strictEqual(expected_negative_cash_flow_years, parseFloat((negative / 100 * 6).toFixed(2)));
+});
+
+test('run_monte_carlo - thin down payments go underwater more often', async () => {
+  const withDownPayment = down_payment_percent => registry.call('run_monte_carlo', {
+    ...args,
+    investment_parameters: { ...args.investment_parameters, down_payment_percent },
+    path_dynamics: moving,
+    variable_distributions: { ...args.variable_distributions, appreciation_rate: { type: 'normal', mean: 0, std_dev: 1 } }
+  });
+  const thin = await withDownPayment(3);
+  const thick = await withDownPayment(30);
+  assert(thin.path_analysis.probability_underwater_loan > 20);
+  assert(thick.path_analysis.probability_underwater_loan < 1);
+  assert(thin.recommendations.some(r => r.type === 'Leverage Risk'));
+  assert(!thick.recommendations.some(r => r.type === 'Leverage Risk'));
+});
+
+test('run_monte_carlo - year-one metrics include the first year\'s vacancy shock', () => {
+  const params = { purchase_price: 300000, down_payment_percent: 20, holding_period_years: 3 };
+  const scenario = {
+    monthly_rent: 2600, vacancy_rate: 5, annual_expenses: 9000, appreciation_rate: 2, exit_cap_rate: 0,
+    vacancy_reversion_speed: 0.5, shocks: { vacancy: [10, 0, 0], appreciation: [0, 0, 0], rent: [0, 0, 0] },
+    events: [{ name: 'Roof', cost: 8000, year: 1 }]
+  };
+  const result = new MonteCarloSimulator().calculateScenarioResults(params, scenario);
+  const unshocked = new MonteCarloSimulator().calculateScenarioResults(params, { ...scenario, shocks: {} });
+
+  // A 10-point vacancy jump costs 10% of a year's rent; event costs stay out of the year-one figures
+  assert(Math.abs(unshocked.annual_cash_flow - result.annual_cash_flow - 3120) < 1e-6);
+  assert(Math.abs(result.path.cash_flow[0] - (result.annual_cash_flow - 8000)) < 1e-6);
+  assert.strictEqual(result.monthly_cash_flow, result.annual_cash_flow / 12);
+  assert.strictEqual(result.cash_on_cash_return, result.annual_cash_flow / 60000 * 100);
+});
+
+test('run_monte_carlo - path volatilities are opt-in and the hold is whole years', async () => {
+  // Seed 1 results from before year-by-year paths
+  const result = await registry.call('run_monte_carlo', { ...args, simulation_settings: { num_simulations: 200, random_seed: 1 } });
+  const { mean, median, std_dev } = result.summary_statistics.irr;
+  assert.deepStrictEqual(
+    [mean, median, std_dev].map(value => parseFloat(value.toFixed(6))),
+    [10.042876, 11.890762, 9.128098]
+  );
+
+  await assert.rejects(
+    registry.call('run_monte_carlo', { ...args, investment_parameters: { ...args.investment_parameters, holding_period_years: 5.5 } }),
+    /holding_period_years must be of type integer/
+  );
+});
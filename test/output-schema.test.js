@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+function assertMatchesOutputSchema(toolName, result) {
+  const structured = JSON.parse(JSON.stringify(result));
+  const errors = validateSchema(registry.get(toolName).outputSchema, structured, 'result');
+  assert.deepStrictEqual(errors, [], `${toolName} output should match its outputSchema`);
+}
+
+test('Output schemas - every tool publishes one', () => {
+  registry.list().forEach(tool => {
+    assert(tool.outputSchema, `${tool.name} should publish an outputSchema`);
+    assert.strictEqual(tool.outputSchema.type, 'object');
+    tool.outputSchema.required.forEach(key => {
+      assert(tool.outputSchema.properties[key], `${tool.name} requires undeclared property ${key}`);
+    });
+  });
+});
+
+test('Output schemas - DSCR result exposes dscr, qualification and stress tests', async () => {
+  const result = await registry.call('calculate_dscr', {
+    property_income: { monthly_rent: 3000 },
+    property_expenses: { property_tax: 250, insurance: 100 },
+    loan_details: { loan_amount: 300000, interest_rate: 7 }
+  });
+
+  assertMatchesOutputSchema('calculate_dscr', result);
+  const schema = registry.get('calculate_dscr').outputSchema;
+  assert(schema.properties.dscr_analysis.properties.dscr_ratio);
+  assert(schema.properties.qualification_analysis.properties.qualifies);
+  assert(schema.properties.stress_test_results.properties.scenarios.items);
+});
+
+test('Output schemas - refinance breakeven block allows null when there are no savings', async () => {
+  const result = await registry.call('analyze_refinance', {
+    current_loan: { current_balance: 300000, interest_rate: 6, monthly_payment: 1800, years_remaining: 25 },
+    new_loan: { interest_rate: 7.5, loan_term_years: 30, closing_costs: 6000 }
+  });
+
+  assert.strictEqual(result.break_even_analysis.simple_breakeven_months, null);
+  assertMatchesOutputSchema('analyze_refinance', result);
+});
+
+test('Output schemas - results with optional sections still validate', async () => {
+  assertMatchesOutputSchema('analyze_brrrr_deal', await registry.call('analyze_brrrr_deal', {
+    purchase_price: 150000,
+    rehab_cost: 35000,
+    after_repair_value: 220000,
+    monthly_rent: 1800
+  }));
+
+  assertMatchesOutputSchema('calculate_npv', await registry.call('calculate_npv', {
+    initial_investment: -100000,
+    cash_flows: [
+      { period: 1, amount: 12000 },
+      { period: 2, amount: 12000 },
+      { period: 3, amount: 140000 }
+    ],
+    discount_rate: 8
+  }));
+});
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { PortfolioSimulator } from '../src/calculators/portfolio.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+const conservative = {
+  starting_capital: 50000,
+  annual_savings: 15000,
+  initial_property_value: 200000,
+  annual_appreciation: 3.5,
+  annual_rent_growth: 3.0,
+  target_cash_flow_per_property: 300,
+  acquisition_pace_years: 2
+};
+
+test('PortfolioSimulator - ledger balances tie out year by year', () => {
+  const result = new PortfolioSimulator().project(conservative);
+
+  assert.strictEqual(result.ledger.length, 20);
+  assert.strictEqual(result.projected_years, 20);
+  assert.strictEqual(result.estimated_properties, result.ledger.at(-1).properties_owned);
+  assert.strictEqual(result.estimated_portfolio_value, result.ledger.at(-1).portfolio_value);
+  assert.strictEqual(result.acquisitions.length, result.estimated_properties);
+
+  let cash = conservative.starting_capital;
+  result.ledger.forEach(row => {
+    assert(Math.abs(row.total_equity - (row.portfolio_value - row.total_debt)) < 0.02);
+    assert(Math.abs(row.net_worth - (row.total_equity + row.cash_reserves)) < 0.02);
+    assert(Math.abs(row.cash_flow - (row.net_operating_income - row.debt_service)) < 0.02);
+    assert.strictEqual(row.savings_added, 15000);
+
+    // Cash moves only through savings, reinvested cash flow, purchases and refinances
+    cash += row.savings_added + row.cash_flow - row.cash_flow_withdrawn - row.down_payments + row.refinance_proceeds;
+    assert(Math.abs(row.cash_reserves - cash) < 0.1, `year ${row.year} cash should reconcile`);
+  });
+
+  // Each purchase puts down at least 25% and enough to clear the $300/month target
+  result.acquisitions.forEach(purchase => {
+    assert(purchase.down_payment_percent >= 25);
+    assert(purchase.monthly_cash_flow >= 299.99);
+  });
+  const gaps = result.acquisitions.slice(1).map((p, i) => (p.year - result.acquisitions[i].year) * 12 + p.month - result.acquisitions[i].month);
+  assert(gaps.every(months => months >= 24), 'Purchases should be at least two years apart');
+});
+
+test('PortfolioSimulator - debt amortizes and rents grow on each purchase anniversary', () => {
+  const result = new PortfolioSimulator().project({
+    starting_capital: 65000,
+    initial_property_value: 200000,
+    years_to_project: 5,
+    annual_appreciation: 0,
+    annual_rent_growth: 5,
+    acquisition_rules: { max_properties: 1 }
+  });
+
+  const [purchase] = result.acquisitions;
+  assert.deepStrictEqual([purchase.year, purchase.month, purchase.price, purchase.loan_amount], [1, 1, 200000, 150000]);
+  assert.strictEqual(purchase.closing_costs, 6000);
+  assert.strictEqual(purchase.monthly_rent, 1800);
+
+  const debts = result.ledger.map(row => row.total_debt);
+  debts.slice(1).forEach((debt, i) => assert(debt < debts[i], 'Balance should fall every year'));
+  assert(Math.abs(result.ledger[0].total_debt + result.ledger[0].principal_paid - 150000) < 0.02);
+  assert.strictEqual(result.ledger[4].portfolio_value, 200000);
+
+  // Bought in month 1, so the first year collects 11 months at the original rent
+  assert.strictEqual(result.ledger[0].gross_rent, 1800 * 11);
+  assert.strictEqual(result.ledger[1].gross_rent, 1800 + 1890 * 11);
+  assert.strictEqual(result.properties[0].monthly_rent, 2187.91);
+});
+
+test('PortfolioSimulator - cash-out refinancing recycles equity into more purchases', () => {
+  const base = {
+    starting_capital: 75000,
+    annual_savings: 25000,
+    initial_property_value: 150000,
+    annual_appreciation: 4,
+    annual_rent_growth: 3.5,
+    acquisition_pace_years: 0.75,
+    operations: { monthly_rent_percent: 1 }
+  };
+  const simulator = new PortfolioSimulator();
+  const hold = simulator.project(base);
+  const recycle = simulator.project({ ...base, refinance: { enabled: true, seasoning_years: 5, max_ltv: 75 } });
+
+  assert.strictEqual(hold.refinances.length, 0);
+  assert(recycle.refinances.length > 0);
+  assert(recycle.summary.properties_owned > hold.summary.properties_owned);
+  assert(recycle.summary.total_debt > hold.summary.total_debt);
+  assert.strictEqual(recycle.summary.total_refinance_proceeds, recycle.ledger.reduce((sum, row) => sum + row.refinance_proceeds, 0));
+
+  const [first] = recycle.refinances;
+  assert.strictEqual(first.year, 5);
+  assert(Math.abs(first.new_loan - first.property_value * 0.75) < 0.02);
+  assert(Math.abs(first.cash_out - (first.new_loan - first.previous_balance - first.closing_costs)) < 0.02);
+  assert(recycle.refinances.every(refi => refi.cash_out >= 10000));
+});
+
+test('PortfolioSimulator - acquisition rules, withdrawals and unaffordable plans', () => {
+  const simulator = new PortfolioSimulator();
+  const capped = simulator.project({
+    starting_capital: 200000,
+    annual_savings: 20000,
+    acquisition_pace_years: 0,
+    years_to_project: 10,
+    operations: { cash_flow_reinvestment_percent: 40 },
+    acquisition_rules: { max_properties: 3, stop_acquiring_after_year: 2 }
+  });
+  assert(capped.summary.properties_owned <= 3);
+  assert(capped.acquisitions.every(purchase => purchase.year <= 2));
+  assert(capped.summary.total_withdrawn > 0);
+  assert(Math.abs(capped.summary.total_withdrawn - capped.summary.total_cash_flow * 0.6) < 1);
+
+  const tooSmall = simulator.project({ starting_capital: 10000 });
+  assert.strictEqual(tooSmall.summary.properties_owned, 0);
+  assert.strictEqual(tooSmall.summary.first_purchase_year, null);
+  assert.strictEqual(tooSmall.summary.net_worth, 10000);
+  assert.match(tooSmall.recommendations[0], /No purchases were affordable/);
+
+  const unreachable = simulator.project({ starting_capital: 500000, target_cash_flow_per_property: 5000 });
+  assert.strictEqual(unreachable.summary.properties_owned, 0);
+  assert.match(unreachable.recommendations[0], /cash flow target even paying all cash/);
+});
+
+test('project_portfolio_growth - registry result matches its output schema', async () => {
+  const result = await registry.call('project_portfolio_growth', conservative);
+  const errors = validateSchema(registry.get('project_portfolio_growth').outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(result.assumptions.financing.down_payment_percent, 25);
+  assert.strictEqual(result.assumptions.refinance.interest_rate, 7);
+});
+
+test('project_portfolio_growth - purchases that need no cash stop at one a month', async () => {
+  const result = await registry.call('project_portfolio_growth', {
+    starting_capital: 0,
+    years_to_project: 2,
+    acquisition_pace_years: 0,
+    financing: { down_payment_percent: 0, closing_cost_percent: 0 },
+    operations: { monthly_rent_percent: 3 },
+    acquisition_rules: { cash_reserve_per_property: 0 }
+  });
+  assert.strictEqual(result.summary.properties_owned, 24);
+  assert.deepStrictEqual(result.ledger.map(row => row.acquisitions), [12, 12]);
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { MonteCarloSimulator } from '../src/calculators/monte-carlo.js';
+import { SensitivityAnalysisCalculator } from '../src/calculators/sensitivity-analysis.js';
+import { createServer } from '../src/server.js';
+
+const monteCarloParams = {
+  investment_parameters: { purchase_price: 300000, down_payment_percent: 20, holding_period_years: 5 },
+  variable_distributions: {
+    rental_income: { type: 'normal', mean: 2500, std_dev: 200 },
+    operating_expenses: { type: 'normal', mean: 15000, std_dev: 2000 }
+  },
+  simulation_settings: { num_simulations: 2000, random_seed: 12345 }
+};
+
+const sensitivityParams = {
+  base_scenario: {
+    purchase_price: 300000,
+    annual_rental_income: 36000,
+    annual_expenses: 12000,
+    down_payment_percent: 20,
+    interest_rate: 7
+  },
+  sensitivity_variables: [
+    { variable: 'purchase_price', variations: [-10, 0, 10] },
+    { variable: 'rental_income', variations: [-10, 0, 10] }
+  ]
+};
+
+async function connectInMemory() {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createServer().connect(serverTransport);
+  const client = new Client({ name: 'progress-test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+test('MonteCarloSimulator - simulate reports progress and matches calculate', async () => {
+  const updates = [];
+  const result = await new MonteCarloSimulator().simulate(monteCarloParams, {
+    onProgress: update => updates.push(update)
+  });
+  const expected = new MonteCarloSimulator().calculate(monteCarloParams);
+
+  assert.strictEqual(updates.length, 20, 'Should report once per batch');
+  assert.deepStrictEqual(updates.at(-1), { progress: 2000, total: 2000, message: 'Completed 2000 of 2000 simulations' });
+  assert(updates.every((u, i) => i === 0 || u.progress > updates[i - 1].progress), 'Progress should increase');
+
+  assert.deepStrictEqual(result.summary_statistics, expected.summary_statistics);
+  assert.strictEqual(result.simulation_metadata.completed_simulations, 2000);
+  assert.strictEqual(result.simulation_metadata.cancelled, false);
+});
+
+test('MonteCarloSimulator - cancellation returns partial statistics', async () => {
+  const controller = new AbortController();
+  const result = await new MonteCarloSimulator().simulate(monteCarloParams, {
+    signal: controller.signal,
+    onProgress: ({ progress }) => {
+      if (progress >= 500) controller.abort();
+    }
+  });
+
+  assert.strictEqual(result.simulation_metadata.cancelled, true);
+  assert.strictEqual(result.simulation_metadata.completed_simulations, 500);
+  assert.strictEqual(result.simulation_metadata.num_simulations, 2000);
+  assert(Number.isFinite(result.summary_statistics.irr.mean), 'Partial run should still have statistics');
+  assert(result.risk_metrics.irr.value_at_risk);
+});
+
+test('SensitivityAnalysisCalculator - analyze reports steps and stops early', async () => {
+  const updates = [];
+  const complete = await new SensitivityAnalysisCalculator().analyze(sensitivityParams, {
+    onProgress: update => updates.push(update)
+  });
+  // 2 variables + 5 two-way rows + 2 break-even searches
+  assert.deepStrictEqual(updates.map(u => u.progress), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.deepStrictEqual(complete.analysis_metadata, { total_steps: 9, completed_steps: 9, cancelled: false });
+  assert.deepStrictEqual(complete, new SensitivityAnalysisCalculator().calculate(sensitivityParams));
+
+  const controller = new AbortController();
+  const partial = await new SensitivityAnalysisCalculator().analyze(sensitivityParams, {
+    signal: controller.signal,
+    onProgress: () => controller.abort()
+  });
+  assert.deepStrictEqual(partial.analysis_metadata, { total_steps: 9, completed_steps: 1, cancelled: true });
+  assert.strictEqual(partial.sensitivity_analysis.length, 1);
+  assert.strictEqual(partial.two_way_analysis, null);
+  assert.deepStrictEqual(partial.critical_values, []);
+  assert(partial.risk_assessment);
+});
+
+test('tools/call - sends progress notifications only when a token is given', async () => {
+  const client = await connectInMemory();
+  try {
+    const updates = [];
+    const result = await client.callTool(
+      { name: 'run_monte_carlo', arguments: monteCarloParams },
+      undefined,
+      { onprogress: update => updates.push(update) }
+    );
+    assert(!result.isError);
+    assert.strictEqual(result.structuredContent.simulation_metadata.completed_simulations, 2000);
+    assert.strictEqual(updates.length, 20);
+    assert.strictEqual(updates.at(-1).total, 2000);
+
+    const withoutToken = await client.callTool({ name: 'analyze_sensitivity', arguments: sensitivityParams });
+    assert.strictEqual(withoutToken.structuredContent.analysis_metadata.completed_steps, 9);
+  } finally {
+    await client.close();
+  }
+});
+
+test('tools/call - cancelling a request stops the simulation', async (t) => {
+  const client = await connectInMemory();
+  let iterations = 0;
+  const original = MonteCarloSimulator.prototype.calculateScenarioResults;
+  t.mock.method(MonteCarloSimulator.prototype, 'calculateScenarioResults', function (...args) {
+    iterations++;
+    return original.apply(this, args);
+  });
+
+  try {
+    const controller = new AbortController();
+    let updates = 0;
+    const call = client.callTool(
+      {
+        name: 'run_monte_carlo',
+        arguments: { ...monteCarloParams, simulation_settings: { num_simulations: 100000, random_seed: 7 } }
+      },
+      undefined,
+      {
+        signal: controller.signal,
+        onprogress: () => {
+          if (++updates === 2) controller.abort('user cancelled');
+        }
+      }
+    );
+    await assert.rejects(call);
+
+    // Give the server time to observe the cancellation at its next batch boundary
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const stoppedAt = iterations;
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(iterations, stoppedAt, 'Simulation should not keep running after cancellation');
+    assert(stoppedAt < 100000, `Simulation should stop early (ran ${stoppedAt})`);
+  } finally {
+    await client.close();
+  }
+});
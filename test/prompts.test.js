@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { WorkflowPrompts } from '../src/prompts/workflows.js';
+import { MarketDataResource } from '../src/resources/market-data.js';
+import { StateAssistanceResource } from '../src/resources/state-assistance.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+const prompts = new WorkflowPrompts({
+  marketData: new MarketDataResource(),
+  stateAssistance: new StateAssistanceResource()
+});
+
+// Pair each `tool_name` step with the JSON arguments block that follows it
+function extractToolCalls(text) {
+  const calls = [];
+  const pattern = /`([a-z_0-9]+)` - [^\n]*\n```json\n([\s\S]*?)\n```/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    calls.push({ tool: match[1], args: JSON.parse(match[2]) });
+  }
+  return calls;
+}
+
+test('WorkflowPrompts - lists the guided workflows with their arguments', () => {
+  const list = prompts.list();
+  assert.deepStrictEqual(list.map(p => p.name), ['underwrite_rental', 'evaluate_flip', 'first_time_buyer']);
+  list.forEach(prompt => {
+    assert(prompt.description, `${prompt.name} should have a description`);
+    assert(prompt.arguments.some(arg => arg.required), `${prompt.name} should have required arguments`);
+  });
+});
+
+test('WorkflowPrompts - underwrite_rental chains COCR, DSCR and sensitivity in order', async () => {
+  const result = await prompts.get('underwrite_rental', { purchase_price: '$350,000', monthly_rent: '2800' });
+  const text = result.messages[0].content.text;
+
+  assert.strictEqual(result.messages[0].role, 'user');
+  assert.deepStrictEqual(extractToolCalls(text).map(c => c.tool), ['calculate_cocr', 'calculate_dscr', 'analyze_sensitivity']);
+  assert(text.includes('Assumptions to collect'), 'Should list assumptions to collect');
+  assert(text.includes('$262,500'), 'Should pre-compute the loan amount at 25% down');
+});
+
+test('WorkflowPrompts - pre-filled tool arguments satisfy each tool schema', async () => {
+  const cases = [
+    ['underwrite_rental', { purchase_price: '350000', monthly_rent: '2800', down_payment_percent: '20', interest_rate: '6.9' }],
+    ['evaluate_flip', { purchase_price: '180000', rehab_budget: '45000', after_repair_value: '300000' }],
+    ['first_time_buyer', { annual_income: '85000', down_payment: '20000', state: 'Texas' }]
+  ];
+
+  for (const [name, args] of cases) {
+    const { messages } = await prompts.get(name, args);
+    const calls = extractToolCalls(messages[0].content.text);
+    assert(calls.length > 0, `${name} should include tool calls`);
+    calls.forEach(({ tool, args: toolArgs }) => {
+      assert(registry.has(tool), `${tool} should be a registered tool`);
+      assert.deepStrictEqual(validateSchema(registry.get(tool).inputSchema, toolArgs), [], `${name} -> ${tool}`);
+    });
+  }
+});
+
+test('WorkflowPrompts - first_time_buyer embeds the state assistance resource', async () => {
+  const { messages } = await prompts.get('first_time_buyer', { annual_income: '85000', down_payment: '20000', state: 'TX' });
+  assert(messages[0].content.text.includes('realvest://state-assistance/TX'));
+
+  const embedded = messages[1].content;
+  assert.strictEqual(embedded.type, 'resource');
+  assert.strictEqual(embedded.resource.uri, 'realvest://state-assistance/TX');
+  assert.strictEqual(JSON.parse(embedded.resource.text).state, 'Texas');
+
+  const withoutState = await prompts.get('first_time_buyer', { annual_income: '85000', down_payment: '20000' });
+  assert.strictEqual(withoutState.messages.length, 1);
+  assert(withoutState.messages[0].content.text.includes('realvest://state-assistance/{state}'));
+});
+
+test('WorkflowPrompts - completes the state argument', () => {
+  assert.deepStrictEqual(prompts.complete('first_time_buyer', 'state', 'Tex').values, ['Texas']);
+  assert.deepStrictEqual(prompts.complete('first_time_buyer', 'annual_income', '8').values, []);
+});
+
+test('WorkflowPrompts - rejects unknown prompts and missing or non-numeric arguments', async () => {
+  await assert.rejects(() => prompts.get('nope'), /Unknown prompt: nope/);
+  await assert.rejects(() => prompts.get('evaluate_flip', { purchase_price: '100000' }), /rehab_budget, after_repair_value/);
+  await assert.rejects(
+    () => prompts.get('underwrite_rental', { purchase_price: 'cheap', monthly_rent: '2000' }),
+    /purchase_price must be a number/
+  );
+});
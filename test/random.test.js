@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Sampler, SeededRandom, inverseNormal } from '../src/random.js';
+import { registry } from '../src/tools.js';
+
+const monteCarloArgs = {
+  investment_parameters: { purchase_price: 300000, down_payment_percent: 20, holding_period_years: 5 },
+  variable_distributions: {
+    rental_income: { type: 'normal', mean: 2500, std_dev: 200 },
+    operating_expenses: { type: 'triangular', mean: 15000, min: 12000, max: 19000, mode: 14500 },
+    appreciation_rate: { type: 'normal', mean: 3, std_dev: 2 }
+  }
+};
+
+test('SeededRandom - matches the xoshiro128** reference and repeats per seed', () => {
+  const rng = new SeededRandom(1);
+  rng.state.set([1, 2, 3, 4]);
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(() => rng.nextUint32()), [11520, 0, 5927040, 70819200, 2031721883]);
+
+  const draws = seed => {
+    const seeded = new SeededRandom(seed);
+    return Array.from({ length: 5 }, () => seeded.uniform());
+  };
+  assert.deepStrictEqual(draws(12345), draws(12345));
+  assert.notDeepStrictEqual(draws(12345), draws(12346));
+  assert.notDeepStrictEqual(draws(7), draws(7 + 2 ** 32), 'High bits of the seed matter');
+  assert.throws(() => new SeededRandom(-1), /non-negative integer/);
+  assert.throws(() => new SeededRandom(1.5), /non-negative integer/);
+});
+
+test('SeededRandom - Box-Muller normals have zero mean and unit variance', () => {
+  const rng = new SeededRandom(42);
+  const n = 50000;
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < n; i++) {
+    const z = rng.normal();
+    sum += z;
+    sumSquares += z * z;
+  }
+  assert(Math.abs(sum / n) < 0.02);
+  assert(Math.abs(sumSquares / n - 1) < 0.03);
+  assert(Math.abs(inverseNormal(0.975) - 1.959964) < 1e-6);
+  assert.strictEqual(inverseNormal(0.5), 0);
+});
+
+test('Sampler - antithetic runs mirror the run before and Latin hypercube fills every stratum', () => {
+  const antithetic = new Sampler(new SeededRandom(3), 'antithetic', 4);
+  antithetic.nextRun();
+  const [u, z] = [antithetic.uniform('rent'), antithetic.normal('rate')];
+  antithetic.nextRun();
+  assert.strictEqual(antithetic.uniform('rent'), 1 - u);
+  assert.strictEqual(antithetic.normal('rate'), -z);
+
+  const runs = 50;
+  const lhs = new Sampler(new SeededRandom(3), 'latin_hypercube', runs);
+  const strata = [];
+  for (let i = 0; i < runs; i++) {
+    lhs.nextRun();
+    strata.push(Math.floor(lhs.uniform('rent') * runs));
+  }
+  assert.deepStrictEqual([...strata].sort((a, b) => a - b), Array.from({ length: runs }, (_, i) => i));
+  assert.throws(() => new Sampler(new SeededRandom(3), 'sobol'), /Unknown sampling method: sobol/);
+});
+
+test('run_monte_carlo - identical seeds give byte-identical results', async () => {
+  for (const sampling_method of ['random', 'antithetic', 'latin_hypercube']) {
+    const args = { ...monteCarloArgs, simulation_settings: { num_simulations: 500, random_seed: 2024, sampling_method } };
+    const first = JSON.stringify(await registry.call('run_monte_carlo', args));
+    const second = JSON.stringify(await registry.call('run_monte_carlo', args));
+    assert.strictEqual(first, second, `${sampling_method} runs should repeat exactly`);
+  }
+
+  const unseeded = await registry.call('run_monte_carlo', { ...monteCarloArgs, simulation_settings: { num_simulations: 200 } });
+  const { random_seed, generator, sampling_method } = unseeded.simulation_metadata;
+  assert(Number.isInteger(random_seed), 'The generated seed is reported');
+  assert.strictEqual(generator, 'xoshiro128**');
+  assert.strictEqual(sampling_method, 'random');
+  const replay = await registry.call('run_monte_carlo', { ...monteCarloArgs, simulation_settings: { num_simulations: 200, random_seed } });
+  assert.deepStrictEqual(replay, unseeded);
+});
+
+test('run_monte_carlo - antithetic and Latin hypercube sampling steady the mean across seeds', async () => {
+  const spread = async sampling_method => {
+    const means = [];
+    for (const random_seed of [1, 2, 3, 4, 5]) {
+      const result = await registry.call('run_monte_carlo', {
+        ...monteCarloArgs,
+        simulation_settings: { num_simulations: 400, random_seed, sampling_method }
+      });
+      means.push(result.summary_statistics.monthly_cash_flow.mean);
+    }
+    return Math.max(...means) - Math.min(...means);
+  };
+  const random = await spread('random');
+  assert(await spread('antithetic') < random / 5);
+  assert(await spread('latin_hypercube') < random / 5);
+});
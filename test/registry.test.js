@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { ToolRegistry } from '../src/registry.js';
+import { registry } from '../src/tools.js';
+import { BRRRRCalculator } from '../src/calculators/brrrr.js';
+
+test('ToolRegistry - registers calculators with their entry method', async () => {
+  const reg = new ToolRegistry();
+  reg.register({
+    name: 'analyze_brrrr_deal',
+    description: 'BRRRR analysis',
+    calculator: new BRRRRCalculator(),
+    method: 'analyze'
+  });
+
+  const [tool] = reg.list();
+  assert.strictEqual(tool.name, 'analyze_brrrr_deal');
+  assert.strictEqual(tool.inputSchema.type, 'object', 'Should use the calculator schema');
+
+  const result = await reg.call('analyze_brrrr_deal', {
+    purchase_price: 150000,
+    rehab_cost: 35000,
+    after_repair_value: 220000,
+    monthly_rent: 1800
+  });
+  assert(result.overall_rating.rating, 'Should dispatch to analyze()');
+});
+
+test('ToolRegistry - rejects duplicates, missing handlers and unknown tools', async () => {
+  const reg = new ToolRegistry();
+  reg.register({ name: 'echo', description: 'Echo', inputSchema: { type: 'object' }, handler: args => args });
+
+  assert.throws(() => reg.register({ name: 'echo', description: 'Echo', handler: args => args }), /already registered/);
+  assert.throws(() => reg.register({ name: 'broken', description: 'Broken', calculator: {} }), /needs a handler/);
+  await assert.rejects(() => reg.call('missing', {}), /Unknown tool: missing/);
+  assert.deepStrictEqual(await reg.call('echo', { a: 1 }), { a: 1 });
+});
+
+test('Tool registry - every tool has a schema and a category', () => {
+  const tools = registry.list();
+  assert.strictEqual(tools.length, 47, 'Should register all calculators, deal store, scenario and export tools');
+
+  tools.forEach(tool => {
+    assert.strictEqual(tool.inputSchema.type, 'object', `${tool.name} should have an object schema`);
+    assert(tool.description.length > 0, `${tool.name} should have a description`);
+    assert(registry.get(tool.name).category, `${tool.name} should have a category`);
+  });
+});
+
+test('Tool registry - package.json mcp.tools matches the registry', () => {
+  const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+  assert.deepStrictEqual(pkg.mcp.tools, registry.names(), 'Run npm run sync-manifest after adding a tool');
+});
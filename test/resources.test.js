@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ResourceCatalog } from '../src/resources/catalog.js';
+import { InsightsResource } from '../src/resources/insights.js';
+import { StateAssistanceResource } from '../src/resources/state-assistance.js';
+import { MarketDataResource } from '../src/resources/market-data.js';
+import { CalculatorExamplesResource } from '../src/resources/calculator-examples.js';
+
+const catalog = new ResourceCatalog({
+  insights: new InsightsResource(),
+  stateAssistance: new StateAssistanceResource(),
+  marketData: new MarketDataResource(),
+  examples: new CalculatorExamplesResource()
+});
+
+test('ResourceCatalog - lists static resources and templates', () => {
+  const uris = catalog.list().map(r => r.uri);
+  assert(uris.includes('realvest://insights'));
+  assert(uris.includes('realvest://calculator-examples'));
+  assert(uris.includes('realvest://market-data/rates/history'));
+
+  const templates = catalog.listTemplates().map(t => t.uriTemplate);
+  assert.deepStrictEqual(templates, [
+    'realvest://state-assistance/{state}',
+    'realvest://market-data/location/{metro}',
+    'realvest://insights/category/{category}',
+    'realvest://insights/search/{query}'
+  ]);
+});
+
+test('ResourceCatalog - reads state programs by code or name', async () => {
+  const byCode = await catalog.read('realvest://state-assistance/TX');
+  const byName = await catalog.read('realvest://state-assistance/Texas');
+  assert.strictEqual(byCode.state, 'Texas');
+  assert.deepStrictEqual(byCode, byName);
+
+  const noPrograms = await catalog.read('realvest://state-assistance/WY');
+  assert(noPrograms.message.includes('Wyoming'), 'Should resolve the code even without state data');
+  assert(noPrograms.federal_programs.length > 0);
+});
+
+test('ResourceCatalog - decodes template variables', async () => {
+  const market = await catalog.read('realvest://market-data/location/Austin%2C%20TX');
+  assert.strictEqual(market.location, 'Austin, TX');
+  assert(market.market_temperature);
+
+  const articles = await catalog.read('realvest://insights/category/Market%20Analysis');
+  assert(articles.length > 0);
+  articles.forEach(article => assert.strictEqual(article.category, 'Market Analysis'));
+});
+
+test('ResourceCatalog - serves rate history and examples as static resources', async () => {
+  const history = await catalog.read('realvest://market-data/rates/history');
+  assert(history.current_rate > 0);
+  assert(Array.isArray(history.historical_context));
+
+  const examples = await catalog.read('realvest://calculator-examples');
+  assert(examples.brrrr.length > 0);
+
+  await assert.rejects(() => catalog.read('realvest://nope'), /Unknown resource: realvest:\/\/nope/);
+});
+
+test('ResourceCatalog - completes state codes, metros and categories', () => {
+  const states = catalog.complete('realvest://state-assistance/{state}', 'state', 'n');
+  assert(states.values.includes('NY'));
+  assert(states.values.includes('New York'));
+  assert(states.values.every(v => v.toLowerCase().startsWith('n')));
+
+  const metros = catalog.complete('realvest://market-data/location/{metro}', 'metro', 'au');
+  assert.deepStrictEqual(metros.values, ['Austin, TX']);
+
+  const categories = catalog.complete('realvest://insights/category/{category}', 'category', '');
+  assert.strictEqual(categories.total, 4);
+  assert.strictEqual(categories.hasMore, false);
+
+  assert.deepStrictEqual(catalog.complete('realvest://insights/search/{query}', 'query', 'brrrr').values, []);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ScenarioStore, mergeArguments } from '../src/store/scenario-store.js';
+import { diffScenarioVersions } from '../src/store/scenario-diff.js';
+import { registry } from '../src/tools.js';
+
+function useDataDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'realvest-scenarios-'));
+  const previous = process.env.REALVEST_DATA_DIR;
+  process.env.REALVEST_DATA_DIR = dir;
+  t.after(() => {
+    if (previous === undefined) delete process.env.REALVEST_DATA_DIR;
+    else process.env.REALVEST_DATA_DIR = previous;
+    rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+const cocrArgs = { purchase_price: 200000, down_payment: 50000, annual_rental_income: 24000 };
+
+test('ScenarioStore - saving the same name adds versions', async (t) => {
+  const dir = useDataDir(t);
+  const store = new ScenarioStore({ clock: () => new Date('2024-07-01T09:00:00.000Z') });
+
+  const first = await store.save({ name: 'Elm St', tool: 'calculate_cocr', args: cocrArgs, result: { roi: 10 }, description: 'Duplex' });
+  assert.strictEqual(first.version.version, 1);
+  assert.strictEqual(store.filePath, join(dir, 'scenarios.json'));
+
+  await store.save({ name: 'Elm St', tool: 'calculate_cocr', args: cocrArgs, result: { roi: Infinity }, note: 'Cash purchase' });
+  await assert.rejects(
+    () => store.save({ name: 'Elm St', tool: 'calculate_dscr', args: {}, result: {} }),
+    /belongs to calculate_cocr/
+  );
+
+  const [summary] = await new ScenarioStore().list({ tool: 'calculate_cocr' });
+  assert.strictEqual(summary.latest_version, 2);
+  assert.strictEqual(summary.description, 'Duplex');
+
+  const latest = await store.getVersion('Elm St');
+  assert.strictEqual(latest.note, 'Cash purchase');
+  assert.strictEqual(latest.result.roi, null, 'Results should be stored as clients receive them');
+  await assert.rejects(() => store.getVersion('Elm St', 3), /has no version 3/);
+  await assert.rejects(() => store.get('Oak Ave'), /Scenario not found/);
+  assert.deepStrictEqual(await store.list({ tool: 'calculate_dscr' }), []);
+});
+
+test('mergeArguments - merges objects and replaces arrays', () => {
+  const base = { loan: { rate: 6, years: 30 }, expenses: [{ amount: 100 }], price: 100 };
+  assert.deepStrictEqual(
+    mergeArguments(base, { loan: { rate: 7 }, expenses: [] }),
+    { loan: { rate: 7, years: 30 }, expenses: [], price: 100 }
+  );
+  assert.strictEqual(base.loan.rate, 6, 'Base arguments should not be mutated');
+});
+
+test('diffScenarioVersions - pairs input changes with metric deltas', () => {
+  const from = { name: 'a', tool: 'x', version: 1, arguments: { price: 100, loan: { rate: 6 } }, result: { noi: 50, cap_rate: 0, label: 'a' } };
+  const to = { name: 'a', tool: 'x', version: 2, arguments: { price: 120, loan: { rate: 6, points: 1 } }, result: { noi: 40, cap_rate: 2, label: 'b' } };
+
+  const diff = diffScenarioVersions(from, to);
+  assert.deepStrictEqual(diff.input_changes, [
+    { path: 'price', from: 100, to: 120, change_type: 'changed' },
+    { path: 'loan.points', from: null, to: 1, change_type: 'added' }
+  ]);
+  assert.deepStrictEqual(diff.metric_deltas, [
+    { path: 'noi', from: 50, to: 40, change: -10, change_percent: -20 },
+    { path: 'cap_rate', from: 0, to: 2, change: 2, change_percent: null }
+  ]);
+  assert.strictEqual(diffScenarioVersions(from, to, { maxMetrics: 1 }).metrics_truncated, true);
+  assert.throws(() => diffScenarioVersions(from, { ...to, tool: 'y' }), /same tool/);
+});
+
+test('scenario tools - save, re-run with changes and diff', async (t) => {
+  useDataDir(t);
+
+  const saved = await registry.call('save_scenario', { name: 'Elm St', tool: 'calculate_cocr', arguments: cocrArgs });
+  assert.strictEqual(saved.version.version, 1);
+  assert.strictEqual(saved.version.result.investment_summary.purchase_price, 200000);
+
+  await assert.rejects(
+    () => registry.call('save_scenario', { name: 'Bad', tool: 'calculate_cocr', arguments: { purchase_price: -1 } }),
+    /purchase_price/
+  );
+  await assert.rejects(
+    () => registry.call('save_scenario', { name: 'Loop', tool: 'list_scenarios', arguments: {} }),
+    /only be saved for calculator tools/
+  );
+
+  const preview = await registry.call('rerun_scenario', { name: 'Elm St', changes: { annual_rental_income: 30000 }, save: false });
+  assert.strictEqual(preview.version.version, null);
+  assert.strictEqual(preview.scenario.latest_version, 1, 'Previews should not be saved');
+
+  const rerun = await registry.call('rerun_scenario', { name: 'Elm St', changes: { annual_rental_income: 30000 }, note: 'Higher rents' });
+  assert.strictEqual(rerun.version.version, 2);
+  assert.deepStrictEqual(rerun.diff.input_changes, [
+    { path: 'annual_rental_income', from: 24000, to: 30000, change_type: 'changed' }
+  ]);
+  const income = rerun.diff.metric_deltas.find(d => d.path === 'income_analysis.gross_annual_income');
+  assert.deepStrictEqual(income, { path: 'income_analysis.gross_annual_income', from: 24000, to: 30000, change: 6000, change_percent: 25 });
+
+  const diff = await registry.call('diff_scenarios', { name: 'Elm St' });
+  assert.deepStrictEqual([diff.from.version, diff.to.version], [1, 2]);
+  assert.strictEqual(diff.metrics_changed, rerun.diff.metrics_changed);
+
+  const loaded = await registry.call('load_scenario', { name: 'Elm St', version: 1 });
+  assert.strictEqual(loaded.version.arguments.annual_rental_income, 24000);
+  assert.strictEqual(loaded.scenario.latest_version, 2);
+
+  const { scenarios, total } = await registry.call('list_scenarios', {});
+  assert.strictEqual(total, 1);
+  assert.strictEqual(scenarios[0].name, 'Elm St');
+});
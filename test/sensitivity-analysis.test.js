@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SensitivityAnalysisCalculator } from '../src/calculators/sensitivity-analysis.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+const base_scenario = { purchase_price: 400000, annual_rental_income: 42000, annual_expenses: 12000 };
+
+const close = (actual, expected, tolerance) =>
+  assert(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+test('analyze_sensitivity - Sobol and Morris agree on a linear metric and ignore an input it does not use', async () => {
+  const args = {
+    base_scenario,
+    analysis_metrics: ['cash_on_cash'],
+    global_sensitivity: {
+      variables: [{ variable: 'rental_income' }, { variable: 'appreciation_rate', min_change: -50, max_change: 50 }],
+      samples: 512,
+      random_seed: 9
+    }
+  };
+  const result = await registry.call('analyze_sensitivity', args);
+  const errors = validateSchema(registry.get('analyze_sensitivity').outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+  assert.deepStrictEqual(errors, []);
+
+  // Cash-on-cash is linear in rent and doesn't depend on appreciation
+  const { sobol, morris } = result.global_sensitivity;
+  const [rent, appreciation] = sobol.variables;
+  assert.strictEqual(rent.variable, 'Rental Income');
+  close(rent.first_order, 1, 0.05);
+  close(rent.total_order, 1, 0.05);
+  assert.deepStrictEqual([appreciation.first_order, appreciation.total_order], [0, 0]);
+  assert.strictEqual(sobol.model_runs, 512 * 4);
+
+  // Moving rent across its whole -20% to +20% range changes cash-on-cash by 40% of effective rent over the down payment
+  const fullRange = 0.4 * 42000 * 0.95 / 80000 * 100;
+  close(morris.variables[0].mu_star, fullRange, 1e-6);
+  close(morris.variables[0].sigma, 0, 1e-6);
+  assert.strictEqual(morris.variables[0].effect, 'Linear');
+  assert.deepStrictEqual(morris.variables[1], { variable: 'Appreciation Rate', mu: 0, mu_star: 0, sigma: 0, effect: 'Negligible' });
+
+  const repeat = await registry.call('analyze_sensitivity', args);
+  assert.deepStrictEqual(repeat.global_sensitivity, result.global_sensitivity, 'The same seed repeats the sample');
+  await assert.rejects(
+    registry.call('analyze_sensitivity', { base_scenario, global_sensitivity: { variables: [{ variable: 'expenses', min_change: 10, max_change: -10 }] } }),
+    /needs min_change below max_change/
+  );
+});
+
+test('analyze_sensitivity - Sobol indices are null when no sample has a unique IRR', async () => {
+  const losing = { purchase_price: 400000, annual_rental_income: 2000, annual_expenses: 60000, appreciation_rate: -10 };
+  const result = await registry.call('analyze_sensitivity', {
+    base_scenario: losing,
+    analysis_metrics: ['irr'],
+    global_sensitivity: { samples: 64, random_seed: 4 }
+  });
+  const errors = validateSchema(registry.get('analyze_sensitivity').outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+  assert.deepStrictEqual(errors, []);
+
+  assert.strictEqual(result.global_sensitivity.method, 'both');
+  assert.strictEqual(result.global_sensitivity.sobol, null);
+  assert(result.recommendations.some(r => r.message === 'No Sobol indices for irr: no sampled scenario had a unique value'));
+  assert(!result.recommendations.some(r => r.type === 'Interactions'));
+});
+
+test('analyze_sensitivity - scenario sets change variables together and weight by probability', async () => {
+  const calc = new SensitivityAnalysisCalculator();
+  const scenario_sets = [
+    { name: 'Base', changes: {}, probability: 0.5 },
+    { name: 'Bull', changes: { rental_income: 10, appreciation_rate: 50 }, probability: 0.25 },
+    { name: 'Bear', changes: { rental_income: -10, vacancy_rate: 5, interest_rate: 15 }, probability: 0.25 }
+  ];
+  const result = calc.calculate({ base_scenario, analysis_metrics: ['irr', 'npv'], scenario_sets });
+  const [baseSet, bull, bear] = result.scenario_sets.scenarios;
+
+  assert.deepStrictEqual(baseSet.metrics, result.base_case.metrics);
+  const bearMetrics = calc.calculateScenarioMetrics(
+    { ...base_scenario, annual_rental_income: 37800, vacancy_rate: 10, interest_rate: 8.05 },
+    0.1
+  );
+  close(bear.metrics.irr, bearMetrics.irr, 0.005);
+  assert.deepStrictEqual(bear.changes.map(c => c.value), [37800, 10, 8.05]);
+  assert(bull.impact.irr > 0 && bear.impact.irr < 0);
+  close(result.scenario_sets.probability_weighted.irr, 0.5 * baseSet.metrics.irr + 0.25 * bull.metrics.irr + 0.25 * bear.metrics.irr, 0.01);
+
+  const unweighted = calc.calculate({ base_scenario, scenario_sets: scenario_sets.map(({ probability, ...set }) => set) });
+  assert.strictEqual(unweighted.scenario_sets.probability_weighted, null);
+  assert.throws(
+    () => calc.calculate({ base_scenario, scenario_sets: scenario_sets.map(set => ({ ...set, probability: 0.5 })) }),
+    /probabilities must sum to 1 \(got 1\.5\)/
+  );
+  await assert.rejects(
+    registry.call('analyze_sensitivity', { base_scenario, scenario_sets: [{ name: 'Typo', changes: { rent: 10 } }] }),
+    /changes\.rent is not a recognized property/
+  );
+});
+
+test('analyze_sensitivity - goal seek finds the rent or price for a target IRR', () => {
+  const calc = new SensitivityAnalysisCalculator();
+  const { goal_seek: rent, recommendations } = calc.calculate({ base_scenario, goal_seek: { target: 20 } });
+
+  assert.strictEqual(rent.achievable, true);
+  assert(rent.required_value > 42000, 'A 20% IRR needs more rent than the 17.5% base case');
+  assert.strictEqual(rent.required_monthly_rent, parseFloat((rent.required_value / 12).toFixed(2)));
+  const check = calc.calculateScenarioMetrics({ ...base_scenario, annual_rental_income: rent.required_value }, 0.1);
+  close(check.irr, 20, 0.01);
+  assert(recommendations.some(r => r.type === 'Target' && r.message.includes(`$${rent.required_monthly_rent.toLocaleString('en-US')}/month`)));
+
+  const price = calc.calculate({ base_scenario, goal_seek: { target: 20, variable: 'purchase_price' } }).goal_seek;
+  assert(price.required_value < 400000 && price.change_percent < 0);
+  close(calc.calculateScenarioMetrics({ ...base_scenario, purchase_price: price.required_value }, 0.1).irr, 20, 0.01);
+
+  const unreachable = calc.calculate({ base_scenario, goal_seek: { target: 5000 } }).goal_seek;
+  assert.strictEqual(unreachable.achievable, false);
+  assert.strictEqual(unreachable.required_value, null);
+  assert.match(unreachable.message, /No rental income from -90% to \+1000% of base reaches the target irr of 5000/);
+});
+
+test('analyze_sensitivity - global, scenario set and goal seek steps count toward progress', async () => {
+  const updates = [];
+  const result = await new SensitivityAnalysisCalculator().analyze({
+    base_scenario,
+    sensitivity_variables: [{ variable: 'rental_income' }],
+    global_sensitivity: { method: 'morris', random_seed: 1 },
+    scenario_sets: [{ name: 'Bear', changes: { rental_income: -10 } }],
+    goal_seek: { target: 12 }
+  }, { onProgress: update => updates.push(update) });
+
+  // 1 variable + 1 break-even search + Morris + scenario sets + goal seek
+  assert.deepStrictEqual(result.analysis_metadata, { total_steps: 5, completed_steps: 5, cancelled: false });
+  assert.strictEqual(result.global_sensitivity.sobol, null);
+  assert.strictEqual(result.global_sensitivity.morris.model_runs, 20 * 7);
+  assert.deepStrictEqual(updates.map(u => u.progress), [1, 2, 3, 4, 5]);
+});
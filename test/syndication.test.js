@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SyndicationAnalyzer } from '../src/calculators/syndication.js';
+import { registry } from '../src/tools.js';
+import { validateSchema } from '../src/validation.js';
+
+const close = (actual, expected, tolerance = 0.02) =>
+  assert(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+test('SyndicationAnalyzer - pref, return of capital and a single split', () => {
+  const result = new SyndicationAnalyzer().analyze({
+    investment_amount: 100000,
+    total_raise: 1000000,
+    annual_cash_flows: [50000, 50000, 50000],
+    exit_proceeds: 1400000,
+    preferred_return: 8,
+    profit_split_after_pref: 70
+  });
+
+  // 8% simple pref is $80k a year; $50k pays part of it and the rest accrues
+  assert.deepStrictEqual(result.waterfall.slice(0, 2).map(row => [row.preferred_return, row.return_of_capital, row.lp_total]), [
+    [50000, 0, 50000],
+    [50000, 0, 50000]
+  ]);
+  const exit = result.waterfall[2];
+  assert.strictEqual(exit.distributable, 1450000);
+  assert.strictEqual(exit.preferred_return, 240000 - 100000);
+  assert.strictEqual(exit.return_of_capital, 1000000);
+  assert.deepStrictEqual(exit.tiers, [{ tier: 1, lp_split: 70, lp: 217000, gp: 93000 }]);
+  assert.strictEqual(exit.gp_promote, 93000);
+
+  // Your 10% of the class
+  assert.deepStrictEqual(result.lp_distributions.map(row => row.total), [-100000, 5000, 5000, 135700]);
+  assert.strictEqual(result.lp_returns.total_distributions, 145700);
+  assert.strictEqual(result.lp_returns.equity_multiple, 1.46);
+  assert.strictEqual(result.projected_total_return, 145700);
+  assert.strictEqual(result.average_annual_return, result.lp_returns.irr);
+  assert.strictEqual(result.gp_returns.promote, 93000);
+  assert(result.deal_returns.irr > result.lp_returns.irr);
+});
+
+test('SyndicationAnalyzer - simple and compounding pref, and pref left unpaid', () => {
+  const analyzer = new SyndicationAnalyzer();
+  const base = { investment_amount: 1000000, annual_cash_flows: [0, 0], exit_proceeds: 1500000, preferred_return: 10 };
+
+  assert.strictEqual(analyzer.analyze(base).waterfall[1].preferred_return, 200000);
+  assert.strictEqual(analyzer.analyze({ ...base, preferred_return_type: 'compounding' }).waterfall[1].preferred_return, 210000);
+
+  // Pref is paid ahead of capital, so only a very poor exit leaves pref unpaid
+  const shortfall = analyzer.analyze({ ...base, exit_proceeds: 150000 });
+  assert.strictEqual(shortfall.lp_returns.unpaid_preferred_return, 50000);
+  assert.strictEqual(shortfall.gp_returns.promote, 0);
+  assert.match(shortfall.recommendations[0], /falls short of the 10% preferred return/);
+});
+
+test('SyndicationAnalyzer - GP catch-up and IRR hurdles', () => {
+  const result = new SyndicationAnalyzer().analyze({
+    investment_amount: 1000000,
+    annual_cash_flows: [0, 0, 0, 0],
+    exit_proceeds: 2600000,
+    preferred_return: 8,
+    preferred_return_type: 'compounding',
+    profit_split_after_pref: 80,
+    gp_catch_up_percent: 100,
+    hurdles: [{ irr: 15, lp_split: 70 }, { irr: 20, lp_split: 50 }]
+  });
+
+  const exit = result.waterfall.at(-1);
+  const pref = 1000000 * (Math.pow(1.08, 4) - 1);
+  close(exit.preferred_return, pref);
+  // Full catch-up leaves the GP with 20% of the profit paid out by the end of the catch-up band
+  close(exit.catch_up.gp, pref * 0.25);
+  assert.strictEqual(exit.catch_up.lp, 0);
+
+  // Tier 1 stops exactly at a 15% LP IRR and tier 2 at 20%
+  const lpAfter = tiers => 1000000 + exit.preferred_return + tiers.reduce((sum, tier) => sum + tier.lp, 0);
+  close(lpAfter(exit.tiers.slice(0, 1)), 1000000 * Math.pow(1.15, 4), 0.05);
+  close(lpAfter(exit.tiers.slice(0, 2)), 1000000 * Math.pow(1.20, 4), 0.05);
+  assert(exit.tiers[2].lp > 0, 'Cash above the last hurdle splits 50/50');
+  exit.tiers.forEach(tier => close(tier.lp / (tier.lp + tier.gp) * 100, tier.lp_split));
+
+  close(exit.lp_total + exit.gp_promote, exit.distributable);
+  assert(result.lp_returns.irr > 20);
+  assert.deepStrictEqual(result.structure.tiers.map(tier => [tier.from_irr, tier.to_irr]), [[8, 15], [15, 20], [20, null]]);
+});
+
+test('SyndicationAnalyzer - sponsor fees reduce LP returns', () => {
+  const analyzer = new SyndicationAnalyzer();
+  const base = { investment_amount: 50000, total_raise: 5000000, hold_period: 5, projected_irr: 15, annual_cash_yield: 5 };
+  const noFees = analyzer.analyze(base);
+  const withFees = analyzer.analyze({
+    ...base,
+    purchase_price: 15000000,
+    sale_price: 19000000,
+    fees: { acquisition_fee_percent: 2, asset_management_fee_percent: 2, disposition_fee_percent: 1 }
+  });
+
+  assert.strictEqual(noFees.deal_returns.irr, 15);
+  assert.strictEqual(noFees.lp_distributions[1].cash_yield, 5);
+  assert.strictEqual(withFees.deal_returns.invested_equity, 4700000);
+  assert.deepStrictEqual(
+    [withFees.gp_returns.acquisition_fee, withFees.gp_returns.asset_management_fees, withFees.gp_returns.disposition_fee],
+    [300000, 500000, 190000]
+  );
+  withFees.deal_cash_flows.slice(0, 4).forEach(row => {
+    assert.strictEqual(row.asset_management_fee, 100000);
+    assert.strictEqual(row.distributable, 4700000 * 0.05 - 100000);
+  });
+  assert(withFees.lp_returns.irr < noFees.lp_returns.irr - 2);
+  assert(withFees.deal_returns.fee_and_promote_drag > noFees.deal_returns.fee_and_promote_drag);
+});
+
+test('SyndicationAnalyzer - negative years are LP capital calls', () => {
+  const result = new SyndicationAnalyzer().analyze({ investment_amount: 50000, annual_cash_flows: [-10000, 5000], exit_proceeds: 60000 });
+
+  assert.strictEqual(result.deal_cash_flows[0].capital_call, 10000);
+  assert.deepStrictEqual(result.lp_distributions.map(row => row.total), [-50000, -10000, 65000]);
+  assert.strictEqual(result.lp_returns.capital_calls, 10000);
+  assert.strictEqual(result.lp_returns.profit, 5000);
+  // No fees or promote, so the LPs earn exactly the deal's IRR
+  assert.strictEqual(result.lp_returns.irr, result.deal_returns.irr);
+  assert.strictEqual(result.deal_returns.fee_and_promote_drag, 0);
+});
+
+test('SyndicationAnalyzer - rejects inconsistent structures', () => {
+  const analyzer = new SyndicationAnalyzer();
+  const base = { investment_amount: 100000, hold_period: 5, projected_irr: 12 };
+
+  assert.throws(() => analyzer.analyze({ investment_amount: 100000, hold_period: 5 }), /projected_irr and hold_period, or annual_cash_flows/);
+  assert.throws(() => analyzer.analyze({ investment_amount: 100000, annual_cash_flows: [1000] }), /exit_proceeds is required/);
+  assert.throws(() => analyzer.analyze({ ...base, total_raise: 50000 }), /cannot be smaller than investment_amount/);
+  assert.throws(() => analyzer.analyze({ ...base, hurdles: [{ irr: 6, lp_split: 60 }] }), /Hurdle 1 IRR \(6%\) must be above the preferred return/);
+  assert.throws(() => analyzer.analyze({ ...base, hurdles: [{ irr: 12, lp_split: 60 }, { irr: 11, lp_split: 50 }] }), /above hurdle 1/);
+  assert.throws(() => analyzer.analyze({ ...base, gp_catch_up_percent: 25 }), /must exceed the GP's 30% split/);
+  assert.throws(() => analyzer.analyze({ ...base, annual_cash_yield: 50 }), /lower the yield/);
+  assert.throws(() => analyzer.analyze({ ...base, projected_irr: -50 }), /annual_cash_yield of 5% already exceeds a -50% IRR/);
+});
+
+test('analyze_syndication - bundled examples run and match the output schema', async () => {
+  const result = await registry.call('analyze_syndication', {
+    investment_amount: 50000,
+    total_raise: 8500000,
+    preferred_return: 7,
+    profit_split_after_pref: 70,
+    hold_period: 5,
+    projected_irr: 15.5,
+    annual_cash_yield: 5,
+    fees: { acquisition_fee_percent: 1, asset_management_fee_percent: 1 }
+  });
+  const errors = validateSchema(registry.get('analyze_syndication').outputSchema, JSON.parse(JSON.stringify(result)), 'result');
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(result.lp_distributions.length, 6);
+  assert.strictEqual(result.preferred_return_threshold, 7);
+});
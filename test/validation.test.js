@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { validateSchema, ToolInputError } from '../src/validation.js';
+import { registry } from '../src/tools.js';
+
+test('validateSchema - reports missing required fields and wrong types', () => {
+  const errors = validateSchema(registry.get('analyze_brrrr_deal').inputSchema, {
+    rehab_cost: 35000,
+    after_repair_value: '220000',
+    monthly_rent: 1800
+  });
+
+  const paths = errors.map(e => e.path);
+  assert(paths.includes('arguments.purchase_price'), 'Should flag missing purchase_price');
+  const typeError = errors.find(e => e.path === 'arguments.after_repair_value');
+  assert.strictEqual(typeError.constraint, 'type');
+  assert.strictEqual(typeError.expected, 'number');
+  assert.strictEqual(typeError.received, 'string');
+});
+
+test('validateSchema - checks nested objects, bounds and enums', () => {
+  const errors = validateSchema(registry.get('calculate_dscr').inputSchema, {
+    property_income: { monthly_rent: 3000, vacancy_rate: 75 },
+    loan_details: { loan_amount: 300000, interest_rate: 7, loan_type: 'balloon' }
+  });
+
+  const vacancy = errors.find(e => e.path === 'arguments.property_income.vacancy_rate');
+  assert.strictEqual(vacancy.constraint, 'maximum');
+  assert.strictEqual(vacancy.expected, 50);
+
+  const loanType = errors.find(e => e.path === 'arguments.loan_details.loan_type');
+  assert.strictEqual(loanType.constraint, 'enum');
+  assert(loanType.expected.includes('dscr'));
+});
+
+test('validateSchema - reports every offending path in Monte Carlo investment_parameters', () => {
+  const errors = validateSchema(registry.get('run_monte_carlo').inputSchema, {
+    investment_parameters: { purchase_price: -5, down_payment_percent: 120 },
+    variable_distributions: {}
+  });
+
+  const paths = errors.map(e => e.path);
+  assert(paths.includes('arguments.investment_parameters.purchase_price'));
+  assert(paths.includes('arguments.investment_parameters.down_payment_percent'));
+});
+
+test('validateSchema - validates array items, item counts and dates', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      flows: { type: 'array', minItems: 2, items: { type: 'number' } },
+      date: { type: 'string', format: 'date' },
+      count: { type: 'integer' }
+    }
+  };
+  const errors = validateSchema(schema, { flows: ['x'], date: '05/01/2024', count: 1.5 });
+
+  assert.deepStrictEqual(errors.map(e => e.constraint).sort(), ['format', 'minItems', 'type', 'type']);
+  assert(errors.some(e => e.path === 'arguments.flows[0]'));
+  assert.deepStrictEqual(validateSchema(schema, { flows: [1, 2], date: '2024-05-01', count: 2 }), []);
+});
+
+test('ToolRegistry - rejects invalid calls before they reach the calculator', async () => {
+  await assert.rejects(
+    () => registry.call('calculate_dscr', { loan_details: { loan_amount: 'lots', interest_rate: 7 } }),
+    error => {
+      assert(error instanceof ToolInputError);
+      assert.strictEqual(error.toolName, 'calculate_dscr');
+      assert.strictEqual(error.errors.length, 2);
+      return true;
+    }
+  );
+});